@@ -6,319 +6,173 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 
 // Import modules
 import { scoutEvents } from "./scout.js";
-import { exploreLinks } from "./explorer.js";
-import { processEditRequest } from "./edit_itinerary.js";
+import { exploreLinks, isOnlineEvent, eventKey } from "./explorer.js";
+import {
+  EDIT_OPERATIONS,
+  processEditRequest,
+  processBatchEditRequest,
+  applyEditOperation,
+  applyEditOperations,
+  validateEditOperations,
+  findNewOverlaps,
+} from "./edit_itinerary.js";
+import { getProvider } from "./llm_provider.js";
+import { SEARCH_BACKENDS } from "./search_backends.js";
+import { TRAVEL_MODES, TRAVEL_POLICIES } from "./travel_time.js";
+import { EventValidationError } from "./event_schema.js";
+import { CancelledError, throwIfCancelled } from "./cancellation.js";
+import { PROGRESS_EVENTS, createProgressTracker } from "./progress.js";
+import {
+  generateRunId,
+  parseEventId,
+  openEventStream,
+  createStreamRun,
+  getStreamRun,
+} from "./stream_runs.js";
+import {
+  BREAKER_STATES,
+  CircuitOpenError,
+  getBreaker,
+} from "./circuit_breaker.js";
+import { resolveTimezone, normalizeEventTimes } from "./timezone.js";
+import { renderCalendar } from "./calendar_export.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  renderExport,
+} from "./itinerary_export.js";
+import { Logger } from "./logger.js";
+import {
+  getItinerary,
+  deleteItinerary,
+  listItineraries,
+} from "./itinerary_store.js";
+import {
+  HistoryError,
+  recordEdit,
+  undo,
+  redo,
+  restoreVersion,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+} from "./itinerary_history.js";
+import {
+  parseInterests,
+  analyzeEventCoverage,
+  organizeEvents,
+  generateItinerary,
+  buildItineraryResponse,
+  storeItinerary,
+  itineraryTimezone,
+  createModelAccess,
+  shouldRecord,
+} from "./pipeline.js";
 import {
   INTEREST_CATEGORIES,
   getAllTags,
   findCategoriesForInterests,
 } from "./user_interests.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getJob } from "./job_store.js";
+import { describeJob, submitJob, resumeJobs } from "./jobs.js";
+import { getCache } from "./result_cache.js";
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
 const CONFIG = {
-  googleApiKey: process.env.GOOGLE_API_KEY,
-  geminiModel: process.env.GEMINI_MODEL || "gemini-2.0-flash",
   port: process.env.API_PORT || 5500,
+  publicBaseUrl: process.env.PUBLIC_BASE_URL, // e.g. https://api.example.com
 };
 
 // Validate configuration
-if (!CONFIG.googleApiKey) {
-  console.error("❌ GOOGLE_API_KEY is required");
+let provider;
+try {
+  provider = getProvider();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-// Create logs directory if it doesn't exist
-const logsDir = path.join(__dirname, "../logs");
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
-}
-
-// Logger utility
-class Logger {
-  constructor(requestId) {
-    this.requestId = requestId;
-    this.timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-
-    // Create a subfolder for this request
-    this.folderName = `request_${this.timestamp}_${requestId}`;
-    this.requestDir = path.join(logsDir, this.folderName);
-    if (!fs.existsSync(this.requestDir)) {
-      fs.mkdirSync(this.requestDir, { recursive: true });
-    }
-
-    // File paths within the subfolder
-    this.logFile = path.join(this.requestDir, "console.log");
-    this.scoutFile = path.join(this.requestDir, "scout.json");
-    this.explorerFile = path.join(this.requestDir, "explorer.json");
-    this.itineraryFile = path.join(this.requestDir, "itinerary.json");
-
-    // Track platforms used for search_summary
-    this.platformsUsed = new Set();
-
-    this.data = {
-      city: null,
-      interests: null,
-      startDate: null,
-      endDate: null,
-    };
-  }
-
-  log(message) {
-    const logEntry = `[${new Date().toISOString()}] ${message}\n`;
-    console.log(message);
-    fs.appendFileSync(this.logFile, logEntry);
-  }
-
-  logScoutResults(results) {
-    this.log(
-      `\n📊 Scout Results: ${results.totalLinksFound} unique links found`
-    );
-
-    // Save full scout results
-    fs.writeFileSync(this.scoutFile, JSON.stringify(results, null, 2));
-    this.log(`📁 Scout results saved to: ${this.folderName}/scout.json`);
-  }
-
-  logExplorerResults(results) {
-    this.log(
-      `\n📊 Explorer Results: ${results.totalEvents} valid events extracted`
-    );
-
-    // Track platforms from events
-    if (results.events) {
-      results.events.forEach((event) => {
-        if (event.source?.platform) {
-          this.platformsUsed.add(event.source.platform);
-        }
-      });
-    }
-
-    // Save full explorer results
-    fs.writeFileSync(this.explorerFile, JSON.stringify(results, null, 2));
-    this.log(`📁 Explorer results saved to: ${this.folderName}/explorer.json`);
-  }
-
-  logFinalItinerary(events) {
-    this.log(`\n✅ Final itinerary generated with ${events.length} events`);
-
-    // Clean events to match the previous format (remove interest_matched and target_date)
-    const cleanedEvents = events.map((event) => {
-      const { interest_matched, target_date, ...cleanEvent } = event;
-      return cleanEvent;
-    });
-
-    // Build the itinerary output in the previous format
-    const itineraryOutput = {
-      itinerary: cleanedEvents,
-      search_summary: {
-        platforms_used: Array.from(this.platformsUsed),
-        search_date: new Date().toISOString(),
-      },
-    };
-
-    // Save itinerary JSON
-    fs.writeFileSync(
-      this.itineraryFile,
-      JSON.stringify(itineraryOutput, null, 2)
-    );
-    this.log(`📁 Itinerary saved to: ${this.folderName}/itinerary.json`);
-  }
-
-  saveAll() {
-    this.log(`\n📦 All logs saved to folder: ${this.folderName}`);
-  }
-}
-
 /**
- * Parse interests string into array
- * @param {string} interests - Comma-separated interests
- * @returns {string[]} Array of interests
+ * Send a model outage (open circuit breaker) as 503 with Retry-After
+ * @param {Object} res - Express response
+ * @param {CircuitOpenError} error - Breaker error
+ * @param {string} requestId - Request ID
  */
-function parseInterests(interests) {
-  return interests
-    .split(",")
-    .map((i) => i.trim())
-    .filter((i) => i.length > 0);
+function sendModelUnavailable(res, error, requestId) {
+  const retryAfter = Math.ceil(error.retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  res.status(503).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    retry_after_seconds: retryAfter,
+    request_id: requestId,
+  });
 }
 
 /**
- * Ensure minimum events per day coverage
- * @param {Object[]} events - Array of events
- * @param {string} startDate - Start date
- * @param {string} endDate - End date
- * @returns {Object} Events grouped by day with coverage info
+ * Validate the optional search_backend request field
+ * @param {string} searchBackend - Requested Scout backend
+ * @returns {string|null} Error message, or null if valid
  */
-function analyzeEventCoverage(events, startDate, endDate) {
-  const grouped = {};
-  const current = new Date(startDate);
-  const end = new Date(endDate);
-
-  // Initialize all dates
-  while (current <= end) {
-    const dateStr = current.toISOString().split("T")[0];
-    grouped[dateStr] = [];
-    current.setDate(current.getDate() + 1);
-  }
-
-  // Group events by date
-  events.forEach((event) => {
-    if (event.start_time) {
-      const eventDate = event.start_time.split("T")[0];
-      if (grouped[eventDate]) {
-        grouped[eventDate].push(event);
-      }
-    }
-  });
-
-  // Calculate coverage
-  const coverage = {};
-  Object.entries(grouped).forEach(([date, dayEvents]) => {
-    coverage[date] = {
-      count: dayEvents.length,
-      events: dayEvents,
-      hasMorning: dayEvents.some((e) => {
-        const hour = parseInt(e.start_time.split("T")[1].split(":")[0]);
-        return hour >= 8 && hour < 12;
-      }),
-      hasAfternoon: dayEvents.some((e) => {
-        const hour = parseInt(e.start_time.split("T")[1].split(":")[0]);
-        return hour >= 12 && hour < 17;
-      }),
-      hasEvening: dayEvents.some((e) => {
-        const hour = parseInt(e.start_time.split("T")[1].split(":")[0]);
-        return hour >= 17;
-      }),
-    };
-  });
-
-  return coverage;
+function validateSearchBackend(searchBackend) {
+  if (searchBackend && !SEARCH_BACKENDS.includes(searchBackend)) {
+    return `search_backend must be one of: ${SEARCH_BACKENDS.join(", ")}`;
+  }
+  return null;
 }
 
 /**
- * Main orchestration function - coordinates Scout and Explorer
- * @param {string} city - The city
- * @param {string[]} interests - Array of interests
- * @param {string} startDate - Start date
- * @param {string} endDate - End date
- * @param {Logger} logger - Logger instance
- * @returns {Promise<Object>} Final itinerary
+ * Validate the optional travel_mode and travel_policy request fields
+ * @param {string} travelMode - Travel mode between events
+ * @param {string} travelPolicy - How to handle infeasible transitions
+ * @returns {string|null} Error message, or null if valid
  */
-async function generateItinerary(city, interests, startDate, endDate, logger) {
-  logger.log(`\n${"=".repeat(60)}`);
-  logger.log(`🚀 Starting Itinerary Generation Pipeline`);
-  logger.log(`${"=".repeat(60)}`);
-  logger.log(`📍 City: ${city}`);
-  logger.log(`🎯 Interests: ${interests.join(", ")}`);
-  logger.log(`📅 Dates: ${startDate} to ${endDate}`);
-
-  logger.data.city = city;
-  logger.data.interests = interests;
-  logger.data.startDate = startDate;
-  logger.data.endDate = endDate;
-
-  // Phase 1: Scout - Find event links
-  logger.log(`\n${"─".repeat(40)}`);
-  logger.log(`📡 PHASE 1: SCOUT - Finding Event Links`);
-  logger.log(`${"─".repeat(40)}`);
-
-  const scoutResults = await scoutEvents(
-    city,
-    interests,
-    startDate,
-    endDate,
-    (msg) => logger.log(msg)
-  );
-
-  logger.logScoutResults(scoutResults);
-
-  if (scoutResults.allLinks.length === 0) {
-    logger.log(`⚠️ Scout found no links. Cannot proceed.`);
-    return {
-      success: false,
-      events: [],
-      message: "No event links found during search",
-    };
+function validateTravelOptions(travelMode, travelPolicy) {
+  if (travelMode && !TRAVEL_MODES[travelMode]) {
+    return `travel_mode must be one of: ${Object.keys(TRAVEL_MODES).join(", ")}`;
   }
-
-  // Phase 2: Explorer - Analyze links and extract events
-  logger.log(`\n${"─".repeat(40)}`);
-  logger.log(`🔬 PHASE 2: EXPLORER - Analyzing Links`);
-  logger.log(`${"─".repeat(40)}`);
-
-  const explorerResults = await exploreLinks(
-    scoutResults.allLinks,
-    city,
-    (msg) => logger.log(msg)
-  );
-
-  logger.logExplorerResults(explorerResults);
-
-  // Phase 3: Organize and validate events
-  logger.log(`\n${"─".repeat(40)}`);
-  logger.log(`📋 PHASE 3: ORGANIZING EVENTS`);
-  logger.log(`${"─".repeat(40)}`);
-
-  const events = explorerResults.events || [];
-
-  // Sort by start_time
-  events.sort((a, b) => {
-    const timeA = new Date(a.start_time).getTime();
-    const timeB = new Date(b.start_time).getTime();
-    return timeA - timeB;
-  });
-
-  // Analyze coverage
-  const coverage = analyzeEventCoverage(events, startDate, endDate);
-
-  // Log coverage summary
-  Object.entries(coverage).forEach(([date, info]) => {
-    logger.log(
-      `📅 ${date}: ${info.count} events (M:${info.hasMorning ? "✓" : "✗"} A:${
-        info.hasAfternoon ? "✓" : "✗"
-      } E:${info.hasEvening ? "✓" : "✗"})`
-    );
-  });
-
-  logger.logFinalItinerary(events);
-
-  return {
-    success: true,
-    events,
-    coverage,
-    scoutStats: {
-      totalLinksFound: scoutResults.totalLinksFound,
-      searchesPerformed: scoutResults.searchResults?.length || 0,
-    },
-    explorerStats: {
-      linksAnalyzed: explorerResults.totalAnalyzed,
-      eventsExtracted: explorerResults.totalEvents,
-      linksRejected: explorerResults.rejected?.length || 0,
-    },
-  };
+  if (travelPolicy && !TRAVEL_POLICIES.includes(travelPolicy)) {
+    return `travel_policy must be one of: ${TRAVEL_POLICIES.join(", ")}`;
+  }
+  return null;
 }
 
 // API Routes
+// Liveness: stays 200 while the model is down, stored itineraries are still
+// served. Load balancers should use /ready
 app.get("/health", (req, res) => {
+  const breaker = getBreaker(provider.name).status();
   res.json({
-    status: "healthy",
+    status: breaker.state === BREAKER_STATES.OPEN ? "degraded" : "healthy",
     timestamp: new Date().toISOString(),
-    model: CONFIG.geminiModel,
+    provider: provider.name,
+    model: provider.model,
+    circuit_breaker: breaker,
     architecture: "Scout + Explorer Pipeline",
   });
 });
 
+// Readiness for load balancers: 503 while the model's circuit breaker is open,
+// so new generation traffic goes to instances that can serve it
+app.get("/ready", (req, res) => {
+  const breaker = getBreaker(provider.name).status();
+  const ready = breaker.state !== BREAKER_STATES.OPEN;
+  if (!ready) res.set("Retry-After", String(breaker.retry_after_seconds));
+  res.status(ready ? 200 : 503).json({
+    ready,
+    timestamp: new Date().toISOString(),
+    provider: provider.name,
+    circuit_breaker: breaker,
+  });
+});
+
 // Get available interest categories
 app.get("/api/interests", (req, res) => {
   res.json({
@@ -328,39 +182,142 @@ app.get("/api/interests", (req, res) => {
   });
 });
 
+/**
+ * User-facing text for a progress event on the SSE stream
+ * @param {Object} event - Progress event (progress.js)
+ * @returns {Object|null} { message, detail }, or null if the event isn't shown
+ */
+function progressMessage(event) {
+  switch (event.type) {
+    case PROGRESS_EVENTS.SEARCH_STARTED:
+      return {
+        message: `Searching for ${event.interest}...`,
+        detail: `Searching "${event.interest}" events for ${event.date}`,
+      };
+    case PROGRESS_EVENTS.SEARCH_COMPLETED:
+      return event.success
+        ? {
+            message: `Found ${event.links} potential matches`,
+            detail: `${event.links} links for "${event.interest}" on ${event.date}`,
+          }
+        : null;
+    case PROGRESS_EVENTS.BATCH_STARTED:
+      return {
+        message: `Analyzing events... ${event.percent}%`,
+        detail: `Processing batch ${event.batch} of ${event.batches}`,
+      };
+    case PROGRESS_EVENTS.BATCH_COMPLETED:
+      return event.success
+        ? { message: `Verified ${event.events} events`, detail: "Extracting details..." }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Per-day counts of a running event list (no event bodies)
+ * @param {Object[]} events - Events so far, in the city's timezone
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @returns {Object} { [date]: { count, hasMorning, hasAfternoon, hasEvening } }
+ */
+function coverageSummary(events, startDate, endDate) {
+  return Object.fromEntries(
+    Object.entries(analyzeEventCoverage(events, startDate, endDate)).map(
+      ([date, { count, hasMorning, hasAfternoon, hasEvening }]) => [
+        date,
+        { count, hasMorning, hasAfternoon, hasEvening },
+      ]
+    )
+  );
+}
+
+/**
+ * Reattach a client to a stream run from the last event it received
+ * @param {Object} res - Express response
+ * @param {string} runId - Run (request) ID
+ * @param {string} [lastEventId] - Last event ID the client saw
+ */
+function resumeStream(res, runId, lastEventId) {
+  const run = getStreamRun(runId);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: "Stream not found or expired",
+      code: "STREAM_NOT_FOUND",
+    });
+  }
+  openEventStream(res);
+  run.attach(res, lastEventId);
+}
+
 // Streaming itinerary generation endpoint (SSE)
+// Event IDs are "<run id>:<n>", the run ID a random UUID; a client that
+// reconnects with Last-Event-ID resumes the same run instead of starting anew
 app.post("/api/generate-itinerary-stream", async (req, res) => {
-  const requestId = Date.now().toString();
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    return resumeStream(res, parseEventId(lastEventId)?.runId, lastEventId);
+  }
+
+  const requestId = generateRunId();
   const logger = new Logger(requestId);
 
-  // Set up SSE headers
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("X-Accel-Buffering", "no");
+  // Abandon the run if no client is back within the reconnect grace period
+  // (at once if the client left before getting its first event)
+  const controller = new AbortController();
+  const { signal } = controller;
+  const run = createStreamRun(requestId, {
+    onAbandoned: () => controller.abort(new CancelledError("Client disconnected")),
+  });
+
+  openEventStream(res);
+  run.attach(res);
 
   // Helper to send SSE events
   const sendEvent = (type, data) => {
-    res.write(`data: ${JSON.stringify({ type, ...data })}\n\n`);
+    if (signal.aborted) return;
+    run.send(type, data);
   };
 
   // Send initial connection confirmation
   sendEvent("connected", { message: "Stream connected", requestId });
 
   try {
-    const { city, interests, start_date, end_date } = req.body;
+    const {
+      city,
+      interests,
+      start_date,
+      end_date,
+      search_backend,
+      travel_mode,
+      travel_policy,
+      fill_gaps,
+      bypass_cache,
+      record,
+    } = req.body;
 
     // Validate required fields
     if (!city || !interests) {
       sendEvent("error", { message: "city and interests are required" });
-      res.end();
+      run.finish();
+      return;
+    }
+
+    const backendError =
+      validateSearchBackend(search_backend) ||
+      validateTravelOptions(travel_mode, travel_policy);
+    if (backendError) {
+      sendEvent("error", { message: backendError });
+      run.finish();
       return;
     }
 
     const interestArray = parseInterests(interests);
     if (interestArray.length === 0) {
       sendEvent("error", { message: "At least one interest is required" });
-      res.end();
+      run.finish();
       return;
     }
 
@@ -375,6 +332,73 @@ app.post("/api/generate-itinerary-stream", async (req, res) => {
     logger.data.interests = interestArray;
     logger.data.startDate = start_date;
     logger.data.endDate = end_date;
+    logger.saveRequest({
+      city,
+      interests: interestArray,
+      startDate: start_date,
+      endDate: end_date,
+      searchBackend: search_backend,
+      travelMode: travel_mode,
+      travelPolicy: travel_policy,
+      fillGaps: fill_gaps,
+    });
+
+    const access = createModelAccess(logger, {
+      record,
+      searchBackend: search_backend,
+      bypassCache: bypass_cache,
+    });
+
+    const { timezone } = resolveTimezone(city);
+
+    // Progress comes from typed events, not from the log text
+    const progress = createProgressTracker();
+    logger.followProgress(progress);
+    progress.on("progress", (event) => {
+      const text = progressMessage(event);
+      if (!text) return;
+      sendEvent("progress", {
+        phase: event.phase,
+        ...text,
+        event: event.type,
+        completed: event.completed,
+        total: event.total,
+        percent: event.percent,
+        overall_percent: event.overall_percent,
+        eta_seconds: event.eta_seconds,
+      });
+    });
+
+    // Push each batch's verified events as soon as the batch is done, with
+    // running per-day coverage (the final schedule still comes in "complete").
+    // Same online filter and dedupe as the Explorer's result, so nothing is
+    // streamed that the Explorer later drops
+    const found = [];
+    const seen = new Set();
+    let batchEvents = [];
+    progress.on(PROGRESS_EVENTS.EVENT_EXTRACTED, ({ event }) => {
+      batchEvents.push(event);
+    });
+    progress.on(PROGRESS_EVENTS.BATCH_COMPLETED, ({ batch }) => {
+      const fresh = batchEvents.filter((e) => {
+        if (isOnlineEvent(e)) return false;
+        const key = eventKey(e);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      const events = normalizeEventTimes(fresh, timezone);
+      batchEvents = [];
+      if (events.length === 0) return;
+
+      found.push(...events);
+      sendEvent("events", {
+        batch: batch ?? null,
+        events,
+        total_events: found.length,
+        coverage: coverageSummary(found, start_date, end_date),
+      });
+    });
 
     // Phase 1: Scout
     sendEvent("progress", {
@@ -383,34 +407,18 @@ app.post("/api/generate-itinerary-stream", async (req, res) => {
       detail: "Searching multiple sources",
     });
 
-    let scoutProgress = 0;
     const scoutResults = await scoutEvents(
       city,
       interestArray,
       start_date,
       end_date,
-      (msg) => {
-        logger.log(msg);
-        // Parse scout progress and send updates
-        if (msg.includes("Searching")) {
-          scoutProgress++;
-          const match = msg.match(/"([^"]+)"/);
-          const interest = match ? match[1] : "events";
-          sendEvent("progress", {
-            phase: "scout",
-            message: `Searching for ${interest}...`,
-            detail: msg.replace(/^[^\s]+\s/, ""),
-          });
-        } else if (msg.includes("Found")) {
-          const match = msg.match(/Found (\d+) links/);
-          if (match) {
-            sendEvent("progress", {
-              phase: "scout",
-              message: `Found ${match[1]} potential matches`,
-              detail: msg.replace(/^[^\s]+\s/, ""),
-            });
-          }
-        }
+      (msg) => logger.log(msg),
+      {
+        searchBackend: access.searchBackend,
+        provider: access.provider,
+        cacheMode: access.cacheMode,
+        signal,
+        progress,
       }
     );
 
@@ -418,7 +426,7 @@ app.post("/api/generate-itinerary-stream", async (req, res) => {
 
     if (scoutResults.allLinks.length === 0) {
       sendEvent("error", { message: "No events found for your interests" });
-      res.end();
+      run.finish();
       return;
     }
 
@@ -435,37 +443,17 @@ app.post("/api/generate-itinerary-stream", async (req, res) => {
       detail: `Processing ${scoutResults.allLinks.length} sources`,
     });
 
-    let batchCount = 0;
     const explorerResults = await exploreLinks(
       scoutResults.allLinks,
       city,
-      (msg) => {
-        logger.log(msg);
-        // Parse explorer progress
-        if (msg.includes("batch")) {
-          const match = msg.match(/batch (\d+)\/(\d+)/);
-          if (match) {
-            batchCount++;
-            const percent = Math.round(
-              (parseInt(match[1]) / parseInt(match[2])) * 100
-            );
-            sendEvent("progress", {
-              phase: "explorer",
-              message: `Analyzing events... ${percent}%`,
-              detail: `Processing batch ${match[1]} of ${match[2]}`,
-              percent,
-            });
-          }
-        } else if (msg.includes("Found") && msg.includes("valid")) {
-          const match = msg.match(/Found (\d+) valid/);
-          if (match) {
-            sendEvent("progress", {
-              phase: "explorer",
-              message: `Verified ${match[1]} events`,
-              detail: "Extracting details...",
-            });
-          }
-        }
+      (msg) => logger.log(msg),
+      {
+        provider: access.provider,
+        pageFetcher: access.pageFetcher,
+        timeZone: timezone,
+        cacheMode: access.cacheMode,
+        signal,
+        progress,
       }
     );
 
@@ -478,14 +466,22 @@ app.post("/api/generate-itinerary-stream", async (req, res) => {
       detail: "Creating your personalized schedule",
     });
 
-    const events = explorerResults.events || [];
-    events.sort(
-      (a, b) =>
-        new Date(a.start_time).getTime() - new Date(b.start_time).getTime()
-    );
-
-    const coverage = analyzeEventCoverage(events, start_date, end_date);
-    logger.logFinalItinerary(events);
+    const { events, alternatives, coverage, travelMode, travelPolicy, gapStats } =
+      await organizeEvents(explorerResults.events || [], {
+        city,
+        timeZone: timezone,
+        interests: interestArray,
+        startDate: start_date,
+        endDate: end_date,
+        logger,
+        provider: access.provider,
+        travelMode: travel_mode,
+        travelPolicy: travel_policy,
+        fillGaps: fill_gaps,
+        signal,
+        progress,
+      });
+    throwIfCancelled(signal);
 
     // Send final result
     const response = {
@@ -495,6 +491,10 @@ app.post("/api/generate-itinerary-stream", async (req, res) => {
       date_range: { start: start_date, end: end_date },
       itinerary: events,
       itinerary_by_day: coverage,
+      alternatives,
+      timezone,
+      travel_mode: travelMode,
+      travel_policy: travelPolicy,
       total_items: events.length,
       events: events.filter((e) => e.type === "event").length,
       activities: events.filter((e) => e.type === "activity").length,
@@ -508,29 +508,81 @@ app.post("/api/generate-itinerary-stream", async (req, res) => {
           eventsExtracted: explorerResults.totalEvents,
           linksRejected: explorerResults.rejected?.length || 0,
         },
+        gap_filler: gapStats,
+        cache: {
+          scout: scoutResults.cacheStats,
+          explorer: explorerResults.cacheStats,
+        },
       },
       generated_at: new Date().toISOString(),
       request_id: requestId,
     };
 
+    storeItinerary(response, logger);
     sendEvent("complete", { message: "Itinerary ready!", data: response });
     logger.saveAll();
-    res.end();
+    run.finish();
   } catch (error) {
+    if (signal.aborted) {
+      logger.logCancelled(error.message);
+      logger.saveAll();
+      run.finish();
+      return;
+    }
     logger.log(`❌ Error: ${error.message}`);
     logger.saveAll();
-    sendEvent("error", { message: error.message });
-    res.end();
+    sendEvent("error", { message: error.message, code: error.code });
+    run.finish();
   }
 });
 
+// Reattach to a streaming run (for EventSource reconnects)
+app.get("/api/generate-itinerary-stream/:id", (req, res) => {
+  resumeStream(
+    res,
+    req.params.id,
+    req.get("Last-Event-ID") || req.query.last_event_id
+  );
+});
+
 // Main itinerary generation endpoint
 app.post("/api/generate-itinerary", async (req, res) => {
   const requestId = Date.now().toString();
   const logger = new Logger(requestId);
 
   try {
-    const { city, interests, start_date, end_date } = req.body;
+    const { search_backend, record, replay_from } = req.body;
+    let {
+      city,
+      interests,
+      start_date,
+      end_date,
+      travel_mode,
+      travel_policy,
+      fill_gaps,
+      bypass_cache,
+    } = req.body;
+
+    // Replay: run offline from a recorded request folder, reusing its inputs
+    let access = null;
+    if (replay_from) {
+      try {
+        access = createModelAccess(logger, {
+          replayFrom: replay_from,
+          searchBackend: search_backend,
+        });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const recorded = access.replay.request || {};
+      city = city || recorded.city;
+      interests = interests || recorded.interests?.join(", ");
+      start_date = start_date || recorded.startDate;
+      end_date = end_date || recorded.endDate;
+      travel_mode = travel_mode || recorded.travelMode;
+      travel_policy = travel_policy || recorded.travelPolicy;
+      fill_gaps = fill_gaps ?? recorded.fillGaps;
+    }
 
     // Validate required fields
     if (!city || !interests) {
@@ -541,10 +593,22 @@ app.post("/api/generate-itinerary", async (req, res) => {
           interests: "Technology, Networking, Art",
           start_date: "2026-01-15",
           end_date: "2026-01-17",
+          search_backend: "model",
+          travel_mode: "transit",
+          travel_policy: "resolve",
+          fill_gaps: true,
+          bypass_cache: false,
         },
       });
     }
 
+    const backendError =
+      validateSearchBackend(search_backend) ||
+      validateTravelOptions(travel_mode, travel_policy);
+    if (backendError) {
+      return res.status(400).json({ error: backendError });
+    }
+
     // Parse interests
     const interestArray = parseInterests(interests);
     if (interestArray.length === 0) {
@@ -558,13 +622,30 @@ app.post("/api/generate-itinerary", async (req, res) => {
     logger.log(`📥 Interests: ${interestArray.join(", ")}`);
     logger.log(`📥 Dates: ${start_date} to ${end_date}`);
 
+    if (!access) {
+      access = createModelAccess(logger, {
+        record,
+        searchBackend: search_backend,
+        bypassCache: bypass_cache,
+      });
+    }
+
     // Generate itinerary
     const result = await generateItinerary(
       city,
       interestArray,
       start_date,
       end_date,
-      logger
+      logger,
+      {
+        searchBackend: access.searchBackend,
+        provider: access.provider,
+        pageFetcher: access.pageFetcher,
+        travelMode: travel_mode,
+        travelPolicy: travel_policy,
+        fillGaps: fill_gaps,
+        cacheMode: access.cacheMode,
+      }
     );
 
     if (!result.success) {
@@ -572,33 +653,28 @@ app.post("/api/generate-itinerary", async (req, res) => {
     }
 
     // Build response
-    const response = {
-      success: true,
+    const response = buildItineraryResponse(result, {
       city,
       interests: interestArray,
-      date_range: {
-        start: start_date,
-        end: end_date,
-      },
-      itinerary: result.events,
-      itinerary_by_day: result.coverage,
-      total_items: result.events.length,
-      events: result.events.filter((e) => e.type === "event").length,
-      activities: result.events.filter((e) => e.type === "activity").length,
-      pipeline_stats: {
-        scout: result.scoutStats,
-        explorer: result.explorerStats,
-      },
-      generated_at: new Date().toISOString(),
-      request_id: requestId,
-    };
+      startDate: start_date,
+      endDate: end_date,
+      requestId,
+    });
+
+    if (access.replay) {
+      response.replayed_from = replay_from;
+    }
 
+    storeItinerary(response, logger);
     logger.saveAll();
     res.json(response);
   } catch (error) {
     logger.log(`❌ Error: ${error.message}`);
     logger.log(`Stack: ${error.stack}`);
     logger.saveAll();
+    if (error instanceof CircuitOpenError) {
+      return sendModelUnavailable(res, error, requestId);
+    }
     res.status(500).json({
       error: error.message,
       request_id: requestId,
@@ -606,14 +682,208 @@ app.post("/api/generate-itinerary", async (req, res) => {
   }
 });
 
+// ============= JOB ENDPOINTS =============
+/**
+ * Status and result URLs of a job
+ * @param {string} id - Job ID
+ * @returns {Object} { status_url, result_url }
+ */
+function jobLinks(id) {
+  return {
+    status_url: `/api/jobs/${id}`,
+    result_url: `/api/jobs/${id}/result`,
+  };
+}
+
+// Start a background generation job (answers right away with its ID)
+app.post("/api/jobs", (req, res) => {
+  const {
+    city,
+    interests,
+    start_date,
+    end_date,
+    search_backend,
+    travel_mode,
+    travel_policy,
+    fill_gaps,
+    bypass_cache,
+    record,
+  } = req.body;
+
+  if (!city || !interests) {
+    return res.status(400).json({
+      error: "city and interests are required",
+      example: {
+        city: "New York, NY",
+        interests: "Technology, Networking, Art",
+        start_date: "2026-01-15",
+        end_date: "2026-01-17",
+        search_backend: "model",
+        travel_mode: "transit",
+        travel_policy: "resolve",
+        fill_gaps: true,
+        bypass_cache: false,
+      },
+    });
+  }
+
+  const backendError =
+    validateSearchBackend(search_backend) ||
+    validateTravelOptions(travel_mode, travel_policy);
+  if (backendError) {
+    return res.status(400).json({ error: backendError });
+  }
+
+  const interestArray = parseInterests(interests);
+  if (interestArray.length === 0) {
+    return res.status(400).json({
+      error: "At least one interest is required",
+    });
+  }
+
+  try {
+    const job = submitJob({
+      city,
+      interests: interestArray,
+      start_date,
+      end_date,
+      search_backend,
+      travel_mode,
+      travel_policy,
+      fill_gaps,
+      bypass_cache,
+      record: shouldRecord(record),
+    });
+    console.log(`📥 Job queued: ${job.id} (${city})`);
+
+    res.set("Location", `/api/jobs/${job.id}`);
+    res.status(202).json({
+      success: true,
+      ...describeJob(job),
+      ...jobLinks(job.id),
+    });
+  } catch (error) {
+    console.error(`❌ Job Error:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Load a job for a route, answering 404 or 500 itself when it can't
+ * @param {Object} res - Express response
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job record, or null if a response was sent
+ */
+function loadJob(res, id) {
+  let job;
+  try {
+    job = getJob(id);
+  } catch (error) {
+    console.error(`❌ Unreadable job ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: "Job record is unreadable" });
+    return null;
+  }
+  if (!job) {
+    res.status(404).json({ success: false, error: "Job not found" });
+  }
+  return job;
+}
+
+// Phase and progress of a job
+app.get("/api/jobs/:id", (req, res) => {
+  const job = loadJob(res, req.params.id);
+  if (!job) return;
+  res.json({ success: true, ...describeJob(job), ...jobLinks(job.id) });
+});
+
+// Itinerary produced by a completed job
+app.get("/api/jobs/:id/result", (req, res) => {
+  const job = loadJob(res, req.params.id);
+  if (!job) return;
+
+  if (job.status !== "completed") {
+    return res.status(409).json({
+      success: false,
+      error:
+        job.status === "failed"
+          ? `Job failed: ${job.error?.message}`
+          : `Job is not finished yet (${job.status}, phase: ${job.phase})`,
+      job: { ...describeJob(job), ...jobLinks(job.id) },
+    });
+  }
+
+  res.json(job.result);
+});
+
 // ============= EDIT ITINERARY ENDPOINT =============
+/**
+ * Validate the activity an edit proposes for a single (unstored) activity
+ * @param {Object} current - Activity being edited
+ * @param {Object} editResult - Result from processEditRequest
+ * @returns {Object} Repaired updated_activity / new_activity to send back
+ * @throws {EventValidationError} If the proposed activity fails the schema
+ */
+function checkEditedActivity(current, editResult) {
+  const { operation } = editResult;
+  if (!["replace", "update_time", "add"].includes(operation)) {
+    return {};
+  }
+
+  const id = current.id || "current";
+  const items = applyEditOperation([{ ...current, id }], id, editResult);
+  const edited = items[items.length - 1];
+  return operation === "add"
+    ? { new_activity: edited }
+    : { updated_activity: edited };
+}
+
+/**
+ * Response body for an edit rejected by the event schema
+ * @param {EventValidationError} error - Validation error
+ * @param {string} requestId - Request ID
+ * @returns {Object} Error body with the rejection reasons
+ */
+function validationFailure(error, requestId) {
+  return {
+    success: false,
+    error: error.message,
+    rejected: error.errors.map((reason) => ({ reason })),
+    request_id: requestId,
+  };
+}
+
 // Edit itinerary endpoint
 app.post("/api/edit-itinerary", async (req, res) => {
   const requestId = Date.now().toString();
+  const { record, replay_from } = req.body;
+
+  // Edits only get a log folder when their model call is recorded or replayed
+  const logger =
+    shouldRecord(record) || replay_from ? new Logger(requestId) : null;
 
   try {
+    let access = null;
+    let params = req.body;
+    if (replay_from) {
+      try {
+        access = createModelAccess(logger, { replayFrom: replay_from });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const { edit_request, current_activity, city, day_date, interests } =
+        access.replay.request || {};
+      params = {
+        edit_request,
+        current_activity,
+        city,
+        day_date,
+        interests,
+        ...req.body,
+      };
+    }
+
     const { edit_request, current_activity, city, day_date, interests } =
-      req.body;
+      params;
 
     // Validate required fields
     if (!edit_request || !current_activity) {
@@ -641,26 +911,50 @@ app.post("/api/edit-itinerary", async (req, res) => {
     console.log(`   Edit: "${edit_request}"`);
     console.log(`   Activity: ${current_activity.name}`);
 
-    // Process edit with AI
-    const editResult = await processEditRequest({
+    const editParams = {
       edit_request,
       current_activity,
       city: city || "Unknown City",
       day_date: day_date || new Date().toISOString().split("T")[0],
       interests: interests || [],
+    };
+
+    if (logger) {
+      logger.saveRequest(editParams);
+      access = access || createModelAccess(logger, { record: true });
+    }
+
+    // Process edit with AI
+    const editResult = await processEditRequest(editParams, {
+      provider: access?.provider,
+      logger: logger ? (msg) => logger.log(msg) : undefined,
     });
 
     console.log(`✅ Edit processed: ${editResult.operation}`);
     console.log(`   Summary: ${editResult.change_summary}`);
+    logger?.saveAll();
+
+    // Check (and repair) the proposed activity against the event schema
+    let checked;
+    try {
+      checked = checkEditedActivity(current_activity, editResult);
+    } catch (error) {
+      if (!(error instanceof EventValidationError)) throw error;
+      return res.status(422).json(validationFailure(error, requestId));
+    }
 
     res.json({
       success: true,
       ...editResult,
+      ...checked,
       request_id: requestId,
       processed_at: new Date().toISOString(),
     });
   } catch (error) {
     console.error(`❌ Edit Error [${requestId}]:`, error.message);
+    if (error instanceof CircuitOpenError) {
+      return sendModelUnavailable(res, error, requestId);
+    }
     res.status(500).json({
       success: false,
       error: error.message,
@@ -669,14 +963,488 @@ app.post("/api/edit-itinerary", async (req, res) => {
   }
 });
 
+// ============= ITINERARY STORE ENDPOINTS =============
+// List stored itineraries (paginated, filterable by city and date)
+app.get("/api/itineraries", (req, res) => {
+  const { city, date, page, limit } = req.query;
+
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({
+      success: false,
+      error: "date must be in YYYY-MM-DD format",
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...listItineraries({ city, date, page, limit }),
+    });
+  } catch (error) {
+    console.error(`❌ List Error:`, error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Load a stored itinerary for a route, answering 404 or 500 itself when it can't
+ * @param {Object} res - Express response
+ * @param {string} id - Itinerary ID
+ * @returns {Object|null} Stored record, or null if a response was sent
+ */
+function loadItinerary(res, id) {
+  let itinerary;
+  try {
+    itinerary = getItinerary(id);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    res.status(500).json({ success: false, error: "Itinerary record is unreadable" });
+    return null;
+  }
+  if (!itinerary) {
+    res.status(404).json({ success: false, error: "Itinerary not found" });
+  }
+  return itinerary;
+}
+
+// Get a stored itinerary
+app.get("/api/itineraries/:id", (req, res) => {
+  const itinerary = loadItinerary(res, req.params.id);
+  if (!itinerary) return;
+  res.json({ ...itinerary, calendar: calendarLinks(req, itinerary.id) });
+});
+
+/**
+ * Calendar feed URLs for a stored itinerary
+ * The feed always renders the latest version, so one URL stays valid across edits
+ * @param {Object} req - Express request (for the host when PUBLIC_BASE_URL is unset)
+ * @param {string} id - Itinerary ID
+ * @returns {Object} { ics_url, subscribe_url }
+ */
+function calendarLinks(req, id) {
+  const baseUrl = (
+    CONFIG.publicBaseUrl || `${req.protocol}://${req.get("host")}`
+  ).replace(/\/+$/, "");
+  const icsUrl = `${baseUrl}/api/itineraries/${id}/calendar.ics`;
+
+  return {
+    ics_url: icsUrl,
+    subscribe_url: icsUrl.replace(/^https?:/, "webcal:"),
+  };
+}
+
+// iCalendar feed of a stored itinerary (subscribable; reflects later edits)
+app.get("/api/itineraries/:id/calendar.ics", (req, res) => {
+  const itinerary = loadItinerary(res, req.params.id);
+  if (!itinerary) return;
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="itinerary-${itinerary.id}.ics"`
+  );
+  res.setHeader("Last-Modified", new Date(itinerary.updated_at).toUTCString());
+  res.send(renderCalendar(itinerary));
+});
+
+// Export a stored itinerary (?format=markdown|html|pdf, default markdown)
+app.get("/api/itineraries/:id/export", (req, res) => {
+  const format = req.query.format || "markdown";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+    });
+  }
+
+  const itinerary = loadItinerary(res, req.params.id);
+  if (!itinerary) return;
+
+  const { type, extension } = EXPORT_CONTENT_TYPES[format];
+  res.setHeader("Content-Type", type);
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="itinerary-${itinerary.id}.${extension}"`
+  );
+  res.send(renderExport(itinerary, format));
+});
+
+// Delete a stored itinerary
+app.delete("/api/itineraries/:id", (req, res) => {
+  if (!deleteItinerary(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: "Itinerary not found",
+    });
+  }
+  res.json({ success: true, id: req.params.id });
+});
+
+// Apply an edit to one activity of a stored itinerary
+// Body: { edit_request } to ask the model, or a processEditRequest result
+// ({ operation, updated_activity, new_activity, change_summary }) to apply as-is
+app.post("/api/itineraries/:id/activities/:activityId/edit", async (req, res) => {
+  const requestId = Date.now().toString();
+  const { id, activityId } = req.params;
+
+  try {
+    const itinerary = getItinerary(id);
+    if (!itinerary) {
+      return res.status(404).json({
+        success: false,
+        error: "Itinerary not found",
+      });
+    }
+
+    const activity = itinerary.itinerary.find((item) => item.id === activityId);
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: "Activity not found in itinerary",
+      });
+    }
+
+    const { edit_request, operation } = req.body;
+    if (!edit_request && !operation) {
+      return res.status(400).json({
+        success: false,
+        error: "edit_request or operation is required",
+        example: { edit_request: "Move this an hour later" },
+      });
+    }
+
+    let editResult = req.body;
+    if (!operation) {
+      console.log(`\n📝 Stored Edit [${requestId}] ${id}/${activityId}`);
+      console.log(`   Edit: "${edit_request}"`);
+      editResult = await processEditRequest({
+        edit_request,
+        current_activity: activity,
+        city: itinerary.city,
+        day_date: activity.start_time?.split("T")[0],
+        interests: itinerary.interests || [],
+      });
+    }
+
+    if (!EDIT_OPERATIONS.includes(editResult.operation)) {
+      return res.status(400).json({
+        success: false,
+        error: `operation must be one of: ${EDIT_OPERATIONS.join(", ")}`,
+      });
+    }
+
+    // Apply to the latest stored copy (it may have changed during the model call)
+    const latest = getItinerary(id);
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: "Itinerary not found",
+      });
+    }
+
+    let items;
+    try {
+      items = applyEditOperation(latest.itinerary, activityId, editResult);
+    } catch (error) {
+      if (error instanceof EventValidationError) {
+        return res.status(422).json(validationFailure(error, requestId));
+      }
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        request_id: requestId,
+      });
+    }
+
+    const updated = await recordEdit(id, items, {
+      edit_request: edit_request || null,
+      operation: editResult.operation,
+      change_summary: editResult.change_summary,
+      activity_id: activityId,
+    });
+
+    console.log(`✅ Edit applied: ${editResult.operation} (v${updated.version})`);
+
+    res.json({
+      success: true,
+      operation: editResult.operation,
+      change_summary: editResult.change_summary,
+      version: updated.version,
+      itinerary: updated,
+      request_id: requestId,
+      processed_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ Stored Edit Error [${requestId}]:`, error.message);
+    if (error instanceof CircuitOpenError) {
+      return sendModelUnavailable(res, error, requestId);
+    }
+    res.status(error instanceof HistoryError ? error.status : 500).json({
+      success: false,
+      error: error.message,
+      request_id: requestId,
+    });
+  }
+});
+
+// Edit a whole day (day_date) or the whole itinerary from one instruction
+app.post("/api/itineraries/:id/edit", async (req, res) => {
+  const requestId = Date.now().toString();
+  const { id } = req.params;
+  const { edit_request, day_date } = req.body;
+
+  try {
+    if (!edit_request) {
+      return res.status(400).json({
+        success: false,
+        error: "edit_request is required",
+        example: {
+          edit_request: "Make Saturday more relaxed",
+          day_date: "2026-01-17",
+        },
+      });
+    }
+
+    const itinerary = getItinerary(id);
+    if (!itinerary) {
+      return res.status(404).json({
+        success: false,
+        error: "Itinerary not found",
+      });
+    }
+
+    const scope = day_date ? "day" : "itinerary";
+    if (day_date && !itinerary.itinerary_by_day?.[day_date]) {
+      return res.status(400).json({
+        success: false,
+        error: `day_date ${day_date} is not part of this itinerary`,
+      });
+    }
+
+    const activities = day_date
+      ? itinerary.itinerary.filter((item) =>
+          item.start_time?.startsWith(day_date)
+        )
+      : itinerary.itinerary;
+
+    console.log(`\n📝 Batch Edit [${requestId}] ${id} (${scope})`);
+    console.log(`   Edit: "${edit_request}"`);
+
+    const proposal = await processBatchEditRequest({
+      edit_request,
+      activities,
+      scope,
+      city: itinerary.city,
+      day_date,
+      interests: itinerary.interests || [],
+    });
+
+    const errors = validateEditOperations(proposal.operations, activities, {
+      dayDate: day_date,
+      timeZone: itineraryTimezone(itinerary),
+    });
+    if (errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: "Model proposed invalid operations",
+        details: errors,
+        operations: proposal.operations,
+        request_id: requestId,
+      });
+    }
+
+    // Apply to the latest stored copy (it may have changed during the model call)
+    const latest = getItinerary(id);
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: "Itinerary not found",
+      });
+    }
+
+    // Nothing to change: don't create an empty revision
+    if (proposal.operations.length === 0) {
+      return res.json({
+        success: true,
+        scope,
+        operations: [],
+        change_summary: proposal.change_summary,
+        version: latest.version,
+        itinerary: latest,
+        request_id: requestId,
+        processed_at: new Date().toISOString(),
+      });
+    }
+
+    let items;
+    try {
+      // Same timezone as the stored items, so overlap checks compare like with like
+      items = normalizeEventTimes(
+        applyEditOperations(latest.itinerary, proposal.operations),
+        itineraryTimezone(latest)
+      );
+    } catch (error) {
+      if (error instanceof EventValidationError) {
+        return res.status(422).json(validationFailure(error, requestId));
+      }
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        request_id: requestId,
+      });
+    }
+
+    const overlaps = findNewOverlaps(latest.itinerary, items);
+    if (overlaps.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Edit would create overlapping activities",
+        overlaps,
+        operations: proposal.operations,
+        request_id: requestId,
+      });
+    }
+
+    const updated = await recordEdit(id, items, {
+      edit_request,
+      operation: "batch",
+      operations: proposal.operations,
+      change_summary: proposal.change_summary,
+    });
+
+    console.log(
+      `✅ Batch edit applied: ${proposal.operations.length} operations (v${updated.version})`
+    );
+
+    res.json({
+      success: true,
+      scope,
+      operations: proposal.operations,
+      change_summary: proposal.change_summary,
+      version: updated.version,
+      itinerary: updated,
+      request_id: requestId,
+      processed_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ Batch Edit Error [${requestId}]:`, error.message);
+    if (error instanceof CircuitOpenError) {
+      return sendModelUnavailable(res, error, requestId);
+    }
+    res.status(error instanceof HistoryError ? error.status : 500).json({
+      success: false,
+      error: error.message,
+      request_id: requestId,
+    });
+  }
+});
+
+// ============= ITINERARY HISTORY ENDPOINTS =============
+/**
+ * Send a history operation error (HistoryError carries its own status)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by itinerary_history.js
+ */
+function sendHistoryError(res, error) {
+  const status = error instanceof HistoryError ? error.status : 500;
+  if (status === 500) {
+    console.error(`❌ History Error:`, error.message);
+  }
+  res.status(status).json({ success: false, error: error.message });
+}
+
+// List revisions of a stored itinerary
+app.get("/api/itineraries/:id/revisions", (req, res) => {
+  try {
+    res.json({ success: true, ...listRevisions(req.params.id) });
+  } catch (error) {
+    sendHistoryError(res, error);
+  }
+});
+
+// Get one revision with its items
+app.get("/api/itineraries/:id/revisions/:version", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      revision: getRevision(req.params.id, req.params.version),
+    });
+  } catch (error) {
+    sendHistoryError(res, error);
+  }
+});
+
+// Diff two revisions (?from=<version>&to=<version>, to defaults to current)
+app.get("/api/itineraries/:id/diff", (req, res) => {
+  const { from, to } = req.query;
+  if (!from) {
+    return res.status(400).json({
+      success: false,
+      error: "from is required",
+      example: "/api/itineraries/itn_.../diff?from=1&to=3",
+    });
+  }
+
+  try {
+    res.json({ success: true, ...diffRevisions(req.params.id, from, to) });
+  } catch (error) {
+    sendHistoryError(res, error);
+  }
+});
+
+// Undo the latest change
+app.post("/api/itineraries/:id/undo", async (req, res) => {
+  try {
+    const updated = await undo(req.params.id);
+    res.json({ success: true, version: updated.version, itinerary: updated });
+  } catch (error) {
+    sendHistoryError(res, error);
+  }
+});
+
+// Redo the latest undone change
+app.post("/api/itineraries/:id/redo", async (req, res) => {
+  try {
+    const updated = await redo(req.params.id);
+    res.json({ success: true, version: updated.version, itinerary: updated });
+  } catch (error) {
+    sendHistoryError(res, error);
+  }
+});
+
+// Restore an earlier version (body: { version })
+app.post("/api/itineraries/:id/restore", async (req, res) => {
+  const { version } = req.body;
+  if (!Number.isInteger(Number(version))) {
+    return res.status(400).json({
+      success: false,
+      error: "version is required",
+      example: { version: 1 },
+    });
+  }
+
+  try {
+    const updated = await restoreVersion(req.params.id, version);
+    res.json({ success: true, version: updated.version, itinerary: updated });
+  } catch (error) {
+    sendHistoryError(res, error);
+  }
+});
+
 // Start server
 async function start() {
   try {
     console.log("🔄 Validating configuration...");
 
-    if (!CONFIG.googleApiKey) {
+    if (provider.name === "gemini" && !process.env.GOOGLE_API_KEY) {
       throw new Error("GOOGLE_API_KEY is not set");
     }
+    if (provider.name === "openai" && !process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY is not set");
+    }
+
+    const cache = await getCache();
+    console.log(`💾 Result cache: ${cache.name}`);
 
     console.log("✅ Configuration valid");
 
@@ -686,19 +1454,39 @@ async function start() {
       console.log("   Architecture: Scout + Explorer Pipeline");
       console.log("=".repeat(60));
       console.log(`📡 Server: http://localhost:${CONFIG.port}`);
-      console.log(`🤖 Model: ${CONFIG.geminiModel}`);
+      console.log(`🤖 Model: ${provider.model} (${provider.name})`);
       console.log(`🔧 Endpoints:`);
       console.log(`   GET  /health`);
+      console.log(`   GET  /ready`);
       console.log(`   GET  /api/interests`);
+      console.log(`   POST /api/generate-itinerary-stream`);
+      console.log(`   GET  /api/generate-itinerary-stream/:id (resume)`);
       console.log(`   POST /api/generate-itinerary`);
+      console.log(`   POST /api/jobs`);
+      console.log(`   GET  /api/jobs/:id[/result]`);
       console.log(`   POST /api/edit-itinerary`);
+      console.log(`   GET  /api/itineraries`);
+      console.log(`   GET  /api/itineraries/:id`);
+      console.log(`   GET  /api/itineraries/:id/calendar.ics`);
+      console.log(`   GET  /api/itineraries/:id/export?format=markdown|html|pdf`);
+      console.log(`   DELETE /api/itineraries/:id`);
+      console.log(`   POST /api/itineraries/:id/edit`);
+      console.log(`   POST /api/itineraries/:id/activities/:activityId/edit`);
+      console.log(`   GET  /api/itineraries/:id/revisions[/:version]`);
+      console.log(`   GET  /api/itineraries/:id/diff?from=&to=`);
+      console.log(`   POST /api/itineraries/:id/undo | redo | restore`);
       console.log("=".repeat(60));
       console.log(`\n📋 Pipeline Flow:`);
       console.log(`   1. Scout  → Search for event links per interest/day`);
       console.log(`   2. Explorer → Analyze links, extract event details`);
-      console.log(`   3. Organize → Sort and group events by day`);
+      console.log(`   3. Organize → Pick a non-overlapping schedule per day`);
       console.log("=".repeat(60));
       console.log("\n✅ Ready to generate itineraries!\n");
+
+      const resumed = resumeJobs();
+      if (resumed > 0) {
+        console.log(`♻️ Resuming ${resumed} unfinished jobs`);
+      }
     });
   } catch (error) {
     console.error("❌ Failed to start:", error.message);
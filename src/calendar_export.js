@@ -0,0 +1,283 @@
+/**
+ * Calendar Export Module - iCalendar (RFC 5545) rendering of itineraries
+ * Each timed item becomes a VEVENT in the itinerary's timezone, with a
+ * VTIMEZONE built from the zone's offset changes over the covered years
+ */
+
+import {
+  normalizeTime,
+  offsetMinutes,
+  formatZoned,
+} from "./timezone.js";
+import { itineraryTimezone } from "./pipeline.js";
+
+const CONFIG = {
+  prodId: "-//itinerary-server//Itinerary Calendar//EN",
+  uidDomain: process.env.CALENDAR_UID_DOMAIN || "itinerary-server",
+  refreshInterval: "PT1H", // How often subscribed calendars should re-fetch
+  defaultDurationMinutes: 60,
+};
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line joined with CRLF
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Format a UTC instant as an iCalendar DATE-TIME ("20260115T230000Z")
+ * @param {Date|string} date - Instant
+ * @returns {string} UTC DATE-TIME
+ */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * Format an offset-bearing ISO time as a local DATE-TIME ("20260115T180000")
+ * @param {string} time - Time normalized to the calendar's timezone
+ * @returns {string} Local DATE-TIME
+ */
+function formatLocal(time) {
+  return time.slice(0, 19).replace(/[-:]/g, "");
+}
+
+/**
+ * Format an offset in minutes as iCalendar UTC-OFFSET ("-0500")
+ * @param {number} minutes - Offset east of UTC
+ * @returns {string} UTC-OFFSET
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `${sign}${hh}${mm}`;
+}
+
+/**
+ * Find UTC offset changes of a timezone between two instants
+ * Scans day by day, then narrows each change down to the minute
+ * @param {string} timeZone - IANA timezone
+ * @param {number} from - Start (ms since epoch)
+ * @param {number} to - End (ms since epoch)
+ * @returns {Object[]} Transitions { at, from, to } (at in ms, offsets in minutes)
+ */
+function findTransitions(timeZone, from, to) {
+  const DAY = 24 * 60 * 60000;
+  const transitions = [];
+  let previous = offsetMinutes(timeZone, new Date(from));
+
+  for (let t = from + DAY; t <= to; t += DAY) {
+    const offset = offsetMinutes(timeZone, new Date(t));
+    if (offset === previous) continue;
+
+    // Offset changed within (t - DAY, t]: binary search to the minute
+    let low = t - DAY;
+    let high = t;
+    while (high - low > 60000) {
+      const mid = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetMinutes(timeZone, new Date(mid)) === previous) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+}
+
+/**
+ * Build a VTIMEZONE covering the given years
+ * @param {string} timeZone - IANA timezone
+ * @param {number} firstYear - First year with events
+ * @param {number} lastYear - Last year with events
+ * @returns {string[]} Content lines
+ */
+function buildTimezone(timeZone, firstYear, lastYear) {
+  const from = Date.UTC(firstYear, 0, 1);
+  const to = Date.UTC(lastYear + 1, 0, 1);
+  const initial = offsetMinutes(timeZone, new Date(from));
+  const transitions = findTransitions(timeZone, from, to);
+
+  // Observances start at the local wall time before each change
+  const observance = (kind, startMs, offsetFrom, offsetTo) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatUtc(startMs + offsetFrom * 60000).slice(0, 15)}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${kind}`,
+  ];
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  const lowest = Math.min(initial, ...transitions.map((t) => t.to));
+
+  lines.push(
+    ...observance(
+      initial > lowest ? "DAYLIGHT" : "STANDARD",
+      from,
+      initial,
+      initial
+    )
+  );
+  transitions.forEach((t) => {
+    lines.push(
+      ...observance(t.to > t.from ? "DAYLIGHT" : "STANDARD", t.at, t.from, t.to)
+    );
+  });
+  lines.push("END:VTIMEZONE");
+
+  return lines;
+}
+
+/**
+ * Describe an item's place for LOCATION
+ * @param {Object} item - Itinerary item
+ * @returns {string} Venue, address and city
+ */
+function formatLocation(item) {
+  const { venue, address, city } = item.location || {};
+  const parts = [venue, address, city].filter(Boolean);
+  // Drop the city if the address already ends with it
+  if (city && address?.includes(city)) {
+    parts.pop();
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Build the VEVENT for one itinerary item
+ * @param {Object} item - Itinerary item with a start_time
+ * @param {Object} record - Stored itinerary
+ * @param {string} timeZone - IANA timezone
+ * @returns {string[]} Content lines
+ */
+function buildEvent(item, record, timeZone) {
+  const start = normalizeTime(item.start_time, timeZone);
+  const end = item.end_time
+    ? normalizeTime(item.end_time, timeZone)
+    : formatZoned(
+        new Date(
+          new Date(start).getTime() +
+            (item.duration_minutes || CONFIG.defaultDurationMinutes) * 60000
+        ),
+        timeZone
+      );
+
+  const description = [
+    item.description,
+    item.pricing?.price && `Price: ${item.pricing.price}`,
+    item.type === "activity" && "Suggested activity",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${item.id}-${record.id}@${CONFIG.uidDomain}`,
+    `DTSTAMP:${formatUtc(record.updated_at || record.created_at)}`,
+    `LAST-MODIFIED:${formatUtc(record.updated_at || record.created_at)}`,
+    `SEQUENCE:${(record.version || 1) - 1}`,
+    `DTSTART;TZID=${timeZone}:${formatLocal(start)}`,
+    `DTEND;TZID=${timeZone}:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(item.name || "Untitled")}`,
+  ];
+
+  const location = formatLocation(item);
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  const { lat, lng } = item.coordinates || {};
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    lines.push(`GEO:${lat};${lng}`);
+  }
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (item.source?.url) {
+    lines.push(`URL:${item.source.url}`);
+  }
+  if (item.category) {
+    lines.push(`CATEGORIES:${escapeText(item.category)}`);
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Render a stored itinerary as an iCalendar document
+ * UIDs are derived from activity and itinerary IDs, so a subscribed calendar
+ * updates events in place when the itinerary is edited
+ * @param {Object} record - Stored itinerary
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function renderCalendar(record) {
+  const timeZone = itineraryTimezone(record);
+  const items = (record.itinerary || []).filter((item) => item.start_time);
+  const name = `${record.city || "Trip"} itinerary`;
+
+  const years = items.map((item) =>
+    parseInt(normalizeTime(item.start_time, timeZone).slice(0, 4))
+  );
+  const firstYear = years.length ? Math.min(...years) : new Date().getFullYear();
+  const lastYear = years.length ? Math.max(...years) : firstYear;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${CONFIG.prodId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${CONFIG.refreshInterval}`,
+    `X-PUBLISHED-TTL:${CONFIG.refreshInterval}`,
+    ...buildTimezone(timeZone, firstYear, lastYear),
+    ...items.flatMap((item) => buildEvent(item, record, timeZone)),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+export default {
+  renderCalendar,
+};
@@ -0,0 +1,93 @@
+/**
+ * Cancellation Module - Stop a pipeline run nobody is waiting for
+ * Routes abort an AbortController (e.g. when the SSE client disconnects);
+ * its signal is passed through Scout, Explorer and the model calls, so calls
+ * in flight are aborted and no new ones are started
+ */
+
+/**
+ * Error for a run stopped through its AbortSignal
+ */
+export class CancelledError extends Error {
+  constructor(message = "Run cancelled") {
+    super(message);
+    this.name = "CancelledError";
+    this.code = "CANCELLED";
+    this.retryable = false; // Nobody is waiting for a retry
+  }
+}
+
+/**
+ * Error describing why a signal was aborted
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The abort reason, or a CancelledError if it isn't an Error
+ */
+function abortReason(signal) {
+  return signal.reason instanceof Error ? signal.reason : new CancelledError();
+}
+
+/**
+ * Throw if the run has been cancelled
+ * Also used in catch blocks, so an SDK's own abort error surfaces as the
+ * signal's reason instead of being handled like a failed call
+ * @param {AbortSignal} [signal] - Run's signal
+ * @throws {Error} The abort reason
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw abortReason(signal);
+}
+
+/**
+ * Wait, waking early (with the abort reason) if the run is cancelled
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Run's signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Wrap a provider so every generate() call carries the run's signal
+ * Calls made after cancellation fail straight away
+ * @param {Object} provider - LLM provider
+ * @param {AbortSignal} [signal] - Run's signal
+ * @returns {Object} Provider (unchanged when there is no signal)
+ */
+export function cancellableProvider(provider, signal) {
+  if (!signal) return provider;
+  return {
+    ...provider,
+    async generate(request) {
+      throwIfCancelled(signal);
+      try {
+        return await provider.generate({ ...request, signal });
+      } catch (error) {
+        throwIfCancelled(signal);
+        throw error;
+      }
+    },
+  };
+}
+
+export default {
+  CancelledError,
+  throwIfCancelled,
+  sleep,
+  cancellableProvider,
+};
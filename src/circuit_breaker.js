@@ -0,0 +1,178 @@
+/**
+ * Circuit Breaker Module - Fail fast while the model provider is down
+ * After repeated provider failures (5xx, 429, network errors) the breaker
+ * opens and calls fail immediately with MODEL_UNAVAILABLE. After a cooldown
+ * one trial call is let through; success closes the breaker again
+ */
+
+import { isRetryableError } from "./retry.js";
+
+const CONFIG = {
+  failureThreshold: parseInt(process.env.MODEL_BREAKER_THRESHOLD) || 5, // Consecutive failures to open
+  resetTimeoutMs: parseInt(process.env.MODEL_BREAKER_RESET_MS) || 30000, // Cooldown before a trial call
+};
+
+export const BREAKER_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+/**
+ * Error for calls refused while the breaker is open (HTTP 503 at the API layer)
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(
+      `Model provider "${name}" is unavailable after repeated failures; try again in ${Math.ceil(retryAfterMs / 1000)}s`
+    );
+    this.name = "CircuitOpenError";
+    this.code = "MODEL_UNAVAILABLE";
+    this.status = 503;
+    this.retryable = false; // Retrying would only hit the open breaker again
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Create a circuit breaker
+ * @param {string} name - What it protects (provider name)
+ * @param {Object} options - Breaker options
+ * @param {number} [options.failureThreshold] - Consecutive failures to open
+ * @param {number} [options.resetTimeoutMs] - Cooldown before a trial call
+ * @returns {Object} Breaker with call(fn), state and status()
+ */
+export function createCircuitBreaker(name, options = {}) {
+  const failureThreshold = options.failureThreshold || CONFIG.failureThreshold;
+  const resetTimeoutMs = options.resetTimeoutMs || CONFIG.resetTimeoutMs;
+
+  let state = BREAKER_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  function open(error) {
+    state = BREAKER_STATES.OPEN;
+    openedAt = Date.now();
+    lastError = error.message;
+    console.log(
+      `🔌 Circuit breaker "${name}" opened after ${failures} failures: ${error.message}`
+    );
+  }
+
+  function retryAfterMs() {
+    return Math.max(0, openedAt + resetTimeoutMs - Date.now());
+  }
+
+  return {
+    name,
+    get state() {
+      if (state === BREAKER_STATES.OPEN && retryAfterMs() === 0) {
+        return BREAKER_STATES.HALF_OPEN;
+      }
+      return state;
+    },
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} Result of fn
+     * @throws {CircuitOpenError} If the breaker is open
+     */
+    async call(fn) {
+      if (this.state === BREAKER_STATES.OPEN) {
+        throw new CircuitOpenError(name, retryAfterMs());
+      }
+
+      const trial = this.state === BREAKER_STATES.HALF_OPEN;
+      if (trial) {
+        // One trial call at a time; the rest keep failing fast
+        if (trialInFlight) throw new CircuitOpenError(name, resetTimeoutMs);
+        trialInFlight = true;
+      }
+
+      try {
+        const result = await fn();
+        if (state !== BREAKER_STATES.CLOSED) {
+          console.log(`🔌 Circuit breaker "${name}" closed`);
+        }
+        state = BREAKER_STATES.CLOSED;
+        failures = 0;
+        lastError = null;
+        return result;
+      } catch (error) {
+        // Only provider outages count; bad prompts or output don't
+        if (isRetryableError(error)) {
+          failures++;
+          if (
+            trial ||
+            (state === BREAKER_STATES.CLOSED && failures >= failureThreshold)
+          ) {
+            open(error);
+          }
+        }
+        throw error;
+      } finally {
+        if (trial) trialInFlight = false;
+      }
+    },
+
+    /**
+     * Breaker state for /health
+     * @returns {Object} { state, failures, opened_at, retry_after_seconds, last_error }
+     */
+    status() {
+      const current = this.state;
+      return {
+        state: current,
+        failures,
+        opened_at:
+          openedAt && current !== BREAKER_STATES.CLOSED
+            ? new Date(openedAt).toISOString()
+            : null,
+        retry_after_seconds:
+          current === BREAKER_STATES.OPEN ? Math.ceil(retryAfterMs() / 1000) : 0,
+        last_error: lastError,
+      };
+    },
+  };
+}
+
+// Shared breakers, one per provider name
+const breakers = new Map();
+
+/**
+ * Get the shared breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Circuit breaker
+ */
+export function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Wrap a provider so its generate() calls go through its shared breaker
+ * @param {Object} provider - LLM provider
+ * @returns {Object} Guarded provider
+ */
+export function guardProvider(provider) {
+  const breaker = getBreaker(provider.name);
+  return {
+    ...provider,
+    async generate(request) {
+      return breaker.call(() => provider.generate(request));
+    },
+  };
+}
+
+export default {
+  BREAKER_STATES,
+  CircuitOpenError,
+  createCircuitBreaker,
+  getBreaker,
+  guardProvider,
+};
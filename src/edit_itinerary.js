@@ -1,27 +1,58 @@
 /**
  * Edit Itinerary Module - AI-powered itinerary editing
- * Handles individual activity modifications using Gemini AI
+ * Handles individual activity modifications using the configured LLM provider
  */
 
-import { GoogleGenAI } from "@google/genai";
+import { getProvider } from "./llm_provider.js";
+import { activityIdFor, findOverlaps } from "./planner.js";
+import { requireValidEvent } from "./event_schema.js";
+import { generateStructured } from "./structured_output.js";
+import { localDate, normalizeTime, timeValue } from "./timezone.js";
 
-const CONFIG = {
-  googleApiKey: process.env.GOOGLE_API_KEY,
-  geminiModel: process.env.GEMINI_MODEL || "gemini-2.0-flash",
+// Operations processEditRequest can propose
+export const EDIT_OPERATIONS = [
+  "replace",
+  "delete",
+  "update_time",
+  "update_description",
+  "add",
+];
+
+// Operation proposed by the model, as in processEditRequest's output
+const OPERATION_SCHEMA = {
+  type: "object",
+  required: ["operation"],
+  properties: {
+    operation: { type: "string", enum: EDIT_OPERATIONS },
+    activity_id: { type: "string" },
+    updated_activity: { type: "object" },
+    new_activity: { type: "object" },
+  },
 };
 
-// Initialize Gemini AI client
-let genAI = null;
+/**
+ * Response schema for single-activity edits
+ */
+const EDIT_RESPONSE_SCHEMA = {
+  ...OPERATION_SCHEMA,
+  required: ["operation", "change_summary"],
+  properties: {
+    ...OPERATION_SCHEMA.properties,
+    change_summary: { type: "string" },
+  },
+};
 
-function getGenAI() {
-  if (!genAI) {
-    if (!CONFIG.googleApiKey) {
-      throw new Error("GOOGLE_API_KEY is required for edit operations");
-    }
-    genAI = new GoogleGenAI({ apiKey: CONFIG.googleApiKey });
-  }
-  return genAI;
-}
+/**
+ * Response schema for batch edits
+ */
+const BATCH_EDIT_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["operations", "change_summary"],
+  properties: {
+    operations: { type: "array", items: OPERATION_SCHEMA },
+    change_summary: { type: "string" },
+  },
+};
 
 /**
  * Edit a single activity using AI
@@ -31,9 +62,12 @@ function getGenAI() {
  * @param {string} params.city - City name
  * @param {string} params.day_date - Date of the activity
  * @param {string[]} params.interests - User interests
+ * @param {Object} options - Optional settings
+ * @param {Object} options.provider - LLM provider (defaults to LLM_PROVIDER)
+ * @param {Function} options.logger - Logging function for unusable output
  * @returns {Promise<Object>} Edit result
  */
-export async function processEditRequest(params) {
+export async function processEditRequest(params, options = {}) {
   const { edit_request, current_activity, city, day_date, interests } = params;
 
   const systemPrompt = `You are an itinerary editing assistant. Your job is to help users modify their travel plans.
@@ -100,70 +134,311 @@ User's edit request: "${edit_request}"
 Provide the appropriate edit response as JSON.`;
 
   try {
-    const ai = getGenAI();
-    const response = await ai.models.generateContent({
-      model: CONFIG.geminiModel,
-      contents: systemPrompt + "\n\n" + userPrompt,
-      config: {
+    const provider = options.provider || getProvider();
+    return await generateStructured(
+      provider,
+      {
+        task: "edit",
+        prompt: systemPrompt + "\n\n" + userPrompt,
         temperature: 0.3,
         maxOutputTokens: 2048,
+        context: params,
       },
-    });
+      { schema: EDIT_RESPONSE_SCHEMA, logger: options.logger }
+    );
+  } catch (error) {
+    console.error("AI processing error:", error);
+    throw error;
+  }
+}
 
-    // Get text from response
-    let text = response.text;
-    if (!text && response.candidates?.[0]?.content?.parts?.[0]?.text) {
-      text = response.candidates[0].content.parts[0].text;
-    }
+/**
+ * Give a new activity an ID, keeping the type of the activity it came from
+ * @param {Object} activity - Activity proposed by the model
+ * @param {Object} current - Activity it replaces or follows
+ * @returns {Object} Activity with id and type
+ */
+function asNewActivity(activity, current) {
+  const created = requireValidEvent({
+    type: current.type || "activity",
+    ...activity,
+  });
+  return { ...created, id: activityIdFor(created) };
+}
 
-    if (!text) {
-      console.error("Empty response from model:", response.candidates?.[0]);
-      throw new Error("AI model returned empty response. Please try again.");
-    }
+/**
+ * Apply an edit operation (as returned by processEditRequest) to a list of items
+ * @param {Object[]} items - Current itinerary items
+ * @param {string} activityId - ID of the activity being edited (optional for "add")
+ * @param {Object} editResult - { operation, updated_activity, new_activity }
+ * @returns {Object[]} New list of items (unsorted)
+ * @throws {EventValidationError} If a new or retimed activity fails the schema
+ */
+export function applyEditOperation(items, activityId, editResult) {
+  const index = items.findIndex((item) => item.id === activityId);
+  const standaloneAdd = editResult.operation === "add" && !activityId;
+  if (index === -1 && !standaloneAdd) {
+    throw new Error(`Activity ${activityId} not found in itinerary`);
+  }
 
-    // Parse JSON from response
-    let parsed;
-    try {
-      parsed = JSON.parse(text);
-    } catch {
-      // Try to extract from markdown code block
-      const codeBlockMatch = text.match(/```json\s*([\s\S]*?)\s*```/i);
-      if (codeBlockMatch && codeBlockMatch[1]) {
-        try {
-          parsed = JSON.parse(codeBlockMatch[1].trim());
-        } catch (e) {
-          // Continue to next method
-        }
-      }
+  const current = items[index] || {};
+  const { operation, updated_activity, new_activity } = editResult;
+  const result = [...items];
 
-      // Try to extract JSON if model added extra text
-      if (!parsed) {
-        const start = text.indexOf("{");
-        const end = text.lastIndexOf("}");
-        if (start >= 0 && end > start) {
-          try {
-            parsed = JSON.parse(text.slice(start, end + 1));
-          } catch (e) {
-            console.error("JSON parse error:", e.message);
-            throw new Error(
-              "Model did not return valid JSON: " + text.substring(0, 200)
-            );
-          }
-        } else {
-          throw new Error(
-            "No JSON found in response: " + text.substring(0, 200)
-          );
-        }
+  switch (operation) {
+    case "delete":
+      result.splice(index, 1);
+      break;
+    case "replace":
+      if (!updated_activity) {
+        throw new Error("replace requires updated_activity");
+      }
+      result[index] = asNewActivity(updated_activity, current);
+      break;
+    case "update_time":
+      if (!updated_activity?.start_time && !updated_activity?.end_time) {
+        throw new Error("update_time requires a start_time or end_time");
+      }
+      result[index] = requireValidEvent({
+        ...current,
+        start_time: updated_activity.start_time || current.start_time,
+        end_time: updated_activity.end_time || current.end_time,
+      });
+      break;
+    case "update_description":
+      result[index] = {
+        ...current,
+        description: updated_activity?.description ?? current.description,
+      };
+      break;
+    case "add": {
+      const added = new_activity || updated_activity;
+      if (!added) {
+        throw new Error("add requires new_activity");
       }
+      result.push(asNewActivity(added, current));
+      break;
+    }
+    default:
+      throw new Error(`Unknown edit operation: ${operation}`);
+  }
+
+  return result;
+}
+
+/**
+ * Compact view of an activity for batch edit prompts
+ * @param {Object} activity - Itinerary item
+ * @returns {Object} Fields the model needs to reason about the schedule
+ */
+function promptActivity(activity) {
+  return {
+    id: activity.id,
+    name: activity.name,
+    type: activity.type,
+    category: activity.category,
+    start_time: activity.start_time,
+    end_time: activity.end_time,
+    location: activity.location,
+    description: activity.description,
+  };
+}
+
+/**
+ * Edit a whole day (or itinerary) from one free-text instruction
+ * @param {Object} params - Edit parameters
+ * @param {string} params.edit_request - User's instruction
+ * @param {Object[]} params.activities - Activities in scope (with ids)
+ * @param {string} params.scope - "day" or "itinerary"
+ * @param {string} params.city - City name
+ * @param {string} [params.day_date] - Date when scope is "day"
+ * @param {string[]} params.interests - User interests
+ * @param {Object} options - Optional settings
+ * @param {Object} options.provider - LLM provider (defaults to LLM_PROVIDER)
+ * @param {Function} options.logger - Logging function for unusable output
+ * @returns {Promise<Object>} { operations, change_summary }
+ */
+export async function processBatchEditRequest(params, options = {}) {
+  const { edit_request, activities, scope, city, day_date, interests } =
+    params;
+  const scopeLabel = scope === "day" ? `the day ${day_date}` : "the whole trip";
+
+  const prompt = `You are an itinerary editing assistant. The user wants to change ${scopeLabel} in ${city}.
+
+You MUST respond with ONLY valid JSON (no markdown, no backticks, no explanation).
+
+Turn the instruction into a list of operations on the activities below. Each operation targets one activity by its "id":
+1. "replace" - Replace the activity with a different one (give updated_activity)
+2. "delete" - Remove the activity
+3. "update_time" - Change only start_time/end_time (give updated_activity)
+4. "update_description" - Change only the description (give updated_activity)
+5. "add" - Add a new activity (give new_activity; activity_id may be null)
+
+Rules:
+- Only use ids from the list; target each activity at most once${
+    scope === "day"
+      ? `\n- Added, replaced and retimed activities must start on ${day_date}`
+      : ""
+  }
+- Activities must not overlap in time once all operations are applied
+- New places must be real places in ${city} with realistic coordinates and timing
+- Use as few operations as needed
+
+Response format:
+{
+  "operations": [
+    {
+      "operation": "replace|delete|update_time|update_description|add",
+      "activity_id": "act_...",
+      "updated_activity": { ... },
+      "new_activity": { ... }
     }
+  ],
+  "change_summary": "Brief description of what changed"
+}
+
+User interests: ${interests?.join(", ") || "general"}
+
+Activities:
+${JSON.stringify(activities.map(promptActivity), null, 2)}
 
-    return parsed;
+User's instruction: "${edit_request}"`;
+
+  try {
+    const provider = options.provider || getProvider();
+    const parsed = await generateStructured(
+      provider,
+      {
+        task: "batch_edit",
+        prompt,
+        temperature: 0.3,
+        maxOutputTokens: 4096,
+        context: params,
+      },
+      { schema: BATCH_EDIT_RESPONSE_SCHEMA, logger: options.logger }
+    );
+    return {
+      operations: Array.isArray(parsed.operations) ? parsed.operations : [],
+      change_summary: parsed.change_summary || "",
+    };
   } catch (error) {
     console.error("AI processing error:", error);
     throw error;
   }
 }
 
+/**
+ * Validate a batch of operations against the activities in scope
+ * In a day-scoped batch, added, replaced and retimed activities must start on
+ * that day, so a day edit can't reach into the rest of the itinerary
+ * @param {Object[]} operations - Proposed operations
+ * @param {Object[]} activities - Activities the batch may touch
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.dayDate] - Day (YYYY-MM-DD) of a day-scoped batch
+ * @param {string} [options.timeZone] - Itinerary's IANA timezone (defaults to UTC)
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateEditOperations(operations, activities, options = {}) {
+  const errors = [];
+  const inScope = new Set(activities.map((a) => a.id));
+  const targeted = new Set();
+  const { dayDate, timeZone = "UTC" } = options;
+
+  const checkDay = (label, activity) => {
+    if (!dayDate || !activity?.start_time) return;
+    const start = normalizeTime(activity.start_time, timeZone);
+    if (typeof start !== "string" || localDate(start) !== dayDate) {
+      errors.push(
+        `${label}: starts at ${activity.start_time}, outside ${dayDate}`
+      );
+    }
+  };
+
+  operations.forEach((op, i) => {
+    const label = `operations[${i}]`;
+
+    if (!EDIT_OPERATIONS.includes(op.operation)) {
+      errors.push(`${label}: unknown operation "${op.operation}"`);
+      return;
+    }
+
+    if (op.operation === "add") {
+      const added = op.new_activity || op.updated_activity;
+      if (!added) {
+        errors.push(`${label}: add requires new_activity`);
+      } else if (dayDate && !added.start_time) {
+        errors.push(`${label}: add requires a start_time on ${dayDate}`);
+      }
+      checkDay(label, added);
+      if (op.activity_id && !inScope.has(op.activity_id)) {
+        errors.push(`${label}: activity ${op.activity_id} is not in scope`);
+      }
+      return;
+    }
+
+    if (!inScope.has(op.activity_id)) {
+      errors.push(`${label}: activity ${op.activity_id} is not in scope`);
+      return;
+    }
+    if (targeted.has(op.activity_id)) {
+      errors.push(`${label}: activity ${op.activity_id} is targeted twice`);
+    }
+    targeted.add(op.activity_id);
+
+    if (["replace", "update_time", "update_description"].includes(op.operation)) {
+      if (!op.updated_activity) {
+        errors.push(`${label}: ${op.operation} requires updated_activity`);
+      }
+    }
+    if (["replace", "update_time"].includes(op.operation)) {
+      checkDay(label, op.updated_activity);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Overlaps present in `after` that were not already in `before`
+ * Pairs are compared by time slot, not id: a replaced activity gets a new id
+ * but an overlap it inherits from the activity it replaced isn't new
+ * @param {Object[]} before - Items before the edit
+ * @param {Object[]} after - Items after the edit
+ * @returns {Object[]} Newly introduced overlap pairs
+ */
+export function findNewOverlaps(before, after) {
+  const pairKey = (items) => {
+    const slots = new Map(
+      items.map((item) => [
+        item.id,
+        `${timeValue(item.start_time)}-${timeValue(item.end_time || item.start_time)}`,
+      ])
+    );
+    return (o) => [slots.get(o.first.id), slots.get(o.second.id)].sort().join("|");
+  };
+  const existing = new Set(findOverlaps(before).map(pairKey(before)));
+  return findOverlaps(after).filter((o) => !existing.has(pairKey(after)(o)));
+}
+
+/**
+ * Apply a validated batch of operations
+ * @param {Object[]} items - Current itinerary items
+ * @param {Object[]} operations - Operations with activity_id
+ * @returns {Object[]} New list of items (unsorted)
+ */
+export function applyEditOperations(items, operations) {
+  return operations.reduce(
+    (current, op) => applyEditOperation(current, op.activity_id, op),
+    items
+  );
+}
+
 export default {
+  EDIT_OPERATIONS,
   processEditRequest,
+  processBatchEditRequest,
+  applyEditOperation,
+  applyEditOperations,
+  validateEditOperations,
+  findNewOverlaps,
 };
@@ -0,0 +1,291 @@
+/**
+ * Event Schema Module - Validation and repair of model-extracted events
+ * Every Explorer event and edit result is checked against EVENT_SCHEMA.
+ * Fixable problems are repaired (and listed in `repairs`); anything else
+ * fails with the reasons so the event can be rejected.
+ */
+
+import { timeValue, isDateTime, addMinutes } from "./timezone.js";
+
+const CONFIG = {
+  defaultDurationMinutes: 60, // Assumed when neither end_time nor duration is given
+  maxOvernightHours: 12, // An end "before" start within this is read as next day
+};
+
+/**
+ * Event schema (JSON Schema subset) shared by events and activities
+ */
+export const EVENT_SCHEMA = {
+  type: "object",
+  required: ["name", "type", "start_time", "end_time", "duration_minutes"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    type: { enum: ["event", "activity"] },
+    category: { type: "string" },
+    location: {
+      type: "object",
+      properties: {
+        venue: { type: "string" },
+        address: { type: "string" },
+        city: { type: "string" },
+      },
+    },
+    coordinates: {
+      type: "object",
+      required: ["lat", "lng"],
+      properties: {
+        lat: { type: "number", minimum: -90, maximum: 90 },
+        lng: { type: "number", minimum: -180, maximum: 180 },
+      },
+    },
+    start_time: { type: "string", format: "date-time" },
+    end_time: { type: "string", format: "date-time" },
+    duration_minutes: { type: "integer", minimum: 1 },
+    description: { type: "string" },
+    source: {
+      type: "object",
+      properties: {
+        platform: { type: "string" },
+        url: { type: ["string", "null"] },
+      },
+    },
+    pricing: {
+      type: "object",
+      properties: {
+        is_free: { type: "boolean" },
+        price: { type: "string" },
+        currency: { type: "string" },
+      },
+    },
+    tags: { type: "array", items: { type: "string" } },
+  },
+};
+
+/**
+ * Error for an edit result that fails the schema (HTTP 422 at the API layer)
+ */
+export class EventValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid activity: ${errors.join("; ")}`);
+    this.name = "EventValidationError";
+    this.errors = errors;
+    this.status = 422;
+  }
+}
+
+/**
+ * Read a number from a number or numeric string
+ * @param {*} value - Raw value
+ * @returns {number} Number (NaN if not numeric)
+ */
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+/**
+ * Validate one event and repair what can be repaired
+ * @param {Object} input - Event as extracted by the model
+ * @returns {Object} { valid, event, errors, repairs }
+ */
+export function validateEvent(input) {
+  const errors = [];
+  const repairs = [];
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { valid: false, event: input, errors: ["not an object"], repairs };
+  }
+  const event = { ...input };
+
+  // name
+  if (typeof event.name === "string" && event.name.trim()) {
+    event.name = event.name.trim();
+  } else {
+    errors.push("missing name");
+  }
+
+  // type
+  if (!EVENT_SCHEMA.properties.type.enum.includes(event.type)) {
+    repairs.push(`type "${event.type ?? ""}" set to "event"`);
+    event.type = "event";
+  }
+
+  // start_time (required, ISO 8601 with a time of day)
+  const start = isDateTime(event.start_time) ? timeValue(event.start_time) : NaN;
+  if (!event.start_time) {
+    errors.push("missing start_time");
+  } else if (isDateTime(`${event.start_time}T00:00`)) {
+    errors.push(`start_time "${event.start_time}" has no time of day`);
+  } else if (Number.isNaN(start)) {
+    errors.push(`start_time "${event.start_time}" is not an ISO 8601 date-time`);
+  }
+
+  // duration_minutes (numeric strings accepted)
+  let duration = toNumber(event.duration_minutes);
+  if (!(duration > 0)) duration = NaN;
+
+  // end_time: fill, roll over midnight or recompute from duration
+  if (!Number.isNaN(start)) {
+    let end = isDateTime(event.end_time) ? timeValue(event.end_time) : NaN;
+
+    if (event.end_time && Number.isNaN(end)) {
+      repairs.push(`non-ISO end_time "${event.end_time}" dropped`);
+      event.end_time = undefined;
+      end = NaN;
+    }
+
+    if (Number.isNaN(end)) {
+      const minutes = Number.isNaN(duration)
+        ? CONFIG.defaultDurationMinutes
+        : Math.round(duration);
+      event.end_time = addMinutes(event.start_time, minutes);
+      end = timeValue(event.end_time);
+      if (event.end_time === null) errors.push("end_time could not be filled");
+      repairs.push(
+        Number.isNaN(duration)
+          ? `end_time assumed ${minutes} minutes after start`
+          : "end_time filled from duration_minutes"
+      );
+    } else if (end <= start) {
+      const overnight = end + 24 * 60 * 60000;
+      if (!Number.isNaN(duration)) {
+        event.end_time = addMinutes(event.start_time, Math.round(duration));
+        end = timeValue(event.end_time);
+        if (event.end_time === null) errors.push("end_time could not be filled");
+        repairs.push("end_time before start_time recomputed from duration_minutes");
+      } else if (
+        overnight > start &&
+        overnight - start <= CONFIG.maxOvernightHours * 60 * 60000
+      ) {
+        event.end_time = addMinutes(event.end_time, 24 * 60);
+        end = overnight;
+        repairs.push("end_time before start_time moved to the next day");
+      } else {
+        errors.push("end_time is before start_time");
+      }
+    }
+
+    if (end > start) {
+      const actual = Math.round((end - start) / 60000);
+      if (event.duration_minutes !== actual) {
+        if (event.duration_minutes !== undefined && duration !== actual) {
+          repairs.push(`duration_minutes recomputed (${actual})`);
+        }
+        event.duration_minutes = actual;
+      }
+    }
+  }
+
+  // coordinates (optional; numeric strings coerced, invalid ones removed)
+  if (event.coordinates !== undefined && event.coordinates !== null) {
+    const lat = toNumber(event.coordinates?.lat);
+    const lng = toNumber(event.coordinates?.lng);
+    if (
+      Number.isFinite(lat) &&
+      Number.isFinite(lng) &&
+      Math.abs(lat) <= 90 &&
+      Math.abs(lng) <= 180
+    ) {
+      if (lat !== event.coordinates.lat || lng !== event.coordinates.lng) {
+        repairs.push("coordinates converted to numbers");
+      }
+      event.coordinates = { lat, lng };
+    } else {
+      repairs.push("invalid coordinates removed");
+      delete event.coordinates;
+    }
+  }
+
+  // location: a bare string is taken as the venue
+  if (typeof event.location === "string") {
+    event.location = { venue: event.location };
+    repairs.push("location string converted to { venue }");
+  } else if (event.location !== undefined && typeof event.location !== "object") {
+    delete event.location;
+    repairs.push("invalid location removed");
+  }
+
+  // source: a bare string is taken as the URL
+  if (typeof event.source === "string") {
+    event.source = { url: event.source };
+    repairs.push("source string converted to { url }");
+  }
+
+  // pricing.is_free as a real boolean
+  if (event.pricing && typeof event.pricing.is_free === "string") {
+    event.pricing = {
+      ...event.pricing,
+      is_free: event.pricing.is_free.toLowerCase() === "true",
+    };
+    repairs.push("pricing.is_free converted to boolean");
+  }
+
+  // tags as an array of strings
+  if (typeof event.tags === "string") {
+    event.tags = event.tags
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    repairs.push("tags string split into an array");
+  } else if (event.tags !== undefined && !Array.isArray(event.tags)) {
+    delete event.tags;
+    repairs.push("invalid tags removed");
+  }
+
+  if (event.description !== undefined && typeof event.description !== "string") {
+    event.description = String(event.description ?? "");
+    repairs.push("description converted to text");
+  }
+
+  return { valid: errors.length === 0, event, errors, repairs };
+}
+
+/**
+ * Validate a list of events, splitting valid (repaired) from rejected
+ * @param {Object[]} events - Events as extracted by the model
+ * @returns {Object} { events, rejected, repaired } (rejected entries are { url, name, reason })
+ */
+export function validateEvents(events) {
+  const valid = [];
+  const rejected = [];
+  let repaired = 0;
+
+  (Array.isArray(events) ? events : []).forEach((input) => {
+    const result = validateEvent(input);
+    if (result.valid) {
+      valid.push(result.event);
+      if (result.repairs.length > 0) repaired++;
+    } else {
+      rejected.push({
+        url: input?.source?.url || null,
+        name: input?.name || null,
+        reason: `Invalid event: ${result.errors.join("; ")}`,
+      });
+    }
+  });
+
+  return { events: valid, rejected, repaired };
+}
+
+/**
+ * Validate and repair one edit result, throwing if it can't be used
+ * @param {Object} activity - Activity produced by an edit
+ * @returns {Object} Repaired activity
+ * @throws {EventValidationError} If the activity fails the schema
+ */
+export function requireValidEvent(activity) {
+  const result = validateEvent(activity);
+  if (!result.valid) {
+    throw new EventValidationError(result.errors);
+  }
+  return result.event;
+}
+
+export default {
+  EVENT_SCHEMA,
+  EventValidationError,
+  validateEvent,
+  validateEvents,
+  requireValidEvent,
+};
@@ -1,37 +1,64 @@
 /**
  * Explorer Module - Event Link Analysis
- * Analyzes links from Scout using Gemini to extract detailed event information
+ * Fetches each link from Scout and reads events from the page's structured
+ * data; links without complete structured data are analyzed with Gemini,
+ * together with the text of the fetched page
  */
 
-import { GoogleGenAI } from "@google/genai";
+import { getProvider } from "./llm_provider.js";
+import { limitProvider, mapWithConcurrency } from "./rate_limiter.js";
+import { withRetry, errorStatus } from "./retry.js";
+import { CircuitOpenError } from "./circuit_breaker.js";
+import { cancellableProvider, throwIfCancelled } from "./cancellation.js";
+import { PROGRESS_EVENTS } from "./progress.js";
+import {
+  createCacheSession,
+  canonicalUrl,
+  explorerCacheKey,
+} from "./result_cache.js";
+import { EVENT_SCHEMA, validateEvents } from "./event_schema.js";
+import { verifyGrounding } from "./grounding.js";
+import { getPageFetcher } from "./page_fetcher.js";
+import { extractPageEvents } from "./structured_data.js";
+import {
+  generateStructured,
+  ModelOutputError,
+  OUTPUT_ERROR_CODES,
+} from "./structured_output.js";
 
 const CONFIG = {
-  googleApiKey: process.env.GOOGLE_API_KEY,
-  geminiModel: process.env.GEMINI_MODEL || "gemini-2.0-flash",
-  maxConcurrent: 3, // Process links in batches to avoid rate limits
+  maxConcurrent: parseInt(process.env.EXPLORER_CONCURRENCY) || 3, // Batches analyzed in parallel
   batchSize: 5, // Number of links to process per Gemini call
+  fetchConcurrency: parseInt(process.env.PAGE_FETCH_CONCURRENCY) || 5, // Pages fetched in parallel
+  pageTextChars: 2500, // Page text per link in the prompt
 };
 
-// Initialize Gemini client
-let genAI = null;
-
-function getGenAI() {
-  if (!genAI) {
-    if (!CONFIG.googleApiKey) {
-      throw new Error("GOOGLE_API_KEY is required for Explorer");
-    }
-    genAI = new GoogleGenAI({ apiKey: CONFIG.googleApiKey });
+/**
+ * Prompt section for a fetched page
+ * @param {Object} [page] - { title, description, partial, text } from fetchPages
+ * @returns {string} Page lines ("" when the page wasn't fetched)
+ */
+function formatPage(page) {
+  if (!page) return "";
+  const lines = ["", "Page Content:"];
+  if (page.title) lines.push(`Page Title: ${page.title}`);
+  if (page.description) lines.push(`Page Description: ${page.description}`);
+  if (page.partial.length > 0) {
+    lines.push(`Structured Data (incomplete): ${JSON.stringify(page.partial.slice(0, 3))}`);
   }
-  return genAI;
+  lines.push(`Page Text:\n${page.text.slice(0, CONFIG.pageTextChars) || "(empty)"}`);
+  return lines.join("\n");
 }
 
 /**
  * Build prompt for analyzing a batch of links
  * @param {Object[]} links - Array of link objects from Scout
  * @param {string} city - The city for timezone context
+ * @param {string} [timeZone] - The city's IANA timezone
  * @returns {string} The analysis prompt
  */
-function buildAnalysisPrompt(links, city) {
+function buildAnalysisPrompt(links, city, timeZone) {
+  const zoneNote = timeZone ? ` (${timeZone})` : "";
   const linksInfo = links
     .map(
       (link, i) => `
@@ -41,11 +68,12 @@ Title: ${link.title || "Unknown"}
 Snippet: ${link.snippet || "No snippet"}
 Interest: ${link.interest}
 Target Date: ${link.date}
-Platform: ${link.platform || "Unknown"}`
+Platform: ${link.platform || "Unknown"}${formatPage(link.page)}`
     )
     .join("\n---");
 
-  return `You are an Expert Event Analyzer. Your task is to visit/analyze the following event links and extract detailed event information.
+  return `You are an Expert Event Analyzer. Your task is to analyze the following event links and extract detailed event information.
+Where a link includes Page Content, it was fetched from that URL: take names, times, venues and addresses from it rather than guessing.
 
 ## LINKS TO ANALYZE:
 ${linksInfo}
@@ -74,7 +102,7 @@ For each link above, determine if it contains a VALID, SCHEDULED EVENT. Extract
 - category: meetup/workshop/networking/performance/tour/class/talk/other
 - location: venue name, full address, city
 - coordinates: lat/lng (estimate if needed)
-- start_time: ISO 8601 format (e.g., "2026-01-03T18:00:00") - must match ${city} timezone
+- start_time: ISO 8601 format (e.g., "2026-01-03T18:00:00") - must match ${city} timezone${zoneNote}
 - end_time: ISO 8601 format
 - duration_minutes: calculated duration
 - description: Brief description of the event
@@ -127,7 +155,7 @@ For each link above, determine if it contains a VALID, SCHEDULED EVENT. Extract
 1. Output ONLY valid JSON, no markdown
 2. Use the EXACT URL from the input - do not modify or construct URLs
 3. If unsure about event validity, reject it
-4. Times must be in ${city} local timezone
+4. Times must be in ${city} local timezone${zoneNote}
 5. Start with { and end with }`;
 }
 
@@ -136,7 +164,7 @@ For each link above, determine if it contains a VALID, SCHEDULED EVENT. Extract
  * @param {Object} event - Event object
  * @returns {boolean} True if event appears to be online
  */
-function isOnlineEvent(event) {
+export function isOnlineEvent(event) {
   const onlineKeywords = [
     'online', 'virtual', 'remote', 'zoom', 'webinar', 'livestream',
     'live stream', 'google meet', 'teams', 'webex', 'discord',
@@ -175,6 +203,15 @@ function isOnlineEvent(event) {
   return false;
 }
 
+/**
+ * Key under which extracted events count as the same event
+ * @param {Object} event - Event object
+ * @returns {string} Name and start_time
+ */
+export function eventKey(event) {
+  return `${event.name}-${event.start_time}`;
+}
+
 /**
  * Filter out online events from array
  * @param {Object[]} events - Array of events
@@ -201,98 +238,350 @@ function filterOnlineEvents(events, logger) {
 }
 
 /**
- * Extract JSON from response
+ * Response schema for batch analysis
  */
-function extractJSON(text) {
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    // Continue
-  }
-
-  const codeBlockMatch = text.match(/```json\s*([\s\S]*?)\s*```/i);
-  if (codeBlockMatch && codeBlockMatch[1]) {
-    try {
-      return JSON.parse(codeBlockMatch[1].trim());
-    } catch (e) {
-      // Continue
-    }
-  }
-
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    try {
-      return JSON.parse(jsonMatch[0]);
-    } catch (e) {
-      // Continue
-    }
-  }
-
-  throw new Error("Could not extract JSON from Explorer response");
-}
+const EXPLORER_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["valid_events", "rejected_links"],
+  properties: {
+    analyzed_links: { type: "integer" },
+    valid_events: {
+      type: "array",
+      items: {
+        ...EVENT_SCHEMA,
+        properties: {
+          ...EVENT_SCHEMA.properties,
+          interest_matched: { type: "string" },
+          target_date: { type: "string" },
+        },
+      },
+    },
+    rejected_links: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["url", "reason"],
+        properties: {
+          url: { type: "string" },
+          reason: { type: "string" },
+        },
+      },
+    },
+  },
+};
 
 /**
  * Analyze a batch of links
  * @param {Object[]} links - Array of link objects
  * @param {string} city - The city
  * @param {Function} logger - Logging function
+ * @param {Object} options - Optional settings
+ * @param {Object} options.provider - LLM provider (defaults to LLM_PROVIDER)
+ * @param {string} options.timeZone - City's IANA timezone for the prompt
+ * @param {AbortSignal} [options.signal] - Cancels the analysis
  * @returns {Promise<Object>} Analysis results
  */
-async function analyzeBatch(links, city, logger) {
-  const ai = getGenAI();
-  const prompt = buildAnalysisPrompt(links, city);
+async function analyzeBatch(links, city, logger, options = {}) {
+  const provider = options.provider || getProvider();
+  const prompt = buildAnalysisPrompt(links, city, options.timeZone);
 
   try {
-    const response = await ai.models.generateContent({
-      model: CONFIG.geminiModel,
-      contents: prompt,
-      config: {
-        tools: [{ googleSearch: {} }], // Enable search to verify/access links
-        temperature: 0.1,
-        maxOutputTokens: 8192,
-        thinkingConfig: { thinkingLevel: "low" },
-      },
-    });
+    // No continuation: a cut-off batch is split in half instead
+    const result = await withRetry(
+      () =>
+        generateStructured(
+          provider,
+          {
+            task: "explorer",
+            prompt,
+            // Search only helps with links whose page couldn't be fetched
+            useSearch: links.some((link) => !link.page),
+            temperature: 0.1,
+            maxOutputTokens: 8192,
+            thinkingLevel: "low",
+            context: { links, city },
+          },
+          { schema: EXPLORER_RESPONSE_SCHEMA, maxContinuations: 0, logger }
+        ),
+      {
+        signal: options.signal,
+        onRetry: (error, attempt, delay) =>
+          logger(
+            `🔁 Explorer: ${error.message} - retry ${attempt} in ${(delay / 1000).toFixed(1)}s`
+          ),
+      }
+    );
 
-    const responseText = response.text;
-    const result = extractJSON(responseText);
+    // Repair what we can, reject events that don't fit the schema
+    const checked = validateEvents(result.valid_events);
+    if (checked.rejected.length > 0 || checked.repaired > 0) {
+      logger(
+        `🧾 Explorer: Schema check: ${checked.repaired} repaired, ${checked.rejected.length} rejected`
+      );
+    }
+
+    // Every event must trace back to one of the links it was given
+    const grounded = verifyGrounding(checked.events, links);
+    if (grounded.rejected.length > 0 || grounded.flagged > 0) {
+      logger(
+        `🔎 Explorer: Grounding check: ${grounded.flagged} flagged, ${grounded.rejected.length} rejected`
+      );
+    }
 
     return {
       success: true,
-      events: result.valid_events || [],
-      rejected: result.rejected_links || [],
+      events: grounded.events,
+      rejected: [
+        ...(result.rejected_links || []),
+        ...checked.rejected,
+        ...grounded.rejected,
+      ],
       analyzed: result.analyzed_links || links.length,
     };
   } catch (error) {
+    // Cancelled or provider down: stop the Explorer rather than reject every link
+    throwIfCancelled(options.signal);
+    if (error instanceof CircuitOpenError) throw error;
+    // A rate limit that outlasts the retries is about quota, not the links
+    if (links.length > 1 && errorStatus(error) !== 429) {
+      const reason =
+        error instanceof ModelOutputError &&
+        error.code === OUTPUT_ERROR_CODES.TRUNCATED
+          ? "Output cut off"
+          : `Batch failed (${error.message})`;
+      return analyzeSplitBatch(links, city, logger, options, reason);
+    }
     logger(`❌ Explorer: Batch analysis failed: ${error.message}`);
     return {
       success: false,
       events: [],
       rejected: links.map((l) => ({ url: l.url, reason: error.message })),
+      failedLinks: links,
       error: error.message,
     };
   }
 }
 
+/**
+ * Analyze a batch that failed or didn't fit maxOutputTokens as two halves,
+ * so one bad link only takes down the smallest batch containing it
+ * @param {Object[]} links - Array of link objects
+ * @param {string} city - The city
+ * @param {Function} logger - Logging function
+ * @param {Object} options - Optional settings passed to analyzeBatch
+ * @param {string} reason - Why the batch is split (for the log)
+ * @returns {Promise<Object>} Merged analysis results
+ */
+async function analyzeSplitBatch(links, city, logger, options, reason) {
+  const middle = Math.ceil(links.length / 2);
+  logger(
+    `✂️ Explorer: ${reason}, splitting ${links.length} links into ${middle} + ${links.length - middle}`
+  );
+
+  const halves = [];
+  for (const half of [links.slice(0, middle), links.slice(middle)]) {
+    halves.push(await analyzeBatch(half, city, logger, options));
+  }
+
+  const failed = halves.filter((h) => !h.success);
+  return {
+    success: failed.length < halves.length,
+    events: halves.flatMap((h) => h.events),
+    rejected: halves.flatMap((h) => h.rejected),
+    analyzed: halves.reduce((sum, h) => sum + (h.analyzed || 0), 0),
+    failedLinks: halves.flatMap((h) => h.failedLinks || []),
+    ...(failed.length > 0 && { error: failed.map((h) => h.error).join("; ") }),
+  };
+}
+
+/**
+ * Cache a batch's results per link (canonical URL, city and target date)
+ * Links whose analysis failed are left out, and so are links without events
+ * when some event couldn't be traced back to its link. A page that appears
+ * for several dates gets each event under the link for the event's date
+ * @param {Object[]} links - Links in the batch
+ * @param {Object} result - Result from analyzeBatch
+ * @param {string} city - The city
+ * @param {Object} cache - Cache session
+ */
+async function cacheBatchResults(links, result, city, cache) {
+  const failed = new Set(
+    (result.failedLinks || []).map((link) => explorerCacheKey(link, city))
+  );
+  const entries = new Map();
+  for (const link of links) {
+    const key = explorerCacheKey(link, city);
+    if (failed.has(key) || entries.has(key)) continue;
+    entries.set(key, {
+      url: canonicalUrl(link.url),
+      date: link.date,
+      events: [],
+      rejected: [],
+    });
+  }
+  const forUrl = (url) =>
+    [...entries.values()].filter((entry) => entry.url === canonicalUrl(url));
+
+  let untraced = 0;
+  for (const event of result.events) {
+    const candidates = forUrl(event.source?.url);
+    const date = String(event.start_time).slice(0, 10);
+    const entry = candidates.find((c) => c.date === date) || candidates[0];
+    if (entry) entry.events.push(event);
+    else untraced++;
+  }
+  for (const rejection of result.rejected) {
+    forUrl(rejection.url).forEach((entry) => entry.rejected.push(rejection));
+  }
+
+  for (const [key, { events, rejected }] of entries) {
+    const empty = events.length === 0 && rejected.length === 0;
+    if (empty && untraced > 0) continue;
+    await cache.set(key, { events, rejected });
+  }
+}
+
+/**
+ * Fetch the pages of links and read events from their structured data
+ * Links with complete events on their target date are answered from the
+ * markup; the rest are returned for the model, with the fetched page attached
+ * @param {Object[]} links - Links to fetch
+ * @param {string} city - The city
+ * @param {Function} logger - Logging function
+ * @param {Object} options - Optional settings
+ * @param {Object} [options.pageFetcher] - Page fetcher (defaults to PAGE_FETCHER)
+ * @param {string} [options.timeZone] - City's IANA timezone
+ * @param {AbortSignal} [options.signal] - Cancels the fetches
+ * @returns {Promise<Object>} { structured: { links, events, rejected }, remaining }
+ */
+async function fetchPages(links, city, logger, options = {}) {
+  const fetcher = options.pageFetcher || getPageFetcher();
+  const structured = { links: [], events: [], rejected: [] };
+  if (fetcher.name === "none" || links.length === 0) {
+    return { structured, remaining: links };
+  }
+
+  logger(`🌐 Explorer: Fetching ${links.length} pages`);
+  const pages = await mapWithConcurrency(
+    links,
+    CONFIG.fetchConcurrency,
+    async (link) => {
+      try {
+        const page = await fetcher.fetch(link.url, { signal: options.signal });
+        return (
+          page &&
+          extractPageEvents(page.html, link, { city, timeZone: options.timeZone })
+        );
+      } catch (error) {
+        throwIfCancelled(options.signal);
+        logger(`⚠️ Explorer: Could not fetch ${link.url}: ${error.message}`);
+        return null;
+      }
+    },
+    options.signal
+  );
+
+  const remaining = [];
+  links.forEach((link, i) => {
+    const page = pages[i];
+    const checked = validateEvents(page?.events);
+    if (checked.events.length > 0) {
+      structured.links.push(link);
+      structured.events.push(...checked.events);
+      structured.rejected.push(...checked.rejected);
+    } else if (page) {
+      remaining.push({
+        ...link,
+        page: {
+          title: page.openGraph.title,
+          description: page.openGraph.description,
+          partial: page.partial,
+          text: page.text,
+        },
+      });
+    } else {
+      remaining.push(link);
+    }
+  });
+
+  const fetched = pages.filter(Boolean).length;
+  logger(
+    `🧩 Explorer: ${fetched}/${links.length} pages fetched, ${structured.links.length} with complete structured data (${structured.events.length} events, no model call)`
+  );
+  return { structured, remaining };
+}
+
+/**
+ * Report a finished batch to the run's progress tracker: one event_extracted
+ * per event, then batch_completed
+ * @param {EventEmitter} [progress] - Progress tracker
+ * @param {Object} result - Batch result ({ success, events, rejected })
+ * @param {Object} details - { batch, batches, links, cached, resumed, structured }
+ */
+function reportBatch(progress, result, details) {
+  if (!progress) return;
+  for (const event of result.events) {
+    progress.report(PROGRESS_EVENTS.EVENT_EXTRACTED, {
+      event,
+      batch: details.batch,
+    });
+  }
+  progress.report(PROGRESS_EVENTS.BATCH_COMPLETED, {
+    batch: details.batch,
+    batches: details.batches,
+    success: result.success !== false,
+    links: details.links,
+    events: result.events.length,
+    rejected: result.rejected.length,
+    cached: Boolean(details.cached),
+    resumed: Boolean(details.resumed),
+    structured: Boolean(details.structured),
+  });
+}
+
 /**
  * Main Explorer function - analyzes all links from Scout
+ * Each link's page is fetched first (options.pageFetcher, page_fetcher.js);
+ * links whose structured data describes a complete event skip the model.
+ * Up to maxConcurrent batches run at once; model calls share the provider's
+ * rate limiter with the Scout and retry 429/5xx with backoff. Results are
+ * cached per canonical URL, city and target date; options.cacheMode is "use", "refresh" or "off".
+ * options.checkpoint resumes an interrupted run: links in the batches it
+ * lists are not analyzed again, and each newly completed batch is passed to
+ * its onBatch as { urls, events, rejected, analyzed }. options.signal cancels
+ * the run: no new batches start, calls in flight are aborted. options.progress
+ * (progress.js) receives batch_started/batch_completed/event_extracted events
  * @param {Object[]} links - Array of link objects from Scout
  * @param {string} city - The city
  * @param {Function} logger - Logging function
+ * @param {Object} options - Optional settings passed to each batch
  * @returns {Promise<Object>} All extracted events
  */
-export async function exploreLinks(links, city, logger = console.log) {
+export async function exploreLinks(
+  links,
+  city,
+  logger = console.log,
+  options = {}
+) {
   logger(`\n🔬 Explorer: Starting link analysis`);
   logger(`📊 Links to analyze: ${links.length}`);
 
+  const { progress } = options;
+  progress?.report(PROGRESS_EVENTS.PHASE_STARTED, {
+    phase: "explorer",
+    total: links.length,
+  });
+
   if (!links || links.length === 0) {
     logger(`⚠️ Explorer: No links to analyze`);
+    progress?.report(PROGRESS_EVENTS.PHASE_COMPLETED, { phase: "explorer" });
     return {
       success: true,
       events: [],
       totalAnalyzed: 0,
       totalEvents: 0,
       rejected: [],
+      cacheStats: { hits: 0, misses: 0 },
     };
   }
 
@@ -300,48 +589,150 @@ export async function exploreLinks(links, city, logger = console.log) {
   const allRejected = [];
   let totalAnalyzed = 0;
 
-  // Process links in batches
+  // Batches finished before an interrupted run stopped
+  const checkpoint = options.checkpoint || {};
+  const done = new Set();
+  for (const batch of checkpoint.batches || []) {
+    batch.urls.forEach((url) => done.add(url));
+    allEvents.push(...batch.events);
+    allRejected.push(...batch.rejected);
+    totalAnalyzed += batch.analyzed;
+    reportBatch(progress, batch, { links: batch.urls.length, resumed: true });
+  }
+  if (done.size > 0) {
+    logger(
+      `♻️ Explorer: Resuming, ${checkpoint.batches.length} batches (${done.size} links) already analyzed`
+    );
+  }
+
+  // Links analyzed recently come from the cache; only the rest are batched
+  const cache = createCacheSession("explorer", options.cacheMode, logger);
+  const fromCache = { urls: [], events: [], rejected: [], analyzed: 0 };
+  const pending = [];
+  for (const link of links) {
+    if (done.has(link.url)) continue;
+    const cached = await cache.get(explorerCacheKey(link, city));
+    if (cached) {
+      fromCache.urls.push(link.url);
+      fromCache.events.push(...cached.events);
+      fromCache.rejected.push(...cached.rejected);
+      fromCache.analyzed++;
+    } else {
+      pending.push(link);
+    }
+  }
+  if (fromCache.analyzed > 0) {
+    logger(`💾 Explorer: ${fromCache.analyzed} links answered from cache`);
+    allEvents.push(...fromCache.events);
+    allRejected.push(...fromCache.rejected);
+    totalAnalyzed += fromCache.analyzed;
+    await checkpoint.onBatch?.(fromCache);
+    reportBatch(progress, fromCache, {
+      links: fromCache.urls.length,
+      cached: true,
+    });
+  }
+
+  // Pages with complete structured data are answered without the model
+  const { structured, remaining } = await fetchPages(
+    pending,
+    city,
+    logger,
+    options
+  );
+  if (structured.links.length > 0) {
+    const fromPages = {
+      urls: structured.links.map((link) => link.url),
+      events: structured.events,
+      rejected: structured.rejected,
+      analyzed: structured.links.length,
+    };
+    allEvents.push(...fromPages.events);
+    allRejected.push(...fromPages.rejected);
+    totalAnalyzed += fromPages.analyzed;
+    await cacheBatchResults(structured.links, fromPages, city, cache);
+    await checkpoint.onBatch?.(fromPages);
+    reportBatch(progress, fromPages, {
+      links: fromPages.urls.length,
+      structured: true,
+    });
+  }
+
+  // Process the remaining links in batches
   const batches = [];
-  for (let i = 0; i < links.length; i += CONFIG.batchSize) {
-    batches.push(links.slice(i, i + CONFIG.batchSize));
+  for (let i = 0; i < remaining.length; i += CONFIG.batchSize) {
+    batches.push(remaining.slice(i, i + CONFIG.batchSize));
   }
 
   logger(
     `📦 Explorer: Processing ${batches.length} batches of ${CONFIG.batchSize} links each`
   );
 
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
-    logger(
-      `\n🔍 Explorer: Analyzing batch ${i + 1}/${batches.length} (${
-        batch.length
-      } links)`
-    );
+  const batchOptions = {
+    ...options,
+    provider: cancellableProvider(
+      limitProvider(options.provider || getProvider()),
+      options.signal
+    ),
+  };
 
-    const result = await analyzeBatch(batch, city, logger);
+  const results = await mapWithConcurrency(
+    batches,
+    CONFIG.maxConcurrent,
+    async (batch, i) => {
+      logger(
+        `\n🔍 Explorer: Analyzing batch ${i + 1}/${batches.length} (${
+          batch.length
+        } links)`
+      );
+      progress?.report(PROGRESS_EVENTS.BATCH_STARTED, {
+        batch: i + 1,
+        batches: batches.length,
+        links: batch.length,
+      });
+
+      const result = await analyzeBatch(batch, city, logger, batchOptions);
+
+      if (result.success) {
+        logger(`✅ Batch ${i + 1}: Found ${result.events.length} valid events`);
+        await cacheBatchResults(batch, result, city, cache);
+        await checkpoint.onBatch?.({
+          urls: batch.map((link) => link.url),
+          events: result.events,
+          rejected: result.rejected,
+          analyzed: result.analyzed,
+        });
+      } else {
+        logger(`⚠️ Batch ${i + 1}: Failed - ${result.error}`);
+      }
+      reportBatch(progress, result, {
+        batch: i + 1,
+        batches: batches.length,
+        links: batch.length,
+      });
+      return result;
+    },
+    options.signal
+  );
 
+  // Merge in batch order, so the output doesn't depend on timing
+  for (const result of results) {
+    allEvents.push(...result.events);
+    allRejected.push(...result.rejected);
     if (result.success) {
-      allEvents.push(...result.events);
-      allRejected.push(...result.rejected);
       totalAnalyzed += result.analyzed;
-      logger(`✅ Batch ${i + 1}: Found ${result.events.length} valid events`);
-    } else {
-      allRejected.push(...result.rejected);
-      logger(`⚠️ Batch ${i + 1}: Failed - ${result.error}`);
-    }
-
-    // Delay between batches to avoid rate limiting
-    if (i < batches.length - 1) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
     }
   }
 
-  // Deduplicate events by name and start_time
+  // Filter out any online/virtual events that slipped through, then
+  // deduplicate by name and start_time. Filtering first means the set of
+  // events kept doesn't depend on which duplicate came first, so it matches
+  // what the stream endpoint sent batch by batch
   const uniqueEvents = [];
   const seen = new Set();
 
-  for (const event of allEvents) {
-    const key = `${event.name}-${event.start_time}`;
+  for (const event of filterOnlineEvents(allEvents, logger)) {
+    const key = eventKey(event);
     if (!seen.has(key)) {
       seen.add(key);
       uniqueEvents.push(event);
@@ -349,19 +740,17 @@ export async function exploreLinks(links, city, logger = console.log) {
   }
 
   // Sort events by start_time
-  uniqueEvents.sort((a, b) => {
+  const inPersonEvents = uniqueEvents.sort((a, b) => {
     const timeA = new Date(a.start_time).getTime();
     const timeB = new Date(b.start_time).getTime();
     return timeA - timeB;
   });
 
-  // Filter out any online/virtual events that slipped through
-  const inPersonEvents = filterOnlineEvents(uniqueEvents, logger);
-
   logger(`\n✅ Explorer: Completed!`);
   logger(`📊 Total links analyzed: ${totalAnalyzed}`);
   logger(`🎯 Valid in-person events found: ${inPersonEvents.length}`);
   logger(`❌ Rejected links: ${allRejected.length}`);
+  progress?.report(PROGRESS_EVENTS.PHASE_COMPLETED, { phase: "explorer" });
 
   return {
     success: true,
@@ -369,6 +758,7 @@ export async function exploreLinks(links, city, logger = console.log) {
     totalAnalyzed,
     totalEvents: inPersonEvents.length,
     rejected: allRejected,
+    cacheStats: cache.stats,
   };
 }
 
@@ -377,13 +767,21 @@ export async function exploreLinks(links, city, logger = console.log) {
  * @param {Object} link - Single link object
  * @param {string} city - The city
  * @param {Function} logger - Logging function
+ * @param {Object} options - Optional settings
  * @returns {Promise<Object>} Analysis result
  */
-export async function analyzeLink(link, city, logger = console.log) {
-  return analyzeBatch([link], city, logger);
+export async function analyzeLink(
+  link,
+  city,
+  logger = console.log,
+  options = {}
+) {
+  return analyzeBatch([link], city, logger, options);
 }
 
 export default {
   exploreLinks,
   analyzeLink,
+  isOnlineEvent,
+  eventKey,
 };
@@ -0,0 +1,304 @@
+/**
+ * Gap Filler Module - Suggested activities for dead time
+ * Finds gaps of more than an hour between scheduled events and asks the model
+ * for nearby non-event activities (cafés, parks, attractions) to fill them
+ */
+
+import { getProvider } from "./llm_provider.js";
+import { groupByDate, findScheduleGaps } from "./planner.js";
+import { normalizeTime } from "./timezone.js";
+import { EVENT_SCHEMA } from "./event_schema.js";
+import { generateStructured } from "./structured_output.js";
+import { limitProvider } from "./rate_limiter.js";
+import { cancellableProvider, throwIfCancelled } from "./cancellation.js";
+
+const CONFIG = {
+  travelMarginMinutes: 15, // Left free at each end of a gap for getting there
+};
+
+/**
+ * Build prompt for filling one day's gaps
+ * @param {Object[]} gaps - Gaps from findScheduleGaps(), with neighbor events
+ * @param {string} city - The city
+ * @param {string[]} interests - User interests
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @returns {string} The gap filling prompt
+ */
+function buildGapPrompt(gaps, city, interests, date) {
+  const gapsInfo = gaps
+    .map(
+      (gap, i) => `
+[Gap ${i}]
+From: ${gap.start} (${describeEdge("after", gap.after_event, gap.before)})
+Until: ${gap.end} (${describeEdge("before", gap.before_event, gap.after)})
+Free time: ${gap.duration_minutes} minutes`
+    )
+    .join("\n---");
+
+  return `You are a Local Travel Planner for ${city}. The user's day on ${date} has free time between scheduled events.
+
+## USER INTERESTS:
+${interests.join(", ")}
+
+## GAPS TO FILL:
+${gapsInfo}
+
+## YOUR TASK:
+Suggest ONE activity per gap that the user can do in the free time, close to the events around it.
+
+## ACTIVITY CRITERIA:
+1. **NOT AN EVENT:** Cafés, restaurants, parks, viewpoints, museums, shops, landmarks - places open to walk in
+2. **NEARBY:** Walking distance from the event before or after the gap (for a gap at the start or end of the day, near the one event next to it)
+3. **FITS THE GAP:** Start at least ${CONFIG.travelMarginMinutes} minutes after the gap starts and end at least ${CONFIG.travelMarginMinutes} minutes before it ends
+4. **MATCHES INTERESTS:** Prefer places related to the user's interests
+5. **OPEN:** The place must be open at the suggested time
+
+## OUTPUT FORMAT (JSON only):
+{
+  "activities": [
+    {
+      "gap_index": 0,
+      "name": "Place Name",
+      "type": "activity",
+      "category": "cafe/restaurant/park/museum/attraction/shopping/other",
+      "location": {
+        "venue": "Place Name",
+        "address": "Full address",
+        "city": "${city}"
+      },
+      "coordinates": {"lat": 0.0, "lng": 0.0},
+      "start_time": "${date}T14:15:00",
+      "end_time": "${date}T15:15:00",
+      "duration_minutes": 60,
+      "description": "Why it is worth the stop",
+      "pricing": {
+        "is_free": false,
+        "price": "$5-10",
+        "currency": "USD"
+      },
+      "tags": ["coffee"],
+      "interest_matched": "Food"
+    }
+  ]
+}
+
+## CRITICAL RULES:
+1. Output ONLY valid JSON, no markdown
+2. Use gap_index to say which gap each activity fills
+3. Times must be in ${city} local timezone, inside the gap
+4. Start with { and end with }`;
+}
+
+/**
+ * Describe one end of a gap for the prompt
+ * @param {string} relation - "after" or "before"
+ * @param {string|null} name - Neighbor event name (null at the day's edge)
+ * @param {Object} [event] - Neighbor event
+ * @returns {string} e.g. 'after "Jazz Night" at Green Mill' or "start of the day"
+ */
+function describeEdge(relation, name, event) {
+  if (name === null) {
+    return relation === "after" ? "start of the day" : "end of the day";
+  }
+  return `${relation} "${name}" at ${formatPlace(event)}`;
+}
+
+/**
+ * Describe an event's place for the prompt
+ * @param {Object} event - Event next to a gap
+ * @returns {string} Venue, address and coordinates if known
+ */
+function formatPlace(event) {
+  const parts = [event?.location?.venue, event?.location?.address].filter(
+    Boolean
+  );
+  if (event?.coordinates) {
+    parts.push(`${event.coordinates.lat}, ${event.coordinates.lng}`);
+  }
+  return parts.join(", ") || "unknown location";
+}
+
+/**
+ * Response schema for gap suggestions
+ */
+const GAP_FILL_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["activities"],
+  properties: {
+    activities: {
+      type: "array",
+      items: {
+        ...EVENT_SCHEMA,
+        required: ["gap_index", "name", "start_time", "end_time"],
+        properties: {
+          ...EVENT_SCHEMA.properties,
+          gap_index: { type: "integer", minimum: 0 },
+          interest_matched: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Find a day's gaps, including the free time before the first and after the
+ * last event, with the events on either side attached
+ * @param {Object[]} dayEvents - Events on one day
+ * @param {string} timeZone - City's IANA timezone
+ * @returns {Object[]} Gaps with before/after events (undefined at the day's edges)
+ */
+function findDayGaps(dayEvents, timeZone) {
+  const byEnd = new Map(dayEvents.map((e) => [e.end_time || e.start_time, e]));
+  const byStart = new Map(dayEvents.map((e) => [e.start_time, e]));
+
+  return findScheduleGaps(dayEvents, { timeZone }).map((gap) => ({
+    ...gap,
+    before: gap.after_event === null ? undefined : byEnd.get(gap.start),
+    after: gap.before_event === null ? undefined : byStart.get(gap.end),
+  }));
+}
+
+/**
+ * Turn a suggested activity into an itinerary item, or null if it doesn't fit
+ * @param {Object} suggestion - Activity from the model
+ * @param {Object[]} gaps - The day's gaps
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @param {string} timeZone - City's IANA timezone
+ * @returns {Object|null} Activity item
+ */
+function toActivity(suggestion, gaps, date, timeZone) {
+  const gap = gaps[suggestion.gap_index];
+  if (!gap || !suggestion.name || !suggestion.start_time) return null;
+
+  const startTime = normalizeTime(suggestion.start_time, timeZone);
+  const endTime = normalizeTime(
+    suggestion.end_time || suggestion.start_time,
+    timeZone
+  );
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (
+    isNaN(start) ||
+    isNaN(end) ||
+    start < new Date(gap.start) ||
+    end > new Date(gap.end) ||
+    end <= start
+  ) {
+    return null;
+  }
+
+  const { gap_index, ...activity } = suggestion;
+  return {
+    ...activity,
+    type: "activity",
+    start_time: startTime,
+    end_time: endTime,
+    duration_minutes: Math.round((end - start) / 60000),
+    source: activity.source || { platform: "Suggestion", url: null },
+    target_date: date,
+    fills_gap: { start: gap.start, end: gap.end },
+  };
+}
+
+/**
+ * Fill one day's gaps
+ * @param {Object[]} gaps - The day's gaps
+ * @param {string} city - The city
+ * @param {string[]} interests - User interests
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @param {Object} options - { provider, timeZone, logger }
+ * @returns {Promise<Object[]>} Activities that fit their gaps (at most one per gap)
+ */
+async function fillDay(gaps, city, interests, date, options) {
+  const { provider, timeZone, logger } = options;
+  const result = await generateStructured(
+    provider,
+    {
+      task: "gap_fill",
+      prompt: buildGapPrompt(gaps, city, interests, date),
+      useSearch: true, // Find real places that are open
+      temperature: 0.4,
+      maxOutputTokens: 4096,
+      thinkingLevel: "low",
+      context: {
+        city,
+        interests,
+        date,
+        timezone: timeZone,
+        gaps: gaps.map(({ before, after, ...gap }) => ({
+          ...gap,
+          coordinates: before?.coordinates || after?.coordinates || null,
+        })),
+      },
+    },
+    { schema: GAP_FILL_RESPONSE_SCHEMA, logger }
+  );
+
+  const filled = new Set();
+
+  return (result.activities || [])
+    .map((suggestion) => toActivity(suggestion, gaps, date, timeZone))
+    .filter((activity) => {
+      if (!activity || filled.has(activity.fills_gap.start)) return false;
+      filled.add(activity.fills_gap.start);
+      return true;
+    });
+}
+
+/**
+ * Main Gap Filler function - suggests activities for every gap over an hour,
+ * including the start and end of each day. Model calls share the provider's
+ * rate limiter with Scout and Explorer
+ * A day whose model call fails just keeps its gaps
+ * @param {Object[]} events - Scheduled events
+ * @param {string} city - The city
+ * @param {string[]} interests - User interests
+ * @param {Function} logger - Logging function
+ * @param {Object} options - Optional settings
+ * @param {Object} options.provider - LLM provider (defaults to LLM_PROVIDER)
+ * @param {string} options.timeZone - City's IANA timezone (defaults to UTC)
+ * @param {AbortSignal} [options.signal] - Cancels the remaining days
+ * @returns {Promise<Object>} { activities, gapsFound }
+ */
+export async function fillScheduleGaps(
+  events,
+  city,
+  interests,
+  logger = console.log,
+  options = {}
+) {
+  const provider = cancellableProvider(
+    limitProvider(options.provider || getProvider()),
+    options.signal
+  );
+  const timeZone = options.timeZone || "UTC";
+  const activities = [];
+  let gapsFound = 0;
+
+  for (const [date, dayEvents] of Object.entries(groupByDate(events))) {
+    const gaps = findDayGaps(dayEvents, timeZone);
+    if (gaps.length === 0) continue;
+    gapsFound += gaps.length;
+
+    try {
+      const dayActivities = await fillDay(gaps, city, interests, date, {
+        provider,
+        timeZone,
+        logger,
+      });
+      activities.push(...dayActivities);
+      logger(
+        `☕ Gap Filler: ${date}: filled ${dayActivities.length}/${gaps.length} gaps`
+      );
+    } catch (error) {
+      throwIfCancelled(options.signal);
+      logger(`⚠️ Gap Filler: ${date}: ${error.message}`);
+    }
+  }
+
+  return { activities, gapsFound };
+}
+
+export default {
+  fillScheduleGaps,
+};
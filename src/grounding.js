@@ -0,0 +1,251 @@
+/**
+ * Grounding Module - Check model-extracted events against their links
+ * Every event from an Explorer batch is matched back to one of the batch's
+ * input links and scored on how much of its name, date and start time the
+ * link's title, snippet and fetched page actually mention. Events that can't
+ * be traced, or score too low, are rejected (or kept and flagged, with
+ * GROUNDING_POLICY=flag)
+ */
+
+import { canonicalUrl } from "./result_cache.js";
+
+const CONFIG = {
+  policy: process.env.GROUNDING_POLICY || "reject", // reject/flag ungrounded events
+  minScore: parseFloat(process.env.GROUNDING_MIN_SCORE) || 0.35, // Below: ungrounded
+  flagScore: 0.6, // Below: kept but flagged
+  nameWeight: 0.6, // Rest of the score is date and start time
+};
+
+export const GROUNDING_POLICIES = ["reject", "flag"];
+
+/**
+ * Check a grounding policy name
+ * @param {string} policy - Policy name
+ * @returns {string} The policy
+ * @throws {Error} If the policy is not one of GROUNDING_POLICIES
+ */
+function requirePolicy(policy) {
+  if (!GROUNDING_POLICIES.includes(policy)) {
+    throw new Error(
+      `Unknown grounding policy "${policy}". Available: ${GROUNDING_POLICIES.join(", ")}`
+    );
+  }
+  return policy;
+}
+
+// A typo must not silently turn grounding off
+requirePolicy(CONFIG.policy);
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december",
+];
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "at", "by", "for", "in", "of", "on", "the", "to", "with",
+]);
+
+/**
+ * Lowercase text without accents
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Words of a name worth matching (no stopwords)
+ * @param {string} name - Event name
+ * @returns {string[]} Tokens
+ */
+function nameTokens(name) {
+  return normalize(name)
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !STOPWORDS.has(token));
+}
+
+/**
+ * Everything a link says about its event
+ * @param {Object} link - Scout link, with page when it was fetched
+ * @returns {string} Normalized evidence text
+ */
+function evidenceText(link) {
+  return normalize(
+    [
+      link.title,
+      link.snippet,
+      link.page?.title,
+      link.page?.description,
+      link.page?.text,
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+}
+
+/**
+ * Share of the name's words found as whole words in the evidence
+ * ("Art" isn't found in "start", nor "Jazz Night" in "jazz nightclub")
+ * @param {string} name - Event name
+ * @param {string} evidence - Normalized evidence text
+ * @returns {number} 0-1
+ */
+function nameScore(name, evidence) {
+  const tokens = nameTokens(name);
+  if (tokens.length === 0) return 0;
+  const words = new Set(evidence.split(/[^a-z0-9]+/));
+  return tokens.filter((token) => words.has(token)).length / tokens.length;
+}
+
+/**
+ * Whether the evidence mentions the event's date
+ * Matches 2026-11-02, 11/2, "Nov 2", "November 2nd" and "2 Nov"
+ * @param {string} startTime - Event start_time
+ * @param {string} evidence - Normalized evidence text
+ * @returns {boolean}
+ */
+function mentionsDate(startTime, evidence) {
+  const match = String(startTime).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return false;
+  const [date, , month, day] = match;
+  const name = MONTHS[parseInt(month) - 1];
+  if (!name) return false;
+
+  const d = `0?${parseInt(day)}(?:st|nd|rd|th)?`;
+  const m = `(?:${name}|${name.slice(0, 3)}${name === "september" ? "t?" : ""})\\.?`;
+  return [
+    new RegExp(`\\b${date}\\b`),
+    new RegExp(`\\b0?${parseInt(month)}/0?${parseInt(day)}\\b`),
+    new RegExp(`\\b${m},?\\s+${d}\\b`),
+    new RegExp(`\\b${d}\\s+(?:of\\s+)?${m}`),
+  ].some((pattern) => pattern.test(evidence));
+}
+
+/**
+ * Whether the evidence mentions the event's start time
+ * Matches 7pm, 7:30 p.m., 19:30, 19h30 and "noon"
+ * @param {string} startTime - Event start_time
+ * @param {string} evidence - Normalized evidence text
+ * @returns {boolean}
+ */
+function mentionsTime(startTime, evidence) {
+  const match = String(startTime).match(/T(\d{2}):(\d{2})/);
+  if (!match) return false;
+  const hour = parseInt(match[1]);
+  const minute = match[2];
+  const hour12 = hour % 12 || 12;
+  const suffix = hour < 12 ? "a\\.?m\\b" : "p\\.?m\\b";
+  const minutes = minute === "00" ? `(?::00)?` : `:${minute}`;
+
+  const patterns = [
+    new RegExp(`\\b0?${hour12}${minutes}\\s*${suffix}`),
+    new RegExp(`\\b${match[1]}[:h.]${minute}\\b`),
+  ];
+  if (hour === 12 && minute === "00") patterns.push(/\bnoon\b/);
+  return patterns.some((pattern) => pattern.test(evidence));
+}
+
+/**
+ * Score how well a link supports an event
+ * @param {Object} event - Extracted event
+ * @param {Object} link - Scout link (with page when fetched)
+ * @returns {Object} { score, issues } - score 0-1; issues name what wasn't found
+ */
+export function scoreGrounding(event, link) {
+  const evidence = evidenceText(link);
+  const name = nameScore(event.name, evidence);
+  const date = mentionsDate(event.start_time, evidence);
+  const time = mentionsTime(event.start_time, evidence);
+
+  const issues = [];
+  if (name === 0) issues.push("name not found");
+  else if (name < 1) issues.push("name only partly found");
+  if (!date) issues.push("date not found");
+  if (!time) issues.push("start time not found");
+
+  const score =
+    CONFIG.nameWeight * name +
+    (1 - CONFIG.nameWeight) * ((Number(date) + Number(time)) / 2);
+  return { score: Math.round(score * 100) / 100, issues };
+}
+
+/**
+ * Find the input link an event came from
+ * By source.url first; an event citing a URL that isn't in the batch is
+ * matched to the link whose title/snippet best contains its name
+ * @param {Object} event - Extracted event
+ * @param {Object[]} links - Batch links
+ * @returns {Object} { link, reattached } (link null if untraceable)
+ */
+function matchLink(event, links) {
+  const url = canonicalUrl(event.source?.url || "");
+  const exact = url && links.find((link) => canonicalUrl(link.url) === url);
+  if (exact) return { link: exact, reattached: false };
+
+  const ranked = links
+    .map((link) => ({ link, score: nameScore(event.name, evidenceText(link)) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, second] = ranked;
+  const unambiguous = best && (!second || second.score < best.score);
+  if (unambiguous && best.score >= CONFIG.flagScore) {
+    return { link: best.link, reattached: true };
+  }
+  return { link: null, reattached: false };
+}
+
+/**
+ * Verify a batch's events against the batch's links
+ * Grounded events get grounding: { score, flagged: false, issues }; events
+ * below flagScore or re-attached to a link are flagged; untraceable events
+ * and events below minScore are rejected, or flagged under the "flag" policy
+ * @param {Object[]} events - Schema-checked events from the batch
+ * @param {Object[]} links - The batch's input links
+ * @param {Object} [options] - Verification options
+ * @param {string} [options.policy] - "reject" or "flag" (defaults to GROUNDING_POLICY)
+ * @returns {Object} { events, rejected, flagged } (rejected entries are { url, name, reason })
+ */
+export function verifyGrounding(events, links, options = {}) {
+  const policy = requirePolicy(options.policy || CONFIG.policy);
+  const kept = [];
+  const rejected = [];
+  let flagged = 0;
+
+  for (const event of events) {
+    const { link, reattached } = matchLink(event, links);
+    const { score, issues } = link
+      ? scoreGrounding(event, link)
+      : { score: 0, issues: ["source URL is not one of the analyzed links"] };
+    if (reattached) {
+      issues.unshift(`source URL ${event.source?.url || "(none)"} is not one of the analyzed links`);
+    }
+
+    if ((!link || score < CONFIG.minScore) && policy !== "flag") {
+      rejected.push({
+        url: event.source?.url || null,
+        name: event.name || null,
+        reason: `Not grounded (score ${score}): ${issues.join(", ")}`,
+      });
+      continue;
+    }
+
+    const isFlagged = !link || reattached || score < CONFIG.flagScore;
+    if (isFlagged) flagged++;
+    kept.push({
+      ...event,
+      ...(reattached && { source: { ...event.source, url: link.url } }),
+      grounding: { score, flagged: isFlagged, issues },
+    });
+  }
+
+  return { events: kept, rejected, flagged };
+}
+
+export default {
+  GROUNDING_POLICIES,
+  scoreGrounding,
+  verifyGrounding,
+};
@@ -0,0 +1,620 @@
+/**
+ * Itinerary Export Module - Markdown, standalone HTML and printable PDF
+ * All formats share one day-by-day model (times, venues, prices, source links
+ * and a per-day summary) and are rendered locally without external services
+ */
+
+import { groupByDate, sortByTime } from "./planner.js";
+import { itineraryTimezone } from "./pipeline.js";
+import { listDates, localHour } from "./timezone.js";
+
+export const EXPORT_FORMATS = ["markdown", "html", "pdf"];
+
+export const EXPORT_CONTENT_TYPES = {
+  markdown: { type: "text/markdown; charset=utf-8", extension: "md" },
+  html: { type: "text/html; charset=utf-8", extension: "html" },
+  pdf: { type: "application/pdf", extension: "pdf" },
+};
+
+const CONFIG = {
+  pageWidth: 612, // US Letter, in points
+  pageHeight: 792,
+  margin: 54,
+};
+
+/**
+ * Local "HH:MM" of an offset-bearing ISO time
+ * @param {string} time - Normalized time
+ * @returns {string} Time of day
+ */
+function clockTime(time) {
+  return time ? time.split("T")[1].slice(0, 5) : "";
+}
+
+/**
+ * Human date label for a YYYY-MM-DD day
+ * @param {string} date - Day
+ * @returns {string} e.g. "Saturday, March 7, 2026"
+ */
+function dayLabel(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC", // YYYY-MM-DD parses as UTC midnight
+  });
+}
+
+/**
+ * Summarize one day for the export
+ * @param {Object[]} items - The day's items (sorted)
+ * @param {Object} coverage - The day's itinerary_by_day entry, if any
+ * @returns {Object} Day summary
+ */
+function summarizeDay(items, coverage = {}) {
+  const hours = items.map((i) => localHour(i.start_time));
+  const legs = coverage.travel_legs || [];
+
+  return {
+    count: items.length,
+    events: items.filter((i) => i.type !== "activity").length,
+    activities: items.filter((i) => i.type === "activity").length,
+    first_start: clockTime(items[0]?.start_time),
+    last_end: clockTime(items.at(-1)?.end_time || items.at(-1)?.start_time),
+    scheduled_minutes: items.reduce(
+      (total, i) => total + (i.duration_minutes || 0),
+      0
+    ),
+    free_items: items.filter((i) => i.pricing?.is_free).length,
+    morning: coverage.hasMorning ?? hours.some((h) => h >= 8 && h < 12),
+    afternoon: coverage.hasAfternoon ?? hours.some((h) => h >= 12 && h < 17),
+    evening: coverage.hasEvening ?? hours.some((h) => h >= 17),
+    travel_minutes: legs.reduce((t, l) => t + (l.duration_minutes || 0), 0),
+    tight_transitions: coverage.infeasible_transitions || 0,
+  };
+}
+
+/**
+ * Build the shared export model for a stored itinerary
+ * @param {Object} record - Stored itinerary
+ * @returns {Object} { title, city, timezone, date_range, interests, days }
+ */
+export function buildExportModel(record) {
+  const items = (record.itinerary || []).filter((i) => i.start_time);
+  const byDate = groupByDate(items);
+  const { start, end } = record.date_range || {};
+  const dates =
+    start && end ? listDates(start, end) : Object.keys(byDate).sort();
+
+  // Include any day with items outside the requested range
+  Object.keys(byDate).forEach((date) => {
+    if (!dates.includes(date)) dates.push(date);
+  });
+  dates.sort();
+
+  const days = dates.map((date) => {
+    const dayItems = sortByTime(byDate[date] || []);
+    return {
+      date,
+      label: dayLabel(date),
+      summary: summarizeDay(dayItems, record.itinerary_by_day?.[date]),
+      items: dayItems.map((item) => ({
+        name: item.name || "Untitled",
+        type: item.type || "event",
+        time: [clockTime(item.start_time), clockTime(item.end_time)]
+          .filter(Boolean)
+          .join("–"),
+        venue: item.location?.venue || "",
+        address: item.location?.address || "",
+        price: item.pricing?.is_free ? "Free" : item.pricing?.price || "",
+        url: item.source?.url || "",
+        description: item.description || "",
+      })),
+    };
+  });
+
+  return {
+    title: `${record.city || "Trip"} itinerary`,
+    city: record.city,
+    timezone: itineraryTimezone(record),
+    date_range: record.date_range,
+    interests: record.interests || [],
+    days,
+  };
+}
+
+/**
+ * Count with a singular or plural noun
+ * @param {number} count - Count
+ * @param {string} singular - Singular noun
+ * @param {string} [pluralForm] - Plural noun (defaults to singular + "s")
+ * @returns {string} e.g. "1 event", "3 events"
+ */
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+/**
+ * One-line per-day summary text
+ * @param {Object} summary - Day summary
+ * @returns {string} Summary line
+ */
+function summaryLine(summary) {
+  if (summary.count === 0) return "Nothing scheduled";
+
+  const parts = [
+    `${plural(summary.count, "item")} (${plural(summary.events, "event")}, ${plural(
+      summary.activities,
+      "activity",
+      "activities"
+    )})`,
+    `${summary.first_start}–${summary.last_end}`,
+    `Morning ${summary.morning ? "✓" : "✗"} · Afternoon ${
+      summary.afternoon ? "✓" : "✗"
+    } · Evening ${summary.evening ? "✓" : "✗"}`,
+  ];
+  if (summary.free_items > 0) parts.push(`${summary.free_items} free`);
+  if (summary.travel_minutes > 0) {
+    parts.push(`~${summary.travel_minutes} min travel`);
+  }
+  if (summary.tight_transitions > 0) {
+    parts.push(plural(summary.tight_transitions, "tight transition"));
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Trip subtitle (dates, timezone, interests)
+ * @param {Object} model - Export model
+ * @returns {string} Subtitle
+ */
+function subtitle(model) {
+  const { start, end } = model.date_range || {};
+  const range = start === end || !end ? start : `${start} to ${end}`;
+  return [range, model.timezone, model.interests.join(", ")]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * Escape Markdown control characters in inline text
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>#|])/g, "\\$1");
+}
+
+/**
+ * Render the itinerary as Markdown
+ * @param {Object} record - Stored itinerary
+ * @returns {string} Markdown document
+ */
+export function renderMarkdown(record) {
+  const model = buildExportModel(record);
+  const lines = [
+    `# ${escapeMarkdown(model.title)}`,
+    "",
+    `_${escapeMarkdown(subtitle(model))}_`,
+    "",
+  ];
+
+  model.days.forEach((day) => {
+    lines.push(`## ${day.label}`, "", `> ${summaryLine(day.summary)}`, "");
+
+    day.items.forEach((item) => {
+      const tag = item.type === "activity" ? " _(suggested)_" : "";
+      lines.push(`### ${item.time} · ${escapeMarkdown(item.name)}${tag}`, "");
+      const place = [item.venue, item.address].filter(Boolean).join(", ");
+      if (place) lines.push(`- **Where:** ${escapeMarkdown(place)}`);
+      if (item.price) lines.push(`- **Price:** ${escapeMarkdown(item.price)}`);
+      if (item.url) lines.push(`- **Link:** <${item.url}>`);
+      if (item.description) lines.push("", escapeMarkdown(item.description));
+      lines.push("");
+    });
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Render the itinerary as a standalone, printable HTML page
+ * @param {Object} record - Stored itinerary
+ * @returns {string} HTML document
+ */
+export function renderHtml(record) {
+  const model = buildExportModel(record);
+
+  const days = model.days
+    .map((day) => {
+      const items = day.items
+        .map((item) => {
+          const place = [item.venue, item.address].filter(Boolean).join(", ");
+          const url = /^https?:\/\//i.test(item.url) ? item.url : "";
+          return `      <li class="item ${escapeHtml(item.type)}">
+        <div class="time">${escapeHtml(item.time)}</div>
+        <div class="details">
+          <h3>${escapeHtml(item.name)}${
+            item.type === "activity" ? ' <span class="tag">suggested</span>' : ""
+          }</h3>
+          ${place ? `<p class="place">${escapeHtml(place)}</p>` : ""}
+          ${item.price ? `<p class="price">${escapeHtml(item.price)}</p>` : ""}
+          ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ""}
+          ${url ? `<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>` : ""}
+        </div>
+      </li>`;
+        })
+        .join("\n");
+
+      return `  <section class="day">
+    <h2>${escapeHtml(day.label)}</h2>
+    <p class="summary">${escapeHtml(summaryLine(day.summary))}</p>
+    <ol>
+${items}
+    </ol>
+  </section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(model.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+  h1 { margin-bottom: 0.2rem; }
+  .subtitle { color: #666; margin-top: 0; }
+  .day { margin-top: 2rem; break-inside: avoid-page; }
+  .day h2 { border-bottom: 2px solid #222; padding-bottom: 0.2rem; }
+  .summary { color: #555; font-size: 0.9rem; }
+  ol { list-style: none; padding: 0; }
+  .item { display: flex; gap: 1rem; padding: 0.6rem 0; border-bottom: 1px solid #eee; break-inside: avoid; }
+  .time { flex: 0 0 7.5rem; font-variant-numeric: tabular-nums; font-weight: 600; }
+  .details h3 { margin: 0 0 0.2rem; font-size: 1.05rem; }
+  .details p { margin: 0.15rem 0; }
+  .place, .price { color: #444; font-size: 0.92rem; }
+  .tag { font-size: 0.75rem; font-weight: normal; background: #eef; border-radius: 4px; padding: 0 0.35rem; }
+  a { color: #1a55c4; word-break: break-all; }
+  @media print { body { margin: 0; } a { color: #222; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(model.title)}</h1>
+  <p class="subtitle">${escapeHtml(subtitle(model))}</p>
+${days}
+</body>
+</html>
+`;
+}
+
+// Unicode → Windows-1252 for characters outside Latin-1
+const WIN_ANSI = {
+  "€": 0x80,
+  "‚": 0x82,
+  "ƒ": 0x83,
+  "„": 0x84,
+  "…": 0x85,
+  "†": 0x86,
+  "‡": 0x87,
+  "ˆ": 0x88,
+  "‰": 0x89,
+  "Š": 0x8a,
+  "‹": 0x8b,
+  "Œ": 0x8c,
+  "Ž": 0x8e,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "˜": 0x98,
+  "™": 0x99,
+  "š": 0x9a,
+  "›": 0x9b,
+  "œ": 0x9c,
+  "ž": 0x9e,
+  "Ÿ": 0x9f,
+};
+
+// Symbols the standard fonts can't draw
+const PDF_REPLACEMENTS = { "✓": "yes", "✗": "no" };
+
+/**
+ * Encode text for a PDF string in WinAnsiEncoding
+ * Unsupported characters become "?"
+ * @param {string} text - Unicode text
+ * @returns {string} Escaped PDF string body (one char per byte)
+ */
+function pdfString(text) {
+  let out = "";
+  for (const char of String(text)) {
+    const replaced = PDF_REPLACEMENTS[char];
+    if (replaced) {
+      out += replaced;
+      continue;
+    }
+    const code = char.codePointAt(0);
+    let byte = WIN_ANSI[char] ?? (code < 256 ? code : 0x3f);
+    if (byte < 0x20 && byte !== 0x09) byte = 0x20;
+    const c = String.fromCharCode(byte);
+    out += c === "\\" || c === "(" || c === ")" ? `\\${c}` : c;
+  }
+  return out;
+}
+
+/**
+ * Wrap text to a width using average Helvetica glyph widths
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @param {boolean} bold - Bold font
+ * @param {number} width - Available width in points
+ * @returns {string[]} Lines
+ */
+function wrapText(text, size, bold, width) {
+  const maxChars = Math.max(
+    10,
+    Math.floor(width / (size * (bold ? 0.56 : 0.5)))
+  );
+  const lines = [];
+
+  String(text)
+    .split("\n")
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(/\s+/).forEach((word) => {
+        // Break words longer than a line (e.g. URLs)
+        while (word.length > maxChars) {
+          if (line) {
+            lines.push(line);
+            line = "";
+          }
+          lines.push(word.slice(0, maxChars));
+          word = word.slice(maxChars);
+        }
+        if (!line) {
+          line = word;
+        } else if (line.length + 1 + word.length <= maxChars) {
+          line += ` ${word}`;
+        } else {
+          lines.push(line);
+          line = word;
+        }
+      });
+      lines.push(line);
+    });
+
+  return lines;
+}
+
+/**
+ * Lay out text blocks onto pages
+ * @param {Object[]} blocks - { text, size, bold, indent, spaceBefore, link, color }
+ * @returns {Object[]} Pages of { content, links }
+ */
+function layoutPages(blocks) {
+  const { pageWidth, pageHeight, margin } = CONFIG;
+  const pages = [];
+  let page = null;
+  let y = 0;
+
+  const newPage = () => {
+    page = { content: [], links: [] };
+    pages.push(page);
+    y = pageHeight - margin;
+  };
+  newPage();
+
+  blocks.forEach((block) => {
+    const size = block.size || 10;
+    const leading = size * 1.35;
+    const indent = block.indent || 0;
+    const lines = wrapText(
+      block.text,
+      size,
+      block.bold,
+      pageWidth - 2 * margin - indent
+    );
+
+    y -= block.spaceBefore || 0;
+    // Keep headings with at least two following lines
+    const needed = leading * (block.keepWithNext ? lines.length + 2 : 1);
+    if (y - needed < margin) newPage();
+
+    lines.forEach((line) => {
+      if (y - leading < margin) newPage();
+      y -= leading;
+      const x = margin + indent;
+      const color = block.color || "0 0 0";
+      page.content.push(
+        `BT /${block.bold ? "F2" : "F1"} ${size} Tf ${color} rg ${x} ${y.toFixed(
+          2
+        )} Td (${pdfString(line)}) Tj ET`
+      );
+      if (block.link) {
+        page.links.push({
+          rect: [x, y - 2, pageWidth - margin, y + size],
+          url: block.link,
+        });
+      }
+    });
+  });
+
+  return pages;
+}
+
+/**
+ * Serialize pages into a PDF file
+ * @param {Object[]} pages - From layoutPages()
+ * @param {string} title - Document title
+ * @returns {Buffer} PDF bytes
+ */
+function writePdf(pages, title) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const regularId = add(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+  );
+  const boldId = add(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  );
+  const infoId = add(
+    `<< /Title (${pdfString(title)}) /Producer (itinerary-server) >>`
+  );
+
+  const pageIds = pages.map((page) => {
+    const stream = page.content.join("\n");
+    const contentId = add(
+      `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`
+    );
+    const annotIds = page.links.map((link) =>
+      add(
+        `<< /Type /Annot /Subtype /Link /Rect [${link.rect
+          .map((n) => n.toFixed(2))
+          .join(" ")}] /Border [0 0 0] /A << /S /URI /URI (${pdfString(
+          link.url
+        )}) >> >>`
+      )
+    );
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${CONFIG.pageWidth} ${CONFIG.pageHeight}] ` +
+        `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> ` +
+        `/Contents ${contentId} 0 R` +
+        (annotIds.length
+          ? ` /Annots [${annotIds.map((id) => `${id} 0 R`).join(" ")}]`
+          : "") +
+        " >>"
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pageIds.length} >>`;
+
+  let pdf = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+/**
+ * Render the itinerary as a printable PDF
+ * @param {Object} record - Stored itinerary
+ * @returns {Buffer} PDF bytes
+ */
+export function renderPdf(record) {
+  const model = buildExportModel(record);
+  const grey = "0.35 0.35 0.35";
+  const blocks = [
+    { text: model.title, size: 20, bold: true },
+    { text: subtitle(model), size: 10, color: grey, spaceBefore: 4 },
+  ];
+
+  model.days.forEach((day) => {
+    blocks.push(
+      {
+        text: day.label,
+        size: 14,
+        bold: true,
+        spaceBefore: 18,
+        keepWithNext: true,
+      },
+      { text: summaryLine(day.summary), size: 9, color: grey, spaceBefore: 2 }
+    );
+
+    day.items.forEach((item) => {
+      const suffix = item.type === "activity" ? " (suggested)" : "";
+      blocks.push({
+        text: `${item.time}   ${item.name}${suffix}`,
+        size: 11,
+        bold: true,
+        spaceBefore: 10,
+        keepWithNext: true,
+      });
+      const place = [item.venue, item.address].filter(Boolean).join(", ");
+      if (place) blocks.push({ text: place, indent: 12 });
+      if (item.price) blocks.push({ text: `Price: ${item.price}`, indent: 12 });
+      if (item.description) {
+        blocks.push({ text: item.description, indent: 12, color: grey });
+      }
+      if (item.url) {
+        blocks.push({
+          text: item.url,
+          indent: 12,
+          size: 9,
+          color: "0.1 0.33 0.77",
+          link: item.url,
+        });
+      }
+    });
+  });
+
+  return writePdf(layoutPages(blocks), model.title);
+}
+
+/**
+ * Render an itinerary in one of EXPORT_FORMATS
+ * @param {Object} record - Stored itinerary
+ * @param {string} format - markdown/html/pdf
+ * @returns {string|Buffer} Document
+ */
+export function renderExport(record, format) {
+  switch (format) {
+    case "markdown":
+      return renderMarkdown(record);
+    case "html":
+      return renderHtml(record);
+    case "pdf":
+      return renderPdf(record);
+    default:
+      throw new Error(
+        `Unknown export format "${format}". Available: ${EXPORT_FORMATS.join(", ")}`
+      );
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  buildExportModel,
+  renderMarkdown,
+  renderHtml,
+  renderPdf,
+  renderExport,
+};
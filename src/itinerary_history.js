@@ -0,0 +1,308 @@
+/**
+ * Itinerary History Module - Versioned revisions, undo/redo and restore
+ * Every change to a stored itinerary appends a revision holding a snapshot of
+ * its items. Undo, redo and restore also append revisions, so versions only
+ * move forward and nothing in the history is ever rewritten.
+ */
+
+import {
+  getItinerary,
+  updateItinerary,
+  getHistory,
+  saveHistory,
+} from "./itinerary_store.js";
+import { rebuildItinerary } from "./pipeline.js";
+
+/**
+ * Error with an HTTP status for the API layer
+ */
+export class HistoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "HistoryError";
+    this.status = status;
+  }
+}
+
+// Fields compared per activity when diffing revisions
+const DIFF_FIELDS = [
+  "name",
+  "type",
+  "start_time",
+  "end_time",
+  "duration_minutes",
+  "location",
+  "coordinates",
+  "description",
+  "pricing",
+];
+
+/**
+ * Build a revision entry
+ * @param {Object} record - Stored itinerary at this version
+ * @param {Object} meta - { source, edit_request, operation, operations, change_summary, activity_id, restored_version }
+ * @returns {Object} Revision
+ */
+function buildRevision(record, meta) {
+  return {
+    version: record.version,
+    created_at: record.updated_at,
+    source: meta.source,
+    edit_request: meta.edit_request || null,
+    operation: meta.operation || null,
+    operations: meta.operations || null,
+    change_summary: meta.change_summary || null,
+    activity_id: meta.activity_id || null,
+    restored_version: meta.restored_version ?? null,
+    snapshot: record.itinerary,
+  };
+}
+
+/**
+ * Load history for a stored itinerary, creating it from the current record
+ * for itineraries stored before history existed
+ * @param {Object} record - Stored itinerary
+ * @returns {Object} { revisions, undo_stack, redo_stack }
+ */
+function loadHistory(record) {
+  return (
+    getHistory(record.id) || {
+      revisions: [buildRevision(record, { source: "generate" })],
+      undo_stack: [],
+      redo_stack: [],
+    }
+  );
+}
+
+/**
+ * Load a record or fail with 404
+ * @param {string} id - Itinerary ID
+ * @returns {Object} Stored itinerary
+ */
+function requireItinerary(id) {
+  const record = getItinerary(id);
+  if (!record) {
+    throw new HistoryError("Itinerary not found", 404);
+  }
+  return record;
+}
+
+/**
+ * Find a revision or fail with 404
+ * @param {Object} history - History
+ * @param {number} version - Version number
+ * @returns {Object} Revision
+ */
+function requireRevision(history, version) {
+  const revision = history.revisions.find((r) => r.version === Number(version));
+  if (!revision) {
+    throw new HistoryError(`Revision ${version} not found`, 404);
+  }
+  return revision;
+}
+
+/**
+ * Write new items as the next version and append its revision
+ * Travel estimates may await a routing service, so the write is rejected if
+ * another change landed on the itinerary in the meantime
+ * @param {Object} record - Current stored itinerary
+ * @param {Object} history - Its history (mutated)
+ * @param {Object[]} items - New items
+ * @param {Object} meta - Revision metadata
+ * @returns {Promise<Object>} Updated record
+ */
+async function commit(record, history, items, meta) {
+  const rebuilt = await rebuildItinerary(record, items);
+  const updated = updateItinerary(record.id, (current) => {
+    if (current.version !== record.version) {
+      throw new HistoryError(
+        `Itinerary changed while saving (now version ${current.version}), retry`,
+        409
+      );
+    }
+    return rebuilt;
+  });
+  if (!updated) {
+    throw new HistoryError("Itinerary not found", 404);
+  }
+  history.revisions.push(buildRevision(updated, meta));
+  saveHistory(record.id, history);
+  return updated;
+}
+
+/**
+ * Start history for a newly stored itinerary
+ * @param {Object} record - Stored itinerary (version 1)
+ */
+export function initHistory(record) {
+  saveHistory(record.id, loadHistory(record));
+}
+
+/**
+ * Record an edit as a new version
+ * @param {string} id - Itinerary ID
+ * @param {Object[]} items - Items after the edit
+ * @param {Object} meta - { edit_request, operation, operations, change_summary, activity_id }
+ * @returns {Promise<Object>} Updated record
+ */
+export async function recordEdit(id, items, meta) {
+  const record = requireItinerary(id);
+  const history = loadHistory(record);
+
+  history.undo_stack.push(record.version);
+  history.redo_stack = [];
+  return commit(record, history, items, { source: "edit", ...meta });
+}
+
+/**
+ * Undo the latest change (returns to the version before it)
+ * @param {string} id - Itinerary ID
+ * @returns {Promise<Object>} Updated record
+ */
+export async function undo(id) {
+  const record = requireItinerary(id);
+  const history = loadHistory(record);
+
+  const target = history.undo_stack.pop();
+  if (target === undefined) {
+    throw new HistoryError("Nothing to undo", 409);
+  }
+  history.redo_stack.push(record.version);
+
+  const revision = requireRevision(history, target);
+  return commit(record, history, revision.snapshot, {
+    source: "undo",
+    change_summary: `Undo: back to version ${target}`,
+    restored_version: target,
+  });
+}
+
+/**
+ * Redo the latest undone change
+ * @param {string} id - Itinerary ID
+ * @returns {Promise<Object>} Updated record
+ */
+export async function redo(id) {
+  const record = requireItinerary(id);
+  const history = loadHistory(record);
+
+  const target = history.redo_stack.pop();
+  if (target === undefined) {
+    throw new HistoryError("Nothing to redo", 409);
+  }
+  history.undo_stack.push(record.version);
+
+  const revision = requireRevision(history, target);
+  return commit(record, history, revision.snapshot, {
+    source: "redo",
+    change_summary: `Redo: forward to version ${target}`,
+    restored_version: target,
+  });
+}
+
+/**
+ * Restore any earlier version as a new version (undoable)
+ * @param {string} id - Itinerary ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} Updated record
+ */
+export async function restoreVersion(id, version) {
+  const record = requireItinerary(id);
+  const history = loadHistory(record);
+  const revision = requireRevision(history, version);
+
+  history.undo_stack.push(record.version);
+  history.redo_stack = [];
+  return commit(record, history, revision.snapshot, {
+    source: "restore",
+    change_summary: `Restored version ${revision.version}`,
+    restored_version: revision.version,
+  });
+}
+
+/**
+ * List revisions without their snapshots
+ * @param {string} id - Itinerary ID
+ * @returns {Object} { current_version, can_undo, can_redo, revisions }
+ */
+export function listRevisions(id) {
+  const record = requireItinerary(id);
+  const history = loadHistory(record);
+
+  return {
+    current_version: record.version,
+    can_undo: history.undo_stack.length > 0,
+    can_redo: history.redo_stack.length > 0,
+    revisions: history.revisions.map(({ snapshot, ...revision }) => ({
+      ...revision,
+      item_count: snapshot.length,
+    })),
+  };
+}
+
+/**
+ * Get one revision including its snapshot
+ * @param {string} id - Itinerary ID
+ * @param {number} version - Version number
+ * @returns {Object} Revision
+ */
+export function getRevision(id, version) {
+  const record = requireItinerary(id);
+  return requireRevision(loadHistory(record), version);
+}
+
+/**
+ * Diff two revisions by activity ID
+ * @param {string} id - Itinerary ID
+ * @param {number} fromVersion - Older version
+ * @param {number} [toVersion] - Newer version (defaults to current)
+ * @returns {Object} { from, to, added, removed, changed }
+ */
+export function diffRevisions(id, fromVersion, toVersion) {
+  const record = requireItinerary(id);
+  const history = loadHistory(record);
+  const from = requireRevision(history, fromVersion);
+  const to = requireRevision(history, toVersion ?? record.version);
+
+  const before = new Map(from.snapshot.map((item) => [item.id, item]));
+  const after = new Map(to.snapshot.map((item) => [item.id, item]));
+
+  const added = to.snapshot.filter((item) => !before.has(item.id));
+  const removed = from.snapshot.filter((item) => !after.has(item.id));
+  const changed = [];
+
+  for (const [activityId, item] of after) {
+    const old = before.get(activityId);
+    if (!old) continue;
+
+    const changes = {};
+    for (const field of DIFF_FIELDS) {
+      if (JSON.stringify(old[field]) !== JSON.stringify(item[field])) {
+        changes[field] = { from: old[field] ?? null, to: item[field] ?? null };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ id: activityId, name: item.name, changes });
+    }
+  }
+
+  return {
+    from: from.version,
+    to: to.version,
+    added,
+    removed,
+    changed,
+  };
+}
+
+export default {
+  HistoryError,
+  initHistory,
+  recordEdit,
+  undo,
+  redo,
+  restoreVersion,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+};
@@ -0,0 +1,268 @@
+/**
+ * Itinerary Store Module - File-backed persistence for generated itineraries
+ * Each itinerary is saved as data/itineraries/<id>.json under a stable ID,
+ * with its revision history next to it in <id>.history.json
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = {
+  dataDir:
+    process.env.ITINERARY_DATA_DIR ||
+    path.join(__dirname, "../data/itineraries"),
+  defaultPageSize: 20,
+  maxPageSize: 100,
+};
+
+const ID_PATTERN = /^itn_[a-f0-9]{16}$/;
+
+/**
+ * Ensure the data directory exists
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(CONFIG.dataDir)) {
+    fs.mkdirSync(CONFIG.dataDir, { recursive: true });
+  }
+}
+
+/**
+ * Path of the file for an itinerary ID (null for malformed IDs)
+ * @param {string} id - Itinerary ID
+ * @returns {string|null} File path
+ */
+function fileFor(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  return path.join(CONFIG.dataDir, `${id}.json`);
+}
+
+/**
+ * Path of the revision history file for an itinerary ID
+ * @param {string} id - Itinerary ID
+ * @returns {string|null} File path
+ */
+function historyFileFor(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  return path.join(CONFIG.dataDir, `${id}.history.json`);
+}
+
+/**
+ * Write JSON atomically (temp file + rename)
+ * @param {string} file - Target path
+ * @param {Object} data - JSON data
+ */
+function writeJSON(file, data) {
+  ensureDataDir();
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Read a stored JSON file
+ * @param {string} file - Path
+ * @param {string} label - What the file holds, for the error message
+ * @returns {Object} Parsed data
+ * @throws {Error} If the file can't be read or parsed
+ */
+function readJSON(file, label) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`${label} is unreadable: ${error.message}`);
+  }
+}
+
+/**
+ * Generate a new itinerary ID
+ * @returns {string} ID like "itn_3f2a9c0d1b4e5f60"
+ */
+function generateId() {
+  return `itn_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+/**
+ * Write a record atomically
+ * @param {Object} record - Stored itinerary
+ */
+function writeRecord(record) {
+  writeJSON(fileFor(record.id), record);
+}
+
+/**
+ * Save a newly generated itinerary
+ * @param {Object} itinerary - Itinerary response body (city, date_range, itinerary, ...)
+ * @returns {Object} Stored record including id, created_at and updated_at
+ */
+export function saveItinerary(itinerary) {
+  const now = new Date().toISOString();
+  const record = {
+    ...itinerary,
+    id: generateId(),
+    version: 1,
+    created_at: now,
+    updated_at: now,
+  };
+  writeRecord(record);
+  return record;
+}
+
+/**
+ * Load a stored itinerary
+ * @param {string} id - Itinerary ID
+ * @returns {Object|null} Stored record, or null if not found
+ * @throws {Error} If the record exists but is corrupt
+ */
+export function getItinerary(id) {
+  const file = fileFor(id);
+  if (!file || !fs.existsSync(file)) return null;
+  return readJSON(file, `Itinerary ${id}`);
+}
+
+/**
+ * Replace a stored itinerary's contents and bump its version
+ * @param {string} id - Itinerary ID
+ * @param {Function} updater - (record) => updated record
+ * @returns {Object|null} Updated record, or null if not found
+ */
+export function updateItinerary(id, updater) {
+  const current = getItinerary(id);
+  if (!current) return null;
+
+  const updated = {
+    ...updater(current),
+    id,
+    version: (current.version || 1) + 1,
+    created_at: current.created_at,
+    updated_at: new Date().toISOString(),
+  };
+  writeRecord(updated);
+  return updated;
+}
+
+/**
+ * Delete a stored itinerary
+ * @param {string} id - Itinerary ID
+ * @returns {boolean} True if it existed
+ */
+export function deleteItinerary(id) {
+  const file = fileFor(id);
+  if (!file || !fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+
+  const historyFile = historyFileFor(id);
+  if (fs.existsSync(historyFile)) {
+    fs.unlinkSync(historyFile);
+  }
+  return true;
+}
+
+/**
+ * Load an itinerary's revision history
+ * @param {string} id - Itinerary ID
+ * @returns {Object|null} History, or null if none saved yet
+ * @throws {Error} If the history exists but is corrupt
+ */
+export function getHistory(id) {
+  const file = historyFileFor(id);
+  if (!file || !fs.existsSync(file)) return null;
+  return readJSON(file, `History of itinerary ${id}`);
+}
+
+/**
+ * Save an itinerary's revision history
+ * @param {string} id - Itinerary ID
+ * @param {Object} history - History to save
+ */
+export function saveHistory(id, history) {
+  writeJSON(historyFileFor(id), history);
+}
+
+/**
+ * Summary of a stored itinerary for listings
+ * @param {Object} record - Stored record
+ * @returns {Object} Summary
+ */
+function summarize(record) {
+  return {
+    id: record.id,
+    city: record.city,
+    interests: record.interests,
+    date_range: record.date_range,
+    total_items: record.total_items,
+    version: record.version,
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+  };
+}
+
+/**
+ * Load an itinerary for a listing, skipping it if it's corrupt
+ * @param {string} id - Itinerary ID
+ * @returns {Object|null} Stored record, or null if missing or corrupt
+ */
+function readListedItinerary(id) {
+  try {
+    return getItinerary(id);
+  } catch (error) {
+    console.warn(`⚠️ Skipping unreadable itinerary ${id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List stored itineraries, newest first (unreadable records are skipped)
+ * @param {Object} query - Filters and pagination
+ * @param {string} [query.city] - Case-insensitive city substring
+ * @param {string} [query.date] - YYYY-MM-DD that must fall within date_range
+ * @param {number} [query.page] - 1-based page number
+ * @param {number} [query.limit] - Page size
+ * @returns {Object} { items, page, limit, total, total_pages }
+ */
+export function listItineraries(query = {}) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(
+    CONFIG.maxPageSize,
+    Math.max(1, parseInt(query.limit) || CONFIG.defaultPageSize)
+  );
+  const city = query.city?.toLowerCase();
+  const date = query.date;
+
+  ensureDataDir();
+  const records = fs
+    .readdirSync(CONFIG.dataDir)
+    .map((name) => name.replace(/\.json$/, ""))
+    .filter((name) => ID_PATTERN.test(name))
+    .map((id) => readListedItinerary(id))
+    .filter(Boolean)
+    .filter((record) => !city || record.city?.toLowerCase().includes(city))
+    .filter((record) => {
+      if (!date) return true;
+      const { start, end } = record.date_range || {};
+      return start <= date && date <= (end || start);
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  return {
+    items: records.slice((page - 1) * limit, page * limit).map(summarize),
+    page,
+    limit,
+    total: records.length,
+    total_pages: Math.ceil(records.length / limit),
+  };
+}
+
+export default {
+  saveItinerary,
+  getItinerary,
+  updateItinerary,
+  deleteItinerary,
+  listItineraries,
+  getHistory,
+  saveHistory,
+};
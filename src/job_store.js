@@ -0,0 +1,161 @@
+/**
+ * Job Store Module - File-backed persistence for itinerary generation jobs
+ * Each job is saved as data/jobs/<id>.json with its parameters, progress,
+ * the Scout searches and Explorer batches completed so far, and its result
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = {
+  dataDir: process.env.JOB_DATA_DIR || path.join(__dirname, "../data/jobs"),
+};
+
+const ID_PATTERN = /^job_[a-f0-9]{16}$/;
+
+export const JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+/**
+ * Ensure the data directory exists
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(CONFIG.dataDir)) {
+    fs.mkdirSync(CONFIG.dataDir, { recursive: true });
+  }
+}
+
+/**
+ * Path of the file for a job ID
+ * @param {string} id - Job ID
+ * @returns {string|null} File path, or null if the ID is malformed
+ */
+function fileFor(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  return path.join(CONFIG.dataDir, `${id}.json`);
+}
+
+/**
+ * Write a record atomically (temp file + rename)
+ * Writes are synchronous, so concurrent checkpoints can't interleave
+ * @param {Object} record - Job record
+ */
+function writeRecord(record) {
+  ensureDataDir();
+  const file = fileFor(record.id);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(record, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Generate a new job ID
+ * @returns {string} ID like "job_3f2a9c0d1b4e5f60"
+ */
+function generateId() {
+  return `job_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+/**
+ * Save a new queued job
+ * @param {Object} params - Generation parameters (city, interests, start_date, ...)
+ * @returns {Object} Stored job record
+ */
+export function createJob(params) {
+  const now = new Date().toISOString();
+  const record = {
+    id: generateId(),
+    status: "queued",
+    phase: "queued",
+    params,
+    progress: {
+      scout: { completed: 0, total: 0 },
+      explorer: { completed: 0, total: 0 },
+    },
+    checkpoint: { searches: [], batches: [] },
+    attempts: 0,
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null,
+  };
+  writeRecord(record);
+  return record;
+}
+
+/**
+ * Load a job
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job record, or null if not found
+ * @throws {SyntaxError} If the job file is corrupt
+ */
+export function getJob(id) {
+  const file = fileFor(id);
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+/**
+ * Update a job
+ * @param {string} id - Job ID
+ * @param {Function} updater - (record) => updated record
+ * @returns {Object|null} Updated record, or null if not found
+ */
+export function updateJob(id, updater) {
+  const current = getJob(id);
+  if (!current) return null;
+
+  const updated = {
+    ...updater(current),
+    id,
+    created_at: current.created_at,
+    updated_at: new Date().toISOString(),
+  };
+  writeRecord(updated);
+  return updated;
+}
+
+/**
+ * Load a job for listing, skipping a record that can't be read
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job record, or null if missing or corrupt
+ */
+function readListedJob(id) {
+  try {
+    return getJob(id);
+  } catch (error) {
+    console.warn(`⚠️ Skipping unreadable job ${id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List jobs, oldest first (unreadable records are skipped)
+ * @param {Object} [query] - Filters
+ * @param {string[]} [query.statuses] - Only jobs in these statuses
+ * @returns {Object[]} Job records
+ */
+export function listJobs(query = {}) {
+  if (!fs.existsSync(CONFIG.dataDir)) return [];
+
+  return fs
+    .readdirSync(CONFIG.dataDir)
+    .filter((name) => ID_PATTERN.test(path.basename(name, ".json")))
+    .map((name) => readListedJob(path.basename(name, ".json")))
+    .filter((job) => job && (!query.statuses || query.statuses.includes(job.status)))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+export default {
+  JOB_STATUSES,
+  createJob,
+  getJob,
+  updateJob,
+  listJobs,
+};
@@ -0,0 +1,285 @@
+/**
+ * Jobs Module - Background itinerary generation
+ * A job runs the Scout → Explorer → Organize pipeline outside the HTTP
+ * request that created it, checkpointing every completed Scout search and
+ * Explorer batch to the job store. Jobs left queued or running when the
+ * server stopped are resumed from their last checkpoint on startup
+ */
+
+import { Logger } from "./logger.js";
+import {
+  createJob,
+  getJob,
+  updateJob,
+  listJobs,
+} from "./job_store.js";
+import {
+  generateItinerary,
+  buildItineraryResponse,
+  storeItinerary,
+  createModelAccess,
+} from "./pipeline.js";
+import {
+  PROGRESS_EVENTS,
+  createProgressTracker,
+  overallPercent,
+} from "./progress.js";
+
+const CONFIG = {
+  maxConcurrent: parseInt(process.env.JOB_CONCURRENCY) || 2, // Jobs running at once
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3, // Starts before a job is given up
+};
+
+// Jobs waiting for a slot, and jobs running in this process
+const queue = [];
+const active = new Set();
+
+/**
+ * Percent complete from a job's phase and progress counts
+ * @param {Object} job - Job record
+ * @returns {number} 0-100
+ */
+function percentComplete(job) {
+  if (job.status === "completed") return 100;
+  return overallPercent(job.phase, job.progress);
+}
+
+/**
+ * Public view of a job (no checkpoint data or result body)
+ * @param {Object} job - Job record
+ * @returns {Object} Job status
+ */
+export function describeJob(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    phase: job.phase,
+    progress: { ...job.progress, percent: percentComplete(job) },
+    attempts: job.attempts,
+    itinerary_id: job.result?.itinerary_id ?? null,
+    error: job.error,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+}
+
+/**
+ * Mark a job failed
+ * @param {string} id - Job ID
+ * @param {Error|Object} error - What went wrong ({ message, code })
+ */
+function failJob(id, error) {
+  updateJob(id, (job) => ({
+    ...job,
+    status: "failed",
+    error: { message: error.message, code: error.code ?? null },
+    finished_at: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Run (or resume) a job to completion
+ * Failures are recorded on the job, never thrown; a job whose record can't
+ * be read or written is logged and left as it is
+ * @param {string} id - Job ID
+ */
+async function runJob(id) {
+  let logger = null;
+
+  try {
+    const previous = getJob(id);
+    if (!previous) return;
+
+    if (previous.attempts >= CONFIG.maxAttempts) {
+      failJob(id, {
+        message: `Job did not finish after ${previous.attempts} attempts`,
+      });
+      return;
+    }
+
+    const job = updateJob(id, (current) => ({
+      ...current,
+      status: "running",
+      attempts: current.attempts + 1,
+      started_at: current.started_at || new Date().toISOString(),
+    }));
+    const { params, checkpoint } = job;
+    logger = new Logger(id);
+
+    // Phase changes come from the progress events; counts from the checkpoints
+    const progress = createProgressTracker();
+    progress.on(PROGRESS_EVENTS.PHASE_STARTED, ({ phase, total }) =>
+      updateJob(id, (current) => ({
+        ...current,
+        phase,
+        progress: {
+          ...current.progress,
+          [phase]: { completed: 0, ...current.progress[phase], total },
+        },
+      }))
+    );
+
+    logger.log(`\n📥 Job ID: ${id} (attempt ${job.attempts})`);
+    if (checkpoint.searches.length > 0 || checkpoint.batches.length > 0) {
+      logger.log(
+        `♻️ Resuming from checkpoint: ${checkpoint.searches.length} searches, ${checkpoint.batches.length} batches`
+      );
+    }
+
+    const access = createModelAccess(logger, {
+      record: params.record,
+      searchBackend: params.search_backend,
+      bypassCache: params.bypass_cache,
+    });
+
+    const result = await generateItinerary(
+      params.city,
+      params.interests,
+      params.start_date,
+      params.end_date,
+      logger,
+      {
+        searchBackend: access.searchBackend,
+        provider: access.provider,
+        pageFetcher: access.pageFetcher,
+        travelMode: params.travel_mode,
+        travelPolicy: params.travel_policy,
+        fillGaps: params.fill_gaps,
+        cacheMode: access.cacheMode,
+        checkpoint: {
+          searches: checkpoint.searches,
+          batches: checkpoint.batches,
+          onSearch: (search) =>
+            updateJob(id, (current) => {
+              const searches = [...current.checkpoint.searches, search];
+              return {
+                ...current,
+                checkpoint: { ...current.checkpoint, searches },
+                progress: {
+                  ...current.progress,
+                  scout: { ...current.progress.scout, completed: searches.length },
+                },
+              };
+            }),
+          onBatch: (batch) =>
+            updateJob(id, (current) => {
+              const batches = [...current.checkpoint.batches, batch];
+              return {
+                ...current,
+                checkpoint: { ...current.checkpoint, batches },
+                progress: {
+                  ...current.progress,
+                  explorer: {
+                    ...current.progress.explorer,
+                    completed: batches.reduce((sum, b) => sum + b.urls.length, 0),
+                  },
+                },
+              };
+            }),
+        },
+        progress,
+      }
+    );
+
+    if (!result.success) {
+      throw new Error(result.message || "Failed to generate itinerary");
+    }
+
+    const response = buildItineraryResponse(result, {
+      city: params.city,
+      interests: params.interests,
+      startDate: params.start_date,
+      endDate: params.end_date,
+      requestId: id,
+    });
+    response.job_id = id;
+    storeItinerary(response, logger);
+    logger.saveAll();
+
+    // The checkpoint is only needed to resume; the result replaces it
+    updateJob(id, (current) => ({
+      ...current,
+      status: "completed",
+      phase: "done",
+      checkpoint: { searches: [], batches: [] },
+      result: response,
+      error: null,
+      finished_at: new Date().toISOString(),
+    }));
+    logger.log(`✅ Job ${id} completed`);
+  } catch (error) {
+    if (logger) {
+      logger.log(`❌ Job ${id} failed: ${error.message}`);
+      logger.log(`Stack: ${error.stack}`);
+      logger.saveAll();
+    }
+    try {
+      failJob(id, error);
+    } catch (storeError) {
+      console.error(`❌ Job ${id}: could not record the failure: ${storeError.message}`);
+    }
+  }
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function drainQueue() {
+  while (active.size < CONFIG.maxConcurrent && queue.length > 0) {
+    const id = queue.shift();
+    active.add(id);
+    runJob(id).finally(() => {
+      active.delete(id);
+      drainQueue();
+    });
+  }
+}
+
+/**
+ * Queue a job to run in this process
+ * @param {string} id - Job ID
+ */
+function enqueue(id) {
+  if (active.has(id) || queue.includes(id)) return;
+  queue.push(id);
+  drainQueue();
+}
+
+/**
+ * Create a job and queue it
+ * @param {Object} params - Generation parameters
+ * @param {string} params.city - The city
+ * @param {string[]} params.interests - Parsed interests
+ * @param {string} params.start_date - Start date
+ * @param {string} params.end_date - End date
+ * @param {string} [params.search_backend] - Scout backend name
+ * @param {string} [params.travel_mode] - Travel mode between events
+ * @param {string} [params.travel_policy] - "flag" or "resolve"
+ * @param {boolean} [params.fill_gaps] - Fill gaps with suggested activities
+ * @param {boolean} [params.bypass_cache] - Skip cached Scout/Explorer results
+ * @param {boolean} [params.record] - Record model calls
+ * @returns {Object} Job record
+ */
+export function submitJob(params) {
+  const job = createJob(params);
+  enqueue(job.id);
+  return job;
+}
+
+/**
+ * Queue every job left queued or running by a previous server process
+ * @returns {number} Jobs resumed
+ */
+export function resumeJobs() {
+  const unfinished = listJobs({ statuses: ["queued", "running"] });
+  unfinished.forEach((job) => enqueue(job.id));
+  return unfinished.length;
+}
+
+export default {
+  describeJob,
+  submitJob,
+  resumeJobs,
+};
@@ -0,0 +1,338 @@
+/**
+ * LLM Provider Module - Shared model access for Scout, Explorer and edits
+ * Wraps Gemini, OpenAI and an offline fake behind one generate() interface
+ */
+
+import { GoogleGenAI } from "@google/genai";
+import OpenAI from "openai";
+
+import { formatZoned } from "./timezone.js";
+import { guardProvider } from "./circuit_breaker.js";
+
+const CONFIG = {
+  provider: process.env.LLM_PROVIDER || "gemini",
+  googleApiKey: process.env.GOOGLE_API_KEY,
+  geminiModel: process.env.GEMINI_MODEL || "gemini-2.0-flash",
+  openaiApiKey: process.env.OPENAI_API_KEY,
+  openaiModel: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  geminiSchemaWithSearch: /^gemini-3/, // Models that take a response schema alongside search
+};
+
+/**
+ * Provider request shape shared by every implementation
+ * @typedef {Object} GenerateRequest
+ * @property {string} task - Pipeline step making the call (scout/explorer/gap_fill/edit)
+ * @property {string} prompt - Full prompt text
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxOutputTokens] - Output token limit
+ * @property {boolean} [useSearch] - Ask for web search grounding if supported
+ * @property {string} [thinkingLevel] - Reasoning effort hint if supported
+ * @property {Object} [responseSchema] - JSON Schema the output must follow (structured output)
+ * @property {Object} [context] - Structured inputs behind the prompt (used by fakes)
+ * @property {AbortSignal} [signal] - Aborts the call when the run is cancelled
+ */
+
+/**
+ * Provider response shape shared by every implementation
+ * @typedef {Object} GenerateResponse
+ * @property {string} text - Model output text
+ * @property {string} provider - Provider name
+ * @property {string} model - Model name
+ * @property {boolean} [truncated] - Output stopped at maxOutputTokens
+ */
+
+/**
+ * Create a Gemini provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiKey] - Google API key
+ * @param {string} [options.model] - Gemini model name
+ * @returns {Object} Provider with generate()
+ */
+export function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey || CONFIG.googleApiKey;
+  const model = options.model || CONFIG.geminiModel;
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      if (!apiKey) {
+        throw new Error("GOOGLE_API_KEY is required for the Gemini provider");
+      }
+      client = new GoogleGenAI({ apiKey });
+    }
+    return client;
+  }
+
+  return {
+    name: "gemini",
+    model,
+    async generate(request) {
+      const config = {
+        temperature: request.temperature,
+        maxOutputTokens: request.maxOutputTokens,
+      };
+      if (request.useSearch) {
+        config.tools = [{ googleSearch: {} }];
+      }
+      if (request.thinkingLevel) {
+        config.thinkingConfig = { thinkingLevel: request.thinkingLevel };
+      }
+      if (request.signal) {
+        config.abortSignal = request.signal;
+      }
+      // Before Gemini 3, JSON mode can't be combined with search grounding;
+      // those calls rely on the prompt and the parser's shape check instead
+      if (
+        request.responseSchema &&
+        (!request.useSearch || CONFIG.geminiSchemaWithSearch.test(model))
+      ) {
+        config.responseMimeType = "application/json";
+        config.responseJsonSchema = request.responseSchema;
+      }
+
+      const response = await getClient().models.generateContent({
+        model,
+        contents: request.prompt,
+        config,
+      });
+
+      let text = response.text;
+      if (!text && response.candidates?.[0]?.content?.parts?.[0]?.text) {
+        text = response.candidates[0].content.parts[0].text;
+      }
+
+      return {
+        text: text || "",
+        provider: "gemini",
+        model,
+        truncated: response.candidates?.[0]?.finishReason === "MAX_TOKENS",
+      };
+    },
+  };
+}
+
+/**
+ * Create an OpenAI provider
+ * Web search grounding is not available, so useSearch is ignored
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiKey] - OpenAI API key
+ * @param {string} [options.model] - OpenAI model name
+ * @returns {Object} Provider with generate()
+ */
+export function createOpenAIProvider(options = {}) {
+  const apiKey = options.apiKey || CONFIG.openaiApiKey;
+  const model = options.model || CONFIG.openaiModel;
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      if (!apiKey) {
+        throw new Error("OPENAI_API_KEY is required for the OpenAI provider");
+      }
+      client = new OpenAI({ apiKey });
+    }
+    return client;
+  }
+
+  return {
+    name: "openai",
+    model,
+    async generate(request) {
+      const completion = await getClient().chat.completions.create(
+        {
+          model,
+          messages: [{ role: "user", content: request.prompt }],
+          temperature: request.temperature,
+          max_tokens: request.maxOutputTokens,
+          ...(request.responseSchema && {
+            response_format: {
+              type: "json_schema",
+              json_schema: {
+                name: request.task,
+                schema: request.responseSchema,
+                strict: false,
+              },
+            },
+          }),
+        },
+        { signal: request.signal }
+      );
+
+      const choice = completion.choices?.[0];
+      return {
+        text: choice?.message?.content || "",
+        provider: "openai",
+        model,
+        truncated: choice?.finish_reason === "length",
+      };
+    },
+  };
+}
+
+/**
+ * Default offline responses, built from the request context
+ */
+const FAKE_RESPONDERS = {
+  scout: ({ interest, city, date }) => {
+    const slug = String(interest).toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    return {
+      interest,
+      city,
+      date,
+      links: [
+        {
+          url: `https://example.com/events/${slug}-${date}`,
+          title: `${interest} meetup`,
+          snippet: `A hosted ${interest} meetup in ${city} on ${date}`,
+          platform: "Other",
+          confidence: "high",
+        },
+      ],
+      total_found: 1,
+      queries_used: [],
+    };
+  },
+  explorer: ({ links, city }) => ({
+    analyzed_links: links.length,
+    valid_events: links.map((link, i) => ({
+      name: link.title || `Event ${i + 1}`,
+      type: "event",
+      category: "meetup",
+      location: {
+        venue: "Community Hall",
+        address: `${100 + i} Main St`,
+        city,
+      },
+      coordinates: { lat: 40.7128, lng: -74.006 },
+      start_time: `${link.date}T${String(10 + ((i * 3) % 10)).padStart(2, "0")}:00:00`,
+      end_time: `${link.date}T${String(12 + ((i * 3) % 10)).padStart(2, "0")}:00:00`,
+      duration_minutes: 120,
+      description: link.snippet || "",
+      source: { platform: link.platform || "Other", url: link.url },
+      pricing: { is_free: true, price: "Free", currency: "USD" },
+      tags: [link.interest].filter(Boolean),
+      interest_matched: link.interest,
+      target_date: link.date,
+    })),
+    rejected_links: [],
+  }),
+  edit: ({ current_activity }) => ({
+    operation: "update_description",
+    updated_activity: {
+      description: `${current_activity?.description || ""}`.trim(),
+    },
+    change_summary: "No changes (offline provider)",
+  }),
+  gap_fill: ({ city, interests, timezone, gaps }) => ({
+    activities: (gaps || []).map((gap, i) => {
+      const start = new Date(new Date(gap.start).getTime() + 15 * 60000);
+      const end = new Date(start.getTime() + 60 * 60000);
+      const zone = timezone || "UTC";
+      return {
+        gap_index: i,
+        name: `Corner Café ${i + 1}`,
+        type: "activity",
+        category: "cafe",
+        location: { venue: `Corner Café ${i + 1}`, address: "1 Side St", city },
+        coordinates: gap.coordinates || { lat: 40.7128, lng: -74.006 },
+        start_time: formatZoned(start, zone),
+        end_time: formatZoned(end, zone),
+        description: "A quiet café between events",
+        pricing: { is_free: false, price: "$5", currency: "USD" },
+        tags: ["coffee"],
+        interest_matched: interests?.[0],
+      };
+    }),
+  }),
+  batch_edit: () => ({
+    operations: [],
+    change_summary: "No changes (offline provider)",
+  }),
+};
+
+/**
+ * Create an offline fake provider for tests and local runs
+ * @param {Object} options - Provider options
+ * @param {Object} [options.responses] - Per-task overrides: object or (context, request) => object|string
+ * @returns {Object} Provider with generate() and a calls log
+ */
+export function createFakeProvider(options = {}) {
+  const responses = { ...FAKE_RESPONDERS, ...(options.responses || {}) };
+  const calls = [];
+
+  return {
+    name: "fake",
+    model: "fake",
+    calls,
+    async generate(request) {
+      calls.push(request);
+      const responder = responses[request.task];
+      if (responder === undefined) {
+        throw new Error(`Fake provider has no response for task "${request.task}"`);
+      }
+
+      const output =
+        typeof responder === "function"
+          ? responder(request.context || {}, request)
+          : responder;
+      const text = typeof output === "string" ? output : JSON.stringify(output);
+
+      return { text, provider: "fake", model: "fake", truncated: false };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  fake: createFakeProvider,
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name (gemini/openai/fake)
+ * @param {Object} options - Options passed to the provider factory
+ * @returns {Object} Provider
+ */
+export function createProvider(name, options = {}) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDER_FACTORIES).join(", ")}`
+    );
+  }
+  return factory(options);
+}
+
+// Shared provider instances, one per name
+const providers = new Map();
+
+/**
+ * Get the shared provider for a name (defaults to LLM_PROVIDER)
+ * Calls go through the provider's circuit breaker
+ * @param {string} [name] - Provider name
+ * @returns {Object} Provider
+ */
+export function getProvider(name = CONFIG.provider) {
+  if (!providers.has(name)) {
+    providers.set(name, guardProvider(createProvider(name)));
+  }
+  return providers.get(name);
+}
+
+/**
+ * Name of the provider selected by configuration
+ * @returns {string} Provider name
+ */
+export function getDefaultProviderName() {
+  return CONFIG.provider;
+}
+
+export default {
+  createProvider,
+  getProvider,
+  getDefaultProviderName,
+  createGeminiProvider,
+  createOpenAIProvider,
+  createFakeProvider,
+};
@@ -0,0 +1,152 @@
+/**
+ * Logger Module - Per-request log folders
+ * Writes console output and pipeline results to logs/request_<timestamp>_<id>/
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create logs directory if it doesn't exist
+export const logsDir = path.join(__dirname, "../logs");
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir, { recursive: true });
+}
+
+// Logger utility
+export class Logger {
+  constructor(requestId) {
+    this.requestId = requestId;
+    this.timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+    // Create a subfolder for this request
+    this.folderName = `request_${this.timestamp}_${requestId}`;
+    this.requestDir = path.join(logsDir, this.folderName);
+    if (!fs.existsSync(this.requestDir)) {
+      fs.mkdirSync(this.requestDir, { recursive: true });
+    }
+
+    // File paths within the subfolder
+    this.logFile = path.join(this.requestDir, "console.log");
+    this.scoutFile = path.join(this.requestDir, "scout.json");
+    this.explorerFile = path.join(this.requestDir, "explorer.json");
+    this.itineraryFile = path.join(this.requestDir, "itinerary.json");
+    this.requestFile = path.join(this.requestDir, "request.json");
+    this.modelCallsFile = path.join(this.requestDir, "model_calls.jsonl");
+    this.cancelledFile = path.join(this.requestDir, "cancelled.json");
+    this.progressFile = path.join(this.requestDir, "progress.jsonl");
+
+    // Track platforms used for search_summary
+    this.platformsUsed = new Set();
+
+    this.data = {
+      city: null,
+      interests: null,
+      startDate: null,
+      endDate: null,
+    };
+  }
+
+  log(message) {
+    const logEntry = `[${new Date().toISOString()}] ${message}\n`;
+    console.log(message);
+    fs.appendFileSync(this.logFile, logEntry);
+  }
+
+  saveRequest(params) {
+    // Pipeline inputs, so the run can be replayed from this folder
+    fs.writeFileSync(this.requestFile, JSON.stringify(params, null, 2));
+  }
+
+  followProgress(progress) {
+    // One line per typed progress event; extracted events are kept short,
+    // explorer.json has them in full
+    progress.on("progress", (entry) => {
+      const line = entry.event
+        ? {
+            ...entry,
+            event: { name: entry.event.name, start_time: entry.event.start_time },
+          }
+        : entry;
+      fs.appendFileSync(this.progressFile, JSON.stringify(line) + "\n");
+    });
+  }
+
+  logScoutResults(results) {
+    this.log(
+      `\n📊 Scout Results: ${results.totalLinksFound} unique links found`
+    );
+
+    // Save full scout results
+    fs.writeFileSync(this.scoutFile, JSON.stringify(results, null, 2));
+    this.log(`📁 Scout results saved to: ${this.folderName}/scout.json`);
+  }
+
+  logExplorerResults(results) {
+    this.log(
+      `\n📊 Explorer Results: ${results.totalEvents} valid events extracted`
+    );
+
+    // Track platforms from events
+    if (results.events) {
+      results.events.forEach((event) => {
+        if (event.source?.platform) {
+          this.platformsUsed.add(event.source.platform);
+        }
+      });
+    }
+
+    // Save full explorer results
+    fs.writeFileSync(this.explorerFile, JSON.stringify(results, null, 2));
+    this.log(`📁 Explorer results saved to: ${this.folderName}/explorer.json`);
+  }
+
+  logFinalItinerary(events) {
+    this.log(`\n✅ Final itinerary generated with ${events.length} events`);
+
+    // Clean events to match the previous format (remove interest_matched and target_date)
+    const cleanedEvents = events.map((event) => {
+      const { interest_matched, target_date, ...cleanEvent } = event;
+      return cleanEvent;
+    });
+
+    // Build the itinerary output in the previous format
+    const itineraryOutput = {
+      itinerary: cleanedEvents,
+      search_summary: {
+        platforms_used: Array.from(this.platformsUsed),
+        search_date: new Date().toISOString(),
+      },
+    };
+
+    // Save itinerary JSON
+    fs.writeFileSync(
+      this.itineraryFile,
+      JSON.stringify(itineraryOutput, null, 2)
+    );
+    this.log(`📁 Itinerary saved to: ${this.folderName}/itinerary.json`);
+  }
+
+  logCancelled(reason) {
+    this.log(`\n🛑 Run cancelled: ${reason}`);
+
+    // Marks the folder, so a partial run isn't mistaken for a finished one
+    fs.writeFileSync(
+      this.cancelledFile,
+      JSON.stringify(
+        { cancelled: true, reason, cancelled_at: new Date().toISOString() },
+        null,
+        2
+      )
+    );
+  }
+
+  saveAll() {
+    this.log(`\n📦 All logs saved to folder: ${this.folderName}`);
+  }
+}
+
+export default Logger;
@@ -0,0 +1,193 @@
+/**
+ * Model Recorder Module - Record and replay model calls
+ * Record mode appends every prompt/response pair (and every search and page
+ * fetch) to model_calls.jsonl in the request's log folder; replay mode
+ * answers the same calls from that file
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const MODEL_CALLS_FILE = "model_calls.jsonl";
+export const REQUEST_FILE = "request.json";
+
+/**
+ * Stable key for a call: same task and prompt → same key
+ * @param {string} task - Pipeline step (scout/explorer/edit/search/fetch)
+ * @param {string} prompt - Prompt text, search query or page URL
+ * @returns {string} sha256 hex digest
+ */
+export function callKey(task, prompt) {
+  return crypto
+    .createHash("sha256")
+    .update(`${task}\n${prompt}`)
+    .digest("hex");
+}
+
+/**
+ * Create a recorder that appends call entries to a JSONL file
+ * @param {string} file - Path to model_calls.jsonl
+ * @returns {Object} Recorder with wrapProvider(), wrapSearchBackend() and wrapPageFetcher()
+ */
+export function createRecorder(file) {
+  let seq = 0;
+
+  function append(task, prompt, response) {
+    const entry = {
+      seq: ++seq,
+      task,
+      key: callKey(task, prompt),
+      prompt,
+      response,
+      recorded_at: new Date().toISOString(),
+    };
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+  }
+
+  return {
+    file,
+    wrapProvider(provider) {
+      return {
+        ...provider,
+        async generate(request) {
+          const response = await provider.generate(request);
+          append(request.task, request.prompt, response);
+          return response;
+        },
+      };
+    },
+    wrapSearchBackend(backend) {
+      return {
+        ...backend,
+        async search(query, searchOptions) {
+          const links = await backend.search(query, searchOptions);
+          append("search", query, { links });
+          return links;
+        },
+      };
+    },
+    wrapPageFetcher(fetcher) {
+      return {
+        ...fetcher,
+        async fetch(url, fetchOptions) {
+          const page = await fetcher.fetch(url, fetchOptions);
+          append("fetch", url, { page });
+          return page;
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Load a recorded request folder
+ * @param {string} dir - Request log folder
+ * @returns {Object} { request, calls } where request is the saved pipeline input
+ */
+export function loadRecording(dir) {
+  const callsFile = path.join(dir, MODEL_CALLS_FILE);
+  if (!fs.existsSync(callsFile)) {
+    throw new Error(`No ${MODEL_CALLS_FILE} in ${dir} (was it recorded?)`);
+  }
+
+  const calls = fs
+    .readFileSync(callsFile, "utf-8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+
+  const requestFile = path.join(dir, REQUEST_FILE);
+  const request = fs.existsSync(requestFile)
+    ? JSON.parse(fs.readFileSync(requestFile, "utf-8"))
+    : null;
+
+  return { request, calls };
+}
+
+/**
+ * Create a replay session over a recorded folder
+ * Calls are matched by key; in non-strict mode an unmatched call falls back to
+ * the next unused recording of the same task, so prompt wording changes still replay.
+ * Page fetches never fall back: an unrecorded URL replays as not fetched
+ * @param {string} dir - Request log folder
+ * @param {Object} options - Replay options
+ * @param {boolean} [options.strict] - Fail on any call without an exact match
+ * @returns {Object} Session with request, provider, searchBackend(name), pageFetcher() and stats
+ */
+export function createReplaySession(dir, options = {}) {
+  const { request, calls } = loadRecording(dir);
+  const byKey = new Map();
+  const used = new Set();
+  const stats = { matched: 0, fallback: 0 };
+
+  for (const call of calls) {
+    if (!byKey.has(call.key)) byKey.set(call.key, []);
+    byKey.get(call.key).push(call);
+  }
+
+  function take(task, prompt) {
+    const candidates = byKey.get(callKey(task, prompt)) || [];
+    const exact =
+      candidates.find((c) => !used.has(c.seq)) ||
+      candidates[candidates.length - 1];
+    if (exact) {
+      used.add(exact.seq);
+      stats.matched++;
+      return exact.response;
+    }
+
+    if (!options.strict) {
+      const next = calls.find((c) => c.task === task && !used.has(c.seq));
+      if (next) {
+        used.add(next.seq);
+        stats.fallback++;
+        return next.response;
+      }
+    }
+
+    throw new Error(`No recorded ${task} call matches this prompt in ${dir}`);
+  }
+
+  return {
+    dir,
+    request,
+    stats,
+    provider: {
+      name: "replay",
+      model: calls.find((c) => c.task !== "search")?.response?.model || "replay",
+      async generate(request) {
+        return take(request.task, request.prompt);
+      },
+    },
+    searchBackend(name) {
+      return {
+        name,
+        async search(query) {
+          return take("search", query).links;
+        },
+        async close() {},
+      };
+    },
+    pageFetcher() {
+      return {
+        name: "replay",
+        async fetch(url) {
+          const recorded = byKey.get(callKey("fetch", url));
+          if (!recorded) return null;
+          stats.matched++;
+          return recorded[0].response.page;
+        },
+      };
+    },
+  };
+}
+
+export default {
+  MODEL_CALLS_FILE,
+  REQUEST_FILE,
+  callKey,
+  createRecorder,
+  loadRecording,
+  createReplaySession,
+};
@@ -0,0 +1,300 @@
+/**
+ * Page Fetcher Module - Fetch event pages for the Explorer
+ * The Explorer reads each Scout link's HTML itself instead of asking the
+ * model to "visit" it. "http" fetches pages over the network, "stub" answers
+ * from pages given in advance (offline runs), "none" fetches nothing.
+ * The http fetcher only requests public http(s) addresses and stops reading
+ * a page at maxBytes
+ */
+
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+const CONFIG = {
+  fetcher:
+    process.env.PAGE_FETCHER ||
+    (process.env.LLM_PROVIDER === "fake" ? "stub" : "http"),
+  timeoutMs: parseInt(process.env.PAGE_FETCH_TIMEOUT_MS) || 10000, // Per page, redirects included
+  maxBytes: 2 * 1024 * 1024, // Reading stops here; the rest of the page is dropped
+  maxRedirects: 5,
+  userAgent: "Mozilla/5.0 (compatible; ItineraryBot/1.0)",
+};
+
+export const PAGE_FETCHERS = ["http", "stub", "none"];
+
+// Page URLs come from the model and from search results, so nothing on the
+// server's own networks may be fetched: loopback, private, link-local
+// (cloud metadata), carrier-grade NAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 rules, so a
+// ::ffff:0:0/96 rule would block every IPv4 address
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv6"));
+
+/**
+ * Error for a page URL the fetcher refuses to request
+ */
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BlockedUrlError";
+    this.code = "BLOCKED_URL";
+  }
+}
+
+/**
+ * Whether an IP address is on a network pages may not be fetched from
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * dns.lookup for http.request that fails for blocked addresses
+ * Checking the address the socket actually connects to (not an earlier
+ * lookup) means DNS can't be switched between check and request
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - Lookup options from net.connect
+ * @param {Function} callback - (error, address, family) or (error, addresses) with options.all
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new BlockedUrlError(`${hostname} resolves to a blocked address (${blocked.address})`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check a URL before requesting it: http(s) only, and no blocked IP literal
+ * (IP literals are connected to without a lookup)
+ * @param {URL} url - URL to request
+ * @param {boolean} allowPrivate - Skip the address check
+ * @throws {BlockedUrlError} If the URL may not be fetched
+ */
+function checkUrl(url, allowPrivate) {
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new BlockedUrlError(`Only http and https pages are fetched, not ${url.protocol}`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (!allowPrivate && net.isIP(host) && isBlockedAddress(host)) {
+    throw new BlockedUrlError(`${host} is a blocked address`);
+  }
+}
+
+/**
+ * Send one GET request (no redirect following)
+ * @param {URL} url - URL to request
+ * @param {Object} options - { signal, allowPrivate }
+ * @returns {Promise<http.IncomingMessage>} Response, body not read yet
+ */
+function request(url, options) {
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        headers: {
+          "User-Agent": CONFIG.userAgent,
+          Accept: "text/html,application/xhtml+xml",
+        },
+        ...(!options.allowPrivate && { lookup: guardedLookup }),
+        signal: options.signal,
+      },
+      resolve
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+/**
+ * Read a response body as UTF-8, stopping at maxBytes
+ * @param {http.IncomingMessage} response - Response
+ * @param {number} maxBytes - Byte limit
+ * @returns {Promise<string>} Body (cut off at the limit)
+ */
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= maxBytes) break; // Leaving the loop destroys the stream
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString("utf-8");
+}
+
+/**
+ * Create a fetcher that downloads pages over HTTP
+ * Only HTML responses are returned; anything else counts as not fetched.
+ * Redirects are followed one at a time, each target checked like the first
+ * @param {Object} options - Fetcher options
+ * @param {number} [options.timeoutMs] - Per-page timeout
+ * @param {number} [options.maxBytes] - Body size limit
+ * @param {boolean} [options.allowPrivate] - Allow private addresses (local tests only)
+ * @returns {Object} Fetcher with fetch(url, { signal }) → { url, status, html } | null
+ */
+export function createHttpFetcher(options = {}) {
+  const timeoutMs = options.timeoutMs || CONFIG.timeoutMs;
+  const maxBytes = options.maxBytes || CONFIG.maxBytes;
+  const allowPrivate = Boolean(options.allowPrivate);
+
+  return {
+    name: "http",
+    async fetch(url, fetchOptions = {}) {
+      // One signal for the run's cancellation and this page's timeout
+      const controller = new AbortController();
+      const timer = setTimeout(
+        () => controller.abort(new Error(`Page fetch timed out after ${timeoutMs}ms`)),
+        timeoutMs
+      );
+      const onAbort = () => controller.abort(fetchOptions.signal.reason);
+      if (fetchOptions.signal?.aborted) onAbort();
+      fetchOptions.signal?.addEventListener("abort", onAbort, { once: true });
+
+      try {
+        let current = new URL(url);
+        for (let redirects = 0; ; redirects++) {
+          checkUrl(current, allowPrivate);
+          const response = await request(current, {
+            signal: controller.signal,
+            allowPrivate,
+          });
+
+          const { location } = response.headers;
+          if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+            response.resume();
+            if (redirects >= CONFIG.maxRedirects) {
+              throw new Error(`More than ${CONFIG.maxRedirects} redirects`);
+            }
+            current = new URL(location, current);
+            continue;
+          }
+
+          const contentType = response.headers["content-type"] || "";
+          if (response.statusCode >= 400 || !contentType.includes("html")) {
+            response.destroy();
+            return null;
+          }
+
+          return {
+            url: current.toString(),
+            status: response.statusCode,
+            html: await readBody(response, maxBytes),
+          };
+        }
+      } catch (error) {
+        // Report the timeout or cancellation, not the socket's AbortError
+        throw controller.signal.aborted ? controller.signal.reason : error;
+      } finally {
+        clearTimeout(timer);
+        fetchOptions.signal?.removeEventListener("abort", onAbort);
+      }
+    },
+  };
+}
+
+/**
+ * Create a fetcher that answers from pages given in advance
+ * @param {Object} options - Fetcher options
+ * @param {Object} [options.pages] - HTML by URL
+ * @returns {Object} Fetcher with fetch(url) and a calls log
+ */
+export function createStubFetcher(options = {}) {
+  const pages = options.pages || {};
+  const calls = [];
+
+  return {
+    name: "stub",
+    calls,
+    async fetch(url) {
+      calls.push(url);
+      const html = pages[url];
+      return typeof html === "string" ? { url, status: 200, html } : null;
+    },
+  };
+}
+
+/**
+ * Create a fetcher that never fetches (Explorer falls back to the model)
+ * @returns {Object} Fetcher
+ */
+export function createNullFetcher() {
+  return {
+    name: "none",
+    async fetch() {
+      return null;
+    },
+  };
+}
+
+const FETCHER_FACTORIES = {
+  http: createHttpFetcher,
+  stub: createStubFetcher,
+  none: createNullFetcher,
+};
+
+// Shared fetcher instances, one per name
+const fetchers = new Map();
+
+/**
+ * Get the shared page fetcher for a name (defaults to PAGE_FETCHER)
+ * @param {string} [name] - Fetcher name (http/stub/none)
+ * @returns {Object} Fetcher
+ */
+export function getPageFetcher(name = CONFIG.fetcher) {
+  const factory = FETCHER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown page fetcher "${name}". Available: ${PAGE_FETCHERS.join(", ")}`
+    );
+  }
+  if (!fetchers.has(name)) {
+    fetchers.set(name, factory());
+  }
+  return fetchers.get(name);
+}
+
+export default {
+  PAGE_FETCHERS,
+  BlockedUrlError,
+  isBlockedAddress,
+  createHttpFetcher,
+  createStubFetcher,
+  createNullFetcher,
+  getPageFetcher,
+};
@@ -0,0 +1,571 @@
+/**
+ * Pipeline Module - Scout → Explorer → Organize orchestration
+ * Shared by the API server and the replay CLI
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { scoutEvents } from "./scout.js";
+import { exploreLinks } from "./explorer.js";
+import { getProvider } from "./llm_provider.js";
+import { getSearchBackend } from "./search_backends.js";
+import { getPageFetcher } from "./page_fetcher.js";
+import {
+  sortByTime,
+  assignActivityIds,
+  selectSchedule,
+} from "./planner.js";
+import { fillScheduleGaps } from "./gap_filler.js";
+import { planTravel, annotateCoverage } from "./travel_time.js";
+import {
+  resolveTimezone,
+  normalizeEventTimes,
+  localDate,
+  localHour,
+  listDates,
+} from "./timezone.js";
+import { logsDir } from "./logger.js";
+import { saveItinerary } from "./itinerary_store.js";
+import { initHistory } from "./itinerary_history.js";
+import { createRecorder, createReplaySession } from "./model_recorder.js";
+import { PROGRESS_EVENTS, createProgressTracker } from "./progress.js";
+
+const CONFIG = {
+  recordModelCalls: process.env.RECORD_MODEL_CALLS === "true",
+};
+
+/**
+ * Name of a Scout backend given as a name or an instance
+ * @param {string|Object} searchBackend - Backend name or instance
+ * @returns {string|undefined} Backend name
+ */
+function backendName(searchBackend) {
+  return typeof searchBackend === "string"
+    ? searchBackend
+    : searchBackend?.name;
+}
+
+/**
+ * Resolve a recorded request folder name inside the logs directory
+ * Paths, "." and ".." are refused, so API input can't leave logs/
+ * @param {string} folderName - e.g. "request_2026-01-01T00-00-00-000Z_123"
+ * @returns {string} Absolute folder path
+ */
+export function resolveRecordingDir(folderName) {
+  if (
+    typeof folderName !== "string" ||
+    !folderName ||
+    folderName === "." ||
+    folderName === ".." ||
+    folderName !== path.basename(folderName) ||
+    folderName.includes("\\")
+  ) {
+    throw new Error("replay_from must be a request folder name from logs/");
+  }
+  const dir = path.join(logsDir, folderName);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Recorded request folder not found: ${folderName}`);
+  }
+  return dir;
+}
+
+/**
+ * Whether model calls should be recorded for a request
+ * @param {boolean} [record] - Per-request flag (defaults to RECORD_MODEL_CALLS)
+ * @returns {boolean} True if recording
+ */
+export function shouldRecord(record) {
+  return record ?? CONFIG.recordModelCalls;
+}
+
+/**
+ * Pick the provider and Scout backend for a request, applying record/replay
+ * @param {Logger} logger - Logger for the request (record target)
+ * @param {Object} options - Access options
+ * @param {boolean} [options.record] - Record model calls (defaults to RECORD_MODEL_CALLS)
+ * @param {string} [options.replayFrom] - Recorded folder name under logs/ to replay from (API input)
+ * @param {string} [options.replayDir] - Recorded folder path to replay from (CLI and tests only)
+ * @param {boolean} [options.strict] - Replay only exact prompt matches
+ * @param {string} [options.searchBackend] - Scout backend name
+ * @param {boolean} [options.bypassCache] - Skip cached Scout/Explorer results (fresh ones are still cached)
+ * @returns {Object} { provider, searchBackend, pageFetcher, replay, cacheMode } - replay holds the session when replaying
+ */
+export function createModelAccess(logger, options = {}) {
+  if (options.replayFrom || options.replayDir) {
+    const dir = options.replayDir
+      ? path.resolve(options.replayDir)
+      : resolveRecordingDir(options.replayFrom);
+    const replay = createReplaySession(dir, { strict: options.strict });
+    const recordedBackend =
+      options.searchBackend || replay.request?.searchBackend || "model";
+    logger.log(`⏪ Replaying model calls from: ${path.basename(dir)}`);
+
+    return {
+      provider: replay.provider,
+      searchBackend:
+        recordedBackend === "model"
+          ? "model"
+          : replay.searchBackend(recordedBackend),
+      pageFetcher: replay.pageFetcher(),
+      replay,
+      cacheMode: "off", // Every call must come from the recording
+    };
+  }
+
+  let provider = getProvider();
+  let searchBackend = options.searchBackend;
+  let pageFetcher = getPageFetcher();
+  // A recording needs every call to happen, so it skips cached results too
+  let cacheMode = options.bypassCache ? "refresh" : "use";
+  if (shouldRecord(options.record)) {
+    cacheMode = "refresh";
+    const recorder = createRecorder(logger.modelCallsFile);
+    provider = recorder.wrapProvider(provider);
+    if (searchBackend && searchBackend !== "model") {
+      searchBackend = recorder.wrapSearchBackend(getSearchBackend(searchBackend));
+    }
+    pageFetcher = recorder.wrapPageFetcher(pageFetcher);
+    logger.log(`⏺️ Recording model calls to: ${logger.folderName}/model_calls.jsonl`);
+  }
+
+  return { provider, searchBackend, pageFetcher, replay: null, cacheMode };
+}
+
+/**
+ * Parse interests string into array
+ * @param {string} interests - Comma-separated interests
+ * @returns {string[]} Array of interests
+ */
+export function parseInterests(interests) {
+  return interests
+    .split(",")
+    .map((i) => i.trim())
+    .filter((i) => i.length > 0);
+}
+
+/**
+ * Ensure minimum events per day coverage
+ * @param {Object[]} events - Array of events
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @returns {Object} Events grouped by day with coverage info
+ */
+export function analyzeEventCoverage(events, startDate, endDate) {
+  const grouped = {};
+
+  // Initialize all dates
+  listDates(startDate, endDate).forEach((date) => {
+    grouped[date] = [];
+  });
+
+  // Group events by local date (times are normalized to the city's timezone)
+  events.forEach((event) => {
+    if (event.start_time) {
+      const eventDate = localDate(event.start_time);
+      if (grouped[eventDate]) {
+        grouped[eventDate].push(event);
+      }
+    }
+  });
+
+  // Calculate coverage
+  const coverage = {};
+  Object.entries(grouped).forEach(([date, dayEvents]) => {
+    coverage[date] = {
+      count: dayEvents.length,
+      events: dayEvents,
+      hasMorning: dayEvents.some((e) => {
+        const hour = localHour(e.start_time);
+        return hour >= 8 && hour < 12;
+      }),
+      hasAfternoon: dayEvents.some((e) => {
+        const hour = localHour(e.start_time);
+        return hour >= 12 && hour < 17;
+      }),
+      hasEvening: dayEvents.some((e) => {
+        const hour = localHour(e.start_time);
+        return hour >= 17;
+      }),
+    };
+  });
+
+  return coverage;
+}
+
+/**
+ * Timezone of a stored itinerary (older records are resolved from the city)
+ * @param {Object} itinerary - Stored itinerary
+ * @returns {string} IANA timezone
+ */
+export function itineraryTimezone(itinerary) {
+  return itinerary.timezone || resolveTimezone(itinerary.city).timezone;
+}
+
+/**
+ * Rebuild an itinerary's derived fields after its items changed
+ * Normalizes times to the itinerary's timezone, re-sorts items and recomputes
+ * itinerary_by_day (with travel legs) and the item counts. Infeasible
+ * transitions are only flagged, never dropped, so edits keep what the user
+ * asked for.
+ * @param {Object} itinerary - Stored itinerary (needs date_range)
+ * @param {Object[]} items - New itinerary items
+ * @returns {Promise<Object>} Itinerary with updated items and derived fields
+ */
+export async function rebuildItinerary(itinerary, items) {
+  const timezone = itineraryTimezone(itinerary);
+  const sorted = assignActivityIds(
+    sortByTime(normalizeEventTimes(items, timezone))
+  );
+  const { start, end } = itinerary.date_range || {};
+  const travel = await planTravel(sorted, {
+    mode: itinerary.travel_mode,
+    policy: "flag",
+  });
+
+  return {
+    ...itinerary,
+    itinerary: sorted,
+    timezone,
+    travel_mode: travel.mode,
+    itinerary_by_day: annotateCoverage(
+      analyzeEventCoverage(sorted, start, end),
+      travel.legsByDate
+    ),
+    total_items: sorted.length,
+    events: sorted.filter((e) => e.type === "event").length,
+    activities: sorted.filter((e) => e.type === "activity").length,
+  };
+}
+
+/**
+ * Phase 3: turn Explorer events into a day-by-day schedule
+ * Normalizes event times to the city's timezone, sorts and IDs events,
+ * selects a non-overlapping schedule per day (the rest become alternatives), checks travel time between consecutive events, fills
+ * gaps over an hour with suggested activities, analyzes coverage and saves the
+ * final itinerary log
+ * @param {Object[]} explorerEvents - Events from the Explorer
+ * @param {Object} params - { city, timeZone, interests, startDate, endDate, logger, provider, travelMode, travelPolicy, fillGaps, signal, progress }
+ * Infeasible transitions are only flagged unless the request asks for
+ * travelPolicy "resolve", which moves events to alternatives
+ * @returns {Promise<Object>} { events, alternatives, coverage, timezone, travelMode, travelPolicy, gapStats }
+ */
+export async function organizeEvents(explorerEvents, params) {
+  const { city, interests, startDate, endDate, logger, progress } = params;
+  const timeZone = params.timeZone || resolveTimezone(city).timezone;
+  const travelOptions = {
+    mode: params.travelMode,
+    policy: params.travelPolicy || "flag",
+    interests,
+  };
+
+  progress?.report(PROGRESS_EVENTS.PHASE_STARTED, { phase: "organize" });
+  const sorted = assignActivityIds(
+    sortByTime(normalizeEventTimes(explorerEvents, timeZone))
+  );
+  const selection = selectSchedule(sorted, interests);
+
+  logger.log(
+    `🧩 Selected ${selection.schedule.length} non-overlapping events, ${selection.alternatives.length} kept as alternatives`
+  );
+
+  // Check travel time between consecutive events (resolve drops the less relevant one)
+  let travel = await planTravel(selection.schedule, travelOptions);
+  const dropped = [...travel.dropped];
+
+  if (travel.dropped.length > 0) {
+    logger.log(
+      `🚶 Moved ${travel.dropped.length} events to alternatives: not reachable in time by ${travel.mode}`
+    );
+  }
+
+  // Fill gaps over an hour with nearby activities, then re-check travel
+  let gapsFound = 0;
+  if (params.fillGaps !== false) {
+    const gapResults = await fillScheduleGaps(
+      travel.events,
+      city,
+      interests,
+      (msg) => logger.log(msg),
+      { provider: params.provider, timeZone, signal: params.signal }
+    );
+    gapsFound = gapResults.gapsFound;
+
+    if (gapResults.activities.length > 0) {
+      travel = await planTravel(
+        assignActivityIds(sortByTime([...travel.events, ...gapResults.activities])),
+        travelOptions
+      );
+      dropped.push(...travel.dropped);
+    }
+  }
+
+  const events = travel.events;
+  const alternatives = sortByTime([...selection.alternatives, ...dropped]);
+  const gapStats = {
+    gapsFound,
+    activitiesAdded: events.filter((e) => e.type === "activity").length,
+  };
+
+  // Analyze coverage
+  const coverage = annotateCoverage(
+    analyzeEventCoverage(events, startDate, endDate),
+    travel.legsByDate
+  );
+
+  // Log coverage summary
+  Object.entries(coverage).forEach(([date, info]) => {
+    logger.log(
+      `📅 ${date}: ${info.count} events (M:${info.hasMorning ? "✓" : "✗"} A:${
+        info.hasAfternoon ? "✓" : "✗"
+      } E:${info.hasEvening ? "✓" : "✗"})${
+        info.infeasible_transitions
+          ? ` ⚠️ ${info.infeasible_transitions} tight transitions`
+          : ""
+      }`
+    );
+  });
+
+  logger.logFinalItinerary(events);
+  progress?.report(PROGRESS_EVENTS.PHASE_COMPLETED, { phase: "organize" });
+
+  return {
+    events,
+    alternatives,
+    coverage,
+    timezone: timeZone,
+    travelMode: travel.mode,
+    travelPolicy: travel.policy,
+    gapStats,
+  };
+}
+
+/**
+ * Main orchestration function - coordinates Scout and Explorer
+ * @param {string} city - The city
+ * @param {string[]} interests - Array of interests
+ * @param {string} startDate - Start date
+ * @param {string} endDate - End date
+ * @param {Logger} logger - Logger instance
+ * @param {Object} options - Pipeline options
+ * @param {string|Object} options.searchBackend - Scout backend name or instance
+ * @param {Object} options.provider - LLM provider for Scout and Explorer
+ * @param {Object} [options.pageFetcher] - Explorer page fetcher (defaults to PAGE_FETCHER)
+ * @param {string} [options.travelMode] - Travel mode between events
+ * @param {string} [options.travelPolicy] - "flag" or "resolve" infeasible transitions
+ * @param {boolean} [options.fillGaps] - Fill gaps with suggested activities (default true)
+ * @param {string} [options.cacheMode] - Result cache use: "use", "refresh" or "off"
+ * @param {Object} [options.checkpoint] - Completed work to resume from, with callbacks for new work
+ * @param {Object[]} [options.checkpoint.searches] - Completed Scout searches
+ * @param {Object[]} [options.checkpoint.batches] - Completed Explorer batches
+ * @param {Function} [options.checkpoint.onSearch] - (search) => void, after each Scout search
+ * @param {Function} [options.checkpoint.onBatch] - (batch) => void, after each Explorer batch
+ * @param {EventEmitter} [options.progress] - Progress tracker (progress.js); created if omitted, the Logger follows it
+ * @param {AbortSignal} [options.signal] - Cancels the run (rejects with the abort reason)
+ * @returns {Promise<Object>} Final itinerary
+ */
+export async function generateItinerary(
+  city,
+  interests,
+  startDate,
+  endDate,
+  logger,
+  options = {}
+) {
+  const progress = options.progress || createProgressTracker();
+  logger.followProgress(progress);
+
+  logger.log(`\n${"=".repeat(60)}`);
+  logger.log(`🚀 Starting Itinerary Generation Pipeline`);
+  logger.log(`${"=".repeat(60)}`);
+  logger.log(`📍 City: ${city}`);
+  logger.log(`🎯 Interests: ${interests.join(", ")}`);
+  logger.log(`📅 Dates: ${startDate} to ${endDate}`);
+
+  const { timezone, matched } = resolveTimezone(city);
+  logger.log(
+    matched
+      ? `🕐 Timezone: ${timezone}`
+      : `⚠️ Unknown city timezone, using ${timezone}`
+  );
+
+  logger.data.city = city;
+  logger.data.interests = interests;
+  logger.data.startDate = startDate;
+  logger.data.endDate = endDate;
+  logger.saveRequest({
+    city,
+    interests,
+    startDate,
+    endDate,
+    searchBackend: backendName(options.searchBackend),
+    travelMode: options.travelMode,
+    travelPolicy: options.travelPolicy,
+    fillGaps: options.fillGaps,
+  });
+
+  // Phase 1: Scout - Find event links
+  logger.log(`\n${"─".repeat(40)}`);
+  logger.log(`📡 PHASE 1: SCOUT - Finding Event Links`);
+  logger.log(`${"─".repeat(40)}`);
+
+  const scoutResults = await scoutEvents(
+    city,
+    interests,
+    startDate,
+    endDate,
+    (msg) => logger.log(msg),
+    {
+      searchBackend: options.searchBackend,
+      provider: options.provider,
+      cacheMode: options.cacheMode,
+      checkpoint: options.checkpoint,
+      signal: options.signal,
+      progress,
+    }
+  );
+
+  logger.logScoutResults(scoutResults);
+
+  if (scoutResults.allLinks.length === 0) {
+    logger.log(`⚠️ Scout found no links. Cannot proceed.`);
+    return {
+      success: false,
+      events: [],
+      message: "No event links found during search",
+    };
+  }
+
+  // Phase 2: Explorer - Analyze links and extract events
+  logger.log(`\n${"─".repeat(40)}`);
+  logger.log(`🔬 PHASE 2: EXPLORER - Analyzing Links`);
+  logger.log(`${"─".repeat(40)}`);
+
+  const explorerResults = await exploreLinks(
+    scoutResults.allLinks,
+    city,
+    (msg) => logger.log(msg),
+    {
+      provider: options.provider,
+      pageFetcher: options.pageFetcher,
+      timeZone: timezone,
+      cacheMode: options.cacheMode,
+      checkpoint: options.checkpoint,
+      signal: options.signal,
+      progress,
+    }
+  );
+
+  logger.logExplorerResults(explorerResults);
+
+  // Phase 3: Organize and validate events
+  logger.log(`\n${"─".repeat(40)}`);
+  logger.log(`📋 PHASE 3: ORGANIZING EVENTS`);
+  logger.log(`${"─".repeat(40)}`);
+
+  const { events, alternatives, coverage, travelMode, travelPolicy, gapStats } =
+    await organizeEvents(explorerResults.events || [], {
+      city,
+      timeZone: timezone,
+      interests,
+      startDate,
+      endDate,
+      logger,
+      provider: options.provider,
+      travelMode: options.travelMode,
+      travelPolicy: options.travelPolicy,
+      fillGaps: options.fillGaps,
+      signal: options.signal,
+      progress,
+    });
+
+  return {
+    success: true,
+    events,
+    alternatives,
+    coverage,
+    timezone,
+    travelMode,
+    travelPolicy,
+    scoutStats: {
+      totalLinksFound: scoutResults.totalLinksFound,
+      searchesPerformed: scoutResults.searchResults?.length || 0,
+    },
+    explorerStats: {
+      linksAnalyzed: explorerResults.totalAnalyzed,
+      eventsExtracted: explorerResults.totalEvents,
+      linksRejected: explorerResults.rejected?.length || 0,
+    },
+    gapFillerStats: gapStats,
+    cacheStats: {
+      scout: scoutResults.cacheStats,
+      explorer: explorerResults.cacheStats,
+    },
+  };
+}
+
+/**
+ * Build the API response body for a generated itinerary
+ * @param {Object} result - Result of generateItinerary
+ * @param {Object} params - { city, interests, startDate, endDate, requestId }
+ * @returns {Object} Itinerary response body
+ */
+export function buildItineraryResponse(result, params) {
+  return {
+    success: true,
+    city: params.city,
+    interests: params.interests,
+    date_range: {
+      start: params.startDate,
+      end: params.endDate,
+    },
+    itinerary: result.events,
+    itinerary_by_day: result.coverage,
+    alternatives: result.alternatives,
+    timezone: result.timezone,
+    travel_mode: result.travelMode,
+    travel_policy: result.travelPolicy,
+    total_items: result.events.length,
+    events: result.events.filter((e) => e.type === "event").length,
+    activities: result.events.filter((e) => e.type === "activity").length,
+    pipeline_stats: {
+      scout: result.scoutStats,
+      explorer: result.explorerStats,
+      gap_filler: result.gapFillerStats,
+      cache: result.cacheStats,
+    },
+    generated_at: new Date().toISOString(),
+    request_id: params.requestId,
+  };
+}
+
+/**
+ * Persist a generated itinerary and tag the response with its ID
+ * Storage failures are logged but don't fail the generation request
+ * @param {Object} response - Itinerary response body
+ * @param {Logger} logger - Logger instance
+ */
+export function storeItinerary(response, logger) {
+  try {
+    const stored = saveItinerary(response);
+    initHistory(stored);
+    response.itinerary_id = stored.id;
+    logger.log(`💾 Itinerary stored as: ${stored.id}`);
+  } catch (error) {
+    logger.log(`⚠️ Failed to store itinerary: ${error.message}`);
+  }
+}
+
+export default {
+  parseInterests,
+  analyzeEventCoverage,
+  itineraryTimezone,
+  rebuildItinerary,
+  organizeEvents,
+  generateItinerary,
+  buildItineraryResponse,
+  storeItinerary,
+  createModelAccess,
+  shouldRecord,
+  resolveRecordingDir,
+};
@@ -2,10 +2,22 @@
  * Planner Module - Event Organization Utilities
  * Provides helper functions for sorting, grouping, and optimizing itineraries
  *
- * Note: Core functionality is handled in api_server.js
+ * Note: Core functionality is handled in pipeline.js
  * This module provides additional utilities for future enhancements
  */
 
+import crypto from "crypto";
+
+import { localDate, localHour, normalizeTime, timeValue } from "./timezone.js";
+
+const CONFIG = {
+  maxDayCandidates: 200, // Events per day the schedule DP considers
+  maxDiversityInterests: 8, // Interests per day that earn the diversity bonus
+  minGapMinutes: 60, // Free time shorter than this is not a gap
+  dayStartHour: 9, // Local start of the day window for leading gaps
+  dayEndHour: 22, // Local end of the day window for trailing gaps
+};
+
 /**
  * Sort events chronologically by start_time
  * @param {Object[]} events - Array of events
@@ -22,12 +34,12 @@ export function sortByTime(events) {
 /**
  * Group events by date
  * @param {Object[]} events - Array of events
- * @returns {Object} Events grouped by date (YYYY-MM-DD keys)
+ * @returns {Object} Events grouped by local date (YYYY-MM-DD keys)
  */
 export function groupByDate(events) {
   return events.reduce((acc, event) => {
     if (event.start_time) {
-      const date = event.start_time.split("T")[0];
+      const date = localDate(event.start_time);
       if (!acc[date]) acc[date] = [];
       acc[date].push(event);
     }
@@ -64,6 +76,40 @@ export function removeDuplicates(events) {
   });
 }
 
+/**
+ * Derive a stable activity ID from an event's identity
+ * @param {Object} event - Event or activity
+ * @returns {string} ID like "act_1a2b3c4d5e"
+ */
+export function activityIdFor(event) {
+  const identity = [event.name, event.start_time, event.source?.url].join("|");
+  const hash = crypto.createHash("sha1").update(identity).digest("hex");
+  return `act_${hash.slice(0, 10)}`;
+}
+
+/**
+ * Give every event without an ID a stable activity ID (in place)
+ * Identical events get a numeric suffix so IDs stay unique
+ * @param {Object[]} events - Array of events
+ * @returns {Object[]} The same events, each with an id
+ */
+export function assignActivityIds(events) {
+  const used = new Set(events.map((e) => e.id).filter(Boolean));
+
+  events.forEach((event) => {
+    if (event.id) return;
+    const base = activityIdFor(event);
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}_${n}`;
+    }
+    used.add(id);
+    event.id = id;
+  });
+
+  return events;
+}
+
 /**
  * Filter events by date range
  * @param {Object[]} events - Array of events
@@ -72,47 +118,269 @@ export function removeDuplicates(events) {
  * @returns {Object[]} Filtered events
  */
 export function filterByDateRange(events, startDate, endDate) {
-  const start = new Date(startDate).getTime();
-  const end = new Date(endDate + "T23:59:59").getTime();
-
   return events.filter((event) => {
     if (!event.start_time) return false;
-    const eventTime = new Date(event.start_time).getTime();
-    return eventTime >= start && eventTime <= end;
+    const date = localDate(event.start_time);
+    return date >= startDate && date <= endDate;
   });
 }
 
 /**
  * Analyze schedule gaps for a single day
- * @param {Object[]} dayEvents - Events for a single day (sorted by time)
- * @returns {Object[]} Array of gap objects {start, end, duration_minutes}
+ * With a timeZone, the free time between CONFIG.dayStartHour and the first
+ * event and between the last event and CONFIG.dayEndHour counts too, so a
+ * single-event day can have gaps. Edge gaps have a null after_event (leading)
+ * or before_event (trailing)
+ * @param {Object[]} dayEvents - Events for a single day
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.timeZone] - City's IANA timezone; enables the day window
+ * @returns {Object[]} Array of gap objects {after_event, before_event, start, end, duration_minutes}
  */
-export function findScheduleGaps(dayEvents) {
-  if (dayEvents.length < 2) return [];
+export function findScheduleGaps(dayEvents, options = {}) {
+  if (dayEvents.length === 0) return [];
 
-  const gaps = [];
   const sorted = sortByTime(dayEvents);
+  const slots = sorted.map((event) => ({
+    name: event.name,
+    start: event.start_time,
+    end: event.end_time || event.start_time,
+  }));
 
-  for (let i = 0; i < sorted.length - 1; i++) {
-    const currentEnd = new Date(sorted[i].end_time);
-    const nextStart = new Date(sorted[i + 1].start_time);
-    const gapMinutes = (nextStart - currentEnd) / (1000 * 60);
+  if (options.timeZone) {
+    const date = localDate(sorted[0].start_time);
+    const at = (hour) =>
+      normalizeTime(`${date}T${String(hour).padStart(2, "0")}:00:00`, options.timeZone);
+    const dayStart = at(CONFIG.dayStartHour);
+    const dayEnd = at(CONFIG.dayEndHour);
+    slots.unshift({ name: null, start: dayStart, end: dayStart });
+    slots.push({ name: null, start: dayEnd, end: dayEnd });
+  }
+
+  const gaps = [];
+  // Free time starts after the latest end so far, so a long event that
+  // covers a shorter one doesn't open a false gap
+  let latest = slots[0];
 
-    if (gapMinutes > 60) {
-      // Gap > 1 hour
+  for (let i = 1; i < slots.length; i++) {
+    const gapMinutes =
+      (timeValue(slots[i].start) - timeValue(latest.end)) / (1000 * 60);
+
+    if (gapMinutes > CONFIG.minGapMinutes) {
       gaps.push({
-        after_event: sorted[i].name,
-        before_event: sorted[i + 1].name,
-        start: sorted[i].end_time,
-        end: sorted[i + 1].start_time,
+        after_event: latest.name,
+        before_event: slots[i].name,
+        start: latest.end,
+        end: slots[i].start,
         duration_minutes: gapMinutes,
       });
     }
+    if (timeValue(slots[i].end) > timeValue(latest.end)) latest = slots[i];
   }
 
   return gaps;
 }
 
+/**
+ * Find pairs of events on the same day whose times overlap
+ * @param {Object[]} events - Array of events
+ * @returns {Object[]} Array of {date, first, second} overlap pairs
+ */
+export function findOverlaps(events) {
+  const overlaps = [];
+
+  Object.entries(groupByDate(events)).forEach(([date, dayEvents]) => {
+    const sorted = sortByTime(dayEvents);
+    for (let i = 0; i < sorted.length; i++) {
+      const end = new Date(sorted[i].end_time || sorted[i].start_time);
+      for (let j = i + 1; j < sorted.length; j++) {
+        if (new Date(sorted[j].start_time) >= end) break;
+        overlaps.push({
+          date,
+          first: { id: sorted[i].id, name: sorted[i].name },
+          second: { id: sorted[j].id, name: sorted[j].name },
+        });
+      }
+    }
+  });
+
+  return overlaps;
+}
+
+/**
+ * End time of an event in ms, falling back to duration or one hour
+ * @param {Object} event - Event
+ * @returns {number} End timestamp (ms)
+ */
+function endTimeOf(event) {
+  const end = new Date(event.end_time).getTime();
+  if (!Number.isNaN(end)) return end;
+  const start = new Date(event.start_time).getTime();
+  return start + (event.duration_minutes || 60) * 60 * 1000;
+}
+
+/**
+ * Score how relevant an event is to the user's interests
+ * @param {Object} event - Event
+ * @param {string[]} interests - User interests
+ * @returns {number} Relevance score (>= 1)
+ */
+export function scoreRelevance(event, interests) {
+  const wanted = interests.map((i) => i.toLowerCase());
+  let score = 1;
+
+  if (wanted.includes(event.interest_matched?.toLowerCase())) {
+    score += 1;
+  }
+
+  const tagMatches = (event.tags || []).filter((tag) =>
+    wanted.some((interest) => String(tag).toLowerCase().includes(interest))
+  ).length;
+  score += Math.min(tagMatches, 2) * 0.25;
+
+  return score;
+}
+
+/**
+ * Pick the best non-overlapping subset of one day's events
+ * Maximizes total relevance plus a bonus per distinct interest covered,
+ * solved exactly by an iterative DP over (event index, interests already
+ * covered). The table is n * 2^k, so a day is capped at
+ * CONFIG.maxDayCandidates events (most relevant first) and the first
+ * CONFIG.maxDiversityInterests interests present that day get a bonus bit
+ * @param {Object[]} dayEvents - Events on one day
+ * @param {string[]} interests - User interests
+ * @param {number} diversityBonus - Score added per distinct interest
+ * @returns {Object} { selected, candidates } - selected sorted by time; candidates is the Set considered
+ */
+function selectDay(dayEvents, interests, diversityBonus) {
+  const candidates = new Set(
+    dayEvents
+      .map((event) => ({ event, weight: scoreRelevance(event, interests) }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, CONFIG.maxDayCandidates)
+      .map(({ event }) => event)
+  );
+  const sorted = sortByTime(dayEvents.filter((event) => candidates.has(event)));
+  const n = sorted.length;
+  const starts = sorted.map((e) => new Date(e.start_time).getTime());
+  const ends = sorted.map(endTimeOf);
+
+  // Interest bit per event, for interests that occur on this day
+  const wanted = new Set(interests.map((interest) => interest.toLowerCase()));
+  const present = [
+    ...new Set(sorted.map((e) => e.interest_matched?.toLowerCase())),
+  ].filter((interest) => wanted.has(interest));
+  const interestIndex = new Map(
+    present.slice(0, CONFIG.maxDiversityInterests).map((interest, i) => [interest, i])
+  );
+  const bits = sorted.map((e) => {
+    const index = interestIndex.get(e.interest_matched?.toLowerCase());
+    return index === undefined ? 0 : 1 << index;
+  });
+  const weights = sorted.map((e) => scoreRelevance(e, interests));
+
+  // next[i]: first event starting at or after event i ends
+  const next = sorted.map((_, i) => {
+    let j = i + 1;
+    while (j < n && starts[j] < ends[i]) j++;
+    return j;
+  });
+
+  // best[i * masks + mask]: best score from event i on, mask already covered
+  const masks = 1 << interestIndex.size;
+  const best = new Float64Array((n + 1) * masks);
+  const takeScore = (i, mask) =>
+    weights[i] +
+    (bits[i] && !(mask & bits[i]) ? diversityBonus : 0) +
+    best[next[i] * masks + (mask | bits[i])];
+  for (let i = n - 1; i >= 0; i--) {
+    for (let mask = 0; mask < masks; mask++) {
+      best[i * masks + mask] = Math.max(
+        best[(i + 1) * masks + mask],
+        takeScore(i, mask)
+      );
+    }
+  }
+
+  // Walk the table to recover the chosen events
+  const selected = [];
+  let i = 0;
+  let mask = 0;
+  while (i < n) {
+    if (takeScore(i, mask) >= best[(i + 1) * masks + mask]) {
+      selected.push(sorted[i]);
+      mask |= bits[i];
+      i = next[i];
+    } else {
+      i++;
+    }
+  }
+
+  return { selected, candidates };
+}
+
+/**
+ * Select a feasible non-overlapping schedule for every day
+ * Events not chosen are returned as alternatives with the selected events they
+ * conflict with, so nothing the Explorer found is dropped. On a day with more
+ * events than the planner considers, the least relevant ones are alternatives
+ * with reason "day_limit"
+ * @param {Object[]} events - All events
+ * @param {string[]} interests - User interests
+ * @param {Object} options - Selection options
+ * @param {number} [options.diversityBonus] - Score per distinct interest per day (default 0.75)
+ * @returns {Object} { schedule, alternatives }
+ */
+export function selectSchedule(events, interests = [], options = {}) {
+  const diversityBonus = options.diversityBonus ?? 0.75;
+  const schedule = [];
+  const alternatives = [];
+
+  events
+    .filter((event) => !event.start_time)
+    .forEach((event) =>
+      alternatives.push({
+        ...event,
+        alternative_reason: "missing_start_time",
+        conflicts_with: [],
+      })
+    );
+
+  Object.values(groupByDate(events)).forEach((dayEvents) => {
+    const { selected, candidates } = selectDay(dayEvents, interests, diversityBonus);
+    const chosen = new Set(selected);
+    schedule.push(...selected);
+
+    dayEvents
+      .filter((event) => !chosen.has(event))
+      .forEach((event) => {
+        if (!candidates.has(event)) {
+          alternatives.push({
+            ...event,
+            alternative_reason: "day_limit",
+            conflicts_with: [],
+          });
+          return;
+        }
+        const start = new Date(event.start_time).getTime();
+        const end = endTimeOf(event);
+        const conflicts = selected.filter(
+          (s) => new Date(s.start_time).getTime() < end && start < endTimeOf(s)
+        );
+        alternatives.push({
+          ...event,
+          alternative_reason: "overlap",
+          conflicts_with: conflicts.map((s) => s.id),
+        });
+      });
+  });
+
+  return {
+    schedule: sortByTime(schedule),
+    alternatives: sortByTime(alternatives),
+  };
+}
+
 /**
  * Get time-of-day distribution for events
  * @param {Object[]} events - Array of events
@@ -128,7 +396,7 @@ export function getTimeDistribution(events) {
 
   events.forEach((event) => {
     if (!event.start_time) return;
-    const hour = parseInt(event.start_time.split("T")[1].split(":")[0]);
+    const hour = localHour(event.start_time);
 
     if (hour >= 6 && hour < 12) {
       distribution.morning.push(event);
@@ -172,6 +440,7 @@ export function formatItinerary(events) {
         weekday: "long",
         month: "long",
         day: "numeric",
+        timeZone: "UTC", // YYYY-MM-DD parses as UTC midnight
       });
 
       output += `\n📅 ${formatted}\n`;
@@ -192,8 +461,13 @@ export default {
   groupByDate,
   groupByCategory,
   removeDuplicates,
+  activityIdFor,
+  assignActivityIds,
   filterByDateRange,
   findScheduleGaps,
+  findOverlaps,
+  scoreRelevance,
+  selectSchedule,
   getTimeDistribution,
   calculateTotalDuration,
   formatItinerary,
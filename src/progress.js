@@ -0,0 +1,157 @@
+/**
+ * Progress Module - Typed progress events for a pipeline run
+ * Scout, Explorer and Organize report what they start and finish to a
+ * progress tracker; the tracker keeps per-phase counts and emits each report
+ * with the phase's percent and ETA and the run's overall percent. The SSE
+ * route, the Logger and the job runner subscribe instead of parsing log lines
+ */
+
+import { EventEmitter } from "events";
+
+const CONFIG = {
+  phaseWeights: { scout: 0.3, explorer: 0.6, organize: 0.1 }, // Share of overall percent
+};
+
+export const PHASES = ["scout", "explorer", "organize"];
+
+/**
+ * Progress event types
+ */
+export const PROGRESS_EVENTS = {
+  PHASE_STARTED: "phase_started", // { phase, total }
+  PHASE_COMPLETED: "phase_completed", // { phase }
+  SEARCH_STARTED: "search_started", // { interest, date }
+  SEARCH_COMPLETED: "search_completed", // { interest, date, success, links, cached, resumed }
+  BATCH_STARTED: "batch_started", // { batch, batches, links }
+  BATCH_COMPLETED: "batch_completed", // { batch, batches, success, links, events, rejected, cached, resumed, structured }
+  EVENT_EXTRACTED: "event_extracted", // { event, batch }
+};
+
+// Phase each event type belongs to, when the report doesn't name one
+const EVENT_PHASES = {
+  [PROGRESS_EVENTS.SEARCH_STARTED]: "scout",
+  [PROGRESS_EVENTS.SEARCH_COMPLETED]: "scout",
+  [PROGRESS_EVENTS.BATCH_STARTED]: "explorer",
+  [PROGRESS_EVENTS.BATCH_COMPLETED]: "explorer",
+  [PROGRESS_EVENTS.EVENT_EXTRACTED]: "explorer",
+};
+
+/**
+ * Overall percent of a run from its current phase and per-phase counts
+ * Phases before the current one count as done, later ones as not started
+ * @param {string} currentPhase - Phase in progress (one of PHASES)
+ * @param {Object} counts - { [phase]: { completed, total } }
+ * @returns {number} 0-100
+ */
+export function overallPercent(currentPhase, counts = {}) {
+  const current = PHASES.indexOf(currentPhase);
+  const percent = PHASES.reduce((sum, phase, index) => {
+    let done = 0;
+    if (index < current) {
+      done = 1;
+    } else if (index === current) {
+      const { completed = 0, total = 0 } = counts[phase] || {};
+      done = total > 0 ? Math.min(1, completed / total) : 0;
+    }
+    return sum + CONFIG.phaseWeights[phase] * done;
+  }, 0);
+  return Math.round(percent * 100);
+}
+
+/**
+ * Seconds left in a phase at its average pace so far
+ * @param {Object} counts - { completed, total, startedAt }
+ * @returns {number|null} ETA, or null before the first unit completes
+ */
+function etaSeconds({ completed, total, startedAt }) {
+  if (completed >= total) return 0;
+  if (completed === 0) return null;
+  const elapsed = Date.now() - startedAt;
+  return Math.round(((elapsed / completed) * (total - completed)) / 1000);
+}
+
+/**
+ * Create a progress tracker for one run
+ * Every report is emitted under its own type and under "progress", as
+ * { type, phase, ...details, completed, total, percent, eta_seconds, overall_percent, at }
+ * @returns {EventEmitter} Tracker with report(type, details) and status()
+ */
+export function createProgressTracker() {
+  const tracker = new EventEmitter();
+  const phases = {};
+  let currentPhase = null;
+
+  function counts() {
+    return Object.fromEntries(
+      Object.entries(phases).map(([phase, { completed, total }]) => [
+        phase,
+        { completed, total },
+      ])
+    );
+  }
+
+  /**
+   * Record a progress event and emit it
+   * @param {string} type - One of PROGRESS_EVENTS
+   * @param {Object} [details] - Event details (see PROGRESS_EVENTS)
+   * @returns {Object} Emitted event
+   */
+  tracker.report = (type, details = {}) => {
+    if (!Object.values(PROGRESS_EVENTS).includes(type)) {
+      throw new Error(`Unknown progress event "${type}"`);
+    }
+
+    const phase = details.phase || EVENT_PHASES[type] || currentPhase;
+    if (type === PROGRESS_EVENTS.PHASE_STARTED) {
+      phases[phase] = { completed: 0, total: details.total || 0, startedAt: Date.now() };
+      currentPhase = phase;
+    }
+    phases[phase] ||= { completed: 0, total: 0, startedAt: Date.now() };
+    const state = phases[phase];
+
+    if (type === PROGRESS_EVENTS.SEARCH_COMPLETED) {
+      state.completed++;
+    } else if (type === PROGRESS_EVENTS.BATCH_COMPLETED) {
+      state.completed += details.links || 0;
+    } else if (type === PROGRESS_EVENTS.PHASE_COMPLETED) {
+      state.completed = state.total;
+    }
+
+    const event = {
+      type,
+      ...details,
+      phase,
+      completed: state.completed,
+      total: state.total,
+      percent:
+        state.total > 0
+          ? Math.min(100, Math.round((state.completed / state.total) * 100))
+          : 0,
+      eta_seconds: etaSeconds(state),
+      overall_percent: overallPercent(currentPhase, counts()),
+      at: new Date().toISOString(),
+    };
+    tracker.emit(type, event);
+    tracker.emit("progress", event);
+    return event;
+  };
+
+  /**
+   * Current phase and per-phase counts
+   * @returns {Object} { phase, phases, overall_percent }
+   */
+  tracker.status = () => ({
+    phase: currentPhase,
+    phases: counts(),
+    overall_percent: overallPercent(currentPhase, counts()),
+  });
+
+  return tracker;
+}
+
+export default {
+  PHASES,
+  PROGRESS_EVENTS,
+  overallPercent,
+  createProgressTracker,
+};
@@ -0,0 +1,145 @@
+/**
+ * Rate Limiter Module - Concurrency pool and token-bucket limiter
+ * Scout and Explorer run their model calls through a bounded pool, and every
+ * call takes a token from a bucket shared per provider, so parallel work
+ * stays under the provider's request quota
+ */
+
+import { sleep, throwIfCancelled } from "./cancellation.js";
+
+const CONFIG = {
+  requestsPerMinute: parseFloat(process.env.MODEL_REQUESTS_PER_MINUTE) || 60,
+  burst: parseInt(process.env.MODEL_REQUEST_BURST) || 5, // Calls allowed back to back
+  unlimitedProviders: ["fake", "replay"], // No real quota behind these
+};
+
+/**
+ * Create a token bucket
+ * Tokens refill continuously at ratePerMinute up to burst; take() waits for one.
+ * Waiters are served in arrival order; a cancelled waiter gives up its turn
+ * @param {Object} options - Bucket options
+ * @param {number} options.ratePerMinute - Refill rate (Infinity for no limit)
+ * @param {number} options.burst - Bucket size
+ * @returns {Object} Bucket with take() and available
+ */
+export function createTokenBucket({ ratePerMinute, burst }) {
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) * ratePerMinute) / 60000);
+    last = now;
+  }
+
+  return {
+    ratePerMinute,
+    burst,
+    /**
+     * Wait for a token and take it
+     * @param {AbortSignal} [signal] - Stop waiting if the run is cancelled
+     * @returns {Promise<void>}
+     */
+    take(signal) {
+      if (!Number.isFinite(ratePerMinute)) return Promise.resolve();
+
+      const turn = queue.then(async () => {
+        throwIfCancelled(signal);
+        refill();
+        if (tokens < 1) {
+          const waitMs = ((1 - tokens) * 60000) / ratePerMinute;
+          await sleep(waitMs, signal);
+          refill();
+        }
+        tokens -= 1;
+      });
+      // The next waiter goes after this one, however this one ends
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    get available() {
+      refill();
+      return Math.floor(tokens);
+    },
+  };
+}
+
+/**
+ * Map over items with at most `concurrency` calls in flight
+ * If a call throws or the run is cancelled, no new items are started and the
+ * error is rethrown
+ * @param {Array} items - Inputs
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} fn - async (item, index) => result
+ * @param {AbortSignal} [signal] - Run's signal
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, concurrency, fn, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        throwIfCancelled(signal);
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// Shared buckets, one per provider name
+const limiters = new Map();
+
+/**
+ * Get the shared request limiter for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Token bucket
+ */
+export function getModelLimiter(name) {
+  if (!limiters.has(name)) {
+    const unlimited = CONFIG.unlimitedProviders.includes(name);
+    limiters.set(
+      name,
+      createTokenBucket({
+        ratePerMinute: unlimited ? Infinity : CONFIG.requestsPerMinute,
+        burst: CONFIG.burst,
+      })
+    );
+  }
+  return limiters.get(name);
+}
+
+/**
+ * Wrap a provider so each generate() call first takes a token
+ * (waiting stops if the request's signal is aborted)
+ * @param {Object} provider - LLM provider
+ * @param {Object} [limiter] - Token bucket (defaults to the provider's shared one)
+ * @returns {Object} Rate-limited provider
+ */
+export function limitProvider(provider, limiter = getModelLimiter(provider.name)) {
+  return {
+    ...provider,
+    async generate(request) {
+      await limiter.take(request.signal);
+      return provider.generate(request);
+    },
+  };
+}
+
+export default {
+  createTokenBucket,
+  mapWithConcurrency,
+  getModelLimiter,
+  limitProvider,
+};
@@ -0,0 +1,110 @@
+/**
+ * Replay CLI - Re-run a recorded request offline
+ * Answers every model call from the folder's model_calls.jsonl and compares the
+ * result with the recorded itinerary.json (exit code 1 on mismatch)
+ *
+ * Usage: npm run replay -- <request folder> [--strict]
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { Logger, logsDir } from "./logger.js";
+import { generateItinerary, createModelAccess } from "./pipeline.js";
+import { processEditRequest } from "./edit_itinerary.js";
+
+/**
+ * Resolve a folder argument (path, or folder name under logs/)
+ * @param {string} arg - CLI argument
+ * @returns {string} Absolute folder path
+ */
+function resolveFolder(arg) {
+  const direct = path.resolve(arg);
+  if (fs.existsSync(direct)) return direct;
+  return path.resolve(logsDir, arg);
+}
+
+/**
+ * Read the itinerary array from an itinerary.json file
+ * @param {string} file - Path to itinerary.json
+ * @returns {Object[]|null} Itinerary events, or null if missing
+ */
+function readItinerary(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf-8")).itinerary;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const folderArg = args.find((a) => !a.startsWith("--"));
+  const strict = args.includes("--strict");
+
+  if (!folderArg) {
+    console.error("Usage: npm run replay -- <request folder> [--strict]");
+    process.exit(2);
+  }
+
+  const dir = resolveFolder(folderArg);
+  const logger = new Logger(`replay_${Date.now()}`);
+  const access = createModelAccess(logger, { replayDir: dir, strict });
+  const recorded = access.replay.request;
+
+  if (!recorded) {
+    throw new Error(`No request.json in ${dir}, cannot replay`);
+  }
+
+  // Edit requests: replay the single processEditRequest call
+  if (recorded.edit_request) {
+    const editResult = await processEditRequest(recorded, {
+      provider: access.provider,
+    });
+    console.log(JSON.stringify(editResult, null, 2));
+    return;
+  }
+
+  const result = await generateItinerary(
+    recorded.city,
+    recorded.interests,
+    recorded.startDate,
+    recorded.endDate,
+    logger,
+    {
+      searchBackend: access.searchBackend,
+      provider: access.provider,
+      pageFetcher: access.pageFetcher,
+      travelMode: recorded.travelMode,
+      travelPolicy: recorded.travelPolicy,
+      fillGaps: recorded.fillGaps,
+      cacheMode: access.cacheMode,
+    }
+  );
+
+  if (!result.success) {
+    throw new Error(result.message || "Replay did not produce an itinerary");
+  }
+
+  const { matched, fallback } = access.replay.stats;
+  logger.log(`\n⏪ Replay: ${matched} exact matches, ${fallback} fallbacks`);
+
+  const expected = readItinerary(path.join(dir, "itinerary.json"));
+  const actual = readItinerary(logger.itineraryFile);
+
+  if (!expected) {
+    logger.log(`⚠️ No recorded itinerary.json to compare against`);
+    return;
+  }
+
+  if (JSON.stringify(expected) === JSON.stringify(actual)) {
+    logger.log(`✅ Replay matches recorded itinerary (${actual.length} events)`);
+  } else {
+    logger.log(
+      `❌ Replay differs from recorded itinerary (${expected.length} recorded, ${actual.length} replayed)`
+    );
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ Replay failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,349 @@
+/**
+ * Result Cache Module - TTL cache for Scout searches and Explorer analyses
+ * Backends: in-memory, one JSON file per entry, or SQLite (better-sqlite3).
+ * Scout results are keyed by search backend and normalized (interest, city,
+ * date), Explorer results by (canonical URL, city, target date)
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HOUR = 60 * 60 * 1000;
+
+const CONFIG = {
+  backend: process.env.RESULT_CACHE_BACKEND || "memory", // memory/file/sqlite/none
+  fileDir:
+    process.env.RESULT_CACHE_DIR || path.join(__dirname, "../data/cache"),
+  sqliteFile:
+    process.env.RESULT_CACHE_SQLITE ||
+    path.join(__dirname, "../data/cache.sqlite"),
+  memoryMaxEntries: 5000,
+  ttlMs: {
+    scout: (parseFloat(process.env.SCOUT_CACHE_TTL_HOURS) || 6) * HOUR,
+    explorer: (parseFloat(process.env.EXPLORER_CACHE_TTL_HOURS) || 24) * HOUR,
+  },
+};
+
+export const CACHE_BACKENDS = ["memory", "file", "sqlite", "none"];
+
+/**
+ * How a run uses the cache
+ * use: read and write; refresh: skip reads, write fresh results; off: neither
+ */
+export const CACHE_MODES = ["use", "refresh", "off"];
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|aff|_ga)$/i;
+
+/**
+ * Normalize free text for a cache key (case, accents, spacing)
+ * @param {string} value - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Cache key for a Scout search
+ * Backends return different links, so each one has its own entries
+ * @param {string} interest - Interest
+ * @param {string} city - City
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} searchBackend - Scout backend name (model/brightdata_mcp/brightdata_serp)
+ * @returns {string} Key
+ */
+export function scoutCacheKey(interest, city, date, searchBackend) {
+  return [searchBackend, normalizeText(interest), normalizeText(city), date].join("|");
+}
+
+/**
+ * Canonical form of a URL, so trivially different links share an entry
+ * Lowercases the host, drops www., the fragment, default ports, tracking
+ * parameters and a trailing slash, and sorts the query
+ * @param {string} url - URL
+ * @returns {string} Canonical URL (the input, trimmed, if it doesn't parse)
+ */
+export function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return String(url ?? "").trim();
+  }
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  if (parsed.protocol === "http:") parsed.protocol = "https:";
+  parsed.port = "";
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Cache key for an Explorer link analysis
+ * The analysis depends on the link's target date and city, not just the page:
+ * a venue calendar holds different events for every date
+ * @param {Object} link - Scout link ({ url, date })
+ * @param {string} city - City
+ * @returns {string} Key
+ */
+export function explorerCacheKey(link, city) {
+  return [canonicalUrl(link.url), normalizeText(city), link.date].join("|");
+}
+
+/**
+ * Create an in-memory cache (oldest entries evicted past maxEntries)
+ * @param {Object} options - { maxEntries }
+ * @returns {Object} Cache with get/set/close
+ */
+export function createMemoryCache(options = {}) {
+  const maxEntries = options.maxEntries || CONFIG.memoryMaxEntries;
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(namespace, key) {
+      const id = `${namespace}\n${key}`;
+      const entry = entries.get(id);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(id);
+        return undefined;
+      }
+      return structuredClone(entry.value);
+    },
+    async set(namespace, key, value, ttlMs) {
+      const id = `${namespace}\n${key}`;
+      entries.delete(id);
+      entries.set(id, {
+        value: structuredClone(value),
+        expiresAt: Date.now() + ttlMs,
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Create a file cache: <dir>/<namespace>/<sha1(key)>.json
+ * @param {Object} options - { dir }
+ * @returns {Object} Cache with get/set/close
+ */
+export function createFileCache(options = {}) {
+  const dir = options.dir || CONFIG.fileDir;
+
+  function fileFor(namespace, key) {
+    const hash = crypto.createHash("sha1").update(key).digest("hex");
+    return path.join(dir, namespace, `${hash}.json`);
+  }
+
+  return {
+    name: "file",
+    async get(namespace, key) {
+      const file = fileFor(namespace, key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+      } catch {
+        return undefined;
+      }
+      if (entry.key !== key || entry.expires_at <= Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(namespace, key, value, ttlMs) {
+      const file = fileFor(namespace, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename, so readers never see a half-written entry
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(
+        tmp,
+        JSON.stringify({ key, value, expires_at: Date.now() + ttlMs })
+      );
+      await fs.promises.rename(tmp, file);
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Create a SQLite cache (better-sqlite3)
+ * The driver is a native module, loaded only when this backend is chosen
+ * @param {Object} options - { file }
+ * @returns {Promise<Object>} Cache with get/set/close
+ * @throws {Error} If better-sqlite3 can't be loaded or the file opened
+ */
+export async function createSqliteCache(options = {}) {
+  const file = options.file || CONFIG.sqliteFile;
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (error) {
+    throw new Error(
+      `SQLite result cache needs better-sqlite3 (npm install): ${error.message}`
+    );
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.exec(`CREATE TABLE IF NOT EXISTS result_cache (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    PRIMARY KEY (namespace, key)
+  )`);
+  db.prepare("DELETE FROM result_cache WHERE expires_at <= ?").run(Date.now());
+
+  const select = db.prepare(
+    "SELECT value FROM result_cache WHERE namespace = ? AND key = ? AND expires_at > ?"
+  );
+  const upsert = db.prepare(
+    `INSERT INTO result_cache (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`
+  );
+
+  return {
+    name: "sqlite",
+    async get(namespace, key) {
+      const row = select.get(namespace, key, Date.now());
+      return row ? JSON.parse(row.value) : undefined;
+    },
+    async set(namespace, key, value, ttlMs) {
+      upsert.run(namespace, key, JSON.stringify(value), Date.now() + ttlMs);
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Create a cache that stores nothing
+ * @returns {Object} Cache with get/set/close
+ */
+function createNullCache() {
+  return {
+    name: "none",
+    async get() {
+      return undefined;
+    },
+    async set() {},
+    async close() {},
+  };
+}
+
+/**
+ * Create a cache by backend name
+ * @param {string} name - memory/file/sqlite/none
+ * @returns {Promise<Object>} Cache
+ */
+export async function createCache(name) {
+  switch (name) {
+    case "memory":
+      return createMemoryCache();
+    case "file":
+      return createFileCache();
+    case "sqlite":
+      return createSqliteCache();
+    case "none":
+      return createNullCache();
+    default:
+      throw new Error(
+        `Unknown result cache backend "${name}". Available: ${CACHE_BACKENDS.join(", ")}`
+      );
+  }
+}
+
+// Shared cache, created on first use
+let sharedCache = null;
+
+/**
+ * Get the shared cache (RESULT_CACHE_BACKEND)
+ * A backend that can't be opened fails here rather than being swapped for
+ * another one; the server opens it at startup so that happens before listening
+ * @returns {Promise<Object>} Cache
+ */
+export function getCache() {
+  if (!sharedCache) {
+    sharedCache = createCache(CONFIG.backend);
+  }
+  return sharedCache;
+}
+
+/**
+ * Create a cache session for one pipeline phase: reads and writes one
+ * namespace according to the run's cache mode, counting hits and misses
+ * @param {string} namespace - "scout" or "explorer"
+ * @param {string} [mode] - One of CACHE_MODES (default "use")
+ * @param {Function} [logger] - Run logger for cache failures (defaults to console.warn)
+ * @returns {Object} Session with get(key), set(key, value) and stats
+ */
+export function createCacheSession(namespace, mode = "use", logger = console.warn) {
+  const stats = { hits: 0, misses: 0 };
+  const ttlMs = CONFIG.ttlMs[namespace] || HOUR;
+
+  // A broken cache only costs the saving, never the run
+  return {
+    mode,
+    stats,
+    async get(key) {
+      if (mode !== "use") return undefined;
+      let value;
+      try {
+        value = await (await getCache()).get(namespace, key);
+      } catch (error) {
+        logger(`⚠️ Result cache read failed: ${error.message}`);
+      }
+      if (value === undefined) stats.misses++;
+      else stats.hits++;
+      return value;
+    },
+    async set(key, value) {
+      if (mode === "off") return;
+      try {
+        await (await getCache()).set(namespace, key, value, ttlMs);
+      } catch (error) {
+        logger(`⚠️ Result cache write failed: ${error.message}`);
+      }
+    },
+  };
+}
+
+export default {
+  CACHE_BACKENDS,
+  CACHE_MODES,
+  scoutCacheKey,
+  canonicalUrl,
+  explorerCacheKey,
+  createMemoryCache,
+  createFileCache,
+  createSqliteCache,
+  createCache,
+  getCache,
+  createCacheSession,
+};
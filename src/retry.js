@@ -0,0 +1,99 @@
+/**
+ * Retry Module - Exponential backoff with jitter for model calls
+ * Retries rate limits (429), server errors (5xx) and dropped connections;
+ * anything else fails straight away
+ */
+
+import { sleep, throwIfCancelled } from "./cancellation.js";
+
+const CONFIG = {
+  maxRetries: process.env.MODEL_MAX_RETRIES
+    ? Math.max(0, parseInt(process.env.MODEL_MAX_RETRIES) || 0)
+    : 3, // Retries after the first attempt
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+// Network errors worth another try
+const RETRYABLE_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"];
+
+/**
+ * HTTP status carried by a provider SDK error, if any
+ * @param {Error} error - Error from a provider call
+ * @returns {number|undefined} Status code
+ */
+export function errorStatus(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  return typeof status === "number" ? status : undefined;
+}
+
+/**
+ * Whether an error is worth retrying (429, 5xx or a network error)
+ * Errors can opt out with retryable: false
+ * @param {Error} error - Error from a provider call
+ * @returns {boolean} True if retryable
+ */
+export function isRetryableError(error) {
+  if (error?.retryable === false) return false;
+  const status = errorStatus(error);
+  if (status !== undefined) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error?.code || error?.cause?.code);
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, or the
+ * server's Retry-After when it sends one
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @param {Error} [error] - Error that triggered the retry
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, error) {
+  const retryAfter = parseFloat(
+    error?.headers?.["retry-after"] ?? error?.headers?.get?.("retry-after")
+  );
+  if (Number.isFinite(retryAfter)) {
+    return Math.min(retryAfter * 1000, CONFIG.maxDelayMs);
+  }
+
+  const ceiling = Math.min(
+    CONFIG.baseDelayMs * 2 ** (attempt - 1),
+    CONFIG.maxDelayMs
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an async call, retrying retryable failures with backoff
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) => void
+ * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) once aborted
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(fn, options = {}) {
+  const retries = options.retries ?? CONFIG.maxRetries;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      throwIfCancelled(options.signal);
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt + 1, error);
+      options.onRetry?.(error, attempt + 1, delay);
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+export default {
+  errorStatus,
+  isRetryableError,
+  backoffDelay,
+  withRetry,
+};
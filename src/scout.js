@@ -1,29 +1,25 @@
 /**
  * Scout Module - Event Link Discovery
  * Conducts Google searches for each interest per day and returns discovered links
+ * Searches run through LLM grounding or a Bright Data backend (search_backends.js)
  */
 
-import { GoogleGenAI } from "@google/genai";
+import { getProvider } from "./llm_provider.js";
+import { generateStructured } from "./structured_output.js";
+import { getSearchBackend } from "./search_backends.js";
+import { listDates } from "./timezone.js";
+import { limitProvider, mapWithConcurrency } from "./rate_limiter.js";
+import { CircuitOpenError } from "./circuit_breaker.js";
+import { cancellableProvider, throwIfCancelled } from "./cancellation.js";
+import { PROGRESS_EVENTS } from "./progress.js";
+import { createCacheSession, scoutCacheKey } from "./result_cache.js";
 
 const CONFIG = {
-  googleApiKey: process.env.GOOGLE_API_KEY,
-  geminiModel: process.env.GEMINI_MODEL || "gemini-2.0-flash",
   linksPerSearch: 20,
+  searchBackend: process.env.SCOUT_SEARCH_BACKEND || "model",
+  concurrency: parseInt(process.env.SCOUT_CONCURRENCY) || 4, // Searches in flight at once
 };
 
-// Initialize Gemini client
-let genAI = null;
-
-function getGenAI() {
-  if (!genAI) {
-    if (!CONFIG.googleApiKey) {
-      throw new Error("GOOGLE_API_KEY is required for Scout");
-    }
-    genAI = new GoogleGenAI({ apiKey: CONFIG.googleApiKey });
-  }
-  return genAI;
-}
-
 /**
  * Generate search queries for a specific interest and date
  * @param {string} interest - The interest/topic to search
@@ -38,6 +34,7 @@ function generateSearchQueries(interest, city, date) {
     month: "long",
     day: "numeric",
     year: "numeric",
+    timeZone: "UTC", // YYYY-MM-DD parses as UTC midnight
   });
 
   // Generate multiple query variations for better coverage
@@ -66,6 +63,7 @@ function buildSearchPrompt(interest, city, date, queries) {
     month: "long",
     day: "numeric",
     year: "numeric",
+    timeZone: "UTC", // YYYY-MM-DD parses as UTC midnight
   });
 
   return `You are an Event Link Scout. Your job is to search the web and find URLs/links to event pages.
@@ -114,37 +112,107 @@ CRITICAL:
 }
 
 /**
- * Extract JSON from response that might contain extra text
+ * Response schema for model-run searches
  */
-function extractJSON(text) {
-  // Try direct parse
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    // Continue
-  }
+const SCOUT_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["links"],
+  properties: {
+    interest: { type: "string" },
+    city: { type: "string" },
+    date: { type: "string" },
+    links: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["url"],
+        properties: {
+          url: { type: "string" },
+          title: { type: "string" },
+          snippet: { type: "string" },
+          platform: { type: "string" },
+          confidence: { type: "string", enum: ["high", "medium", "low"] },
+        },
+      },
+    },
+    total_found: { type: "integer" },
+    queries_used: { type: "array", items: { type: "string" } },
+  },
+};
+
+/**
+ * Ask the LLM to search (with grounding) and report event links
+ * @param {string} interest - The interest to search
+ * @param {string} city - The city
+ * @param {string} date - The date (YYYY-MM-DD)
+ * @param {string[]} queries - Suggested search queries
+ * @param {Function} logger - Logging function
+ * @param {Object} options - Optional settings (provider)
+ * @returns {Promise<Object>} Parsed Scout JSON with links
+ */
+async function searchWithModel(
+  interest,
+  city,
+  date,
+  queries,
+  logger,
+  options = {}
+) {
+  const provider = options.provider || getProvider();
+  const prompt = buildSearchPrompt(interest, city, date, queries);
+
+  return generateStructured(
+    provider,
+    {
+      task: "scout",
+      prompt,
+      useSearch: true,
+      temperature: 0.2,
+      maxOutputTokens: 4096,
+      thinkingLevel: "low",
+      context: { interest, city, date, queries },
+    },
+    { schema: SCOUT_RESPONSE_SCHEMA, logger }
+  );
+}
+
+/**
+ * Run Scout queries through a SERP backend and merge organic results
+ * @param {Object} backend - Search backend from search_backends.js
+ * @param {string[]} queries - Search queries
+ * @param {Function} logger - Logging function
+ * @param {AbortSignal} [signal] - Run's signal
+ * @returns {Promise<Object>} Result with links and queries_used
+ */
+async function searchWithBackend(backend, queries, logger, signal) {
+  const links = [];
+  const seenUrls = new Set();
+  const queriesUsed = [];
+  let lastError = null;
 
-  // Try to extract from markdown code block
-  const codeBlockMatch = text.match(/```json\s*([\s\S]*?)\s*```/i);
-  if (codeBlockMatch && codeBlockMatch[1]) {
+  for (const query of queries) {
+    throwIfCancelled(signal);
     try {
-      return JSON.parse(codeBlockMatch[1].trim());
-    } catch (e) {
-      // Continue
+      const results = await backend.search(query, { signal });
+      queriesUsed.push(query);
+      for (const link of results) {
+        if (!seenUrls.has(link.url) && links.length < CONFIG.linksPerSearch) {
+          seenUrls.add(link.url);
+          links.push(link);
+        }
+      }
+    } catch (error) {
+      throwIfCancelled(signal);
+      lastError = error;
+      logger(`⚠️ Scout: ${backend.name} query failed "${query}": ${error.message}`);
     }
   }
 
-  // Try regex to find JSON object
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    try {
-      return JSON.parse(jsonMatch[0]);
-    } catch (e) {
-      // Continue
-    }
+  if (queriesUsed.length === 0 && lastError) {
+    throw lastError;
   }
 
-  throw new Error(`Could not extract JSON from Scout response`);
+  return { links, queries_used: queriesUsed };
 }
 
 /**
@@ -153,34 +221,49 @@ function extractJSON(text) {
  * @param {string} city - The city
  * @param {string} date - The date (YYYY-MM-DD)
  * @param {Function} logger - Optional logging function
+ * @param {Object} options - Optional settings
+ * @param {Object} options.provider - LLM provider (defaults to LLM_PROVIDER)
+ * @param {string|Object} options.searchBackend - model/brightdata_mcp/brightdata_serp, or a backend instance (defaults to SCOUT_SEARCH_BACKEND)
+ * @param {AbortSignal} [options.signal] - Cancels the search
  * @returns {Promise<Object>} Search results with links
  */
 export async function searchForInterest(
   interest,
   city,
   date,
-  logger = console.log
+  logger = console.log,
+  options = {}
 ) {
-  const ai = getGenAI();
+  const searchBackend = options.searchBackend || CONFIG.searchBackend;
+  const backendName = searchBackendName(searchBackend);
   const queries = generateSearchQueries(interest, city, date);
-  const prompt = buildSearchPrompt(interest, city, date, queries);
 
   logger(`🔍 Scout: Searching "${interest}" events in ${city} for ${date}`);
 
   try {
-    const response = await ai.models.generateContent({
-      model: CONFIG.geminiModel,
-      contents: prompt,
-      config: {
-        tools: [{ googleSearch: {} }],
-        temperature: 0.2,
-        maxOutputTokens: 4096,
-        thinkingConfig: { thinkingLevel: "low" },
-      },
-    });
-
-    const responseText = response.text;
-    const result = extractJSON(responseText);
+    let result;
+    if (searchBackend === "model") {
+      result = await searchWithModel(
+        interest,
+        city,
+        date,
+        queries,
+        logger,
+        options
+      );
+    } else {
+      // Record/replay pass a wrapped backend instead of a name
+      const backend =
+        typeof searchBackend === "string"
+          ? getSearchBackend(searchBackend)
+          : searchBackend;
+      result = await searchWithBackend(
+        backend,
+        queries,
+        logger,
+        options.signal
+      );
+    }
 
     logger(
       `✅ Scout: Found ${
@@ -195,8 +278,12 @@ export async function searchForInterest(
       date,
       links: result.links || [],
       queries_used: result.queries_used || queries,
+      search_backend: backendName,
     };
   } catch (error) {
+    // Cancelled or provider down: stop the whole Scout instead of failing search by search
+    throwIfCancelled(options.signal);
+    if (error instanceof CircuitOpenError) throw error;
     logger(`❌ Scout: Error searching "${interest}": ${error.message}`);
     return {
       success: false,
@@ -205,36 +292,55 @@ export async function searchForInterest(
       date,
       links: [],
       error: error.message,
+      search_backend: backendName,
     };
   }
 }
 
 /**
- * Get all dates between start and end (inclusive)
- * @param {string} startDate - Start date (YYYY-MM-DD)
- * @param {string} endDate - End date (YYYY-MM-DD)
- * @returns {string[]} Array of dates
+ * Name of a Scout backend given as a name or an instance
+ * @param {string|Object} searchBackend - Backend name or instance
+ * @returns {string} Backend name
  */
-function getDateRange(startDate, endDate) {
-  const dates = [];
-  const current = new Date(startDate);
-  const end = new Date(endDate);
-
-  while (current <= end) {
-    dates.push(current.toISOString().split("T")[0]);
-    current.setDate(current.getDate() + 1);
-  }
+function searchBackendName(searchBackend) {
+  return typeof searchBackend === "string" ? searchBackend : searchBackend.name;
+}
 
-  return dates;
+/**
+ * Report a finished search to the run's progress tracker
+ * @param {EventEmitter} [progress] - Progress tracker
+ * @param {Object} result - Search result
+ * @param {boolean} [resumed] - Result came from the checkpoint
+ * @returns {Object} The result
+ */
+function reportSearch(progress, result, resumed = false) {
+  progress?.report(PROGRESS_EVENTS.SEARCH_COMPLETED, {
+    interest: result.interest,
+    date: result.date,
+    success: result.success,
+    links: result.links?.length || 0,
+    cached: Boolean(result.cached),
+    resumed,
+  });
+  return result;
 }
 
 /**
  * Main Scout function - searches for all interests across all dates
+ * Searches run concurrently (SCOUT_CONCURRENCY); model calls share the
+ * provider's rate limiter with the Explorer. Successful searches are cached
+ * by (search backend, interest, city, date); options.cacheMode is "use",
+ * "refresh" or "off".
+ * options.checkpoint resumes an interrupted run: searches it lists are not
+ * repeated, and each newly completed search is passed to its onSearch.
+ * options.signal cancels the run: no new searches start, calls in flight are aborted.
+ * options.progress (progress.js) receives search_started/search_completed events
  * @param {string} city - The city to search
  * @param {string[]} interests - Array of interests
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
  * @param {Function} logger - Optional logging function
+ * @param {Object} options - Optional settings passed to each search
  * @returns {Promise<Object>} All discovered links organized by interest and date
  */
 export async function scoutEvents(
@@ -242,14 +348,15 @@ export async function scoutEvents(
   interests,
   startDate,
   endDate,
-  logger = console.log
+  logger = console.log,
+  options = {}
 ) {
   logger(`\n🔭 Scout: Starting event discovery`);
   logger(`📍 City: ${city}`);
   logger(`🎯 Interests: ${interests.join(", ")}`);
   logger(`📅 Dates: ${startDate} to ${endDate}`);
 
-  const dates = getDateRange(startDate, endDate);
+  const dates = listDates(startDate, endDate);
   const allResults = {
     city,
     interests,
@@ -261,25 +368,86 @@ export async function scoutEvents(
   };
 
   // Search for each interest on each date
-  for (const interest of interests) {
-    for (const date of dates) {
-      const result = await searchForInterest(interest, city, date, logger);
-      allResults.searchResults.push(result);
-
-      // Collect all links with metadata
-      if (result.links && result.links.length > 0) {
-        result.links.forEach((link) => {
-          allResults.allLinks.push({
-            ...link,
-            interest,
-            date,
-            searchedAt: new Date().toISOString(),
-          });
-        });
+  const searches = interests.flatMap((interest) =>
+    dates.map((date) => ({ interest, date }))
+  );
+  const searchOptions = {
+    ...options,
+    provider: cancellableProvider(
+      limitProvider(options.provider || getProvider()),
+      options.signal
+    ),
+  };
+  const backendName = searchBackendName(options.searchBackend || CONFIG.searchBackend);
+  const cache = createCacheSession("scout", options.cacheMode, logger);
+  const { progress } = options;
+  progress?.report(PROGRESS_EVENTS.PHASE_STARTED, {
+    phase: "scout",
+    total: searches.length,
+  });
+
+  // Searches finished before an interrupted run stopped (with this backend)
+  const checkpoint = options.checkpoint || {};
+  const completed = new Map(
+    (checkpoint.searches || []).map((search) => [
+      scoutCacheKey(search.interest, city, search.date, search.search_backend),
+      search,
+    ])
+  );
+  if (completed.size > 0) {
+    logger(`♻️ Scout: Resuming, ${completed.size} searches already done`);
+  }
+
+  const results = await mapWithConcurrency(
+    searches,
+    CONFIG.concurrency,
+    async ({ interest, date }) => {
+      const key = scoutCacheKey(interest, city, date, backendName);
+      if (completed.has(key)) {
+        return reportSearch(progress, completed.get(key), true);
+      }
+
+      const cached = await cache.get(key);
+      if (cached) {
+        logger(
+          `💾 Scout: Cached ${cached.links.length} links for "${interest}" on ${date}`
+        );
+        const result = { ...cached, interest, city, date, cached: true };
+        await checkpoint.onSearch?.(result);
+        return reportSearch(progress, result);
       }
 
-      // Small delay to avoid rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 500));
+      progress?.report(PROGRESS_EVENTS.SEARCH_STARTED, { interest, date });
+      const result = await searchForInterest(
+        interest,
+        city,
+        date,
+        logger,
+        searchOptions
+      );
+      const searchedAt = new Date().toISOString();
+      if (result.success) {
+        await cache.set(key, { ...result, searchedAt });
+        await checkpoint.onSearch?.({ ...result, searchedAt });
+      }
+      return reportSearch(progress, { ...result, searchedAt });
+    },
+    options.signal
+  );
+
+  for (const { searchedAt, ...result } of results) {
+    allResults.searchResults.push(result);
+
+    // Collect all links with metadata
+    if (result.links && result.links.length > 0) {
+      result.links.forEach((link) => {
+        allResults.allLinks.push({
+          ...link,
+          interest: result.interest,
+          date: result.date,
+          searchedAt,
+        });
+      });
     }
   }
 
@@ -296,6 +464,8 @@ export async function scoutEvents(
 
   allResults.allLinks = uniqueLinks;
   allResults.totalLinksFound = uniqueLinks.length;
+  allResults.cacheStats = cache.stats;
+  progress?.report(PROGRESS_EVENTS.PHASE_COMPLETED, { phase: "scout" });
 
   logger(
     `\n✅ Scout: Completed! Found ${allResults.totalLinksFound} unique links`
@@ -0,0 +1,292 @@
+/**
+ * Search Backends Module - Bright Data search for Scout
+ * Runs Scout's search queries through the Bright Data MCP search_engine tool
+ * or the SERP REST zone and converts organic results into Scout links
+ */
+
+import { MultiServerMCPClient } from "@langchain/mcp-adapters";
+
+const CONFIG = {
+  brightdataApiKey: process.env.BRIGHTDATA_API_KEY,
+  mcpUrl: process.env.BRIGHTDATA_MCP_URL,
+  mcpTransport: process.env.BRIGHTDATA_MCP_TRANSPORT || "sse",
+  serpUrl: process.env.BRIGHTDATA_SERP_URL || "https://api.brightdata.com/request",
+  serpZone: process.env.BRIGHTDATA_SERP_ZONE || "serp_api1",
+  searchEngine: "google",
+  toolTimeoutMs: 120000,
+};
+
+// Scout backends: "model" is the LLM grounded search built into scout.js
+export const SEARCH_BACKENDS = ["model", "brightdata_mcp", "brightdata_serp"];
+
+// Known event platforms, matched against the result hostname
+const PLATFORMS = [
+  { host: "eventbrite.", name: "Eventbrite" },
+  { host: "meetup.com", name: "Meetup" },
+  { host: "lu.ma", name: "Luma" },
+  { host: "luma.com", name: "Luma" },
+  { host: "facebook.com", name: "Facebook" },
+  { host: "allevents.in", name: "AllEvents" },
+];
+
+// Result hosts that are never event pages
+const IGNORED_HOSTS = ["google.", "gstatic.com", "googleusercontent.com"];
+
+/**
+ * Determine platform name from a URL
+ * @param {string} url - Result URL
+ * @returns {string} Platform name (Eventbrite/Meetup/Luma/.../Other)
+ */
+export function detectPlatform(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return "Other";
+  }
+  const match = PLATFORMS.find((p) => host.includes(p.host));
+  return match ? match.name : "Other";
+}
+
+/**
+ * Check whether a URL can be used as a Scout link
+ * @param {string} url - Result URL
+ * @returns {boolean} True for absolute http(s) URLs outside Google
+ */
+function isUsableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!["http:", "https:"].includes(parsed.protocol)) return false;
+    const host = parsed.hostname.toLowerCase();
+    return !IGNORED_HOSTS.some((ignored) => host.includes(ignored));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert one organic result into the Scout link shape
+ * @param {Object} result - Organic result ({link|url, title, description|snippet})
+ * @returns {Object|null} Scout link or null if unusable
+ */
+function toLink(result) {
+  const url = result.link || result.url;
+  if (!url || !isUsableUrl(url)) return null;
+
+  const platform = detectPlatform(url);
+  return {
+    url,
+    title: result.title || "",
+    snippet: result.description || result.snippet || "",
+    platform,
+    confidence: platform === "Other" ? "medium" : "high",
+  };
+}
+
+/**
+ * Parse markdown search output ([title](url) followed by a snippet line)
+ * @param {string} text - Markdown text
+ * @returns {Object[]} Organic results
+ */
+function parseMarkdownResults(text) {
+  const results = [];
+  const lines = text.split("\n");
+  const linkPattern = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/;
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(linkPattern);
+    if (!match) continue;
+
+    const next = (lines[i + 1] || "").trim();
+    results.push({
+      title: match[1].trim(),
+      link: match[2],
+      description: next && !linkPattern.test(next) ? next : "",
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Parse a SERP payload into Scout links
+ * Accepts Bright Data parsed JSON ({ organic: [...] }), a JSON string of it,
+ * MCP tool content blocks, or markdown
+ * @param {string|Object|Object[]} raw - SERP payload
+ * @returns {Object[]} Scout links
+ */
+export function parseOrganicResults(raw) {
+  if (raw == null) return [];
+
+  // MCP content blocks: [{ type: "text", text: "..." }]
+  if (Array.isArray(raw)) {
+    if (raw.every((item) => item && typeof item.type === "string")) {
+      return raw
+        .filter((block) => block.type === "text")
+        .flatMap((block) => parseOrganicResults(block.text));
+    }
+    return raw.map(toLink).filter(Boolean);
+  }
+
+  if (typeof raw === "string") {
+    try {
+      return parseOrganicResults(JSON.parse(raw));
+    } catch {
+      return parseMarkdownResults(raw).map(toLink).filter(Boolean);
+    }
+  }
+
+  if (Array.isArray(raw.organic)) {
+    return raw.organic.map(toLink).filter(Boolean);
+  }
+  if (raw.content !== undefined) {
+    return parseOrganicResults(raw.content);
+  }
+
+  return [];
+}
+
+/**
+ * Create a backend that searches through the Bright Data MCP search_engine tool
+ * @param {Object} options - Backend options
+ * @param {string} [options.url] - MCP server URL (defaults to Bright Data hosted MCP)
+ * @param {string} [options.transport] - MCP transport ("sse" or "http")
+ * @returns {Object} Backend with search(query, { signal }) and close()
+ */
+export function createMcpSearchBackend(options = {}) {
+  const url =
+    options.url ||
+    CONFIG.mcpUrl ||
+    (CONFIG.brightdataApiKey &&
+      `https://mcp.brightdata.com/sse?token=${CONFIG.brightdataApiKey}&pro=1`);
+  const transport = options.transport || CONFIG.mcpTransport;
+
+  let client = null;
+  let searchTool = null;
+
+  async function getSearchTool() {
+    if (searchTool) return searchTool;
+    if (!url) {
+      throw new Error(
+        "BRIGHTDATA_API_KEY or BRIGHTDATA_MCP_URL is required for the brightdata_mcp backend"
+      );
+    }
+
+    client = new MultiServerMCPClient({
+      mcpServers: {
+        bright_data: { url, transport },
+      },
+    });
+
+    try {
+      const tools = await client.getTools();
+      searchTool = tools.find((t) => t.name.endsWith("search_engine"));
+      if (!searchTool) {
+        throw new Error("search_engine tool not found on MCP server");
+      }
+    } catch (error) {
+      await client.close().catch(() => {});
+      client = null;
+      throw error;
+    }
+    return searchTool;
+  }
+
+  return {
+    name: "brightdata_mcp",
+    async search(query, searchOptions = {}) {
+      const tool = await getSearchTool();
+      const result = await tool.invoke(
+        { query, engine: CONFIG.searchEngine },
+        { timeout: CONFIG.toolTimeoutMs, signal: searchOptions.signal }
+      );
+      return parseOrganicResults(result);
+    },
+    async close() {
+      if (client) {
+        await client.close();
+        client = null;
+        searchTool = null;
+      }
+    },
+  };
+}
+
+/**
+ * Create a backend that searches through the Bright Data SERP REST zone
+ * @param {Object} options - Backend options
+ * @param {string} [options.apiKey] - Bright Data API key
+ * @param {string} [options.zone] - SERP zone name
+ * @param {string} [options.endpoint] - Request endpoint URL
+ * @returns {Object} Backend with search(query, { signal }) and close()
+ */
+export function createSerpSearchBackend(options = {}) {
+  const apiKey = options.apiKey || CONFIG.brightdataApiKey;
+  const zone = options.zone || CONFIG.serpZone;
+  const endpoint = options.endpoint || CONFIG.serpUrl;
+
+  return {
+    name: "brightdata_serp",
+    async search(query, searchOptions = {}) {
+      if (!apiKey) {
+        throw new Error("BRIGHTDATA_API_KEY is required for the brightdata_serp backend");
+      }
+
+      const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(
+        query
+      )}&hl=en&gl=us&brd_json=1`;
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({ zone, url: searchUrl, format: "raw" }),
+        signal: searchOptions.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`SERP request failed with status ${response.status}`);
+      }
+
+      return parseOrganicResults(await response.text());
+    },
+    async close() {},
+  };
+}
+
+const BACKEND_FACTORIES = {
+  brightdata_mcp: createMcpSearchBackend,
+  brightdata_serp: createSerpSearchBackend,
+};
+
+// Shared backend instances, one per name
+const backends = new Map();
+
+/**
+ * Get the shared search backend for a name
+ * @param {string} name - Backend name (brightdata_mcp/brightdata_serp)
+ * @returns {Object} Backend
+ */
+export function getSearchBackend(name) {
+  const factory = BACKEND_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown search backend "${name}". Available: ${SEARCH_BACKENDS.join(", ")}`
+    );
+  }
+  if (!backends.has(name)) {
+    backends.set(name, factory());
+  }
+  return backends.get(name);
+}
+
+export default {
+  SEARCH_BACKENDS,
+  detectPlatform,
+  parseOrganicResults,
+  createMcpSearchBackend,
+  createSerpSearchBackend,
+  getSearchBackend,
+};
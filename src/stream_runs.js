@@ -0,0 +1,164 @@
+/**
+ * Stream Runs Module - Resumable SSE streams for itinerary runs
+ * Every event a run sends is numbered and kept, so a client that reconnects
+ * with Last-Event-ID gets what it missed and then the live stream. A run
+ * whose clients have all gone is given a short grace period to be reattached
+ * before it is abandoned; finished runs stay available for the same period.
+ * The grace period is a trade-off: a longer one survives flakier networks
+ * but keeps spending model calls and page fetches for a closed tab. A run
+ * whose client left before receiving any event has nothing to resume from,
+ * so it is abandoned at once.
+ * Run IDs are random UUIDs: knowing a run's ID is what lets a client attach
+ */
+
+import crypto from "crypto";
+
+const CONFIG = {
+  graceMs: parseInt(process.env.STREAM_RESUME_GRACE_MS) || 5000, // Reconnect window
+};
+
+// Runs by ID
+const runs = new Map();
+
+/**
+ * Generate a run ID that can't be guessed from another run's
+ * @returns {string} Random UUID
+ */
+export function generateRunId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Split an SSE event ID into its run ID and sequence number
+ * @param {string} eventId - Event ID like "0b9c5f3e-...-4f1a:12"
+ * @returns {Object|null} { runId, seq }, or null if malformed
+ */
+export function parseEventId(eventId) {
+  const match = String(eventId ?? "").match(/^(.+):(\d+)$/);
+  return match ? { runId: match[1], seq: parseInt(match[2]) } : null;
+}
+
+/**
+ * Set the headers that open an SSE response
+ * @param {Object} res - Express response
+ */
+export function openEventStream(res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+}
+
+/**
+ * Create a stream run
+ * @param {string} id - Run ID from generateRunId (also the request ID)
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.onAbandoned] - Called when no client came back within the grace
+ *   period, or as soon as the last client leaves if none ever received an event
+ * @returns {Object} Run with send(), attach(), finish() and clients
+ */
+export function createStreamRun(id, options = {}) {
+  const events = [];
+  const clients = new Set();
+  let finished = false;
+  let delivered = false; // Some client got an event ID to resume from
+  let timer = null;
+
+  function write(res, entry) {
+    res.write(`id: ${entry.id}\ndata: ${entry.data}\n\n`);
+    delivered = true;
+  }
+
+  function abandon() {
+    clearTimeout(timer);
+    runs.delete(id);
+    options.onAbandoned?.();
+  }
+
+  function expireLater(fn) {
+    clearTimeout(timer);
+    timer = setTimeout(fn, CONFIG.graceMs);
+    timer.unref?.();
+  }
+
+  const run = {
+    id,
+    get clients() {
+      return clients.size;
+    },
+    get finished() {
+      return finished;
+    },
+
+    /**
+     * Number, keep and broadcast an event
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     */
+    send(type, data) {
+      const entry = {
+        id: `${id}:${events.length + 1}`,
+        data: JSON.stringify({ type, ...data }),
+      };
+      events.push(entry);
+      clients.forEach((res) => write(res, entry));
+    },
+
+    /**
+     * Attach a client: replay events after lastEventId, then stream live
+     * A finished run is replayed and the response ended
+     * @param {Object} res - Express response (SSE headers already set)
+     * @param {string} [lastEventId] - Last event the client received
+     */
+    attach(res, lastEventId) {
+      const after = parseEventId(lastEventId)?.seq || 0;
+      events.slice(after).forEach((entry) => write(res, entry));
+
+      if (finished) {
+        res.end();
+        return;
+      }
+
+      clearTimeout(timer);
+      clients.add(res);
+      res.on("close", () => {
+        clients.delete(res);
+        if (clients.size === 0 && !finished) {
+          if (delivered) expireLater(abandon);
+          else abandon();
+        }
+      });
+    },
+
+    /**
+     * End the run: close every client and keep the events for late reconnects
+     */
+    finish() {
+      if (finished) return;
+      finished = true;
+      clients.forEach((res) => res.end());
+      clients.clear();
+      expireLater(() => runs.delete(id));
+    },
+  };
+
+  runs.set(id, run);
+  return run;
+}
+
+/**
+ * Look up a run
+ * @param {string} id - Run ID
+ * @returns {Object|null} Run, or null if unknown or expired
+ */
+export function getStreamRun(id) {
+  return runs.get(id) || null;
+}
+
+export default {
+  generateRunId,
+  parseEventId,
+  openEventStream,
+  createStreamRun,
+  getStreamRun,
+};
@@ -0,0 +1,505 @@
+/**
+ * Structured Data Module - Read events straight from an event page's markup
+ * Parses schema.org Event JSON-LD and microdata plus OpenGraph tags from
+ * fetched HTML and maps them to the Explorer's event shape. Events with a
+ * name, a start time and a physical address on the link's target date are
+ * complete and need no model call; for everything else the page's title and
+ * visible text are handed to the model instead
+ */
+
+import { normalizeTime, localDate } from "./timezone.js";
+
+const CONFIG = {
+  maxDescriptionChars: 300,
+  maxTextChars: 4000, // Visible page text kept for the model
+};
+
+// Elements without a closing tag
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "source", "track", "wbr",
+]);
+
+// Explorer category for schema.org event types
+const CATEGORIES = {
+  MusicEvent: "performance",
+  TheaterEvent: "performance",
+  DanceEvent: "performance",
+  ComedyEvent: "performance",
+  ScreeningEvent: "performance",
+  EducationEvent: "class",
+  BusinessEvent: "networking",
+  SocialEvent: "meetup",
+  LiteraryEvent: "talk",
+  ExhibitionEvent: "other",
+  Festival: "other",
+};
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1));
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Text of an HTML fragment, whitespace collapsed
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function cleanText(html) {
+  return decodeEntities(String(html).replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Read an attribute from a tag's attribute string
+ * @param {string} attrs - Attributes as written in the tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded value, or null if absent
+ */
+function attribute(attrs, name) {
+  const match = attrs.match(
+    new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i")
+  );
+  if (!match) return null;
+  return decodeEntities(match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * Remove comments, scripts and styles
+ * @param {string} html - Page HTML
+ * @returns {string} HTML without non-content elements
+ */
+function stripNonContent(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1\s*>/gi, "");
+}
+
+/**
+ * Local name of a schema.org type ("https://schema.org/MusicEvent" → "MusicEvent")
+ * @param {string|string[]} type - @type value(s)
+ * @returns {string[]} Type names
+ */
+function typeNames(type) {
+  return (Array.isArray(type) ? type : [type])
+    .filter((t) => typeof t === "string")
+    .map((t) => t.split(/[/#:]/).pop());
+}
+
+/**
+ * Whether a node is a schema.org Event (or a subtype)
+ * @param {Object} node - JSON-LD or microdata node
+ * @returns {boolean}
+ */
+function isEventNode(node) {
+  return typeNames(node?.["@type"]).some(
+    (name) => name.endsWith("Event") || name === "Festival"
+  );
+}
+
+/**
+ * Collect Event nodes from parsed structured data, looking inside arrays,
+ * @graph and list items (events nested in an event are not collected)
+ * @param {*} node - Parsed JSON-LD or microdata
+ * @param {Object[]} [found] - Accumulator
+ * @returns {Object[]} Event nodes
+ */
+function collectEvents(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectEvents(item, found));
+  } else if (node && typeof node === "object") {
+    if (isEventNode(node)) {
+      found.push(node);
+    } else {
+      collectEvents(node["@graph"], found);
+      collectEvents(node.itemListElement, found);
+      collectEvents(node.item, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Parse every JSON-LD block in a page
+ * Blocks that aren't valid JSON are skipped
+ * @param {string} html - Page HTML
+ * @returns {Object[]} Parsed blocks
+ */
+export function extractJsonLd(html) {
+  const blocks = [];
+  const pattern =
+    /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+
+  for (const [, body] of html.matchAll(pattern)) {
+    const json = body
+      .trim()
+      .replace(/^<!\[CDATA\[|\]\]>$/g, "")
+      .replace(/^<!--|-->$/g, "");
+    try {
+      blocks.push(JSON.parse(json));
+    } catch {
+      // Broken markup is common; the page still goes to the model
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Parse microdata items (itemscope/itemtype/itemprop) into JSON-LD-like nodes
+ * @param {string} html - Page HTML
+ * @returns {Object[]} Top-level items
+ */
+export function extractMicrodata(html) {
+  const body = stripNonContent(html);
+  const items = [];
+  const stack = []; // Open elements: { tag, item?, prop?, parent?, textStart? }
+
+  const assign = (item, prop, value) => {
+    if (item && prop && item[prop] === undefined) item[prop] = value;
+  };
+  const nearestItem = () => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].item) return stack[i].item;
+    }
+    return null;
+  };
+  const finish = (entry, end) => {
+    if (entry.item) {
+      if (entry.prop && entry.parent) assign(entry.parent, entry.prop, entry.item);
+      else items.push(entry.item);
+    } else if (entry.textStart !== undefined) {
+      assign(entry.parent, entry.prop, cleanText(body.slice(entry.textStart, end)));
+    }
+  };
+
+  for (const match of body.matchAll(/<(\/?)([a-zA-Z][\w-]*)([^>]*)>/g)) {
+    const [raw, closing, name, attrs] = match;
+    const tag = name.toLowerCase();
+
+    if (closing) {
+      const index = stack.map((e) => e.tag).lastIndexOf(tag);
+      if (index === -1) continue;
+      // Closing an element also closes children left open
+      stack
+        .splice(index)
+        .reverse()
+        .forEach((entry) => finish(entry, match.index));
+      continue;
+    }
+
+    const prop = attribute(attrs, "itemprop")?.split(/\s+/)[0] || null;
+    const parent = nearestItem();
+    const entry = { tag };
+
+    if (/(?:^|\s)itemscope\b/i.test(attrs)) {
+      const type = attribute(attrs, "itemtype");
+      entry.item = type ? { "@type": typeNames(type.split(/\s+/)) } : {};
+      entry.prop = prop;
+      entry.parent = parent;
+    } else if (prop && parent) {
+      const value =
+        attribute(attrs, "content") ??
+        attribute(attrs, "datetime") ??
+        (["a", "link", "area"].includes(tag) ? attribute(attrs, "href") : null) ??
+        (["img", "source"].includes(tag) ? attribute(attrs, "src") : null);
+      if (value !== null) {
+        assign(parent, prop, value);
+      } else {
+        entry.prop = prop;
+        entry.parent = parent;
+        entry.textStart = match.index + raw.length;
+      }
+    }
+
+    if (VOID_TAGS.has(tag) || raw.endsWith("/>")) {
+      if (entry.item) finish(entry, match.index + raw.length);
+    } else {
+      stack.push(entry);
+    }
+  }
+
+  stack.reverse().forEach((entry) => finish(entry, body.length));
+  return items;
+}
+
+/**
+ * Read OpenGraph (og:*) and event:* meta tags, with <title> and the meta
+ * description as fallbacks
+ * @param {string} html - Page HTML
+ * @returns {Object} Tags without their prefix, e.g. { title, description, url, start_time }
+ */
+export function extractOpenGraph(html) {
+  const tags = {};
+  for (const [, attrs] of html.matchAll(/<meta\b([^>]*)>/gi)) {
+    const key = attribute(attrs, "property") || attribute(attrs, "name");
+    const content = attribute(attrs, "content");
+    const match = key?.match(/^(?:og|event):(.+)$/i);
+    if (match && content && tags[match[1]] === undefined) {
+      tags[match[1]] = content.trim();
+    }
+    if (key?.toLowerCase() === "description" && content) {
+      tags.meta_description ??= content.trim();
+    }
+  }
+
+  if (!tags.title) {
+    const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+    if (title) tags.title = cleanText(title[1]);
+  }
+  tags.description ??= tags.meta_description;
+  delete tags.meta_description;
+  return tags;
+}
+
+/**
+ * Visible text of a page, one line per block element
+ * @param {string} html - Page HTML
+ * @param {number} [maxChars] - Length limit
+ * @returns {string} Page text
+ */
+export function extractPageText(html, maxChars = CONFIG.maxTextChars) {
+  const withoutHead = stripNonContent(html).replace(/<head\b[\s\S]*?<\/head\s*>/i, "");
+  const text = decodeEntities(
+    withoutHead
+      .replace(/<(br|hr)\b[^>]*>/gi, "\n")
+      .replace(/<\/(p|div|li|h[1-6]|tr|section|article|header|footer|dd|dt)\s*>/gi, "\n")
+      .replace(/<[^>]*>/g, " ")
+  );
+
+  return text
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n")
+    .slice(0, maxChars);
+}
+
+/**
+ * Plain string from a schema.org text value (string, array, or { name }/{ @value })
+ * @param {*} value - Property value
+ * @returns {string} Text ("" if none)
+ */
+function textOf(value) {
+  if (Array.isArray(value)) return textOf(value[0]);
+  if (value && typeof value === "object") {
+    return textOf(value["@value"] ?? value.name ?? "");
+  }
+  return typeof value === "string" || typeof value === "number"
+    ? cleanText(String(value))
+    : "";
+}
+
+/**
+ * One-line address from a PostalAddress or string
+ * @param {*} address - schema.org address
+ * @returns {Object} { address, city }
+ */
+function readAddress(address) {
+  if (Array.isArray(address)) return readAddress(address[0]);
+  if (!address || typeof address !== "object") {
+    return { address: textOf(address), city: "" };
+  }
+
+  const parts = [
+    textOf(address.streetAddress),
+    textOf(address.addressLocality),
+    [textOf(address.addressRegion), textOf(address.postalCode)]
+      .filter(Boolean)
+      .join(" "),
+    textOf(address.addressCountry),
+  ].filter(Boolean);
+  return { address: parts.join(", "), city: textOf(address.addressLocality) };
+}
+
+/**
+ * Pricing from offers and isAccessibleForFree
+ * @param {Object} node - Event node
+ * @returns {Object|undefined} { is_free, price, currency }
+ */
+function readPricing(node) {
+  const offers = [node.offers].flat().filter((o) => o && typeof o === "object");
+  const prices = offers
+    .map((offer) => ({
+      price: parseFloat(offer.price ?? offer.lowPrice),
+      currency: textOf(offer.priceCurrency),
+    }))
+    .filter((offer) => !isNaN(offer.price));
+
+  const free =
+    node.isAccessibleForFree === true ||
+    String(node.isAccessibleForFree).toLowerCase() === "true" ||
+    (prices.length > 0 && prices.every((p) => p.price === 0));
+  if (free) return { is_free: true, price: "Free", currency: prices[0]?.currency || "" };
+  if (prices.length === 0) return undefined;
+
+  const lowest = prices.reduce((a, b) => (b.price < a.price ? b : a));
+  return {
+    is_free: false,
+    price: String(lowest.price),
+    currency: lowest.currency,
+  };
+}
+
+/**
+ * Whether a node describes an online-only event
+ * @param {Object} node - Event node
+ * @returns {boolean}
+ */
+function isOnlineNode(node) {
+  const mode = typeNames(node.eventAttendanceMode).join(" ");
+  if (mode.includes("OnlineEventAttendanceMode")) return true;
+  const locations = [node.location].flat().filter(Boolean);
+  return (
+    locations.length > 0 &&
+    locations.every((l) => typeNames(l?.["@type"]).includes("VirtualLocation"))
+  );
+}
+
+/**
+ * Map a schema.org Event node to the Explorer's event shape
+ * @param {Object} node - Event node (JSON-LD or microdata)
+ * @param {Object} link - Scout link the page was fetched for
+ * @param {Object} [options] - Mapping options
+ * @param {string} [options.city] - The city (used when the address has none)
+ * @param {string} [options.timeZone] - City's IANA timezone (times are converted to it)
+ * @returns {Object|null} Event, or null for online-only events
+ */
+export function toItineraryEvent(node, link, options = {}) {
+  if (isOnlineNode(node)) return null;
+
+  const place = [node.location]
+    .flat()
+    .find((l) => l && !typeNames(l["@type"]).includes("VirtualLocation"));
+  const placeObject = place && typeof place === "object" ? place : {};
+  const { address, city } = readAddress(placeObject.address);
+  const geo = placeObject.geo || {};
+  const lat = parseFloat(geo.latitude);
+  const lng = parseFloat(geo.longitude);
+
+  // Local wall time without offset, like the model's times; dates stay dates
+  const time = (value) => {
+    const text = textOf(value);
+    return options.timeZone && /T\d{2}:\d{2}/.test(text)
+      ? normalizeTime(text, options.timeZone).slice(0, 19)
+      : text;
+  };
+  const description = textOf(node.description);
+  const keywords = [node.keywords]
+    .flat()
+    .flatMap((k) => textOf(k).split(","))
+    .map((k) => k.trim())
+    .filter(Boolean);
+  const category = typeNames(node["@type"])
+    .map((name) => CATEGORIES[name])
+    .find(Boolean);
+
+  const event = {
+    name: textOf(node.name),
+    type: "event",
+    category: category || "other",
+    location: {
+      venue: typeof place === "string" ? cleanText(place) : textOf(placeObject.name),
+      address,
+      city: city || options.city || "",
+    },
+    start_time: time(node.startDate),
+    end_time: time(node.endDate) || undefined,
+    description:
+      description.length > CONFIG.maxDescriptionChars
+        ? `${description.slice(0, CONFIG.maxDescriptionChars - 1)}…`
+        : description,
+    source: { platform: link.platform || "Other", url: link.url },
+    tags: [...new Set([link.interest, ...keywords].filter(Boolean))].slice(0, 6),
+    interest_matched: link.interest,
+    target_date: link.date,
+  };
+  if (!isNaN(lat) && !isNaN(lng)) event.coordinates = { lat, lng };
+  const pricing = readPricing(node);
+  if (pricing) event.pricing = pricing;
+  return event;
+}
+
+/**
+ * Whether a mapped event has everything the model would otherwise supply:
+ * a name, a start time (not just a date) and a physical address
+ * @param {Object} event - Mapped event
+ * @returns {boolean}
+ */
+export function isCompleteEvent(event) {
+  return Boolean(
+    event.name &&
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(event.start_time) &&
+      event.location.address
+  );
+}
+
+/**
+ * Read a fetched event page
+ * events are the complete events on the link's target date; partial holds
+ * what else the markup describes, for the model prompt
+ * @param {string} html - Page HTML
+ * @param {Object} link - Scout link ({ url, date, interest, platform })
+ * @param {Object} [options] - { city, timeZone } (see toItineraryEvent)
+ * @returns {Object} { events, partial, openGraph, text }
+ */
+export function extractPageEvents(html, link, options = {}) {
+  const nodes = collectEvents([...extractJsonLd(html), ...extractMicrodata(html)]);
+  const seen = new Set();
+  const events = [];
+  const partial = [];
+
+  for (const node of nodes) {
+    const event = toItineraryEvent(node, link, options);
+    if (!event) continue;
+    const key = `${event.name}-${event.start_time}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const onDate = event.start_time && localDate(event.start_time) === link.date;
+    if (isCompleteEvent(event) && onDate) events.push(event);
+    else partial.push(event);
+  }
+
+  return {
+    events,
+    partial,
+    openGraph: extractOpenGraph(html),
+    text: extractPageText(html),
+  };
+}
+
+export default {
+  extractJsonLd,
+  extractMicrodata,
+  extractOpenGraph,
+  extractPageText,
+  toItineraryEvent,
+  isCompleteEvent,
+  extractPageEvents,
+};
@@ -0,0 +1,273 @@
+/**
+ * Structured Output Module - Schema-constrained JSON from model calls
+ * Asks the provider for JSON matching a response schema, continues output
+ * that was cut off at maxOutputTokens, and reports anything unusable as a
+ * typed ModelOutputError with the raw text written to the request log
+ */
+
+const CONFIG = {
+  maxContinuations: 2, // Follow-up calls for output cut off at the token limit
+  continuationTailChars: 2000, // How much of the cut-off output to show the model
+};
+
+/**
+ * Error codes for unusable model output
+ */
+export const OUTPUT_ERROR_CODES = {
+  EMPTY: "empty_output",
+  TRUNCATED: "truncated_output",
+  INVALID_JSON: "invalid_json",
+  SCHEMA_MISMATCH: "schema_mismatch",
+};
+
+/**
+ * Error for model output that can't be turned into the requested JSON
+ */
+export class ModelOutputError extends Error {
+  /**
+   * @param {string} code - One of OUTPUT_ERROR_CODES
+   * @param {string} message - What went wrong
+   * @param {Object} details - { task, provider, rawText }
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ModelOutputError";
+    this.code = code;
+    this.task = details.task;
+    this.provider = details.provider;
+    this.rawText = details.rawText ?? "";
+  }
+}
+
+/**
+ * Remove a markdown code fence around the output, if the model added one
+ * A fence left open by truncation is removed too
+ * @param {string} text - Raw output
+ * @returns {string} Output without the fence
+ */
+function stripFence(text) {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^```(?:json)?\s*\n?([\s\S]*?)(?:\n?```)?$/i);
+  return match ? match[1].trim() : trimmed;
+}
+
+/**
+ * Whether text is the start of a JSON value that stops before it is closed
+ * @param {string} text - JSON text
+ * @returns {boolean} True if a string, object or array is left open
+ */
+function isIncomplete(text) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      depth++;
+    } else if (char === "}" || char === "]") {
+      depth--;
+    }
+  }
+
+  return inString || depth > 0;
+}
+
+/**
+ * JSON type name of a value, as used by schema "type"
+ * @param {*} value - Any value
+ * @returns {string} Type name
+ */
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Whether a value matches a schema "type" (string or list of types)
+ * @param {*} value - Any value
+ * @param {string|string[]} [type] - Schema type
+ * @returns {boolean} True if it matches (or no type is given)
+ */
+function matchesType(value, type) {
+  if (!type) return true;
+  const actual = jsonType(value);
+  return [].concat(type).some(
+    (t) => t === actual || (t === "number" && actual === "integer")
+  );
+}
+
+/**
+ * Check the top-level shape of parsed output against a response schema
+ * Only the root type, required keys and the types of top-level properties are
+ * checked; items are left to the caller (see event_schema.js)
+ * @param {*} value - Parsed output
+ * @param {Object} schema - Response schema
+ * @returns {string|null} Problem description, or null if the shape fits
+ */
+function checkShape(value, schema) {
+  if (!matchesType(value, schema.type)) {
+    return `expected ${schema.type}, got ${jsonType(value)}`;
+  }
+  if (jsonType(value) !== "object") return null;
+
+  const missing = (schema.required || []).filter((key) => !(key in value));
+  if (missing.length > 0) {
+    return `missing ${missing.join(", ")}`;
+  }
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (key in value && !matchesType(value[key], property.type)) {
+      return `${key} should be ${property.type}, got ${jsonType(value[key])}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse model output as JSON and check it against a response schema
+ * @param {string} text - Raw output
+ * @param {Object} options - Parse options
+ * @param {Object} [options.schema] - Response schema
+ * @param {string} [options.task] - Pipeline step (for error details)
+ * @param {string} [options.provider] - Provider name (for error details)
+ * @param {boolean} [options.truncated] - Provider reported hitting the token limit
+ * @returns {Object} Parsed output
+ * @throws {ModelOutputError} If the output is empty, cut off, not JSON or the wrong shape
+ */
+export function parseStructuredOutput(text, options = {}) {
+  const details = { task: options.task, provider: options.provider, rawText: text };
+
+  if (!text || !text.trim()) {
+    throw new ModelOutputError(
+      OUTPUT_ERROR_CODES.EMPTY,
+      `Empty ${options.task || "model"} response`,
+      details
+    );
+  }
+
+  const body = stripFence(text);
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch (error) {
+    const code =
+      options.truncated || isIncomplete(body)
+        ? OUTPUT_ERROR_CODES.TRUNCATED
+        : OUTPUT_ERROR_CODES.INVALID_JSON;
+    throw new ModelOutputError(
+      code,
+      code === OUTPUT_ERROR_CODES.TRUNCATED
+        ? `${options.task || "Model"} response was cut off`
+        : `${options.task || "Model"} response is not valid JSON: ${error.message}`,
+      details
+    );
+  }
+
+  const problem = options.schema ? checkShape(value, options.schema) : null;
+  if (problem) {
+    throw new ModelOutputError(
+      OUTPUT_ERROR_CODES.SCHEMA_MISMATCH,
+      `${options.task || "Model"} response does not match its schema: ${problem}`,
+      details
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Build the prompt asking the model to continue cut-off output
+ * @param {string} prompt - Original prompt
+ * @param {string} partial - Output so far
+ * @returns {string} Continuation prompt
+ */
+function buildContinuationPrompt(prompt, partial) {
+  const tail = partial.slice(-CONFIG.continuationTailChars);
+  return `${prompt}
+
+## CONTINUE YOUR PREVIOUS ANSWER
+Your previous answer was cut off at the output limit after ${partial.length} characters. It ended with:
+<<<
+${tail}
+>>>
+
+Output ONLY the characters that come next, starting exactly where it stopped. Do not repeat anything and do not add markdown.`;
+}
+
+/**
+ * Log an output error with the full raw text, so it is kept in the request log
+ * @param {Function} logger - Logging function
+ * @param {ModelOutputError} error - Output error
+ */
+function logOutputError(logger, error) {
+  logger(
+    `❌ ${error.task || "model"} output error (${error.code}): ${error.message}\n` +
+      `--- raw ${error.provider || "model"} output (${error.rawText.length} chars) ---\n` +
+      `${error.rawText}\n--- end raw output ---`
+  );
+}
+
+/**
+ * Generate schema-constrained JSON
+ * Output cut off at maxOutputTokens is continued up to maxContinuations times;
+ * pass maxContinuations: 0 to get a TRUNCATED error instead (e.g. to split a batch)
+ * @param {Object} provider - LLM provider
+ * @param {Object} request - GenerateRequest (task, prompt, temperature, ...)
+ * @param {Object} options - Output options
+ * @param {Object} options.schema - Response schema (JSON Schema subset)
+ * @param {number} [options.maxContinuations] - Continuation calls allowed
+ * @param {Function} [options.logger] - Logging function for output errors
+ * @returns {Promise<Object>} Parsed output
+ * @throws {ModelOutputError} If no usable JSON comes back
+ */
+export async function generateStructured(provider, request, options = {}) {
+  const { schema } = options;
+  const logger = options.logger || console.log;
+  const maxContinuations = options.maxContinuations ?? CONFIG.maxContinuations;
+
+  const response = await provider.generate({ ...request, responseSchema: schema });
+  let text = response.text || "";
+  let truncated = Boolean(response.truncated);
+
+  for (let i = 0; i < maxContinuations; i++) {
+    if (!isIncomplete(stripFence(text))) break;
+
+    logger(`✂️ ${request.task}: output cut off, continuing (${i + 1}/${maxContinuations})`);
+    // Free text: a schema would make the model start a new JSON document
+    const next = await provider.generate({
+      ...request,
+      prompt: buildContinuationPrompt(request.prompt, text),
+    });
+    text += next.text || "";
+    truncated = Boolean(next.truncated);
+  }
+
+  try {
+    return parseStructuredOutput(text, {
+      schema,
+      task: request.task,
+      provider: response.provider,
+      truncated,
+    });
+  } catch (error) {
+    if (error instanceof ModelOutputError) {
+      logOutputError(logger, error);
+    }
+    throw error;
+  }
+}
+
+export default {
+  OUTPUT_ERROR_CODES,
+  ModelOutputError,
+  parseStructuredOutput,
+  generateStructured,
+};
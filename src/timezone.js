@@ -0,0 +1,643 @@
+/**
+ * Timezone Module - City timezone resolution and offset-aware timestamps
+ * Resolves a request city to an IANA timezone from an offline table, and
+ * normalizes event times to ISO 8601 with the city's UTC offset, so that the
+ * date and hour in each string are the city's local date and hour
+ */
+
+const CONFIG = {
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || "UTC",
+};
+
+// City name → IANA timezone (names lowercased, accents stripped)
+const CITY_TIMEZONES = {
+  // United States
+  "new york": "America/New_York",
+  "new york city": "America/New_York",
+  nyc: "America/New_York",
+  manhattan: "America/New_York",
+  brooklyn: "America/New_York",
+  queens: "America/New_York",
+  bronx: "America/New_York",
+  "staten island": "America/New_York",
+  boston: "America/New_York",
+  philadelphia: "America/New_York",
+  washington: "America/New_York",
+  "washington dc": "America/New_York",
+  baltimore: "America/New_York",
+  pittsburgh: "America/New_York",
+  atlanta: "America/New_York",
+  miami: "America/New_York",
+  orlando: "America/New_York",
+  tampa: "America/New_York",
+  charlotte: "America/New_York",
+  raleigh: "America/New_York",
+  detroit: "America/Detroit",
+  cleveland: "America/New_York",
+  columbus: "America/New_York",
+  cincinnati: "America/New_York",
+  indianapolis: "America/Indiana/Indianapolis",
+  chicago: "America/Chicago",
+  houston: "America/Chicago",
+  dallas: "America/Chicago",
+  austin: "America/Chicago",
+  "san antonio": "America/Chicago",
+  "new orleans": "America/Chicago",
+  nashville: "America/Chicago",
+  memphis: "America/Chicago",
+  minneapolis: "America/Chicago",
+  "st louis": "America/Chicago",
+  "saint louis": "America/Chicago",
+  "kansas city": "America/Chicago",
+  milwaukee: "America/Chicago",
+  denver: "America/Denver",
+  boulder: "America/Denver",
+  "salt lake city": "America/Denver",
+  albuquerque: "America/Denver",
+  phoenix: "America/Phoenix",
+  tucson: "America/Phoenix",
+  "las vegas": "America/Los_Angeles",
+  "los angeles": "America/Los_Angeles",
+  la: "America/Los_Angeles",
+  "san francisco": "America/Los_Angeles",
+  sf: "America/Los_Angeles",
+  oakland: "America/Los_Angeles",
+  berkeley: "America/Los_Angeles",
+  "san jose": "America/Los_Angeles",
+  "palo alto": "America/Los_Angeles",
+  "mountain view": "America/Los_Angeles",
+  "san diego": "America/Los_Angeles",
+  sacramento: "America/Los_Angeles",
+  seattle: "America/Los_Angeles",
+  portland: "America/Los_Angeles",
+  anchorage: "America/Anchorage",
+  honolulu: "Pacific/Honolulu",
+
+  // Canada and Latin America
+  toronto: "America/Toronto",
+  montreal: "America/Toronto",
+  ottawa: "America/Toronto",
+  vancouver: "America/Vancouver",
+  calgary: "America/Edmonton",
+  edmonton: "America/Edmonton",
+  winnipeg: "America/Winnipeg",
+  halifax: "America/Halifax",
+  "mexico city": "America/Mexico_City",
+  cdmx: "America/Mexico_City",
+  guadalajara: "America/Mexico_City",
+  monterrey: "America/Monterrey",
+  cancun: "America/Cancun",
+  havana: "America/Havana",
+  "san juan": "America/Puerto_Rico",
+  bogota: "America/Bogota",
+  medellin: "America/Bogota",
+  lima: "America/Lima",
+  quito: "America/Guayaquil",
+  santiago: "America/Santiago",
+  "buenos aires": "America/Argentina/Buenos_Aires",
+  montevideo: "America/Montevideo",
+  "sao paulo": "America/Sao_Paulo",
+  "rio de janeiro": "America/Sao_Paulo",
+  caracas: "America/Caracas",
+
+  // Europe
+  london: "Europe/London",
+  manchester: "Europe/London",
+  edinburgh: "Europe/London",
+  glasgow: "Europe/London",
+  dublin: "Europe/Dublin",
+  lisbon: "Europe/Lisbon",
+  porto: "Europe/Lisbon",
+  madrid: "Europe/Madrid",
+  barcelona: "Europe/Madrid",
+  valencia: "Europe/Madrid",
+  seville: "Europe/Madrid",
+  paris: "Europe/Paris",
+  lyon: "Europe/Paris",
+  marseille: "Europe/Paris",
+  nice: "Europe/Paris",
+  brussels: "Europe/Brussels",
+  amsterdam: "Europe/Amsterdam",
+  rotterdam: "Europe/Amsterdam",
+  luxembourg: "Europe/Luxembourg",
+  berlin: "Europe/Berlin",
+  munich: "Europe/Berlin",
+  hamburg: "Europe/Berlin",
+  frankfurt: "Europe/Berlin",
+  cologne: "Europe/Berlin",
+  zurich: "Europe/Zurich",
+  geneva: "Europe/Zurich",
+  vienna: "Europe/Vienna",
+  prague: "Europe/Prague",
+  budapest: "Europe/Budapest",
+  warsaw: "Europe/Warsaw",
+  krakow: "Europe/Warsaw",
+  copenhagen: "Europe/Copenhagen",
+  stockholm: "Europe/Stockholm",
+  oslo: "Europe/Oslo",
+  helsinki: "Europe/Helsinki",
+  tallinn: "Europe/Tallinn",
+  riga: "Europe/Riga",
+  vilnius: "Europe/Vilnius",
+  rome: "Europe/Rome",
+  milan: "Europe/Rome",
+  florence: "Europe/Rome",
+  venice: "Europe/Rome",
+  naples: "Europe/Rome",
+  athens: "Europe/Athens",
+  istanbul: "Europe/Istanbul",
+  bucharest: "Europe/Bucharest",
+  sofia: "Europe/Sofia",
+  belgrade: "Europe/Belgrade",
+  zagreb: "Europe/Zagreb",
+  kyiv: "Europe/Kyiv",
+  kiev: "Europe/Kyiv",
+  moscow: "Europe/Moscow",
+  "st petersburg": "Europe/Moscow",
+  reykjavik: "Atlantic/Reykjavik",
+
+  // Africa and Middle East
+  cairo: "Africa/Cairo",
+  casablanca: "Africa/Casablanca",
+  marrakech: "Africa/Casablanca",
+  lagos: "Africa/Lagos",
+  accra: "Africa/Accra",
+  nairobi: "Africa/Nairobi",
+  "addis ababa": "Africa/Addis_Ababa",
+  johannesburg: "Africa/Johannesburg",
+  "cape town": "Africa/Johannesburg",
+  "tel aviv": "Asia/Jerusalem",
+  jerusalem: "Asia/Jerusalem",
+  amman: "Asia/Amman",
+  beirut: "Asia/Beirut",
+  riyadh: "Asia/Riyadh",
+  doha: "Asia/Qatar",
+  dubai: "Asia/Dubai",
+  "abu dhabi": "Asia/Dubai",
+  tehran: "Asia/Tehran",
+
+  // Asia and Oceania
+  karachi: "Asia/Karachi",
+  lahore: "Asia/Karachi",
+  delhi: "Asia/Kolkata",
+  "new delhi": "Asia/Kolkata",
+  mumbai: "Asia/Kolkata",
+  bangalore: "Asia/Kolkata",
+  bengaluru: "Asia/Kolkata",
+  hyderabad: "Asia/Kolkata",
+  chennai: "Asia/Kolkata",
+  kolkata: "Asia/Kolkata",
+  kathmandu: "Asia/Kathmandu",
+  dhaka: "Asia/Dhaka",
+  colombo: "Asia/Colombo",
+  bangkok: "Asia/Bangkok",
+  "chiang mai": "Asia/Bangkok",
+  hanoi: "Asia/Bangkok",
+  "ho chi minh city": "Asia/Ho_Chi_Minh",
+  saigon: "Asia/Ho_Chi_Minh",
+  "kuala lumpur": "Asia/Kuala_Lumpur",
+  singapore: "Asia/Singapore",
+  jakarta: "Asia/Jakarta",
+  bali: "Asia/Makassar",
+  manila: "Asia/Manila",
+  "hong kong": "Asia/Hong_Kong",
+  macau: "Asia/Macau",
+  taipei: "Asia/Taipei",
+  shanghai: "Asia/Shanghai",
+  beijing: "Asia/Shanghai",
+  shenzhen: "Asia/Shanghai",
+  guangzhou: "Asia/Shanghai",
+  chengdu: "Asia/Shanghai",
+  seoul: "Asia/Seoul",
+  busan: "Asia/Seoul",
+  tokyo: "Asia/Tokyo",
+  osaka: "Asia/Tokyo",
+  kyoto: "Asia/Tokyo",
+  sydney: "Australia/Sydney",
+  melbourne: "Australia/Melbourne",
+  brisbane: "Australia/Brisbane",
+  perth: "Australia/Perth",
+  adelaide: "Australia/Adelaide",
+  auckland: "Pacific/Auckland",
+  wellington: "Pacific/Auckland",
+};
+
+// State / country → IANA timezone, used for the parts after the first comma
+// (only regions that fall within a single timezone)
+const REGION_TIMEZONES = {
+  // US states
+  ny: "America/New_York",
+  nj: "America/New_York",
+  ma: "America/New_York",
+  pa: "America/New_York",
+  dc: "America/New_York",
+  md: "America/New_York",
+  va: "America/New_York",
+  nc: "America/New_York",
+  sc: "America/New_York",
+  ga: "America/New_York",
+  oh: "America/New_York",
+  ct: "America/New_York",
+  ri: "America/New_York",
+  vt: "America/New_York",
+  nh: "America/New_York",
+  me: "America/New_York",
+  de: "America/New_York",
+  wv: "America/New_York",
+  mi: "America/Detroit",
+  il: "America/Chicago",
+  wi: "America/Chicago",
+  mn: "America/Chicago",
+  ia: "America/Chicago",
+  mo: "America/Chicago",
+  ar: "America/Chicago",
+  la: "America/Chicago",
+  ms: "America/Chicago",
+  al: "America/Chicago",
+  ok: "America/Chicago",
+  tx: "America/Chicago",
+  co: "America/Denver",
+  ut: "America/Denver",
+  nm: "America/Denver",
+  wy: "America/Denver",
+  mt: "America/Denver",
+  az: "America/Phoenix",
+  ca: "America/Los_Angeles",
+  wa: "America/Los_Angeles",
+  nv: "America/Los_Angeles",
+  or: "America/Los_Angeles",
+  ak: "America/Anchorage",
+  hi: "Pacific/Honolulu",
+  california: "America/Los_Angeles",
+  washington: "America/Los_Angeles",
+  texas: "America/Chicago",
+  illinois: "America/Chicago",
+  colorado: "America/Denver",
+  arizona: "America/Phoenix",
+  massachusetts: "America/New_York",
+  georgia: "America/New_York",
+  "new jersey": "America/New_York",
+  "new york": "America/New_York",
+  "puerto rico": "America/Puerto_Rico",
+
+  // Countries with a single timezone
+  uk: "Europe/London",
+  "united kingdom": "Europe/London",
+  england: "Europe/London",
+  scotland: "Europe/London",
+  ireland: "Europe/Dublin",
+  portugal: "Europe/Lisbon",
+  spain: "Europe/Madrid",
+  france: "Europe/Paris",
+  belgium: "Europe/Brussels",
+  netherlands: "Europe/Amsterdam",
+  germany: "Europe/Berlin",
+  switzerland: "Europe/Zurich",
+  austria: "Europe/Vienna",
+  italy: "Europe/Rome",
+  greece: "Europe/Athens",
+  poland: "Europe/Warsaw",
+  czechia: "Europe/Prague",
+  "czech republic": "Europe/Prague",
+  hungary: "Europe/Budapest",
+  denmark: "Europe/Copenhagen",
+  sweden: "Europe/Stockholm",
+  norway: "Europe/Oslo",
+  finland: "Europe/Helsinki",
+  turkey: "Europe/Istanbul",
+  israel: "Asia/Jerusalem",
+  uae: "Asia/Dubai",
+  egypt: "Africa/Cairo",
+  kenya: "Africa/Nairobi",
+  nigeria: "Africa/Lagos",
+  "south africa": "Africa/Johannesburg",
+  india: "Asia/Kolkata",
+  thailand: "Asia/Bangkok",
+  vietnam: "Asia/Ho_Chi_Minh",
+  singapore: "Asia/Singapore",
+  philippines: "Asia/Manila",
+  "hong kong": "Asia/Hong_Kong",
+  taiwan: "Asia/Taipei",
+  china: "Asia/Shanghai",
+  "south korea": "Asia/Seoul",
+  korea: "Asia/Seoul",
+  japan: "Asia/Tokyo",
+  "new zealand": "Pacific/Auckland",
+  colombia: "America/Bogota",
+  peru: "America/Lima",
+  argentina: "America/Argentina/Buenos_Aires",
+};
+
+/**
+ * Lowercase, strip accents and punctuation (commas kept)
+ * @param {string} value - City string
+ * @returns {string} Normalized string
+ */
+function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9, ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Resolve a request city to an IANA timezone
+ * Tries the full string, then state/country parts ("Paris, TX"), then the
+ * city name; unknown cities get DEFAULT_TIMEZONE with matched: false
+ * @param {string} city - City as given in the request (e.g. "New York, NY")
+ * @returns {Object} { timezone, matched }
+ */
+export function resolveTimezone(city) {
+  const normalized = normalizeName(city);
+  const parts = normalized
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const fullKey = parts.join(" ");
+  if (CITY_TIMEZONES[fullKey]) {
+    return { timezone: CITY_TIMEZONES[fullKey], matched: true };
+  }
+
+  for (const part of parts.slice(1)) {
+    if (REGION_TIMEZONES[part]) {
+      return { timezone: REGION_TIMEZONES[part], matched: true };
+    }
+  }
+
+  for (const part of parts) {
+    if (CITY_TIMEZONES[part]) {
+      return { timezone: CITY_TIMEZONES[part], matched: true };
+    }
+  }
+
+  return { timezone: CONFIG.defaultTimezone, matched: false };
+}
+
+// Intl formatters, one per timezone
+const formatters = new Map();
+
+/**
+ * Get a formatter that yields wall-clock parts and the UTC offset
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        timeZoneName: "longOffset",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, offset } (offset like "-05:00")
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const offset = parts.timeZoneName.replace("GMT", "") || "+00:00";
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    offset,
+  };
+}
+
+/**
+ * Offset of a timezone at an instant
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {number} Offset in minutes (east of UTC is positive)
+ */
+export function offsetMinutes(timeZone, date) {
+  const match = zonedParts(date, timeZone).offset.match(/([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === "-" ? -minutes : minutes;
+}
+
+/**
+ * Format an instant as ISO 8601 local time with the timezone's offset
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. "2026-01-15T18:00:00-05:00"
+ */
+export function formatZoned(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${p.offset}`;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone (DST aware)
+ * @param {number[]} wall - [year, month, day, hour, minute, second]
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+function fromWallTime(wall, timeZone) {
+  const [year, month, day, hour, minute, second] = wall;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Guess with the offset at that moment, then correct across a DST change.
+  // Repeated times (fall back) take the earlier instant; skipped times
+  // (spring forward) move forward by the size of the gap.
+  const guess = asUtc - offsetMinutes(timeZone, new Date(asUtc)) * 60000;
+  const corrected = asUtc - offsetMinutes(timeZone, new Date(guess)) * 60000;
+  const matchesWall = (instant) =>
+    Date.parse(formatZoned(new Date(instant), timeZone).slice(0, 19) + "Z") ===
+    asUtc;
+
+  const candidates = [guess, corrected].filter(matchesWall);
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+  return new Date(Math.max(guess, corrected));
+}
+
+const ISO_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Normalize a timestamp to offset-bearing ISO 8601 in a timezone
+ * Naive times ("2026-01-15T18:00:00") are read as wall-clock time in the
+ * timezone; times with an offset or Z are converted to it
+ * @param {string} value - Timestamp from the model or a user edit
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. "2026-01-15T18:00:00-05:00" (unparseable values unchanged)
+ */
+export function normalizeTime(value, timeZone) {
+  if (typeof value !== "string" || !value) return value;
+
+  const match = value.trim().match(ISO_PATTERN);
+  if (!match) {
+    const parsed = new Date(value);
+    return isNaN(parsed) ? value : formatZoned(parsed, timeZone);
+  }
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00", zone] =
+    match;
+
+  if (zone) {
+    const parsed = new Date(
+      `${year}-${month}-${day}T${hour}:${minute}:${second}${zone.toUpperCase()}`
+    );
+    return isNaN(parsed) ? value : formatZoned(parsed, timeZone);
+  }
+
+  const wall = [year, month, day, hour, minute, second].map(Number);
+  return formatZoned(fromWallTime(wall, timeZone), timeZone);
+}
+
+/**
+ * Comparable value of a timestamp in ms
+ * Offset-bearing times are exact instants; naive times are read as UTC wall
+ * time, so two naive times compare correctly regardless of the server's zone
+ * @param {string} time - ISO timestamp
+ * @returns {number} Milliseconds (NaN if unparseable)
+ */
+export function timeValue(time) {
+  if (typeof time !== "string") return NaN;
+  const match = time.trim().match(ISO_PATTERN);
+  if (!match) return Date.parse(time);
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00", zone] =
+    match;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (!zone) return wall;
+  return Date.parse(
+    `${new Date(wall).toISOString().slice(0, 19)}${zone.toUpperCase()}`
+  );
+}
+
+/**
+ * Whether a value is an ISO 8601 date-time: a real calendar date and a time
+ * of day, offset optional. Date-only values and free-form dates
+ * ("Nov 2, 7pm") are not
+ * @param {*} time - Value to check
+ * @returns {boolean}
+ */
+export function isDateTime(time) {
+  if (typeof time !== "string") return false;
+  const match = time.trim().match(ISO_PATTERN);
+  if (!match || match[4] === undefined) return false;
+
+  const [, year, month, day, hour, minute, second = "00"] = match;
+  const wall = new Date(Date.UTC(year, month - 1, day));
+  return (
+    wall.getUTCMonth() === month - 1 &&
+    wall.getUTCDate() === Number(day) &&
+    Number(hour) < 24 &&
+    Number(minute) < 60 &&
+    Number(second) < 60
+  );
+}
+
+/**
+ * Add minutes to a timestamp, keeping its format (naive stays naive,
+ * an offset stays the same offset)
+ * @param {string} time - ISO timestamp
+ * @param {number} minutes - Minutes to add (may be negative)
+ * @returns {string|null} Shifted timestamp, or null if unparseable
+ */
+export function addMinutes(time, minutes) {
+  const match = typeof time === "string" && time.trim().match(ISO_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00", zone] =
+    match;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const shifted = new Date(wall + minutes * 60000).toISOString().slice(0, 19);
+  return zone ? `${shifted}${zone.toUpperCase()}` : shifted;
+}
+
+/**
+ * Normalize start_time/end_time of events to a timezone
+ * @param {Object[]} events - Events or activities
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object[]} New events with normalized times
+ */
+export function normalizeEventTimes(events, timeZone) {
+  return events.map((event) => ({
+    ...event,
+    start_time: normalizeTime(event.start_time, timeZone),
+    end_time: normalizeTime(event.end_time, timeZone),
+  }));
+}
+
+/**
+ * Local calendar date of a normalized timestamp
+ * @param {string} time - Offset-bearing ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+export function localDate(time) {
+  return time.split("T")[0];
+}
+
+/**
+ * Local hour of a normalized timestamp
+ * @param {string} time - Offset-bearing ISO timestamp
+ * @returns {number} Hour (0-23)
+ */
+export function localHour(time) {
+  return parseInt(time.split("T")[1].split(":")[0]);
+}
+
+/**
+ * List calendar dates from start to end inclusive
+ * Pure calendar arithmetic, so no day is shifted by the server's UTC offset
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {string[]} Dates (YYYY-MM-DD)
+ */
+export function listDates(startDate, endDate) {
+  const dates = [];
+  const current = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+
+  while (current <= end) {
+    dates.push(current.toISOString().split("T")[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+export default {
+  resolveTimezone,
+  normalizeTime,
+  normalizeEventTimes,
+  timeValue,
+  isDateTime,
+  addMinutes,
+  formatZoned,
+  offsetMinutes,
+  localDate,
+  localHour,
+  listDates,
+};
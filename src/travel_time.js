@@ -0,0 +1,318 @@
+/**
+ * Travel Time Module - Feasibility of getting between consecutive events
+ * Estimates travel legs with an offline haversine backend (per-mode speeds) or
+ * a local OSRM-compatible routing service, then flags or resolves transitions
+ * that can't be made in time
+ */
+
+import { sortByTime, groupByDate, scoreRelevance } from "./planner.js";
+
+const CONFIG = {
+  backend: process.env.TRAVEL_TIME_BACKEND || "haversine",
+  routingUrl: process.env.ROUTING_URL || "http://localhost:5000",
+  defaultMode: process.env.TRAVEL_MODE || "transit",
+  bufferMinutes: 10, // Time to leave one venue and find the next
+  detourFactor: 1.3, // Street distance vs straight line
+  routingTimeoutMs: 5000,
+};
+
+// Average door-to-door city speeds in km/h
+export const TRAVEL_MODES = {
+  walking: 4.8,
+  cycling: 15,
+  transit: 18,
+  driving: 25,
+};
+
+// How infeasible transitions are handled: annotate only, or drop events
+export const TRAVEL_POLICIES = ["flag", "resolve"];
+
+// OSRM profile per mode (transit has no routing profile)
+const ROUTING_PROFILES = {
+  walking: "foot",
+  cycling: "bike",
+  driving: "car",
+};
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in km
+ */
+export function haversineKm(from, to) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Offline backend: straight-line distance × detour factor at the mode's speed
+ * @returns {Object} Backend with estimate(from, to, mode)
+ */
+export function createHaversineBackend() {
+  return {
+    name: "haversine",
+    async estimate(from, to, mode) {
+      const distanceKm = haversineKm(from, to) * CONFIG.detourFactor;
+      const speed = TRAVEL_MODES[mode] || TRAVEL_MODES[CONFIG.defaultMode];
+      return {
+        distance_km: Math.round(distanceKm * 10) / 10,
+        duration_minutes: Math.ceil((distanceKm / speed) * 60),
+      };
+    },
+  };
+}
+
+/**
+ * Routing backend for a local OSRM-compatible service
+ * Modes without a routing profile (transit) use the haversine estimate
+ * @param {Object} options - Backend options
+ * @param {string} [options.url] - Routing service base URL
+ * @returns {Object} Backend with estimate(from, to, mode)
+ */
+export function createRoutingBackend(options = {}) {
+  const url = options.url || CONFIG.routingUrl;
+  const fallback = createHaversineBackend();
+
+  return {
+    name: "routing",
+    async estimate(from, to, mode) {
+      const profile = ROUTING_PROFILES[mode];
+      if (!profile) {
+        return fallback.estimate(from, to, mode);
+      }
+
+      const response = await fetch(
+        `${url}/route/v1/${profile}/${from.lng},${from.lat};${to.lng},${to.lat}?overview=false`,
+        { signal: AbortSignal.timeout(CONFIG.routingTimeoutMs) }
+      );
+      if (!response.ok) {
+        throw new Error(`Routing request failed with status ${response.status}`);
+      }
+
+      const route = (await response.json()).routes?.[0];
+      if (!route) {
+        throw new Error("Routing service returned no route");
+      }
+      return {
+        distance_km: Math.round(route.distance / 100) / 10,
+        duration_minutes: Math.ceil(route.duration / 60),
+      };
+    },
+  };
+}
+
+const BACKEND_FACTORIES = {
+  haversine: createHaversineBackend,
+  routing: createRoutingBackend,
+};
+
+// Shared backend instances, one per name
+const backends = new Map();
+
+/**
+ * Get the shared travel-time backend (defaults to TRAVEL_TIME_BACKEND)
+ * @param {string} [name] - Backend name (haversine/routing)
+ * @returns {Object} Backend
+ */
+export function getTravelBackend(name = CONFIG.backend) {
+  const factory = BACKEND_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown travel time backend "${name}". Available: ${Object.keys(BACKEND_FACTORIES).join(", ")}`
+    );
+  }
+  if (!backends.has(name)) {
+    backends.set(name, factory());
+  }
+  return backends.get(name);
+}
+
+/**
+ * Check that an event has usable coordinates
+ * @param {Object} event - Event
+ * @returns {boolean} True if lat/lng are finite numbers
+ */
+function hasCoordinates(event) {
+  return (
+    Number.isFinite(event.coordinates?.lat) &&
+    Number.isFinite(event.coordinates?.lng)
+  );
+}
+
+/**
+ * Estimate the travel leg between two consecutive events
+ * @param {Object} from - Earlier event
+ * @param {Object} to - Later event
+ * @param {Object} options - { mode, backend }
+ * @returns {Promise<Object>} Leg with feasibility (feasible is null when unknown)
+ */
+async function estimateLeg(from, to, options) {
+  const { mode, backend } = options;
+  const availableMinutes = Math.round(
+    (new Date(to.start_time) - new Date(from.end_time || from.start_time)) / 60000
+  );
+
+  const leg = {
+    from_id: from.id,
+    to_id: to.id,
+    mode,
+    distance_km: null,
+    duration_minutes: null,
+    available_minutes: availableMinutes,
+    feasible: null,
+    backend: null,
+  };
+
+  if (!hasCoordinates(from) || !hasCoordinates(to)) {
+    return leg;
+  }
+
+  let estimate;
+  try {
+    estimate = await backend.estimate(from.coordinates, to.coordinates, mode);
+    leg.backend = backend.name;
+  } catch {
+    // Routing service unavailable: fall back to the offline estimate
+    estimate = await getTravelBackend("haversine").estimate(
+      from.coordinates,
+      to.coordinates,
+      mode
+    );
+    leg.backend = "haversine";
+  }
+
+  leg.distance_km = estimate.distance_km;
+  leg.duration_minutes = estimate.duration_minutes;
+  leg.feasible =
+    estimate.duration_minutes + CONFIG.bufferMinutes <= availableMinutes;
+  return leg;
+}
+
+/**
+ * Estimate legs between consecutive events of one day
+ * @param {Object[]} dayEvents - Events on one day
+ * @param {Object} options - { mode, backend }
+ * @returns {Promise<Object[]>} Legs in time order
+ */
+async function estimateDayLegs(dayEvents, options) {
+  const sorted = sortByTime(dayEvents);
+  const legs = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    legs.push(await estimateLeg(sorted[i], sorted[i + 1], options));
+  }
+  return legs;
+}
+
+/**
+ * How much an item is worth keeping when a transition is infeasible
+ * Suggested activities always rank below real events
+ * @param {Object} event - Event or activity
+ * @param {string[]} interests - User interests
+ * @returns {number} Higher means keep
+ */
+function dropPriority(event, interests) {
+  return scoreRelevance(event, interests) - (event.type === "activity" ? 100 : 0);
+}
+
+/**
+ * Estimate travel legs for every day and optionally resolve infeasible ones
+ * With policy "resolve", one side of each infeasible transition is moved to
+ * alternatives (a suggested activity first, else the less relevant event)
+ * until every day can be made in time. Dropping an event only changes the
+ * legs next to it, so each drop costs one new estimate
+ * @param {Object[]} events - Scheduled events
+ * @param {Object} options - Planning options
+ * @param {string} [options.mode] - walking/cycling/transit/driving (defaults to TRAVEL_MODE)
+ * @param {string} [options.policy] - "flag" (default) or "resolve"
+ * @param {string[]} [options.interests] - User interests (for choosing what to drop)
+ * @param {Object} [options.backend] - Travel backend (defaults to TRAVEL_TIME_BACKEND)
+ * @returns {Promise<Object>} { mode, policy, events, dropped, legsByDate }
+ */
+export async function planTravel(events, options = {}) {
+  const mode = TRAVEL_MODES[options.mode] ? options.mode : CONFIG.defaultMode;
+  const policy = options.policy || "flag";
+  const interests = options.interests || [];
+  const backend = options.backend || getTravelBackend();
+  const legOptions = { mode, backend };
+
+  const kept = [];
+  const dropped = [];
+  const legsByDate = {};
+
+  for (const [date, dayEvents] of Object.entries(groupByDate(events))) {
+    let day = sortByTime(dayEvents);
+    let legs = await estimateDayLegs(day, legOptions);
+
+    while (policy === "resolve") {
+      const leg = legs.find((l) => l.feasible === false);
+      if (!leg) break;
+
+      const from = day.find((e) => e.id === leg.from_id);
+      const to = day.find((e) => e.id === leg.to_id);
+      const drop =
+        dropPriority(from, interests) < dropPriority(to, interests)
+          ? from
+          : to;
+      const other = drop === from ? to : from;
+
+      dropped.push({
+        ...drop,
+        alternative_reason: "travel_time",
+        conflicts_with: [other.id],
+      });
+      // legs[i] joins day[i] and day[i + 1]: replace the two legs around
+      // the dropped event with one between its neighbours
+      const index = day.indexOf(drop);
+      day = day.filter((e) => e !== drop);
+      const bridge =
+        index > 0 && index < day.length
+          ? [await estimateLeg(day[index - 1], day[index], legOptions)]
+          : [];
+      legs = [
+        ...legs.slice(0, Math.max(0, index - 1)),
+        ...bridge,
+        ...legs.slice(index + 1),
+      ];
+    }
+
+    kept.push(...day);
+    legsByDate[date] = legs;
+  }
+
+  // Events without a start_time can't be placed on a day; keep them as-is
+  kept.push(...events.filter((e) => !e.start_time));
+
+  return { mode, policy, events: sortByTime(kept), dropped, legsByDate };
+}
+
+/**
+ * Attach travel legs to itinerary_by_day entries (in place)
+ * @param {Object} coverage - itinerary_by_day
+ * @param {Object} legsByDate - Legs keyed by date from planTravel()
+ * @returns {Object} The same coverage object
+ */
+export function annotateCoverage(coverage, legsByDate) {
+  Object.entries(coverage).forEach(([date, info]) => {
+    const legs = legsByDate[date] || [];
+    info.travel_legs = legs;
+    info.infeasible_transitions = legs.filter((l) => l.feasible === false).length;
+  });
+  return coverage;
+}
+
+export default {
+  TRAVEL_MODES,
+  TRAVEL_POLICIES,
+  haversineKm,
+  createHaversineBackend,
+  createRoutingBackend,
+  getTravelBackend,
+  planTravel,
+  annotateCoverage,
+};
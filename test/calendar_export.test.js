@@ -0,0 +1,122 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { renderCalendar } from "../src/calendar_export.js";
+
+const record = {
+  id: "itn_0123456789abcdef",
+  city: "Chicago",
+  timezone: "America/Chicago",
+  version: 3,
+  created_at: "2026-10-01T12:00:00.000Z",
+  updated_at: "2026-10-02T08:30:00.000Z",
+  itinerary: [
+    {
+      id: "act_jazz",
+      name: "Jazz, Blues; and More",
+      type: "event",
+      category: "music",
+      start_time: "2026-11-02T19:00:00-06:00",
+      end_time: "2026-11-02T21:00:00-06:00",
+      location: { venue: "Green Mill", address: "4802 N Broadway, Chicago", city: "Chicago" },
+      coordinates: { lat: 41.969, lng: -87.66 },
+      description: "Late set\nNo cover before 8",
+      pricing: { price: "$15" },
+      source: { url: "https://a.test/jazz" },
+    },
+    {
+      id: "act_cafe",
+      name: "Corner Café",
+      type: "activity",
+      start_time: "2026-11-02T17:00:00Z",
+      duration_minutes: 45,
+      location: { venue: "Corner Café", city: "Chicago" },
+    },
+    { id: "act_tbd", name: "Someday", type: "event" },
+  ],
+};
+
+/**
+ * Unfold content lines and split the calendar into VEVENT property maps
+ * @param {string} ics - iCalendar text
+ * @returns {Object} { lines, events }
+ */
+function parse(ics) {
+  const lines = ics.replace(/\r\n /g, "").split("\r\n");
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+    } else if (line === "END:VEVENT") {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      const colon = line.indexOf(":");
+      current[line.slice(0, colon)] = line.slice(colon + 1);
+    }
+  }
+  return { lines, events };
+}
+
+test("renderCalendar writes one VEVENT per timed item in the itinerary's timezone", () => {
+  const ics = renderCalendar(record);
+  const { lines, events } = parse(ics);
+
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(lines.includes("X-WR-CALNAME:Chicago itinerary"));
+  assert.ok(lines.includes("REFRESH-INTERVAL;VALUE=DURATION:PT1H"));
+  assert.equal(events.length, 2);
+
+  const [jazz, cafe] = events;
+  assert.deepEqual(
+    [jazz.UID, jazz.SEQUENCE, jazz.DTSTAMP],
+    ["act_jazz-itn_0123456789abcdef@itinerary-server", "2", "20261002T083000Z"]
+  );
+  assert.equal(jazz["DTSTART;TZID=America/Chicago"], "20261102T190000");
+  assert.equal(jazz["DTEND;TZID=America/Chicago"], "20261102T210000");
+  assert.equal(jazz.SUMMARY, "Jazz\\, Blues\\; and More");
+  assert.equal(jazz.LOCATION, "Green Mill\\, 4802 N Broadway\\, Chicago");
+  assert.equal(jazz.GEO, "41.969;-87.66");
+  assert.equal(jazz.DESCRIPTION, "Late set\\nNo cover before 8\\n\\nPrice: $15");
+  assert.equal(jazz.URL, "https://a.test/jazz");
+  assert.equal(jazz.CATEGORIES, "music");
+
+  // UTC input is shown in Chicago time; no end_time falls back to duration
+  assert.equal(cafe["DTSTART;TZID=America/Chicago"], "20261102T110000");
+  assert.equal(cafe["DTEND;TZID=America/Chicago"], "20261102T114500");
+  assert.equal(cafe.DESCRIPTION, "Suggested activity");
+  assert.equal(cafe.LOCATION, "Corner Café\\, Chicago");
+});
+
+test("renderCalendar describes the zone's offset changes in VTIMEZONE", () => {
+  const { lines } = parse(renderCalendar(record));
+  const zone = lines.slice(lines.indexOf("BEGIN:VTIMEZONE"), lines.indexOf("END:VTIMEZONE") + 1);
+
+  assert.equal(zone[1], "TZID:America/Chicago");
+  // Standard time from 2026-01-01 UTC (local wall time), then the March and November changes
+  assert.deepEqual(
+    zone.filter((line) => line.startsWith("DTSTART") || line.startsWith("TZOFFSETTO")),
+    [
+      "DTSTART:20251231T180000",
+      "TZOFFSETTO:-0600",
+      "DTSTART:20260308T020000",
+      "TZOFFSETTO:-0500",
+      "DTSTART:20261101T020000",
+      "TZOFFSETTO:-0600",
+    ]
+  );
+});
+
+test("renderCalendar folds long lines at 75 octets", () => {
+  const ics = renderCalendar({
+    ...record,
+    itinerary: [{ ...record.itinerary[0], description: "Ünïcödé ".repeat(40) }],
+  });
+
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+  assert.match(parse(ics).events[0].DESCRIPTION, /^(Ünïcödé ){39}Ünïcödé \\n\\nPrice/);
+});
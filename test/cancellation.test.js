@@ -0,0 +1,98 @@
+import "./env.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+
+import {
+  CancelledError,
+  throwIfCancelled,
+  sleep,
+  cancellableProvider,
+} from "../src/cancellation.js";
+import { createFakeProvider } from "../src/llm_provider.js";
+import { Logger } from "../src/logger.js";
+import { generateItinerary } from "../src/pipeline.js";
+import { createStubFetcher } from "../src/page_fetcher.js";
+
+const logger = new Logger("test_cancellation");
+after(() => fs.rmSync(logger.requestDir, { recursive: true, force: true }));
+
+test("throwIfCancelled throws the abort reason, or a CancelledError", () => {
+  throwIfCancelled(undefined);
+  throwIfCancelled(new AbortController().signal);
+
+  const controller = new AbortController();
+  controller.abort("client left");
+  assert.throws(
+    () => throwIfCancelled(controller.signal),
+    (error) =>
+      error instanceof CancelledError &&
+      error.code === "CANCELLED" &&
+      error.retryable === false &&
+      error.message === "Run cancelled"
+  );
+
+  const reason = new Error("Client disconnected");
+  assert.throws(() => throwIfCancelled(AbortSignal.abort(reason)), (error) => error === reason);
+});
+
+test("sleep wakes early when the run is cancelled", async () => {
+  await sleep(5);
+  await assert.rejects(sleep(10, AbortSignal.abort("client left")), CancelledError);
+
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(new Error("Client disconnected")), 20);
+  await assert.rejects(sleep(10000, controller.signal), /Client disconnected/);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test("cancellableProvider passes the signal on and refuses calls after cancellation", async () => {
+  const provider = createFakeProvider();
+  assert.equal(cancellableProvider(provider), provider);
+
+  const controller = new AbortController();
+  const wrapped = cancellableProvider(provider, controller.signal);
+  assert.equal(wrapped.name, "fake");
+  await wrapped.generate({ task: "batch_edit", prompt: "x" });
+  assert.equal(provider.calls.length, 1);
+
+  controller.abort(new CancelledError());
+  await assert.rejects(wrapped.generate({ task: "batch_edit", prompt: "x" }), CancelledError);
+  assert.equal(provider.calls.length, 1);
+});
+
+test("cancellableProvider reports an SDK abort error as the cancellation", async () => {
+  const controller = new AbortController();
+  const provider = cancellableProvider(
+    {
+      name: "sdk",
+      generate: (request) =>
+        new Promise((resolve, reject) =>
+          request.signal.addEventListener("abort", () => reject(new Error("Request was aborted")))
+        ),
+    },
+    controller.signal
+  );
+
+  const call = provider.generate({ task: "scout", prompt: "x" });
+  controller.abort(new Error("Client disconnected"));
+  await assert.rejects(call, /Client disconnected/);
+});
+
+test("a cancelled pipeline run rejects without calling the model", async () => {
+  const provider = createFakeProvider();
+  const controller = new AbortController();
+  controller.abort(new Error("Client disconnected"));
+
+  await assert.rejects(
+    generateItinerary("Chicago", ["music"], "2026-11-02", "2026-11-02", logger, {
+      provider,
+      pageFetcher: createStubFetcher(),
+      cacheMode: "off",
+      signal: controller.signal,
+    }),
+    /Client disconnected/
+  );
+  assert.equal(provider.calls.length, 0);
+});
@@ -0,0 +1,96 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BREAKER_STATES,
+  CircuitOpenError,
+  createCircuitBreaker,
+  getBreaker,
+  guardProvider,
+} from "../src/circuit_breaker.js";
+
+const outage = () => Promise.reject(Object.assign(new Error("HTTP 503"), { status: 503 }));
+const badPrompt = () => Promise.reject(Object.assign(new Error("HTTP 400"), { status: 400 }));
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("the breaker opens after consecutive outages and fails fast", async () => {
+  const breaker = createCircuitBreaker("flaky", { failureThreshold: 2, resetTimeoutMs: 60000 });
+
+  await assert.rejects(breaker.call(outage), /HTTP 503/);
+  assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+  await assert.rejects(breaker.call(outage), /HTTP 503/);
+  assert.equal(breaker.state, BREAKER_STATES.OPEN);
+
+  let called = false;
+  await assert.rejects(
+    breaker.call(async () => {
+      called = true;
+    }),
+    (error) =>
+      error instanceof CircuitOpenError &&
+      error.code === "MODEL_UNAVAILABLE" &&
+      error.status === 503 &&
+      error.retryable === false
+  );
+  assert.equal(called, false);
+
+  const status = breaker.status();
+  assert.equal(status.state, "open");
+  assert.equal(status.failures, 2);
+  assert.equal(status.retry_after_seconds, 60);
+  assert.equal(status.last_error, "HTTP 503");
+  assert.ok(status.opened_at);
+});
+
+test("bad requests don't count and a success resets the count", async () => {
+  const breaker = createCircuitBreaker("picky", { failureThreshold: 2, resetTimeoutMs: 60000 });
+
+  await assert.rejects(breaker.call(badPrompt));
+  await assert.rejects(breaker.call(badPrompt));
+  await assert.rejects(breaker.call(outage));
+  assert.equal(await breaker.call(async () => "ok"), "ok");
+  await assert.rejects(breaker.call(outage));
+
+  assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+  assert.equal(breaker.status().failures, 1);
+});
+
+test("after the cooldown one trial call decides whether to close", async () => {
+  const breaker = createCircuitBreaker("recovering", { failureThreshold: 1, resetTimeoutMs: 30 });
+  await assert.rejects(breaker.call(outage));
+  await wait(40);
+  assert.equal(breaker.state, BREAKER_STATES.HALF_OPEN);
+
+  // A failed trial opens it again
+  await assert.rejects(breaker.call(outage), /HTTP 503/);
+  assert.equal(breaker.state, BREAKER_STATES.OPEN);
+  await wait(40);
+
+  // Only one trial at a time; its success closes the breaker
+  let finishTrial;
+  const trial = breaker.call(() => new Promise((resolve) => (finishTrial = resolve)));
+  await assert.rejects(breaker.call(async () => "second"), CircuitOpenError);
+  finishTrial("recovered");
+  assert.equal(await trial, "recovered");
+  assert.deepEqual(breaker.status(), {
+    state: "closed",
+    failures: 0,
+    opened_at: null,
+    retry_after_seconds: 0,
+    last_error: null,
+  });
+});
+
+test("guarded providers share their provider's breaker", async () => {
+  const provider = guardProvider({
+    name: "guard-test",
+    model: "m",
+    generate: async (request) => ({ text: request.prompt }),
+  });
+
+  assert.equal(getBreaker("guard-test"), getBreaker("guard-test"));
+  assert.equal(provider.model, "m");
+  assert.deepEqual(await provider.generate({ prompt: "hi" }), { text: "hi" });
+  assert.equal(getBreaker("guard-test").state, BREAKER_STATES.CLOSED);
+});
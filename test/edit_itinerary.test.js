@@ -0,0 +1,260 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  validateEditOperations,
+  findNewOverlaps,
+  applyEditOperation,
+  applyEditOperations,
+  processBatchEditRequest,
+} from "../src/edit_itinerary.js";
+import { rebuildItinerary } from "../src/pipeline.js";
+import { EventValidationError } from "../src/event_schema.js";
+import { createFakeProvider } from "../src/llm_provider.js";
+
+const TZ = "America/Chicago";
+const at = (time, date = "2026-11-02") => `${date}T${time}:00-06:00`;
+const activity = (id, start, end, date) => ({
+  id,
+  name: id,
+  type: "event",
+  start_time: at(start, date),
+  end_time: at(end, date),
+});
+const newActivity = (name, start, end) => ({
+  name,
+  start_time: start,
+  end_time: end,
+  location: { venue: name },
+});
+
+const day = [activity("act_a", "10:00", "12:00"), activity("act_b", "14:00", "16:00")];
+
+test("validateEditOperations reports unknown, out-of-scope and repeated targets", () => {
+  const errors = validateEditOperations(
+    [
+      { operation: "move", activity_id: "act_a" },
+      { operation: "delete", activity_id: "act_z" },
+      { operation: "delete", activity_id: "act_a" },
+      { operation: "update_time", activity_id: "act_a", updated_activity: {} },
+      { operation: "replace", activity_id: "act_b" },
+      { operation: "add" },
+    ],
+    day
+  );
+
+  assert.deepEqual(errors, [
+    'operations[0]: unknown operation "move"',
+    "operations[1]: activity act_z is not in scope",
+    "operations[3]: activity act_a is targeted twice",
+    "operations[4]: replace requires updated_activity",
+    "operations[5]: add requires new_activity",
+  ]);
+});
+
+test("validateEditOperations keeps day-scoped adds and retimes on that day", () => {
+  const operations = [
+    {
+      operation: "add",
+      new_activity: newActivity("Lunch", "2026-11-02T12:30:00", "2026-11-02T13:30:00"),
+    },
+    {
+      operation: "add",
+      new_activity: newActivity("Next Day", "2026-11-03T12:30:00", "2026-11-03T13:30:00"),
+    },
+    {
+      operation: "update_time",
+      activity_id: "act_b",
+      updated_activity: { start_time: "2026-11-01T14:00:00" },
+    },
+    { operation: "add", new_activity: { name: "Whenever" } },
+  ];
+
+  assert.deepEqual(
+    validateEditOperations(operations, day, { dayDate: "2026-11-02", timeZone: TZ }),
+    [
+      "operations[1]: starts at 2026-11-03T12:30:00, outside 2026-11-02",
+      "operations[2]: starts at 2026-11-01T14:00:00, outside 2026-11-02",
+      "operations[3]: add requires a start_time on 2026-11-02",
+    ]
+  );
+  // Without a day, the whole itinerary is in scope
+  assert.deepEqual(validateEditOperations(operations.slice(0, 3), day), []);
+});
+
+test("validateEditOperations reads a day's start in the itinerary's timezone", () => {
+  const lateUtc = {
+    operation: "add",
+    new_activity: newActivity("Late Show", "2026-11-03T02:00:00Z", "2026-11-03T03:00:00Z"),
+  };
+
+  // 02:00Z on the 3rd is 20:00 on the 2nd in Chicago
+  assert.deepEqual(
+    validateEditOperations([lateUtc], day, { dayDate: "2026-11-02", timeZone: TZ }),
+    []
+  );
+  assert.equal(
+    validateEditOperations([lateUtc], day, { dayDate: "2026-11-02" }).length,
+    1
+  );
+});
+
+test("findNewOverlaps reports only overlaps the edit introduced", () => {
+  const before = [
+    activity("act_a", "10:00", "12:00"),
+    activity("act_b", "11:00", "13:00"),
+    activity("act_c", "15:00", "16:00"),
+  ];
+  const after = applyEditOperations(before, [
+    {
+      operation: "replace",
+      activity_id: "act_b",
+      updated_activity: newActivity("Swap", at("11:00"), at("13:00")),
+    },
+    {
+      operation: "update_time",
+      activity_id: "act_c",
+      updated_activity: { start_time: at("12:30") },
+    },
+  ]);
+
+  const overlaps = findNewOverlaps(before, after);
+  assert.deepEqual(
+    overlaps.map((o) => [o.first.name, o.second.name]),
+    [["Swap", "act_c"]]
+  );
+  assert.deepEqual(findNewOverlaps(before, before), []);
+});
+
+test("processBatchEditRequest asks a day batch to stay on its day", async () => {
+  const provider = createFakeProvider({
+    responses: {
+      batch_edit: {
+        operations: [{ operation: "delete", activity_id: "act_a" }],
+        change_summary: "Freed the morning",
+      },
+    },
+  });
+  const proposal = await processBatchEditRequest(
+    {
+      edit_request: "Free up my morning",
+      activities: day,
+      scope: "day",
+      city: "Chicago",
+      day_date: "2026-11-02",
+      interests: ["music"],
+    },
+    { provider }
+  );
+
+  assert.deepEqual(proposal.operations, [{ operation: "delete", activity_id: "act_a" }]);
+  assert.match(
+    provider.calls[0].prompt,
+    /Added, replaced and retimed activities must start on 2026-11-02/
+  );
+});
+
+test("applyEditOperation replaces, retimes, describes, deletes and adds", () => {
+  const items = [activity("act_a", "10:00", "12:00"), activity("act_b", "14:00", "16:00")];
+
+  const replaced = applyEditOperation(items, "act_a", {
+    operation: "replace",
+    updated_activity: newActivity("Brunch", at("10:00"), at("11:00")),
+  });
+  assert.equal(replaced[0].name, "Brunch");
+  assert.equal(replaced[0].type, "event");
+  assert.match(replaced[0].id, /^act_[a-f0-9]{10}$/);
+  assert.notEqual(replaced[0].id, "act_a");
+
+  const retimed = applyEditOperation(items, "act_b", {
+    operation: "update_time",
+    updated_activity: { start_time: at("15:00") },
+  });
+  assert.deepEqual(
+    [retimed[1].id, retimed[1].start_time, retimed[1].end_time],
+    ["act_b", at("15:00"), at("16:00")]
+  );
+
+  const described = applyEditOperation(items, "act_b", {
+    operation: "update_description",
+    updated_activity: { description: "Bring a jacket" },
+  });
+  assert.equal(described[1].description, "Bring a jacket");
+
+  assert.deepEqual(
+    applyEditOperation(items, "act_a", { operation: "delete" }).map((i) => i.id),
+    ["act_b"]
+  );
+
+  const added = applyEditOperation(items, null, {
+    operation: "add",
+    new_activity: newActivity("Coffee", at("12:30"), at("13:00")),
+  });
+  assert.deepEqual(
+    added.map((i) => [i.name, i.type]),
+    [
+      ["act_a", "event"],
+      ["act_b", "event"],
+      ["Coffee", "activity"],
+    ]
+  );
+  // The input list is left untouched
+  assert.equal(items.length, 2);
+});
+
+test("applyEditOperation refuses unknown activities and invalid results", () => {
+  const items = [activity("act_a", "10:00", "12:00")];
+
+  assert.throws(
+    () => applyEditOperation(items, "act_z", { operation: "delete" }),
+    /Activity act_z not found/
+  );
+  assert.throws(
+    () => applyEditOperation(items, "act_a", { operation: "update_time", updated_activity: {} }),
+    /requires a start_time or end_time/
+  );
+  assert.throws(
+    () =>
+      applyEditOperation(items, "act_a", {
+        operation: "replace",
+        updated_activity: { name: "No Time" },
+      }),
+    EventValidationError
+  );
+});
+
+test("rebuildItinerary re-sorts items and recomputes days and counts", async () => {
+  const record = {
+    city: "Chicago",
+    timezone: TZ,
+    date_range: { start: "2026-11-02", end: "2026-11-03" },
+  };
+  const items = [
+    activity("act_b", "19:00", "21:00"),
+    { ...newActivity("Coffee", "2026-11-02T09:00:00", "2026-11-02T09:45:00"), type: "activity" },
+    activity("act_c", "13:00", "14:00", "2026-11-03"),
+  ];
+
+  const rebuilt = await rebuildItinerary(record, items);
+
+  assert.deepEqual(
+    rebuilt.itinerary.map((i) => [i.name, i.start_time]),
+    [
+      ["Coffee", at("09:00")],
+      ["act_b", at("19:00")],
+      ["act_c", at("13:00", "2026-11-03")],
+    ]
+  );
+  assert.match(rebuilt.itinerary[0].id, /^act_/);
+  assert.deepEqual(
+    [rebuilt.total_items, rebuilt.events, rebuilt.activities],
+    [3, 2, 1]
+  );
+  const day = rebuilt.itinerary_by_day["2026-11-02"];
+  assert.deepEqual(
+    [day.count, day.hasMorning, day.hasAfternoon, day.hasEvening],
+    [2, true, false, true]
+  );
+  assert.equal(rebuilt.itinerary_by_day["2026-11-03"].count, 1);
+});
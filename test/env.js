@@ -0,0 +1,20 @@
+/**
+ * Test environment - Offline provider, page fetcher and cache
+ * Import first in every test file, before any src/ module reads its CONFIG.
+ * Stored itineraries and jobs go to a temp folder removed on exit
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+process.env.LLM_PROVIDER = "fake";
+process.env.PAGE_FETCHER = "stub";
+process.env.RESULT_CACHE_BACKEND = "memory";
+process.env.RECORD_MODEL_CALLS = "false";
+process.env.STREAM_RESUME_GRACE_MS = "50";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "itinerary-test-"));
+process.env.ITINERARY_DATA_DIR = path.join(dataDir, "itineraries");
+process.env.JOB_DATA_DIR = path.join(dataDir, "jobs");
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
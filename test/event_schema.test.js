@@ -0,0 +1,95 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  validateEvent,
+  validateEvents,
+  requireValidEvent,
+  EventValidationError,
+} from "../src/event_schema.js";
+
+const event = (fields) => ({
+  name: "Jazz Night",
+  type: "event",
+  start_time: "2026-11-02T19:00:00",
+  ...fields,
+});
+
+test("validateEvent fills end_time and duration", () => {
+  const fromDuration = validateEvent(event({ duration_minutes: "90" }));
+  assert.equal(fromDuration.valid, true);
+  assert.equal(fromDuration.event.end_time, "2026-11-02T20:30:00");
+  assert.equal(fromDuration.event.duration_minutes, 90);
+
+  const assumed = validateEvent(event({}));
+  assert.equal(assumed.event.end_time, "2026-11-02T20:00:00");
+  assert.deepEqual(assumed.repairs, ["end_time assumed 60 minutes after start"]);
+});
+
+test("validateEvent moves an end before start to the next day", () => {
+  const result = validateEvent(
+    event({ start_time: "2026-11-02T23:00", end_time: "2026-11-02T01:00" })
+  );
+  assert.equal(result.valid, true);
+  assert.equal(result.event.end_time, "2026-11-03T01:00:00");
+  assert.equal(result.event.duration_minutes, 120);
+});
+
+test("validateEvent rejects start times that aren't ISO date-times", () => {
+  assert.deepEqual(validateEvent(event({ start_time: "2026-11-02" })).errors, [
+    'start_time "2026-11-02" has no time of day',
+  ]);
+  assert.deepEqual(validateEvent(event({ start_time: "Nov 2, 7pm" })).errors, [
+    'start_time "Nov 2, 7pm" is not an ISO 8601 date-time',
+  ]);
+  assert.deepEqual(validateEvent(event({ start_time: undefined })).errors, [
+    "missing start_time",
+  ]);
+});
+
+test("validateEvent replaces a non-ISO end_time", () => {
+  const result = validateEvent(event({ end_time: "9pm", duration_minutes: 120 }));
+  assert.equal(result.valid, true);
+  assert.equal(result.event.end_time, "2026-11-02T21:00:00");
+  assert.ok(result.repairs.includes('non-ISO end_time "9pm" dropped'));
+});
+
+test("validateEvent repairs coordinates, location, source and tags", () => {
+  const { valid, event: repaired } = validateEvent(
+    event({
+      type: "concert",
+      coordinates: { lat: "41.88", lng: "-87.63" },
+      location: "Blue Room",
+      source: "https://a.test/jazz",
+      tags: "jazz, live",
+      pricing: { is_free: "false" },
+    })
+  );
+  assert.equal(valid, true);
+  assert.equal(repaired.type, "event");
+  assert.deepEqual(repaired.coordinates, { lat: 41.88, lng: -87.63 });
+  assert.deepEqual(repaired.location, { venue: "Blue Room" });
+  assert.deepEqual(repaired.source, { url: "https://a.test/jazz" });
+  assert.deepEqual(repaired.tags, ["jazz", "live"]);
+  assert.equal(repaired.pricing.is_free, false);
+});
+
+test("validateEvents splits valid from rejected", () => {
+  const result = validateEvents([
+    event({}),
+    event({ name: "", source: { url: "https://a.test/x" } }),
+  ]);
+  assert.equal(result.events.length, 1);
+  assert.equal(result.repaired, 1);
+  assert.deepEqual(result.rejected, [
+    { url: "https://a.test/x", name: null, reason: "Invalid event: missing name" },
+  ]);
+});
+
+test("requireValidEvent throws EventValidationError", () => {
+  assert.throws(
+    () => requireValidEvent(event({ start_time: "tonight" })),
+    (error) => error instanceof EventValidationError && error.status === 422
+  );
+});
@@ -0,0 +1,157 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { exploreLinks, isOnlineEvent, eventKey } from "../src/explorer.js";
+import { createFakeProvider } from "../src/llm_provider.js";
+import { createStubFetcher } from "../src/page_fetcher.js";
+import { createProgressTracker, PROGRESS_EVENTS } from "../src/progress.js";
+
+// Each link describes one event; venue "Zoom" makes it online
+const pages = [
+  ["Jazz Night", "19:00", "Blue Room"],
+  ["Python Webinar", "12:00", "Zoom"],
+  ["Food Fair", "12:00", "Zoom"], // Online twin of a later in-person listing
+  ["Art Walk", "15:00", "Gallery Row"],
+  ["Taco Night", "20:00", "Pilsen Kitchen"],
+  ["Jazz Night", "19:00", "Blue Room"], // Same event, next batch
+  ["Food Fair", "12:00", "Union Park"],
+];
+const links = pages.map(([name, time], i) => ({
+  url: `https://a.test/events/${i}`,
+  title: name,
+  snippet: `${name} on 2026-11-02 at ${time}`,
+  interest: "fun",
+  date: "2026-11-02",
+  platform: "Other",
+}));
+
+const explorerResponder = ({ links: batch }) => ({
+  analyzed_links: batch.length,
+  valid_events: batch.map((link) => {
+    const [name, time, venue] = pages[Number(link.url.split("/").pop())];
+    return {
+      name,
+      type: "event",
+      location: { venue, address: venue === "Zoom" ? "" : "1 Main St", city: "Chicago" },
+      start_time: `2026-11-02T${time}:00`,
+      duration_minutes: 60,
+      source: { platform: "Other", url: link.url },
+      interest_matched: "fun",
+    };
+  }),
+  rejected_links: [],
+});
+const provider = createFakeProvider({ responses: { explorer: explorerResponder } });
+
+test("events reported per batch, filtered like the stream, match the result", async () => {
+  const progress = createProgressTracker();
+  const streamed = new Set();
+  progress.on(PROGRESS_EVENTS.EVENT_EXTRACTED, ({ event }) => {
+    if (!isOnlineEvent(event)) streamed.add(eventKey(event));
+  });
+
+  const result = await exploreLinks(links, "Chicago", () => {}, {
+    provider,
+    pageFetcher: createStubFetcher(),
+    timeZone: "America/Chicago",
+    cacheMode: "off",
+    progress,
+  });
+
+  const names = result.events.map((event) => event.name);
+  assert.deepEqual(names, ["Food Fair", "Art Walk", "Jazz Night", "Taco Night"]);
+  assert.equal(result.events.find((e) => e.name === "Food Fair").location.venue, "Union Park");
+  assert.deepEqual(new Set(result.events.map(eventKey)), streamed);
+});
+
+test("isOnlineEvent spots virtual venues and missing addresses", () => {
+  assert.equal(isOnlineEvent({ name: "Talk", location: { venue: "Zoom" } }), true);
+  assert.equal(isOnlineEvent({ name: "Talk", location: { venue: "TBD", address: "" } }), true);
+  assert.equal(
+    isOnlineEvent({ name: "Talk", location: { venue: "Hall", address: "1 Main St" } }),
+    false
+  );
+});
+
+test("a failing batch is split until the bad link is isolated", async () => {
+  const calls = [];
+  const failing = createFakeProvider({
+    responses: {
+      explorer: (context) => {
+        const indexes = context.links.map((link) => Number(link.url.split("/").pop()));
+        calls.push(indexes);
+        if (indexes.includes(4)) throw new Error("Model refused the batch");
+        return explorerResponder(context);
+      },
+    },
+  });
+
+  const logs = [];
+  const result = await exploreLinks(links.slice(0, 5), "Chicago", (msg) => logs.push(msg), {
+    provider: failing,
+    pageFetcher: createStubFetcher(),
+    timeZone: "America/Chicago",
+    cacheMode: "off",
+  });
+
+  assert.deepEqual(calls, [[0, 1, 2, 3, 4], [0, 1, 2], [3, 4], [3], [4]]);
+  assert.deepEqual(
+    result.events.map((e) => e.name),
+    ["Art Walk", "Jazz Night"]
+  );
+  assert.deepEqual(
+    result.rejected.filter((r) => r.reason === "Model refused the batch").map((r) => r.url),
+    ["https://a.test/events/4"]
+  );
+  assert.ok(logs.some((msg) => /splitting 5 links into 3 \+ 2/.test(msg)));
+});
+
+test("extracted events are repaired or rejected against the event schema", async () => {
+  const sloppy = createFakeProvider({
+    responses: {
+      explorer: ({ links: batch }) => ({
+        analyzed_links: batch.length,
+        valid_events: [
+          {
+            name: " Jazz Night ",
+            location: { venue: "Blue Room", address: "1 Main St", city: "Chicago" },
+            coordinates: { lat: "41.88", lng: "-87.63" },
+            start_time: "2026-11-02T19:00:00",
+            duration_minutes: "90",
+            source: { platform: "Other", url: batch[0].url },
+          },
+          {
+            name: "Art Walk",
+            location: { venue: "Gallery Row", address: "2 Main St", city: "Chicago" },
+            start_time: "tonight",
+            source: { platform: "Other", url: batch[3].url },
+          },
+        ],
+        rejected_links: [],
+      }),
+    },
+  });
+
+  const result = await exploreLinks(links.slice(0, 4), "Chicago", () => {}, {
+    provider: sloppy,
+    pageFetcher: createStubFetcher(),
+    timeZone: "America/Chicago",
+    cacheMode: "off",
+  });
+
+  assert.equal(result.events.length, 1);
+  const [jazz] = result.events;
+  assert.equal(jazz.name, "Jazz Night");
+  assert.equal(jazz.type, "event");
+  assert.deepEqual(jazz.coordinates, { lat: 41.88, lng: -87.63 });
+  assert.equal(jazz.duration_minutes, 90);
+  assert.match(jazz.end_time, /^2026-11-02T20:30:00/);
+  assert.deepEqual(result.rejected, [
+    {
+      url: "https://a.test/events/3",
+      name: "Art Walk",
+      reason: 'Invalid event: start_time "tonight" is not an ISO 8601 date-time',
+    },
+  ]);
+});
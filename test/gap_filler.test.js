@@ -0,0 +1,173 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { fillScheduleGaps } from "../src/gap_filler.js";
+import { findScheduleGaps } from "../src/planner.js";
+import { createFakeProvider } from "../src/llm_provider.js";
+import { getModelLimiter } from "../src/rate_limiter.js";
+
+const TZ = "America/Chicago";
+const at = (time, date = "2026-11-02") => `${date}T${time}:00-06:00`;
+const event = (name, start, end, date) => ({
+  id: `act_${name}`,
+  name,
+  start_time: at(start, date),
+  end_time: at(end, date),
+  location: { venue: `${name} Hall` },
+});
+
+test("findScheduleGaps finds gaps over an hour between events only", () => {
+  const gaps = findScheduleGaps([
+    event("late", "18:00", "20:00"),
+    event("early", "10:00", "12:00"),
+    event("lunch", "12:30", "13:30"),
+  ]);
+
+  assert.deepEqual(gaps, [
+    {
+      after_event: "lunch",
+      before_event: "late",
+      start: at("13:30"),
+      end: at("18:00"),
+      duration_minutes: 270,
+    },
+  ]);
+});
+
+test("findScheduleGaps adds the start and end of the day with a timezone", () => {
+  const gaps = findScheduleGaps([event("solo", "14:00", "16:00")], {
+    timeZone: TZ,
+  });
+
+  assert.deepEqual(
+    gaps.map((g) => [g.after_event, g.before_event, g.start, g.end]),
+    [
+      [null, "solo", at("09:00"), at("14:00")],
+      ["solo", null, at("16:00"), at("22:00")],
+    ]
+  );
+});
+
+test("findScheduleGaps skips edges under an hour and gaps inside a long event", () => {
+  const gaps = findScheduleGaps(
+    [
+      event("festival", "09:30", "21:30"),
+      event("talk", "11:00", "12:00"),
+      event("show", "15:00", "16:00"),
+    ],
+    { timeZone: TZ }
+  );
+
+  assert.deepEqual(gaps, []);
+});
+
+test("fillScheduleGaps fills leading, trailing and in-between gaps", async () => {
+  const provider = createFakeProvider();
+  const { activities, gapsFound } = await fillScheduleGaps(
+    [
+      event("solo", "14:00", "16:00", "2026-11-02"),
+      event("brunch", "10:30", "11:30", "2026-11-03"),
+      event("show", "19:00", "21:30", "2026-11-03"),
+    ],
+    "Chicago",
+    ["coffee"],
+    () => {},
+    { provider, timeZone: TZ }
+  );
+
+  assert.equal(gapsFound, 4);
+  assert.deepEqual(
+    activities.map((a) => [a.target_date, a.fills_gap.start, a.type]),
+    [
+      ["2026-11-02", at("09:00", "2026-11-02"), "activity"],
+      ["2026-11-02", at("16:00", "2026-11-02"), "activity"],
+      ["2026-11-03", at("09:00", "2026-11-03"), "activity"],
+      ["2026-11-03", at("11:30", "2026-11-03"), "activity"],
+    ]
+  );
+
+  const prompt = provider.calls[0].prompt;
+  assert.match(prompt, /From: .*\(start of the day\)/);
+  assert.match(prompt, /Until: .*\(end of the day\)/);
+  assert.match(prompt, /before "solo" at solo Hall/);
+  assert.deepEqual(
+    provider.calls[0].context.gaps.map((g) => [g.after_event, g.before_event]),
+    [
+      [null, "solo"],
+      ["solo", null],
+    ]
+  );
+});
+
+test("fillScheduleGaps drops suggestions outside their gap", async () => {
+  const provider = createFakeProvider({
+    responses: {
+      gap_fill: {
+        activities: [
+          {
+            gap_index: 0,
+            name: "Too Early Café",
+            start_time: "2026-11-02T08:00:00",
+            end_time: "2026-11-02T09:30:00",
+          },
+          {
+            gap_index: 1,
+            name: "Evening Park",
+            start_time: "2026-11-02T17:00:00",
+            end_time: "2026-11-02T18:00:00",
+          },
+        ],
+      },
+    },
+  });
+  const { activities } = await fillScheduleGaps(
+    [event("solo", "14:00", "16:00")],
+    "Chicago",
+    ["parks"],
+    () => {},
+    { provider, timeZone: TZ }
+  );
+
+  assert.deepEqual(
+    activities.map((a) => [a.name, a.start_time]),
+    [["Evening Park", at("17:00")]]
+  );
+});
+
+test("fillScheduleGaps takes a token from the provider's shared limiter per day", async () => {
+  const fake = createFakeProvider();
+  const provider = { ...fake, name: "gap-quota" };
+  const limiter = getModelLimiter("gap-quota");
+  const before = limiter.available;
+
+  await fillScheduleGaps(
+    [
+      event("one", "14:00", "16:00", "2026-11-02"),
+      event("two", "14:00", "16:00", "2026-11-03"),
+    ],
+    "Chicago",
+    ["coffee"],
+    () => {},
+    { provider, timeZone: TZ }
+  );
+
+  assert.equal(fake.calls.length, 2);
+  assert.equal(limiter.available, before - 2);
+});
+
+test("fillScheduleGaps stops when the run is cancelled", async () => {
+  const controller = new AbortController();
+  controller.abort(new Error("Run cancelled"));
+
+  await assert.rejects(
+    fillScheduleGaps(
+      [event("solo", "14:00", "16:00")],
+      "Chicago",
+      ["coffee"],
+      () => {},
+      { provider: createFakeProvider(), timeZone: TZ, signal: controller.signal }
+    ),
+    /cancelled/i
+  );
+});
@@ -0,0 +1,104 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+
+import { scoreGrounding, verifyGrounding } from "../src/grounding.js";
+
+const link = (url, title, snippet, page) => ({ url, title, snippet, page });
+const event = (name, startTime, url) => ({
+  name,
+  start_time: startTime,
+  source: { url },
+});
+
+test("scoreGrounding matches whole name words, dates and times", () => {
+  const jazz = link(
+    "https://a.test/jazz",
+    "Jazz Night at the Green Mill",
+    "Sat, Nov. 2nd, doors 7:30 p.m."
+  );
+
+  assert.deepEqual(scoreGrounding(event("Jazz Night", "2026-11-02T19:30:00", ""), jazz), {
+    score: 1,
+    issues: [],
+  });
+  assert.deepEqual(
+    scoreGrounding(event("Art Walk", "2026-11-03T12:00:00", ""), {
+      ...jazz,
+      snippet: "Start walking at noon",
+    }),
+    { score: 0.2, issues: ["name not found", "date not found"] }
+  );
+});
+
+test("scoreGrounding reads fetched page text and accents", () => {
+  const fair = link("https://a.test/fair", "Events", "", {
+    title: "Fête de la Musique",
+    text: "Join us 2 November from 12:00 at the park",
+  });
+
+  assert.equal(
+    scoreGrounding(event("Fete Musique", "2026-11-02T12:00:00", ""), fair).score,
+    1
+  );
+});
+
+test("verifyGrounding keeps, flags, re-attaches and rejects events", () => {
+  const links = [
+    link("https://a.test/jazz?utm_source=x", "Jazz Night", "Nov 2 at 7pm"),
+    link("https://a.test/tacos", "Taco Tuesday", "Tacos all day"),
+  ];
+  const events = [
+    event("Jazz Night", "2026-11-02T19:00:00", "https://a.test/jazz"),
+    event("Taco Tuesday", "2026-11-02T18:00:00", "https://elsewhere.test/tacos"),
+    event("Made Up Gala", "2026-11-02T20:00:00", "https://elsewhere.test/gala"),
+    event("Poetry Slam", "2026-11-02T21:00:00", "https://a.test/tacos"),
+  ];
+
+  const result = verifyGrounding(events, links);
+  assert.deepEqual(
+    result.events.map((e) => [e.name, e.source.url, e.grounding.flagged]),
+    [
+      ["Jazz Night", "https://a.test/jazz", false],
+      ["Taco Tuesday", "https://a.test/tacos", true],
+    ]
+  );
+  assert.equal(result.flagged, 1);
+  assert.deepEqual(
+    result.rejected.map((r) => r.name),
+    ["Made Up Gala", "Poetry Slam"]
+  );
+  assert.match(result.rejected[0].reason, /not one of the analyzed links/);
+
+  const flagged = verifyGrounding(events, links, { policy: "flag" });
+  assert.equal(flagged.events.length, 4);
+  assert.deepEqual(flagged.rejected, []);
+  assert.equal(flagged.flagged, 3);
+});
+
+test("verifyGrounding refuses an unknown policy", () => {
+  assert.throws(
+    () => verifyGrounding([], [], { policy: "flagg" }),
+    /Unknown grounding policy "flagg"\. Available: reject, flag/
+  );
+});
+
+test("an unknown GROUNDING_POLICY fails when the module loads", () => {
+  const result = spawnSync(
+    process.execPath,
+    [
+      "--input-type=module",
+      "-e",
+      `await import(${JSON.stringify(new URL("../src/grounding.js", import.meta.url).href)})`,
+    ],
+    {
+      env: { ...process.env, GROUNDING_POLICY: "off" },
+      encoding: "utf8",
+      timeout: 30000,
+    }
+  );
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /Unknown grounding policy "off"/);
+});
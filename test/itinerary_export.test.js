@@ -0,0 +1,128 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  EXPORT_FORMATS,
+  buildExportModel,
+  renderMarkdown,
+  renderHtml,
+  renderPdf,
+  renderExport,
+} from "../src/itinerary_export.js";
+
+const record = {
+  id: "itn_0123456789abcdef",
+  city: "Chicago",
+  timezone: "America/Chicago",
+  interests: ["music", "food"],
+  date_range: { start: "2026-11-02", end: "2026-11-03" },
+  itinerary: [
+    {
+      name: "Jazz <Late> Set",
+      type: "event",
+      start_time: "2026-11-02T19:00:00-06:00",
+      end_time: "2026-11-02T21:00:00-06:00",
+      duration_minutes: 120,
+      location: { venue: "Green Mill", address: "4802 N Broadway" },
+      pricing: { is_free: false, price: "$15" },
+      source: { url: "https://a.test/jazz" },
+      description: "Two sets",
+    },
+    {
+      name: "Corner Café",
+      type: "activity",
+      start_time: "2026-11-02T10:00:00-06:00",
+      end_time: "2026-11-02T10:45:00-06:00",
+      duration_minutes: 45,
+      location: { venue: "Corner Café" },
+      pricing: { is_free: true },
+      source: { url: "javascript:alert(1)" },
+    },
+  ],
+  itinerary_by_day: {
+    "2026-11-02": {
+      travel_legs: [{ duration_minutes: 12 }],
+      infeasible_transitions: 1,
+    },
+  },
+};
+
+test("buildExportModel groups items by day with a per-day summary", () => {
+  const model = buildExportModel(record);
+
+  assert.equal(model.title, "Chicago itinerary");
+  assert.deepEqual(
+    model.days.map((d) => [d.date, d.label, d.items.length]),
+    [
+      ["2026-11-02", "Monday, November 2, 2026", 2],
+      ["2026-11-03", "Tuesday, November 3, 2026", 0],
+    ]
+  );
+  assert.deepEqual(
+    model.days[0].items.map((i) => [i.time, i.name, i.price]),
+    [
+      ["10:00–10:45", "Corner Café", "Free"],
+      ["19:00–21:00", "Jazz <Late> Set", "$15"],
+    ]
+  );
+  assert.deepEqual(model.days[0].summary, {
+    count: 2,
+    events: 1,
+    activities: 1,
+    first_start: "10:00",
+    last_end: "21:00",
+    scheduled_minutes: 165,
+    free_items: 1,
+    morning: true,
+    afternoon: false,
+    evening: true,
+    travel_minutes: 12,
+    tight_transitions: 1,
+  });
+});
+
+test("renderMarkdown shows times, venues, prices, links and summaries", () => {
+  const markdown = renderMarkdown(record);
+
+  assert.match(markdown, /^# Chicago itinerary\n\n_2026-11-02 to 2026-11-03 · America\/Chicago · music, food_/);
+  assert.match(
+    markdown,
+    /> 2 items \(1 event, 1 activity\) · 10:00–21:00 · Morning ✓ · Afternoon ✗ · Evening ✓ · 1 free · ~12 min travel · 1 tight transition/
+  );
+  assert.match(markdown, /### 19:00–21:00 · Jazz \\<Late\\> Set\n/);
+  assert.match(markdown, /### 10:00–10:45 · Corner Café _\(suggested\)_/);
+  assert.match(markdown, /- \*\*Where:\*\* Green Mill, 4802 N Broadway\n- \*\*Price:\*\* \$15\n- \*\*Link:\*\* <https:\/\/a\.test\/jazz>/);
+  assert.match(markdown, /## Tuesday, November 3, 2026\n\n> Nothing scheduled/);
+});
+
+test("renderHtml escapes text and only links http(s) URLs", () => {
+  const html = renderHtml(record);
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<h3>Jazz &lt;Late&gt; Set<\/h3>/);
+  assert.match(html, /<a href="https:\/\/a\.test\/jazz">/);
+  assert.doesNotMatch(html, /javascript:/);
+  assert.match(html, /<span class="tag">suggested<\/span>/);
+});
+
+test("renderPdf writes a well-formed PDF with link annotations", () => {
+  const pdf = renderPdf(record);
+  const text = pdf.toString("latin1");
+
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.match(text, /^%PDF-1\.4\n/);
+  assert.match(text, /%%EOF\n$/);
+  const xref = Number(text.match(/startxref\n(\d+)\n/)[1]);
+  assert.equal(text.slice(xref, xref + 4), "xref");
+  assert.match(text, /\(Chicago itinerary\) Tj/);
+  // WinAnsi en dash and é; parentheses inside a PDF string are escaped
+  assert.match(text, /\(10:00\x9610:45 Corner Caf\xe9 \\\(suggested\\\)\) Tj/);
+  assert.match(text, /\/URI \(https:\/\/a\.test\/jazz\)/);
+});
+
+test("renderExport dispatches by format and rejects unknown ones", () => {
+  assert.deepEqual(EXPORT_FORMATS, ["markdown", "html", "pdf"]);
+  assert.equal(renderExport(record, "markdown"), renderMarkdown(record));
+  assert.throws(() => renderExport(record, "docx"), /Unknown export format "docx"/);
+});
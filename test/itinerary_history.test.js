@@ -0,0 +1,166 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { saveItinerary, getItinerary } from "../src/itinerary_store.js";
+import {
+  HistoryError,
+  initHistory,
+  recordEdit,
+  undo,
+  redo,
+  restoreVersion,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+} from "../src/itinerary_history.js";
+import { applyEditOperation } from "../src/edit_itinerary.js";
+
+const at = (time) => `2026-11-02T${time}:00-06:00`;
+const item = (id, name, start, end) => ({
+  id,
+  name,
+  type: "event",
+  start_time: at(start),
+  end_time: at(end),
+});
+
+/**
+ * Store a one-day itinerary with history, as the pipeline does
+ * @returns {Object} Stored record (version 1)
+ */
+function storeTrip() {
+  const record = saveItinerary({
+    city: "Chicago",
+    timezone: "America/Chicago",
+    interests: ["music"],
+    date_range: { start: "2026-11-02", end: "2026-11-02" },
+    itinerary: [
+      item("act_a", "Jazz Brunch", "10:00", "12:00"),
+      item("act_b", "Gallery Walk", "14:00", "16:00"),
+    ],
+  });
+  initHistory(record);
+  return record;
+}
+
+/**
+ * Retime act_b through recordEdit
+ * @param {string} id - Itinerary ID
+ * @param {string} start - New start time (HH:MM)
+ * @returns {Promise<Object>} Updated record
+ */
+function retime(id, start) {
+  const items = applyEditOperation(getItinerary(id).itinerary, "act_b", {
+    operation: "update_time",
+    updated_activity: { start_time: at(start) },
+  });
+  return recordEdit(id, items, {
+    edit_request: `Move the gallery to ${start}`,
+    operation: "update_time",
+    change_summary: `Gallery at ${start}`,
+    activity_id: "act_b",
+  });
+}
+
+test("edits are recorded as revisions with their request and summary", async () => {
+  const { id } = storeTrip();
+  const edited = await retime(id, "15:00");
+
+  assert.equal(edited.version, 2);
+  const { current_version, can_undo, can_redo, revisions } = listRevisions(id);
+  assert.deepEqual([current_version, can_undo, can_redo], [2, true, false]);
+  assert.deepEqual(
+    revisions.map((r) => [r.version, r.source, r.edit_request, r.change_summary, r.item_count]),
+    [
+      [1, "generate", null, null, 2],
+      [2, "edit", "Move the gallery to 15:00", "Gallery at 15:00", 2],
+    ]
+  );
+  assert.equal("snapshot" in revisions[0], false);
+  assert.equal(getRevision(id, 1).snapshot[1].start_time, at("14:00"));
+});
+
+test("undo and redo move between versions by appending revisions", async () => {
+  const { id } = storeTrip();
+  await retime(id, "15:00");
+
+  const undone = await undo(id);
+  assert.equal(undone.version, 3);
+  assert.equal(undone.itinerary[1].start_time, at("14:00"));
+  await assert.rejects(undo(id), (error) => error instanceof HistoryError && error.status === 409);
+
+  const redone = await redo(id);
+  assert.equal(redone.version, 4);
+  assert.equal(redone.itinerary[1].start_time, at("15:00"));
+  await assert.rejects(redo(id), /Nothing to redo/);
+
+  // A new edit after an undo clears the redo stack
+  await undo(id);
+  await retime(id, "13:00");
+  assert.equal(listRevisions(id).can_redo, false);
+  assert.deepEqual(
+    listRevisions(id).revisions.map((r) => [r.source, r.restored_version]),
+    [
+      ["generate", null],
+      ["edit", null],
+      ["undo", 1],
+      ["redo", 2],
+      ["undo", 3],
+      ["edit", null],
+    ]
+  );
+});
+
+test("restoreVersion brings back an earlier version and can be undone", async () => {
+  const { id } = storeTrip();
+  await retime(id, "15:00");
+  await retime(id, "13:00");
+
+  const restored = await restoreVersion(id, 1);
+  assert.equal(restored.version, 4);
+  assert.equal(restored.itinerary[1].start_time, at("14:00"));
+  assert.equal(restored.itinerary_by_day["2026-11-02"].count, 2);
+
+  const undone = await undo(id);
+  assert.equal(undone.itinerary[1].start_time, at("13:00"));
+  await assert.rejects(restoreVersion(id, 42), /Revision 42 not found/);
+});
+
+test("diffRevisions reports added, removed and changed activities", async () => {
+  const { id } = storeTrip();
+  await retime(id, "15:00");
+  const current = getItinerary(id).itinerary;
+  await recordEdit(
+    id,
+    applyEditOperation(
+      current.filter((i) => i.id !== "act_a"),
+      null,
+      {
+        operation: "add",
+        new_activity: { name: "Coffee", start_time: at("09:00"), end_time: at("09:30") },
+      }
+    ),
+    { edit_request: "Swap brunch for coffee", operation: "batch" }
+  );
+
+  const diff = diffRevisions(id, 1);
+  assert.deepEqual([diff.from, diff.to], [1, 3]);
+  assert.deepEqual(diff.added.map((i) => i.name), ["Coffee"]);
+  assert.deepEqual(diff.removed.map((i) => i.name), ["Jazz Brunch"]);
+  assert.deepEqual(diff.changed, [
+    {
+      id: "act_b",
+      name: "Gallery Walk",
+      changes: {
+        start_time: { from: at("14:00"), to: at("15:00") },
+        duration_minutes: { from: null, to: 60 },
+      },
+    },
+  ]);
+});
+
+test("history calls on a missing itinerary fail with 404", async () => {
+  assert.throws(() => listRevisions("itn_0000000000000000"), { status: 404 });
+  await assert.rejects(undo("itn_0000000000000000"), { status: 404 });
+});
@@ -0,0 +1,88 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+
+import {
+  saveItinerary,
+  getItinerary,
+  updateItinerary,
+  deleteItinerary,
+  listItineraries,
+  getHistory,
+  saveHistory,
+} from "../src/itinerary_store.js";
+
+const dataDir = process.env.ITINERARY_DATA_DIR;
+
+const itinerary = (city, start, end = start) => ({
+  city,
+  interests: ["music"],
+  date_range: { start, end },
+  itinerary: [],
+  total_items: 0,
+});
+
+test("saved itineraries can be read, updated and deleted", () => {
+  const saved = saveItinerary(itinerary("Chicago", "2026-11-02"));
+  assert.match(saved.id, /^itn_[a-f0-9]{16}$/);
+  assert.equal(saved.version, 1);
+  assert.deepEqual(getItinerary(saved.id), saved);
+
+  const updated = updateItinerary(saved.id, (record) => ({ ...record, total_items: 3 }));
+  assert.equal(updated.version, 2);
+  assert.equal(updated.created_at, saved.created_at);
+  assert.equal(getItinerary(saved.id).total_items, 3);
+
+  saveHistory(saved.id, { revisions: [] });
+  assert.deepEqual(getHistory(saved.id), { revisions: [] });
+
+  assert.equal(deleteItinerary(saved.id), true);
+  assert.equal(getItinerary(saved.id), null);
+  assert.equal(getHistory(saved.id), null);
+  assert.equal(deleteItinerary(saved.id), false);
+});
+
+test("malformed IDs are not found", () => {
+  assert.equal(getItinerary("../jobs/x"), null);
+  assert.equal(updateItinerary("itn_nope", (r) => r), null);
+});
+
+test("writes leave no temp files behind", () => {
+  saveItinerary(itinerary("Tmp", "2026-01-01"));
+  assert.deepEqual(
+    fs.readdirSync(dataDir).filter((name) => name.endsWith(".tmp")),
+    []
+  );
+});
+
+test("listItineraries filters by city and date and paginates", () => {
+  saveItinerary(itinerary("Lisbon", "2026-05-01", "2026-05-03"));
+  saveItinerary(itinerary("Lisbon, Portugal", "2026-06-01"));
+  saveItinerary(itinerary("Porto", "2026-05-02"));
+
+  assert.equal(listItineraries({ city: "lisbon" }).total, 2);
+  assert.deepEqual(
+    listItineraries({ date: "2026-05-02" }).items.map((item) => item.city).sort(),
+    ["Lisbon", "Porto"]
+  );
+
+  const pages = [1, 2].map((page) => listItineraries({ city: "lisbon", limit: 1, page }));
+  assert.equal(pages[0].total_pages, 2);
+  assert.deepEqual(
+    pages.flatMap((page) => page.items.map((item) => item.city)).sort(),
+    ["Lisbon", "Lisbon, Portugal"]
+  );
+});
+
+test("a corrupt record is skipped in listings and reported when read", () => {
+  const good = saveItinerary(itinerary("Quito", "2026-07-01"));
+  const badId = "itn_0000000000000bad";
+  fs.writeFileSync(path.join(dataDir, `${badId}.json`), '{"id": "itn_');
+
+  const listed = listItineraries({ city: "quito" });
+  assert.deepEqual(listed.items.map((item) => item.id), [good.id]);
+  assert.throws(() => getItinerary(badId), /Itinerary itn_0000000000000bad is unreadable/);
+  fs.rmSync(path.join(dataDir, `${badId}.json`));
+});
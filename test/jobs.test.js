@@ -0,0 +1,137 @@
+import "./env.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+
+import { logsDir } from "../src/logger.js";
+import { createJob, getJob, updateJob, listJobs } from "../src/job_store.js";
+import { describeJob, submitJob, resumeJobs } from "../src/jobs.js";
+
+const params = {
+  city: "Chicago",
+  interests: ["music"],
+  start_date: "2026-11-02",
+  end_date: "2026-11-02",
+  search_backend: "model",
+  bypass_cache: true,
+};
+
+// Request folders written under logs/ by the jobs these tests run
+const jobIds = [];
+after(() => {
+  if (!fs.existsSync(logsDir)) return;
+  fs.readdirSync(logsDir)
+    .filter((name) => jobIds.some((id) => name.endsWith(`_${id}`)))
+    .forEach((name) => fs.rmSync(path.join(logsDir, name), { recursive: true, force: true }));
+});
+
+/**
+ * Wait for a job to finish
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Finished job record
+ */
+async function finished(id) {
+  jobIds.push(id);
+  for (let i = 0; i < 200; i++) {
+    const job = getJob(id);
+    if (job.status === "completed" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test("the job store saves, updates and lists jobs oldest first", () => {
+  const first = createJob({ city: "A" });
+  const second = createJob({ city: "B" });
+
+  assert.match(first.id, /^job_[a-f0-9]{16}$/);
+  assert.deepEqual(getJob(first.id), first);
+  assert.equal(getJob("../etc/passwd"), null);
+  assert.equal(getJob("job_0000000000000000"), null);
+
+  const updated = updateJob(second.id, (job) => ({ ...job, status: "failed", id: "job_other" }));
+  assert.equal(updated.id, second.id);
+  assert.equal(updated.created_at, second.created_at);
+  assert.equal(updateJob("job_0000000000000000", (job) => job), null);
+
+  const listed = listJobs().map((job) => job.id);
+  assert.ok(listed.indexOf(first.id) < listed.indexOf(second.id));
+  const failed = listJobs({ statuses: ["failed"] }).map((job) => job.id);
+  assert.ok(failed.includes(second.id) && !failed.includes(first.id));
+
+  // Not a real job: keep resumeJobs() in the later tests from running it
+  updateJob(first.id, (job) => ({ ...job, status: "completed" }));
+});
+
+test("a submitted job runs the pipeline and stores its result", async () => {
+  const job = await finished(submitJob(params).id);
+
+  assert.equal(job.status, "completed", job.error?.message);
+  assert.equal(job.phase, "done");
+  assert.equal(job.attempts, 1);
+  assert.deepEqual(job.checkpoint, { searches: [], batches: [] });
+  assert.equal(job.result.job_id, job.id);
+  assert.deepEqual(job.progress.scout, { completed: 1, total: 1 });
+
+  const status = describeJob(job);
+  assert.equal(status.progress.percent, 100);
+  assert.equal(status.itinerary_id, job.result.itinerary_id);
+  assert.equal(status.checkpoint, undefined);
+  assert.equal(status.result, undefined);
+});
+
+test("resumed jobs reuse their checkpointed searches", async () => {
+  const job = createJob(params);
+  updateJob(job.id, (current) => ({
+    ...current,
+    status: "running",
+    attempts: 1,
+    checkpoint: {
+      searches: [
+        {
+          success: true,
+          interest: "music",
+          city: "Chicago",
+          date: "2026-11-02",
+          links: [
+            {
+              url: "https://example.com/checkpointed-gig",
+              title: "Checkpointed Gig",
+              platform: "Other",
+              confidence: "high",
+            },
+          ],
+          queries_used: [],
+          search_backend: "model",
+        },
+      ],
+      batches: [],
+    },
+  }));
+
+  assert.ok(resumeJobs() >= 1);
+  const resumed = await finished(job.id);
+
+  assert.equal(resumed.status, "completed", resumed.error?.message);
+  assert.equal(resumed.attempts, 2);
+  assert.deepEqual(
+    resumed.result.itinerary
+      .filter((item) => item.type === "event")
+      .map((event) => event.source.url),
+    ["https://example.com/checkpointed-gig"]
+  );
+});
+
+test("a job out of attempts is failed instead of run again", async () => {
+  const job = createJob(params);
+  updateJob(job.id, (current) => ({ ...current, status: "running", attempts: 3 }));
+
+  resumeJobs();
+  const failed = await finished(job.id);
+
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts, 3);
+  assert.deepEqual(failed.error, { message: "Job did not finish after 3 attempts", code: null });
+  assert.ok(failed.finished_at);
+});
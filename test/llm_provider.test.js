@@ -0,0 +1,77 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createProvider,
+  getProvider,
+  getDefaultProviderName,
+  createFakeProvider,
+} from "../src/llm_provider.js";
+
+test("the fake provider answers Scout and Explorer from the request context", async () => {
+  const provider = createFakeProvider();
+
+  const scout = await provider.generate({
+    task: "scout",
+    prompt: "Find events",
+    context: { interest: "Live Music", city: "Chicago", date: "2026-11-02" },
+  });
+  assert.equal(scout.provider, "fake");
+  assert.equal(scout.truncated, false);
+  assert.equal(
+    JSON.parse(scout.text).links[0].url,
+    "https://example.com/events/live-music-2026-11-02"
+  );
+
+  const explorer = await provider.generate({
+    task: "explorer",
+    prompt: "Read pages",
+    context: {
+      city: "Chicago",
+      links: [{ url: "https://a.test/gig", title: "Gig", date: "2026-11-02", interest: "music" }],
+    },
+  });
+  const [event] = JSON.parse(explorer.text).valid_events;
+  assert.equal(event.name, "Gig");
+  assert.equal(event.start_time, "2026-11-02T10:00:00");
+  assert.deepEqual(event.source, { platform: "Other", url: "https://a.test/gig" });
+
+  assert.deepEqual(provider.calls.map((call) => call.task), ["scout", "explorer"]);
+});
+
+test("fake responses can be overridden per task", async () => {
+  const provider = createFakeProvider({
+    responses: {
+      scout: "not json",
+      edit: { operation: "remove" },
+      explorer: (context, request) => ({ echoed: context.city, prompt: request.prompt }),
+    },
+  });
+
+  assert.equal((await provider.generate({ task: "scout", prompt: "" })).text, "not json");
+  assert.equal((await provider.generate({ task: "edit", prompt: "" })).text, '{"operation":"remove"}');
+  assert.deepEqual(
+    JSON.parse(
+      (await provider.generate({ task: "explorer", prompt: "p", context: { city: "Oslo" } })).text
+    ),
+    { echoed: "Oslo", prompt: "p" }
+  );
+  await assert.rejects(
+    provider.generate({ task: "summarize", prompt: "" }),
+    /no response for task "summarize"/
+  );
+});
+
+test("providers are created by name and shared once configured", () => {
+  assert.equal(createProvider("openai", { model: "gpt-test" }).model, "gpt-test");
+  assert.equal(createProvider("gemini", { model: "gemini-test" }).name, "gemini");
+  assert.throws(
+    () => createProvider("claude"),
+    /Unknown LLM provider "claude". Available: gemini, openai, fake/
+  );
+
+  assert.equal(getDefaultProviderName(), "fake");
+  assert.equal(getProvider().name, "fake");
+  assert.equal(getProvider(), getProvider("fake"));
+});
@@ -0,0 +1,129 @@
+import "./env.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import {
+  BlockedUrlError,
+  isBlockedAddress,
+  createHttpFetcher,
+  createStubFetcher,
+  getPageFetcher,
+} from "../src/page_fetcher.js";
+
+// Local site standing in for event pages
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/event") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end("<h1>Jazz Night</h1>");
+    } else if (req.url === "/moved") {
+      res.writeHead(302, { Location: "/event" });
+      res.end();
+    } else if (req.url === "/loop") {
+      res.writeHead(302, { Location: "/loop" });
+      res.end();
+    } else if (req.url === "/feed.json") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end("{}");
+    } else if (req.url === "/huge") {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("x".repeat(5000));
+    } else if (req.url === "/slow") {
+      setTimeout(() => res.end("<p>late</p>"), 1000);
+    } else {
+      res.writeHead(404, { "Content-Type": "text/html" });
+      res.end("Not found");
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test("isBlockedAddress blocks private, local and reserved networks", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "not-an-ip",
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "151.101.1.69", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("the http fetcher refuses local addresses and non-http URLs", async () => {
+  const fetcher = createHttpFetcher();
+
+  await assert.rejects(fetcher.fetch(`${base}/event`), BlockedUrlError);
+  await assert.rejects(fetcher.fetch("http://[::1]/"), BlockedUrlError);
+  await assert.rejects(fetcher.fetch("file:///etc/passwd"), /Only http and https/);
+
+  // A name resolving to loopback is caught at connect time
+  const port = server.address().port;
+  await assert.rejects(fetcher.fetch(`http://localhost:${port}/event`), {
+    code: "BLOCKED_URL",
+  });
+});
+
+test("the http fetcher follows redirects and returns only HTML pages", async () => {
+  const fetcher = createHttpFetcher({ allowPrivate: true });
+
+  assert.deepEqual(await fetcher.fetch(`${base}/moved`), {
+    url: `${base}/event`,
+    status: 200,
+    html: "<h1>Jazz Night</h1>",
+  });
+  assert.equal(await fetcher.fetch(`${base}/feed.json`), null);
+  assert.equal(await fetcher.fetch(`${base}/missing`), null);
+  await assert.rejects(fetcher.fetch(`${base}/loop`), /More than 5 redirects/);
+});
+
+test("the http fetcher cuts pages off at maxBytes and times out slow ones", async () => {
+  const fetcher = createHttpFetcher({ allowPrivate: true, maxBytes: 1024, timeoutMs: 50 });
+
+  const page = await fetcher.fetch(`${base}/huge`);
+  assert.equal(page.html.length, 1024);
+  await assert.rejects(fetcher.fetch(`${base}/slow`), /timed out after 50ms/);
+
+  const controller = new AbortController();
+  controller.abort(new Error("Client disconnected"));
+  await assert.rejects(
+    fetcher.fetch(`${base}/event`, { signal: controller.signal }),
+    /Client disconnected/
+  );
+});
+
+test("the stub fetcher answers from its pages and logs every call", async () => {
+  const fetcher = createStubFetcher({ pages: { "https://a.test/e": "<p>e</p>" } });
+
+  assert.deepEqual(await fetcher.fetch("https://a.test/e"), {
+    url: "https://a.test/e",
+    status: 200,
+    html: "<p>e</p>",
+  });
+  assert.equal(await fetcher.fetch("https://a.test/other"), null);
+  assert.deepEqual(fetcher.calls, ["https://a.test/e", "https://a.test/other"]);
+
+  assert.equal(getPageFetcher().name, "stub");
+  assert.equal(getPageFetcher("stub"), getPageFetcher("stub"));
+  assert.throws(() => getPageFetcher("curl"), /Unknown page fetcher "curl"/);
+});
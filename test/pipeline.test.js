@@ -0,0 +1,122 @@
+import "./env.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { Logger } from "../src/logger.js";
+import {
+  generateItinerary,
+  createModelAccess,
+  resolveRecordingDir,
+} from "../src/pipeline.js";
+import { createStubFetcher } from "../src/page_fetcher.js";
+
+const recordingDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures/chicago_recording"
+);
+
+// Request folders written under logs/ by these tests
+const loggers = [];
+function testLogger(name) {
+  const logger = new Logger(name);
+  loggers.push(logger);
+  return logger;
+}
+
+after(() => {
+  loggers.forEach((logger) =>
+    fs.rmSync(logger.requestDir, { recursive: true, force: true })
+  );
+});
+
+const jazzPage = `<html><body><h1>Jazz Night at the Blue Room</h1>
+<p>Monday, November 2nd, doors at 7pm.</p>
+<script type="application/ld+json">{
+  "@type": "MusicEvent",
+  "name": "Jazz Night",
+  "startDate": "2026-11-02T19:00:00-06:00",
+  "endDate": "2026-11-02T22:00:00-06:00",
+  "location": { "@type": "Place", "name": "Blue Room", "address": "12 Main St, Chicago" }
+}</script></body></html>`;
+
+test("pipeline runs offline with the fake provider and stub fetcher", async () => {
+  const logger = testLogger("test_pipeline");
+  const access = createModelAccess(logger);
+  assert.equal(access.pageFetcher.name, "stub");
+
+  const pageFetcher = createStubFetcher({
+    pages: { "https://example.com/events/music-2026-11-02": jazzPage },
+  });
+  const result = await generateItinerary(
+    "Chicago",
+    ["music", "food"],
+    "2026-11-02",
+    "2026-11-02",
+    logger,
+    { provider: access.provider, pageFetcher, cacheMode: "off" }
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(result.timezone, "America/Chicago");
+  assert.deepEqual(pageFetcher.calls.sort(), [
+    "https://example.com/events/food-2026-11-02",
+    "https://example.com/events/music-2026-11-02",
+  ]);
+
+  const jazz = result.events.find((event) => event.name === "Jazz Night");
+  assert.ok(jazz, "event read from the fetched page is scheduled");
+  assert.equal(jazz.start_time, "2026-11-02T19:00:00-06:00");
+  assert.equal(jazz.end_time, "2026-11-02T22:00:00-06:00");
+  result.events.forEach((event) =>
+    assert.match(event.start_time, /^2026-11-02T\d{2}:\d{2}:\d{2}-06:00$/)
+  );
+});
+
+test("recorded request replays to the recorded itinerary", async () => {
+  const logger = testLogger("test_replay");
+  const access = createModelAccess(logger, {
+    replayDir: recordingDir,
+    strict: true,
+  });
+  const recorded = access.replay.request;
+
+  const result = await generateItinerary(
+    recorded.city,
+    recorded.interests,
+    recorded.startDate,
+    recorded.endDate,
+    logger,
+    {
+      searchBackend: access.searchBackend,
+      provider: access.provider,
+      pageFetcher: access.pageFetcher,
+      cacheMode: access.cacheMode,
+    }
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(access.replay.stats.fallback, 0);
+
+  const read = (file) => JSON.parse(fs.readFileSync(file, "utf-8")).itinerary;
+  assert.deepEqual(
+    read(logger.itineraryFile),
+    read(path.join(recordingDir, "itinerary.json"))
+  );
+});
+
+test("replay_from only names folders under logs/", () => {
+  for (const folder of [recordingDir, "..", ".", "../src", "a/b", "..\\src", ""]) {
+    assert.throws(
+      () => resolveRecordingDir(folder),
+      /must be a request folder name/,
+      folder
+    );
+  }
+  assert.throws(
+    () => createModelAccess(testLogger("test_replay_path"), { replayFrom: recordingDir }),
+    /must be a request folder name/
+  );
+});
@@ -0,0 +1,102 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  selectSchedule,
+  findOverlaps,
+  assignActivityIds,
+  groupByDate,
+  removeDuplicates,
+} from "../src/planner.js";
+
+const at = (time) => `2026-11-02T${time}:00-06:00`;
+const event = (name, start, end, interest = "music", extra = {}) => ({
+  id: `act_${name}`,
+  name,
+  start_time: at(start),
+  end_time: at(end),
+  interest_matched: interest,
+  ...extra,
+});
+
+test("selectSchedule keeps a non-overlapping, most relevant set", () => {
+  const events = [
+    event("long", "10:00", "16:00"),
+    event("morning", "10:00", "12:00"),
+    event("afternoon", "13:00", "15:00"),
+  ];
+  const { schedule, alternatives } = selectSchedule(events, ["music"]);
+
+  assert.deepEqual(schedule.map((e) => e.name), ["morning", "afternoon"]);
+  assert.deepEqual(alternatives.map((e) => [e.name, e.alternative_reason, e.conflicts_with]), [
+    ["long", "overlap", ["act_morning", "act_afternoon"]],
+  ]);
+});
+
+test("selectSchedule prefers covering more interests", () => {
+  const events = [
+    event("jazz", "18:00", "20:00", "music"),
+    event("tacos", "18:00", "20:00", "food"),
+    event("rock", "12:00", "14:00", "music"),
+  ];
+  const { schedule } = selectSchedule(events, ["music", "food"]);
+  assert.deepEqual(schedule.map((e) => e.name), ["rock", "tacos"]);
+});
+
+test("selectSchedule lists events without a start time as alternatives", () => {
+  const { alternatives } = selectSchedule([{ name: "someday" }], []);
+  assert.equal(alternatives[0].alternative_reason, "missing_start_time");
+});
+
+test("selectSchedule handles a large city-wide day", () => {
+  const interests = Array.from({ length: 20 }, (_, i) => `interest${i}`);
+  const events = Array.from({ length: 3000 }, (_, i) => {
+    const minute = (i * 7) % (14 * 60);
+    const start = new Date(Date.UTC(2026, 10, 2, 14) + minute * 60000);
+    return {
+      id: `act_${i}`,
+      name: `event ${i}`,
+      start_time: start.toISOString(),
+      end_time: new Date(start.getTime() + 45 * 60000).toISOString(),
+      interest_matched: interests[i % interests.length],
+    };
+  });
+
+  const started = Date.now();
+  const { schedule, alternatives } = selectSchedule(events, interests);
+  assert.ok(Date.now() - started < 5000, "selection finishes quickly");
+
+  assert.equal(schedule.length + alternatives.length, events.length);
+  assert.equal(findOverlaps(schedule).length, 0);
+  assert.ok(alternatives.some((e) => e.alternative_reason === "day_limit"));
+});
+
+test("findOverlaps pairs events that overlap on the same day", () => {
+  const overlaps = findOverlaps([
+    event("a", "10:00", "12:00"),
+    event("b", "11:00", "13:00"),
+    event("c", "13:00", "14:00"),
+  ]);
+  assert.deepEqual(
+    overlaps.map((o) => [o.date, o.first.name, o.second.name]),
+    [["2026-11-02", "a", "b"]]
+  );
+});
+
+test("assignActivityIds gives identical events distinct stable IDs", () => {
+  const make = () => [
+    { name: "Jazz", start_time: at("19:00") },
+    { name: "Jazz", start_time: at("19:00") },
+  ];
+  const [first, second] = assignActivityIds(make());
+  assert.match(first.id, /^act_[a-f0-9]{10}$/);
+  assert.equal(second.id, `${first.id}_2`);
+  assert.deepEqual(assignActivityIds(make()).map((e) => e.id), [first.id, second.id]);
+});
+
+test("groupByDate and removeDuplicates", () => {
+  const jazz = event("jazz", "19:00", "21:00");
+  assert.deepEqual(Object.keys(groupByDate([jazz])), ["2026-11-02"]);
+  assert.equal(removeDuplicates([jazz, { ...jazz }]).length, 1);
+});
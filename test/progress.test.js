@@ -0,0 +1,59 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PROGRESS_EVENTS,
+  overallPercent,
+  createProgressTracker,
+} from "../src/progress.js";
+
+test("overallPercent weighs finished, current and later phases", () => {
+  assert.equal(overallPercent("scout", {}), 0);
+  assert.equal(overallPercent("scout", { scout: { completed: 1, total: 2 } }), 15);
+  assert.equal(overallPercent("explorer", { explorer: { completed: 5, total: 10 } }), 60);
+  assert.equal(overallPercent("organize", { organize: { completed: 1, total: 1 } }), 100);
+});
+
+test("the tracker counts searches and batch links into their phases", () => {
+  const tracker = createProgressTracker();
+  const seen = [];
+  tracker.on("progress", (event) => seen.push(event));
+  const searches = [];
+  tracker.on(PROGRESS_EVENTS.SEARCH_COMPLETED, (event) => searches.push(event));
+
+  tracker.report(PROGRESS_EVENTS.PHASE_STARTED, { phase: "scout", total: 2 });
+  tracker.report(PROGRESS_EVENTS.SEARCH_STARTED, { interest: "jazz" });
+  tracker.report(PROGRESS_EVENTS.SEARCH_COMPLETED, { interest: "jazz", links: 3 });
+  const half = seen.at(-1);
+  tracker.report(PROGRESS_EVENTS.SEARCH_COMPLETED, { interest: "food", links: 1 });
+  tracker.report(PROGRESS_EVENTS.PHASE_COMPLETED, { phase: "scout" });
+
+  tracker.report(PROGRESS_EVENTS.PHASE_STARTED, { phase: "explorer", total: 4 });
+  const batch = tracker.report(PROGRESS_EVENTS.BATCH_COMPLETED, {
+    batch: 1,
+    batches: 2,
+    links: 3,
+  });
+
+  assert.deepEqual(
+    [half.phase, half.completed, half.total, half.percent, half.overall_percent],
+    ["scout", 1, 2, 50, 15]
+  );
+  assert.equal(searches.length, 2);
+  assert.deepEqual(
+    [batch.phase, batch.completed, batch.total, batch.percent, batch.overall_percent],
+    ["explorer", 3, 4, 75, 75]
+  );
+  assert.equal(seen.length, 7);
+  assert.deepEqual(tracker.status(), {
+    phase: "explorer",
+    phases: { scout: { completed: 2, total: 2 }, explorer: { completed: 3, total: 4 } },
+    overall_percent: 75,
+  });
+});
+
+test("the tracker rejects unknown event types", () => {
+  const tracker = createProgressTracker();
+  assert.throws(() => tracker.report("search_done"), /Unknown progress event "search_done"/);
+});
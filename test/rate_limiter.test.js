@@ -0,0 +1,84 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createTokenBucket,
+  mapWithConcurrency,
+  getModelLimiter,
+  limitProvider,
+} from "../src/rate_limiter.js";
+
+test("a token bucket allows a burst, then waits for refills in order", async () => {
+  const bucket = createTokenBucket({ ratePerMinute: 1200, burst: 2 }); // 50 ms per token
+  const order = [];
+  const started = Date.now();
+
+  await Promise.all(
+    [1, 2, 3, 4].map((n) => bucket.take().then(() => order.push([n, Date.now() - started])))
+  );
+
+  assert.deepEqual(order.map(([n]) => n), [1, 2, 3, 4]);
+  assert.ok(order[1][1] < 45, `burst took ${order[1][1]} ms`);
+  assert.ok(order[3][1] >= 90, `fourth token after ${order[3][1]} ms`);
+  assert.equal(bucket.available, 0);
+});
+
+test("a cancelled waiter gives up its turn without blocking the next", async () => {
+  const bucket = createTokenBucket({ ratePerMinute: 1200, burst: 1 });
+  await bucket.take();
+
+  const controller = new AbortController();
+  const cancelled = bucket.take(controller.signal);
+  controller.abort(new Error("Run cancelled"));
+  await assert.rejects(cancelled, /cancelled/i);
+
+  await bucket.take();
+  assert.equal(bucket.available, 0);
+});
+
+test("mapWithConcurrency caps calls in flight and keeps input order", async () => {
+  let inFlight = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    inFlight--;
+    return i * 10;
+  });
+
+  assert.deepEqual(results, [0, 10, 20, 30, 40]);
+  assert.equal(peak, 2);
+});
+
+test("mapWithConcurrency stops starting items after a failure", async () => {
+  const started = [];
+
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3, 4, 5], 1, async (n) => {
+      started.push(n);
+      if (n === 2) throw new Error("boom");
+    }),
+    /boom/
+  );
+  assert.deepEqual(started, [1, 2]);
+});
+
+test("providers share one limiter per name; fake providers are unlimited", async () => {
+  assert.equal(getModelLimiter("gemini"), getModelLimiter("gemini"));
+  assert.notEqual(getModelLimiter("gemini"), getModelLimiter("openai"));
+  assert.equal(getModelLimiter("fake").ratePerMinute, Infinity);
+
+  const bucket = createTokenBucket({ ratePerMinute: 60, burst: 2 });
+  const provider = limitProvider(
+    { name: "counted", model: "m", generate: async (request) => ({ text: request.prompt }) },
+    bucket
+  );
+
+  assert.equal(provider.model, "m");
+  assert.deepEqual(await provider.generate({ prompt: "hi" }), { text: "hi" });
+  await provider.generate({ prompt: "again" });
+  assert.equal(bucket.available, 0);
+});
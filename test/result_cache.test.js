@@ -0,0 +1,135 @@
+import "./env.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  scoutCacheKey,
+  explorerCacheKey,
+  canonicalUrl,
+  createMemoryCache,
+  createFileCache,
+  createSqliteCache,
+  createCacheSession,
+} from "../src/result_cache.js";
+import { scoutEvents } from "../src/scout.js";
+import { createFakeProvider } from "../src/llm_provider.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "result-cache-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test("canonicalUrl drops tracking, fragments and www", () => {
+  assert.equal(
+    canonicalUrl("http://WWW.Example.com:80/events/?utm_source=x&b=2&a=1#top"),
+    "https://example.com/events?a=1&b=2"
+  );
+  assert.equal(canonicalUrl("not a url "), "not a url");
+});
+
+test("cache keys separate backends, cities and dates", () => {
+  assert.equal(
+    scoutCacheKey(" Jazz ", "CHICAGO", "2026-11-02", "model"),
+    scoutCacheKey("jazz", "chicago", "2026-11-02", "model")
+  );
+  assert.notEqual(
+    scoutCacheKey("jazz", "chicago", "2026-11-02", "model"),
+    scoutCacheKey("jazz", "chicago", "2026-11-02", "brightdata_serp")
+  );
+  const link = { url: "https://example.com/cal", date: "2026-11-02" };
+  assert.notEqual(
+    explorerCacheKey(link, "Chicago"),
+    explorerCacheKey({ ...link, date: "2026-11-03" }, "Chicago")
+  );
+  assert.notEqual(explorerCacheKey(link, "Chicago"), explorerCacheKey(link, "Boston"));
+});
+
+for (const [name, create] of [
+  ["memory", async () => createMemoryCache()],
+  ["file", async () => createFileCache({ dir: path.join(tmpDir, "files") })],
+  ["sqlite", () => createSqliteCache({ file: path.join(tmpDir, "cache.sqlite") })],
+]) {
+  test(`${name} cache stores values per namespace until they expire`, async () => {
+    const cache = await create();
+    await cache.set("scout", "k", { links: [1] }, 60000);
+    await cache.set("scout", "old", { links: [] }, -1);
+
+    assert.deepEqual(await cache.get("scout", "k"), { links: [1] });
+    assert.equal(await cache.get("explorer", "k"), undefined);
+    assert.equal(await cache.get("scout", "old"), undefined);
+    await cache.close();
+  });
+}
+
+test("memory cache evicts the oldest entries", async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+  for (const key of ["a", "b", "c"]) await cache.set("scout", key, key, 60000);
+  assert.equal(await cache.get("scout", "a"), undefined);
+  assert.equal(await cache.get("scout", "c"), "c");
+});
+
+test("cache sessions follow the run's cache mode", async () => {
+  await createCacheSession("scout", "use").set("mode-key", "cached");
+  assert.equal(await createCacheSession("scout", "use").get("mode-key"), "cached");
+  assert.equal(await createCacheSession("scout", "refresh").get("mode-key"), undefined);
+
+  const off = createCacheSession("scout", "off");
+  await off.set("off-key", "value");
+  assert.equal(await createCacheSession("scout", "use").get("off-key"), undefined);
+});
+
+test("Scout results cached for one backend aren't used for another", async () => {
+  const serp = {
+    name: "brightdata_serp",
+    calls: 0,
+    async search(query) {
+      this.calls++;
+      return [{ url: `https://www.eventbrite.com/e/${this.calls}`, title: query, snippet: "" }];
+    },
+  };
+  const run = (searchBackend) =>
+    scoutEvents("Oslo", ["jazz"], "2026-11-02", "2026-11-02", () => {}, {
+      provider: createFakeProvider(),
+      searchBackend,
+    });
+
+  await run("model");
+  const fromSerp = await run(serp);
+  assert.ok(serp.calls > 0, "SERP backend searched despite a model cache entry");
+  assert.equal(fromSerp.searchResults[0].cached, undefined);
+
+  const again = await run(serp);
+  assert.equal(again.searchResults[0].cached, true);
+  assert.equal(again.searchResults[0].search_backend, "brightdata_serp");
+});
+
+test("a checkpoint from another backend isn't resumed", async () => {
+  const provider = createFakeProvider();
+  const result = await scoutEvents("Lima", ["food"], "2026-11-02", "2026-11-02", () => {}, {
+    provider,
+    searchBackend: "model",
+    cacheMode: "off",
+    checkpoint: {
+      searches: [
+        {
+          interest: "food",
+          date: "2026-11-02",
+          success: true,
+          links: [],
+          search_backend: "brightdata_mcp",
+        },
+      ],
+    },
+  });
+  assert.equal(provider.calls.length, 1);
+  assert.equal(result.searchResults[0].search_backend, "model");
+});
+
+test("cache failures go to the run logger, not the run", async () => {
+  const messages = [];
+  const session = createCacheSession("scout", "use", (message) => messages.push(message));
+  await session.set("bad", { compute() {} }); // Functions can't be cloned
+  assert.equal(messages.length, 1);
+  assert.match(messages[0], /Result cache write failed/);
+});
@@ -0,0 +1,106 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  errorStatus,
+  isRetryableError,
+  backoffDelay,
+  withRetry,
+} from "../src/retry.js";
+
+/**
+ * Error shaped like a provider SDK HTTP error
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error}
+ */
+function httpError(status, headers) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+test("rate limits, server errors and dropped connections are retryable", () => {
+  assert.equal(isRetryableError(httpError(429)), true);
+  assert.equal(isRetryableError(httpError(503)), true);
+  assert.equal(isRetryableError(httpError(400)), false);
+  assert.equal(isRetryableError({ response: { status: 502 } }), true);
+  assert.equal(isRetryableError({ cause: { code: "ECONNRESET" } }), true);
+  assert.equal(isRetryableError(new Error("bad prompt")), false);
+  assert.equal(isRetryableError({ status: 503, retryable: false }), false);
+  assert.equal(errorStatus({ statusCode: 504 }), 504);
+  assert.equal(errorStatus({ status: "500" }), undefined);
+});
+
+test("backoffDelay honours Retry-After, else grows with jitter up to a cap", () => {
+  assert.equal(backoffDelay(1, httpError(429, { "retry-after": "2" })), 2000);
+  assert.equal(backoffDelay(1, httpError(429, new Headers({ "retry-after": "1.5" }))), 1500);
+  assert.equal(backoffDelay(1, httpError(429, { "retry-after": "600" })), 30000);
+
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    const delay = backoffDelay(attempt);
+    assert.ok(delay >= 0 && delay <= Math.min(1000 * 2 ** (attempt - 1), 30000));
+  }
+});
+
+test("withRetry retries retryable failures and reports each retry", async () => {
+  const retries = [];
+  let calls = 0;
+
+  const result = await withRetry(
+    async (attempt) => {
+      calls++;
+      if (attempt < 2) throw httpError(503, { "retry-after": "0" });
+      return "ok";
+    },
+    { onRetry: (error, attempt, delay) => retries.push([error.status, attempt, delay]) }
+  );
+
+  assert.equal(result, "ok");
+  assert.equal(calls, 3);
+  assert.deepEqual(retries, [
+    [503, 1, 0],
+    [503, 2, 0],
+  ]);
+});
+
+test("withRetry gives up after its retries and on non-retryable errors", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls++;
+        throw httpError(429, { "retry-after": "0" });
+      },
+      { retries: 2 }
+    ),
+    /HTTP 429/
+  );
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw httpError(400);
+    }),
+    /HTTP 400/
+  );
+  assert.equal(calls, 1);
+});
+
+test("withRetry stops waiting when the run is cancelled", async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(new Error("Run cancelled")), 20);
+
+  await assert.rejects(
+    withRetry(
+      async () => {
+        throw httpError(429, { "retry-after": "10" });
+      },
+      { signal: controller.signal }
+    ),
+    /cancelled/i
+  );
+  assert.ok(Date.now() - started < 5000);
+});
@@ -0,0 +1,160 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import {
+  detectPlatform,
+  parseOrganicResults,
+  createMcpSearchBackend,
+  createSerpSearchBackend,
+  getSearchBackend,
+} from "../src/search_backends.js";
+import { searchForInterest } from "../src/scout.js";
+import { startStubMcpServer } from "../test_mcp_stub.js";
+
+/**
+ * Listen on a free local port
+ * @param {Function} app - Express app
+ * @returns {Promise<Object>} { url, close() }
+ */
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+test("detectPlatform names known event platforms", () => {
+  assert.equal(detectPlatform("https://www.eventbrite.co.uk/e/1"), "Eventbrite");
+  assert.equal(detectPlatform("https://lu.ma/abc"), "Luma");
+  assert.equal(detectPlatform("https://example.com/events"), "Other");
+  assert.equal(detectPlatform("not a url"), "Other");
+});
+
+test("parseOrganicResults reads parsed SERP JSON, markdown and MCP content", () => {
+  const organic = {
+    organic: [
+      { link: "https://www.meetup.com/g/events/1", title: "Meetup", description: "Talks" },
+      { link: "https://www.google.com/maps?q=x", title: "Map" },
+      { url: "ftp://files.test/x", title: "FTP" },
+    ],
+  };
+  const markdown = [
+    "[Jazz Night - Eventbrite](https://www.eventbrite.com/e/jazz-1)",
+    "Doors at 7pm.",
+    "",
+    "[Club](https://club.test/jazz)",
+  ].join("\n");
+
+  assert.deepEqual(parseOrganicResults(organic), [
+    {
+      url: "https://www.meetup.com/g/events/1",
+      title: "Meetup",
+      snippet: "Talks",
+      platform: "Meetup",
+      confidence: "high",
+    },
+  ]);
+  assert.deepEqual(parseOrganicResults(JSON.stringify(organic)), parseOrganicResults(organic));
+  assert.deepEqual(
+    parseOrganicResults({ content: [{ type: "text", text: markdown }] }).map((l) => [
+      l.url,
+      l.snippet,
+      l.confidence,
+    ]),
+    [
+      ["https://www.eventbrite.com/e/jazz-1", "Doors at 7pm.", "high"],
+      ["https://club.test/jazz", "", "medium"],
+    ]
+  );
+  assert.deepEqual(parseOrganicResults(null), []);
+});
+
+test("the MCP backend calls search_engine on the server and parses its output", async () => {
+  const stub = await startStubMcpServer({ port: 5611 });
+  const backend = createMcpSearchBackend({ url: stub.url, transport: "http" });
+
+  try {
+    const links = await backend.search("jazz Chicago");
+    assert.deepEqual(
+      links.map((l) => l.platform),
+      ["Eventbrite", "Meetup"]
+    );
+    assert.equal(stub.calls.length, 1);
+    assert.equal(stub.calls[0].query, "jazz Chicago");
+  } finally {
+    await backend.close();
+    await stub.close();
+  }
+});
+
+test("Scout searches through a backend instance and dedupes links across queries", async () => {
+  const stub = await startStubMcpServer({
+    port: 5612,
+    results: () => "[Same Event](https://www.eventbrite.com/e/same-1)\nEvery night",
+  });
+  const backend = createMcpSearchBackend({ url: stub.url, transport: "http" });
+
+  try {
+    const result = await searchForInterest("jazz", "Chicago", "2026-11-02", () => {}, {
+      searchBackend: backend,
+      cacheMode: "off",
+    });
+    assert.equal(result.success, true);
+    assert.equal(result.search_backend, "brightdata_mcp");
+    assert.ok(stub.calls.length > 1);
+    assert.deepEqual(
+      result.links.map((l) => l.url),
+      ["https://www.eventbrite.com/e/same-1"]
+    );
+  } finally {
+    await backend.close();
+    await stub.close();
+  }
+});
+
+test("the SERP backend posts the zone and Google URL with the API key", async () => {
+  const requests = [];
+  const app = express();
+  app.use(express.json());
+  app.post("/request", (req, res) => {
+    requests.push({ auth: req.headers.authorization, body: req.body });
+    if (req.body.zone === "broken") return res.status(503).end();
+    res.json({ organic: [{ link: "https://allevents.in/chicago/1", title: "Fair" }] });
+  });
+  const server = await listen(app);
+
+  try {
+    const backend = createSerpSearchBackend({
+      apiKey: "key-1",
+      zone: "serp_zone",
+      endpoint: `${server.url}/request`,
+    });
+    const links = await backend.search("food fair Chicago");
+
+    assert.deepEqual(links.map((l) => [l.url, l.platform]), [
+      ["https://allevents.in/chicago/1", "AllEvents"],
+    ]);
+    assert.equal(requests[0].auth, "Bearer key-1");
+    assert.equal(requests[0].body.zone, "serp_zone");
+    assert.match(requests[0].body.url, /^https:\/\/www\.google\.com\/search\?q=food%20fair%20Chicago/);
+
+    const broken = createSerpSearchBackend({
+      apiKey: "key-1",
+      zone: "broken",
+      endpoint: `${server.url}/request`,
+    });
+    await assert.rejects(broken.search("x"), /status 503/);
+  } finally {
+    await server.close();
+  }
+});
+
+test("getSearchBackend rejects unknown names", () => {
+  assert.throws(() => getSearchBackend("bing"), /Unknown search backend "bing"/);
+});
@@ -0,0 +1,98 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { setTimeout as sleep } from "timers/promises";
+
+import {
+  generateRunId,
+  parseEventId,
+  createStreamRun,
+  getStreamRun,
+} from "../src/stream_runs.js";
+
+// Minimal SSE response: records what was written, emits "close" on demand
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.ended = false;
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => {
+    res.ended = true;
+  };
+  res.ids = () => res.chunks.map((chunk) => chunk.match(/^id: (.+)$/m)[1]);
+  return res;
+}
+
+test("generateRunId returns distinct UUIDs", () => {
+  const a = generateRunId();
+  assert.match(a, /^[0-9a-f-]{36}$/);
+  assert.notEqual(a, generateRunId());
+  assert.deepEqual(parseEventId(`${a}:12`), { runId: a, seq: 12 });
+  assert.equal(parseEventId("no-sequence"), null);
+});
+
+test("a reconnecting client gets the events it missed, then live ones", () => {
+  const run = createStreamRun(generateRunId());
+  const first = fakeResponse();
+  run.attach(first);
+  run.send("connected", {});
+  run.send("progress", { step: 1 });
+  first.emit("close");
+  run.send("progress", { step: 2 });
+
+  const second = fakeResponse();
+  run.attach(second, first.ids()[0]);
+  run.send("complete", {});
+  assert.deepEqual(second.ids(), [`${run.id}:2`, `${run.id}:3`, `${run.id}:4`]);
+
+  run.finish();
+  assert.equal(second.ended, true);
+});
+
+test("a finished run is replayed and closed", () => {
+  const run = createStreamRun(generateRunId());
+  run.send("complete", {});
+  run.finish();
+
+  const late = fakeResponse();
+  getStreamRun(run.id).attach(late);
+  assert.deepEqual(late.ids(), [`${run.id}:1`]);
+  assert.equal(late.ended, true);
+});
+
+test("a client that leaves before any event abandons the run at once", () => {
+  let abandoned = 0;
+  const run = createStreamRun(generateRunId(), {
+    onAbandoned: () => abandoned++,
+  });
+  const res = fakeResponse();
+  run.attach(res);
+  res.emit("close");
+
+  assert.equal(abandoned, 1);
+  assert.equal(getStreamRun(run.id), null);
+});
+
+test("a client with an event ID gets the grace period to come back", async () => {
+  let abandoned = 0;
+  const run = createStreamRun(generateRunId(), {
+    onAbandoned: () => abandoned++,
+  });
+  const res = fakeResponse();
+  run.attach(res);
+  run.send("connected", {});
+  res.emit("close");
+  assert.equal(abandoned, 0);
+
+  // Reattaching cancels the timer
+  const back = fakeResponse();
+  run.attach(back, res.ids()[0]);
+  await sleep(80);
+  assert.equal(abandoned, 0);
+
+  back.emit("close");
+  await sleep(80);
+  assert.equal(abandoned, 1);
+  assert.equal(getStreamRun(run.id), null);
+});
@@ -0,0 +1,102 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  extractJsonLd,
+  extractMicrodata,
+  extractOpenGraph,
+  extractPageText,
+  extractPageEvents,
+} from "../src/structured_data.js";
+
+const link = {
+  url: "https://a.test/jazz",
+  date: "2026-11-02",
+  interest: "music",
+  platform: "Other",
+};
+
+const page = `<html><head>
+<meta property="og:title" content="Jazz &amp; Blues">
+<style>h1 { color: red }</style>
+<script>var tracking = 1;</script>
+</head><body>
+<h1>Jazz</h1><p>Tonight at 7pm</p>
+<script type="application/ld+json">{
+  "@context": "https://schema.org",
+  "@graph": [
+    {
+      "@type": "MusicEvent",
+      "name": "Jazz Night",
+      "startDate": "2026-11-03T01:00:00Z",
+      "location": { "@type": "Place", "name": "Blue Room", "address": "12 Main St, Chicago" },
+      "offers": { "price": "0", "priceCurrency": "USD" }
+    },
+    {
+      "@type": "Event",
+      "name": "Online Talk",
+      "startDate": "2026-11-02T18:00",
+      "location": { "@type": "VirtualLocation", "url": "https://a.test/stream" }
+    },
+    { "@type": "Event", "name": "Later", "startDate": "2026-11-05" }
+  ]
+}</script>
+</body></html>`;
+
+test("extractJsonLd skips blocks that aren't JSON", () => {
+  assert.deepEqual(
+    extractJsonLd('<script type="application/ld+json">{not json</script>'),
+    []
+  );
+  assert.equal(extractJsonLd(page).length, 1);
+});
+
+test("extractMicrodata reads nested items", () => {
+  const html = `<div itemscope itemtype="https://schema.org/Event">
+    <span itemprop="name">Taco Fest</span>
+    <meta itemprop="startDate" content="2026-11-02T12:00">
+    <div itemprop="location" itemscope itemtype="https://schema.org/Place">
+      <span itemprop="name">Pilsen Park</span>
+    </div>
+  </div>`;
+  assert.deepEqual(extractMicrodata(html), [
+    {
+      "@type": ["Event"],
+      name: "Taco Fest",
+      startDate: "2026-11-02T12:00",
+      location: { "@type": ["Place"], name: "Pilsen Park" },
+    },
+  ]);
+});
+
+test("extractOpenGraph and extractPageText read the page", () => {
+  assert.equal(extractOpenGraph(page).title, "Jazz & Blues");
+  assert.equal(extractPageText(page), "Jazz\nTonight at 7pm");
+});
+
+test("extractPageEvents maps complete events on the link's date", () => {
+  const { events, partial } = extractPageEvents(page, link, {
+    city: "Chicago",
+    timeZone: "America/Chicago",
+  });
+
+  assert.equal(events.length, 1);
+  const [jazz] = events;
+  assert.equal(jazz.name, "Jazz Night");
+  assert.equal(jazz.start_time, "2026-11-02T19:00:00"); // UTC converted to Chicago
+  assert.equal(jazz.category, "performance");
+  assert.deepEqual(jazz.location, {
+    venue: "Blue Room",
+    address: "12 Main St, Chicago",
+    city: "Chicago",
+  });
+  assert.deepEqual(jazz.pricing, { is_free: true, price: "Free", currency: "USD" });
+  assert.deepEqual(jazz.source, { platform: "Other", url: link.url });
+
+  // Online-only events are dropped; date-only and other-day events are partial
+  assert.deepEqual(
+    partial.map((event) => [event.name, event.start_time]),
+    [["Later", "2026-11-05"]]
+  );
+});
@@ -0,0 +1,102 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  OUTPUT_ERROR_CODES,
+  ModelOutputError,
+  parseStructuredOutput,
+  generateStructured,
+} from "../src/structured_output.js";
+import { createFakeProvider } from "../src/llm_provider.js";
+
+const schema = {
+  type: "object",
+  required: ["events"],
+  properties: { events: { type: "array" }, total: { type: "number" } },
+};
+
+/**
+ * Expect parseStructuredOutput to fail with a code
+ * @param {string} text - Raw output
+ * @param {string} code - Expected OUTPUT_ERROR_CODES value
+ * @param {Object} [options] - Parse options
+ */
+function assertFails(text, code, options = {}) {
+  assert.throws(
+    () => parseStructuredOutput(text, { schema, task: "explorer", ...options }),
+    (error) =>
+      error instanceof ModelOutputError &&
+      error.code === code &&
+      error.task === "explorer" &&
+      error.rawText === text
+  );
+}
+
+test("parseStructuredOutput reads JSON, with or without a code fence", () => {
+  assert.deepEqual(parseStructuredOutput('{"events": [], "total": 2}', { schema }), {
+    events: [],
+    total: 2,
+  });
+  assert.deepEqual(
+    parseStructuredOutput('```json\n{"events": [1]}\n```', { schema }),
+    { events: [1] }
+  );
+});
+
+test("parseStructuredOutput tells empty, cut-off, invalid and mismatched output apart", () => {
+  assertFails("  ", OUTPUT_ERROR_CODES.EMPTY);
+  assertFails('```json\n{"events": [{"name": "Ja', OUTPUT_ERROR_CODES.TRUNCATED);
+  assertFails('{"events": []} trailing', OUTPUT_ERROR_CODES.INVALID_JSON);
+  assertFails('{"events": [], oops}', OUTPUT_ERROR_CODES.TRUNCATED, { truncated: true });
+  assertFails('{"total": 1}', OUTPUT_ERROR_CODES.SCHEMA_MISMATCH);
+  assertFails('{"events": {}}', OUTPUT_ERROR_CODES.SCHEMA_MISMATCH);
+  assertFails("[]", OUTPUT_ERROR_CODES.SCHEMA_MISMATCH);
+});
+
+test("generateStructured continues output cut off at the token limit", async () => {
+  const parts = ['{"events": [{"name": "Jazz', ' Night"}, {"name": "Tacos"}', "]}"];
+  const requests = [];
+  const provider = {
+    name: "chunked",
+    async generate(request) {
+      requests.push(request);
+      const text = parts[requests.length - 1];
+      return { text, provider: "chunked", truncated: requests.length < parts.length };
+    },
+  };
+  const logs = [];
+
+  const result = await generateStructured(
+    provider,
+    { task: "explorer", prompt: "Find events" },
+    { schema, logger: (msg) => logs.push(msg) }
+  );
+
+  assert.deepEqual(result, { events: [{ name: "Jazz Night" }, { name: "Tacos" }] });
+  assert.equal(requests.length, 3);
+  assert.deepEqual(requests[0].responseSchema, schema);
+  assert.equal(requests[1].responseSchema, undefined);
+  assert.match(requests[1].prompt, /cut off at the output limit after 26 characters/);
+  assert.match(requests[2].prompt, /\{"name": "Tacos"\}\n>>>/);
+  assert.equal(logs.length, 2);
+});
+
+test("generateStructured gives up after maxContinuations and logs the raw output", async () => {
+  const provider = createFakeProvider({
+    responses: { explorer: '{"events": [{"name": "Ja' },
+  });
+  const logs = [];
+
+  await assert.rejects(
+    generateStructured(
+      provider,
+      { task: "explorer", prompt: "Find events" },
+      { schema, maxContinuations: 0, logger: (msg) => logs.push(msg) }
+    ),
+    { code: OUTPUT_ERROR_CODES.TRUNCATED, provider: "fake" }
+  );
+  assert.equal(provider.calls.length, 1);
+  assert.match(logs[0], /explorer output error \(truncated_output\)/);
+  assert.match(logs[0], /--- raw fake output \(24 chars\) ---\n\{"events": \[\{"name": "Ja\n--- end raw output ---/);
+});
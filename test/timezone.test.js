@@ -0,0 +1,91 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  resolveTimezone,
+  normalizeTime,
+  timeValue,
+  isDateTime,
+  addMinutes,
+  listDates,
+} from "../src/timezone.js";
+
+test("resolveTimezone matches cities, regions and falls back", () => {
+  assert.deepEqual(resolveTimezone("Chicago"), {
+    timezone: "America/Chicago",
+    matched: true,
+  });
+  assert.equal(resolveTimezone("New York City").timezone, "America/New_York");
+  assert.equal(resolveTimezone("Paris, Texas").timezone, "America/Chicago");
+  assert.equal(resolveTimezone("Atlantis").matched, false);
+});
+
+test("resolveTimezone ignores accents", () => {
+  assert.equal(resolveTimezone("São Paulo").timezone, "America/Sao_Paulo");
+  assert.equal(resolveTimezone("Zürich, Switzerland").timezone, "Europe/Zurich");
+  // Precomposed and combining forms of the same name
+  assert.equal(resolveTimezone("Montre\u0301al").timezone, "America/Toronto");
+  assert.equal(resolveTimezone("Montr\u00e9al").timezone, "America/Toronto");
+});
+
+test("normalizeTime reads naive times as city wall time", () => {
+  assert.equal(
+    normalizeTime("2026-01-15T18:00:00", "America/New_York"),
+    "2026-01-15T18:00:00-05:00"
+  );
+  assert.equal(
+    normalizeTime("2026-07-15T18:00", "America/New_York"),
+    "2026-07-15T18:00:00-04:00"
+  );
+});
+
+test("normalizeTime converts times with an offset to the city", () => {
+  assert.equal(
+    normalizeTime("2026-01-15T23:00:00Z", "America/New_York"),
+    "2026-01-15T18:00:00-05:00"
+  );
+  assert.equal(normalizeTime("not a time", "UTC"), "not a time");
+});
+
+test("normalizeTime moves skipped DST times forward", () => {
+  assert.equal(
+    normalizeTime("2026-03-08T02:30:00", "America/New_York"),
+    "2026-03-08T03:30:00-04:00"
+  );
+});
+
+test("timeValue orders naive and offset times", () => {
+  assert.ok(timeValue("2026-01-15T18:00") < timeValue("2026-01-15T19:00"));
+  assert.equal(
+    timeValue("2026-01-15T18:00:00-05:00"),
+    timeValue("2026-01-15T23:00:00Z")
+  );
+  assert.ok(Number.isNaN(timeValue(undefined)));
+});
+
+test("isDateTime requires a real date and a time of day", () => {
+  assert.equal(isDateTime("2026-11-02T19:00"), true);
+  assert.equal(isDateTime("2026-11-02T19:00:00-06:00"), true);
+  assert.equal(isDateTime("2026-11-02"), false);
+  assert.equal(isDateTime("2026-02-30T10:00"), false);
+  assert.equal(isDateTime("2026-11-02T25:00"), false);
+  assert.equal(isDateTime("Nov 2, 2026 7pm"), false);
+});
+
+test("addMinutes keeps the timestamp's format", () => {
+  assert.equal(addMinutes("2026-11-02T23:30", 60), "2026-11-03T00:30:00");
+  assert.equal(
+    addMinutes("2026-11-02T19:00:00-06:00", 90),
+    "2026-11-02T20:30:00-06:00"
+  );
+  assert.equal(addMinutes("7pm", 60), null);
+});
+
+test("listDates lists calendar days inclusively", () => {
+  assert.deepEqual(listDates("2026-02-27", "2026-03-01"), [
+    "2026-02-27",
+    "2026-02-28",
+    "2026-03-01",
+  ]);
+});
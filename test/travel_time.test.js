@@ -0,0 +1,123 @@
+import "./env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  haversineKm,
+  createHaversineBackend,
+  createRoutingBackend,
+  planTravel,
+  annotateCoverage,
+} from "../src/travel_time.js";
+
+// Points along a line, ~11 km apart
+const stop = (name, start, end, lat, extra = {}) => ({
+  id: `act_${name}`,
+  name,
+  type: "event",
+  start_time: `2026-11-02T${start}:00-06:00`,
+  end_time: `2026-11-02T${end}:00-06:00`,
+  coordinates: { lat, lng: -87.6 },
+  interest_matched: "music",
+  ...extra,
+});
+
+// Haversine backend that counts its estimates
+function countingBackend() {
+  const haversine = createHaversineBackend();
+  return {
+    name: "counting",
+    calls: 0,
+    async estimate(from, to, mode) {
+      this.calls++;
+      return haversine.estimate(from, to, mode);
+    },
+  };
+}
+
+test("haversineKm measures great-circle distance", () => {
+  const km = haversineKm({ lat: 41.88, lng: -87.63 }, { lat: 40.71, lng: -74.01 });
+  assert.ok(Math.abs(km - 1144) < 5, `${km}`);
+});
+
+test("planTravel flags infeasible transitions by default", async () => {
+  const events = [
+    stop("a", "10:00", "11:00", 41.8),
+    stop("b", "11:05", "12:00", 41.9),
+  ];
+  const { policy, events: kept, dropped, legsByDate } = await planTravel(events, {
+    mode: "walking",
+  });
+
+  assert.equal(policy, "flag");
+  assert.equal(kept.length, 2);
+  assert.deepEqual(dropped, []);
+  assert.equal(legsByDate["2026-11-02"][0].feasible, false);
+});
+
+test("resolve drops the less relevant side and re-estimates only the new leg", async () => {
+  const backend = countingBackend();
+  const events = [
+    stop("a", "09:00", "10:00", 41.8),
+    stop("far", "10:05", "11:00", 42.5, { interest_matched: "other" }),
+    stop("b", "13:00", "14:00", 41.81),
+    stop("c", "15:00", "16:00", 41.82),
+    stop("d", "17:00", "18:00", 41.83),
+  ];
+  const result = await planTravel(events, {
+    mode: "transit",
+    policy: "resolve",
+    interests: ["music"],
+    backend,
+  });
+
+  assert.deepEqual(result.dropped.map((e) => [e.name, e.alternative_reason]), [
+    ["far", "travel_time"],
+  ]);
+  assert.deepEqual(result.events.map((e) => e.name), ["a", "b", "c", "d"]);
+  assert.equal(backend.calls, 4 + 1); // Initial legs, then one bridging leg
+
+  const legs = result.legsByDate["2026-11-02"];
+  assert.deepEqual(
+    legs.map((l) => [l.from_id, l.to_id]),
+    [["act_a", "act_b"], ["act_b", "act_c"], ["act_c", "act_d"]]
+  );
+  assert.ok(legs.every((l) => l.feasible));
+});
+
+test("resolve prefers dropping a suggested activity", async () => {
+  const events = [
+    stop("gallery", "10:00", "11:00", 41.8, { type: "activity" }),
+    stop("show", "11:05", "12:00", 42.5, { interest_matched: "other" }),
+  ];
+  const result = await planTravel(events, { mode: "walking", policy: "resolve" });
+  assert.deepEqual(result.dropped.map((e) => e.name), ["gallery"]);
+  assert.deepEqual(result.legsByDate["2026-11-02"], []);
+});
+
+test("legs without coordinates are unknown, not infeasible", async () => {
+  const events = [
+    stop("a", "10:00", "11:00", 41.8),
+    { ...stop("b", "11:05", "12:00", 0), coordinates: undefined },
+  ];
+  const { legsByDate } = await planTravel(events, { policy: "resolve" });
+  assert.equal(legsByDate["2026-11-02"][0].feasible, null);
+});
+
+test("an unreachable routing service falls back to haversine", async () => {
+  const events = [stop("a", "10:00", "11:00", 41.8), stop("b", "13:00", "14:00", 41.81)];
+  const { legsByDate } = await planTravel(events, {
+    mode: "driving",
+    backend: createRoutingBackend({ url: "http://127.0.0.1:9" }),
+  });
+  assert.equal(legsByDate["2026-11-02"][0].backend, "haversine");
+});
+
+test("annotateCoverage counts infeasible transitions per day", () => {
+  const coverage = annotateCoverage(
+    { "2026-11-02": { count: 2 }, "2026-11-03": { count: 0 } },
+    { "2026-11-02": [{ feasible: false }, { feasible: true }] }
+  );
+  assert.equal(coverage["2026-11-02"].infeasible_transitions, 1);
+  assert.deepEqual(coverage["2026-11-03"].travel_legs, []);
+});
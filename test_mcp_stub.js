@@ -0,0 +1,134 @@
+// test_mcp_stub.js
+// Local stand-in for the Bright Data MCP server (Streamable HTTP, JSON responses).
+// Run directly to check the brightdata_mcp Scout backend offline:
+//   node test_mcp_stub.js
+// Or point the server at it: BRIGHTDATA_MCP_URL=http://localhost:5601/mcp BRIGHTDATA_MCP_TRANSPORT=http
+import express from "express";
+import { pathToFileURL } from "url";
+
+const STUB_PORT = process.env.MCP_STUB_PORT || 5601;
+
+/**
+ * Default search_engine output, shaped like Bright Data's markdown SERP
+ */
+function defaultResults(query) {
+  const slug = query.toLowerCase().replace(/[^a-z0-9]+/g, "-").slice(0, 40);
+  return [
+    `[${query} - Eventbrite](https://www.eventbrite.com/e/${slug}-tickets-1)`,
+    `Join us for ${query}. Doors open 6:00 PM.`,
+    ``,
+    `[${query} | Meetup](https://www.meetup.com/stub-group/events/${slug})`,
+    `Monthly community meetup with talks and networking.`,
+    ``,
+    `[Google Maps](https://www.google.com/maps?q=${slug})`,
+  ].join("\n");
+}
+
+/**
+ * Start the stub MCP server
+ * @param {Object} options - Stub options
+ * @param {number} [options.port] - Port to listen on
+ * @param {Function} [options.results] - (query) => string|Object tool output
+ * @returns {Promise<Object>} { url, calls, close() }
+ */
+export function startStubMcpServer(options = {}) {
+  const port = options.port || STUB_PORT;
+  const results = options.results || defaultResults;
+  const calls = [];
+
+  const app = express();
+  app.use(express.json());
+
+  app.post("/mcp", (req, res) => {
+    const { id, method, params } = req.body;
+
+    // Notifications get no response body
+    if (id === undefined) {
+      return res.status(202).end();
+    }
+
+    const reply = (result) => res.json({ jsonrpc: "2.0", id, result });
+
+    if (method === "initialize") {
+      return reply({
+        protocolVersion: params?.protocolVersion || "2025-03-26",
+        capabilities: { tools: {} },
+        serverInfo: { name: "brightdata-stub", version: "1.0.0" },
+      });
+    }
+
+    if (method === "tools/list") {
+      return reply({
+        tools: [
+          {
+            name: "search_engine",
+            description: "Stub Bright Data search",
+            inputSchema: {
+              type: "object",
+              properties: {
+                query: { type: "string" },
+                engine: { type: "string" },
+              },
+              required: ["query"],
+            },
+          },
+        ],
+      });
+    }
+
+    if (method === "tools/call" && params?.name === "search_engine") {
+      calls.push(params.arguments);
+      const output = results(params.arguments.query);
+      const text = typeof output === "string" ? output : JSON.stringify(output);
+      return reply({ content: [{ type: "text", text }] });
+    }
+
+    if (method === "ping") {
+      return reply({});
+    }
+
+    res.json({
+      jsonrpc: "2.0",
+      id,
+      error: { code: -32601, message: `Method not found: ${method}` },
+    });
+  });
+
+  // No server-initiated stream and no sessions
+  app.get("/mcp", (req, res) => res.status(405).end());
+  app.delete("/mcp", (req, res) => res.status(200).end());
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      resolve({
+        url: `http://localhost:${port}/mcp`,
+        calls,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+async function test() {
+  const { createMcpSearchBackend } = await import("./src/search_backends.js");
+
+  const stub = await startStubMcpServer();
+  console.log(`🔄 Stub MCP server on ${stub.url}`);
+
+  const backend = createMcpSearchBackend({ url: stub.url, transport: "http" });
+  try {
+    const links = await backend.search("tech meetup New York");
+    console.log(`✅ Parsed ${links.length} links:`);
+    links.forEach((l) => console.log(`   - [${l.platform}] ${l.url}`));
+  } catch (error) {
+    console.error("❌ FAILED:", error.message);
+    process.exitCode = 1;
+  }
+
+  await backend.close();
+  await stub.close();
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  test();
+}